@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Enterprise Project Planner.
+ * Plans from a snapshot file with the same modules as the web app and prints
+ * milestone completions with Monte Carlo confidence, deadline risks, missing
+ * sizes and ERRORS.md.
+ *
+ * Usage: entplanner schedule --snapshot <file> [options]
+ *        entplanner diff --before <file> --after <file> [options]
+ *
+ * schedule plans one snapshot. diff compares two plans, each a snapshot
+ * (planned with the options below) or a plan saved with --save-plan or the web
+ * app's "Save Plan", and attributes milestone shifts to the tasks that changed.
+ *
+ *   --snapshot <file>     Snapshot from scripts/capture-snapshot.js or "Download Snapshot" (required)
+ *   --mode <mode>         greedy (default) or optimal (GA optimizer in worker threads)
+ *   --seed <n>            Optimizer seed, to replay an earlier optimal run (default: random)
+ *   --severity <filter>   S1, S2 (default), S2+untriaged, S3, or all
+ *   --engineers <file>    Engineers JSON (default: data/engineers.json)
+ *   --holidays <file>     Holiday calendars JSON (default: data/holidays.json)
+ *   --milestones <file>   Milestones JSON for snapshots without deadlines (default: data/milestones.json)
+ *   --calibration <file>  Size calibration from scripts/calibrate-sizes.js --out (default: the project's size scale)
+ *   --overrides <file>    Pinned start dates and engineers from the web app's "Export Pins"
+ *   --save-plan <file>    Also write the schedule as a plan, for a later diff
+ *   --history <file>      Also add today's milestone forecasts to this forecast history
+ *                         (created if missing; import it in the web app's Baselines card)
+ *   --before <file>       diff: the earlier snapshot or plan
+ *   --after <file>        diff: the later snapshot or plan
+ *   --json                Print machine-readable JSON instead of text
+ *   --help                Show this help
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { parseSnapshot, resolveSnapshotMilestones } from '../js/snapshot.js';
+import {
+  buildMilestones,
+  buildComponentTeamMap,
+  findDisconnectedBugs,
+  planSchedule,
+  buildOptimizerStartData,
+  calculateMilestoneCompletions,
+  computeScheduleScore,
+  checkScheduleRisks
+} from '../js/planning.js';
+import { buildErrorsMarkdown } from '../js/errors-report.js';
+import { applyHolidayCalendars } from '../js/holidays.js';
+import { simulateMilestoneConfidence } from '../js/monte-carlo.js';
+import { setSizeScheme, getSizeScheme, setSizeTable, getSizeTable } from '../js/scheduler-core.js';
+import { parseSizeScheme } from '../js/project-config.js';
+import { runGAWorkers } from '../js/ga-node.js';
+import { isBetterScore } from '../js/optimizer-utils.js';
+import { randomSeed, parseSeed } from '../js/random.js';
+import { parseOverrides } from '../js/overrides.js';
+import { buildPlanRecord, isPlanRecord, parsePlanRecord, diffPlans } from '../js/schedule-diff.js';
+import { parseForecastHistory, recordForecast } from '../js/baselines.js';
+
+const PLAN_OPTIONS = '[--mode greedy|optimal] [--seed <n>] [--severity S1|S2|S2+untriaged|S3|all] [--engineers <file>] [--holidays <file>] [--milestones <file>] [--calibration <file>] [--overrides <file>] [--json]';
+const USAGE = `Usage: entplanner schedule --snapshot <file> [--save-plan <file>] [--history <file>] ${PLAN_OPTIONS}
+       entplanner diff --before <file> --after <file> ${PLAN_OPTIONS}`;
+
+const MODES = ['greedy', 'optimal'];
+const SEVERITY_FILTERS = ['S1', 'S2', 'S2+untriaged', 'S3', 'all'];
+
+// Same GA settings as the web app's optimized schedule
+const GA_WORKERS = 2;
+const GA_POPULATION_SIZE = 160;
+const GA_GENERATIONS = 100;
+
+function readJson(path) {
+  return JSON.parse(readFileSync(resolve(process.cwd(), path), 'utf8'));
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Same buckets as the web app's milestone cards
+ */
+function milestoneStatus(milestone, completion) {
+  if (!completion) return 'unscheduled';
+  if (completion <= milestone.freezeDate) return 'on-track';
+  if (completion <= milestone.deadline) return 'at-risk';
+  return 'late';
+}
+
+/**
+ * Run the GA on the greedy plan's bugs; returns the optimized schedule only
+ * if it beats the greedy one, as the web app does
+ */
+async function optimizeSchedule(plan, { bugs, engineers, componentTeamMap, milestones, seed }) {
+  const startData = buildOptimizerStartData({
+    bugs,
+    scheduleBugs: plan.filteredBugs,
+    engineers,
+    componentTeamMap,
+    milestones,
+    generations: GA_GENERATIONS,
+    populationSize: GA_POPULATION_SIZE
+  });
+  startData.seed = seed;
+
+  const best = await runGAWorkers(startData, GA_WORKERS);
+  const info = { workers: GA_WORKERS, populationSize: GA_POPULATION_SIZE, generations: GA_GENERATIONS, seed, beatGreedy: false };
+  if (!best) return { schedule: null, info };
+
+  const schedule = best.schedule.map(task => ({
+    ...task,
+    startDate: task.startDate ? new Date(task.startDate) : null,
+    actualStartDate: task.actualStartDate ? new Date(task.actualStartDate) : null,
+    endDate: task.endDate ? new Date(task.endDate) : null
+  }));
+  const score = computeScheduleScore(schedule, milestones, plan.graph);
+  info.bestFoundAtGeneration = best.bestFoundAtGeneration;
+  info.beatGreedy = isBetterScore(score, plan.score);
+  return { schedule: info.beatGreedy ? schedule : null, info };
+}
+
+/**
+ * Plan a snapshot file with the command-line options
+ * @returns {Object} {snapshot, plan, milestones, schedule, risks, completions, score, optimizer}
+ */
+async function planSnapshot(file, options) {
+  if (!MODES.includes(options.mode)) {
+    throw new Error(`Unknown --mode "${options.mode}" (expected ${MODES.join(' or ')})`);
+  }
+  if (!SEVERITY_FILTERS.includes(options.severity)) {
+    throw new Error(`Unknown --severity "${options.severity}" (expected one of ${SEVERITY_FILTERS.join(', ')})`);
+  }
+  const seed = options.seed !== undefined ? parseSeed(options.seed) : randomSeed();
+
+  const snapshot = parseSnapshot(readJson(file));
+  const teams = readJson(options.engineers).teams || [];
+  const engineers = teams.flatMap(t => t.engineers);
+  applyHolidayCalendars(readJson(options.holidays), engineers);
+  // Snapshot sizes were read with the project's scheme at capture time
+  setSizeScheme(parseSizeScheme(snapshot.project && snapshot.project.sizes));
+  setSizeTable(options.calibration ? readJson(options.calibration).table : null);
+  const configured = readJson(options.milestones).milestones || [];
+  const { milestones, milestoneNameMap } = buildMilestones(
+    resolveSnapshotMilestones(snapshot.milestones, configured)
+  );
+  if (milestones.length === 0) {
+    throw new Error(`No milestones in ${file} or ${options.milestones}`);
+  }
+
+  const overrides = options.overrides ? parseOverrides(readJson(options.overrides)) : new Map();
+
+  const severityFilter = options.severity === 'all' ? '' : options.severity;
+  const componentTeamMap = buildComponentTeamMap(teams);
+  const plan = planSchedule({
+    bugs: snapshot.bugs,
+    engineers,
+    componentTeamMap,
+    milestones,
+    milestoneNameMap,
+    severityFilter,
+    overrides,
+    disconnectedBugs: snapshot.milestonedBugs
+      ? findDisconnectedBugs(snapshot.milestonedBugs, snapshot.bugs, milestoneNameMap)
+      : []
+  });
+
+  let { schedule, risks, completions, score } = plan;
+  let optimizer = null;
+  if (options.mode === 'optimal') {
+    const optimized = await optimizeSchedule(plan, { bugs: snapshot.bugs, engineers, componentTeamMap, milestones, seed });
+    optimizer = optimized.info;
+    if (optimized.schedule) {
+      schedule = optimized.schedule;
+      risks = checkScheduleRisks(schedule, milestones, plan.graph);
+      completions = calculateMilestoneCompletions(schedule, milestones, plan.graph);
+      score = computeScheduleScore(schedule, milestones, plan.graph);
+    }
+  }
+
+  return { snapshot, plan, milestones, schedule, risks, completions, score, optimizer };
+}
+
+/**
+ * Plan a snapshot and collect the report data
+ */
+async function runSchedule(options) {
+  if (!options.snapshot) {
+    throw new Error('--snapshot is required');
+  }
+  const { snapshot, plan, milestones, schedule, risks, completions, score, optimizer } =
+    await planSnapshot(options.snapshot, options);
+  const confidence = simulateMilestoneConfidence(schedule, milestones, plan.graph);
+
+  if (options['save-plan'] || options.history) {
+    const record = buildPlanRecord({
+      schedule,
+      milestones,
+      graph: plan.graph,
+      label: `${optimizer && optimizer.beatGreedy ? 'Optimized' : 'Greedy'} plan from ${options.snapshot}`,
+      scheduleType: optimizer && optimizer.beatGreedy ? 'optimal' : 'greedy'
+    });
+    if (options['save-plan']) {
+      writeFileSync(resolve(process.cwd(), options['save-plan']), `${JSON.stringify(record, null, 2)}\n`);
+    }
+    if (options.history) {
+      // Dated today, like the schedule itself, which starts today whenever the snapshot was captured
+      const historyPath = resolve(process.cwd(), options.history);
+      const history = parseForecastHistory(existsSync(historyPath) ? readJson(historyPath) : null);
+      writeFileSync(historyPath, `${JSON.stringify(recordForecast(history, record, new Date()), null, 2)}\n`);
+    }
+  }
+
+  return {
+    snapshot: {
+      file: options.snapshot,
+      capturedAt: snapshot.capturedAt,
+      bugs: snapshot.bugs.size
+    },
+    mode: options.mode,
+    severity: options.severity,
+    sizeTable: getSizeTable(),
+    defaultSize: getSizeScheme().default,
+    optimizer,
+    scheduledTasks: schedule.length,
+    score,
+    milestones: milestones.map(m => {
+      const completion = completions.get(String(m.bugId)) || null;
+      const c = confidence.get(String(m.bugId));
+      return {
+        name: m.name,
+        bugId: m.bugId,
+        deadline: formatDate(m.deadline),
+        freezeDate: formatDate(m.freezeDate),
+        estimatedCompletion: formatDate(completion),
+        status: milestoneStatus(m, completion),
+        confidence: c
+          ? { p50: formatDate(c.p50), p80: formatDate(c.p80), p95: formatDate(c.p95), onTimeProbability: c.onTimeProbability }
+          : null
+      };
+    }),
+    risks: risks.map(r => ({
+      bugId: r.task.bug.id,
+      summary: r.task.bug.summary,
+      assignee: r.task.engineer ? r.task.engineer.name : null,
+      milestone: r.milestone.name,
+      type: r.type,
+      endDate: formatDate(r.task.endDate),
+      message: r.message
+    })),
+    pins: schedule
+      .filter(t => t.bug.pin && !t.completed)
+      .map(t => ({
+        bugId: t.bug.id,
+        summary: t.bug.summary,
+        startDate: t.bug.pin.startDate,
+        engineerId: t.bug.pin.engineerId,
+        scheduledStart: formatDate(t.startDate),
+        engineer: t.engineer ? t.engineer.name : null
+      })),
+    missingSizes: schedule
+      .filter(t => t.effort && t.effort.sizeEstimated)
+      .map(t => ({ bugId: t.bug.id, summary: t.bug.summary, assignee: t.bug.assignee || null })),
+    unstaffable: plan.errors.unstaffable
+      .map(u => ({ bugId: u.bug.id, summary: u.bug.summary, skills: u.skills })),
+    errorsMarkdown: buildErrorsMarkdown(plan.errors)
+  };
+}
+
+/**
+ * A saved plan, or a snapshot planned with the command-line options
+ */
+async function loadPlan(file, options) {
+  const data = readJson(file);
+  if (isPlanRecord(data)) {
+    return { ...parsePlanRecord(data), label: data.label || file };
+  }
+  const { plan, milestones, schedule, optimizer } = await planSnapshot(file, options);
+  return buildPlanRecord({
+    schedule,
+    milestones,
+    graph: plan.graph,
+    label: file,
+    scheduleType: optimizer && optimizer.beatGreedy ? 'optimal' : 'greedy'
+  });
+}
+
+/**
+ * Compare two plans or snapshots
+ */
+async function runDiff(options) {
+  if (!options.before || !options.after) {
+    throw new Error('--before and --after are required');
+  }
+  // Both sides use the same seed so an optimal diff shows changes in the data
+  const seed = options.seed !== undefined ? options.seed : String(randomSeed());
+  const before = await loadPlan(options.before, { ...options, seed });
+  const after = await loadPlan(options.after, { ...options, seed });
+  return { before: before.label, after: after.label, ...diffPlans(before, after) };
+}
+
+function describeTaskChange(task) {
+  return task.changes.map(change => {
+    if (change === 'reassigned') return `reassigned ${task.before.engineer || 'unassigned'} -> ${task.after.engineer || 'unassigned'}`;
+    if (change === 'resized') return `size ${task.before.size ?? '?'} -> ${task.after.size ?? '?'}`;
+    if (change === 'dependencies') return 'dependencies changed';
+    return change;
+  }).join(', ');
+}
+
+function printDiff(diff) {
+  const { counts } = diff;
+  console.log(`${diff.before} -> ${diff.after}`);
+  console.log(`${counts.added} added, ${counts.removed} removed, ${counts.moved} moved, ${counts.reassigned} reassigned, ${counts.resized} resized`);
+
+  console.log('\n=== Milestones ===');
+  for (const m of diff.milestones) {
+    const shift = m.deltaDays === null ? 'not comparable' : m.deltaDays === 0 ? 'no change' : `${m.deltaDays > 0 ? '+' : ''}${m.deltaDays} days`;
+    console.log(`${m.name}: ${m.before || '-'} -> ${m.after || '-'} (${shift})`);
+    if (m.deltaDays && m.causes.length === 0) {
+      console.log('  No upstream task changed (dates, calendars or optimizer choices)');
+    }
+    for (const c of m.causes) {
+      console.log(`  Bug ${c.bugId}: ${describeTaskChange(c)} (${c.summary})`);
+    }
+  }
+
+  console.log(`\n=== Changed Tasks (${diff.tasks.length}) ===`);
+  for (const t of diff.tasks) {
+    console.log(`- Bug ${t.bugId}: ${describeTaskChange(t)}; ends ${t.before ? t.before.endDate || '-' : '-'} -> ${t.after ? t.after.endDate || '-' : '-'}`);
+  }
+}
+
+function printReport(report) {
+  const captured = report.snapshot.capturedAt || 'unknown date';
+  console.log(`Snapshot ${report.snapshot.file}: ${report.snapshot.bugs} bugs captured ${captured}`);
+  console.log(`Schedule: ${report.mode}, severity ${report.severity}, ${report.scheduledTasks} tasks`);
+  console.log(`Size table: ${Object.entries(report.sizeTable).map(([size, days]) => `${size}=${days}d`).join(', ')}`);
+  if (report.optimizer) {
+    const o = report.optimizer;
+    console.log(`Optimizer: ${o.workers} workers, GA ${o.populationSize}x${o.generations}, ${o.beatGreedy ? `best found at generation ${o.bestFoundAtGeneration}` : 'did not beat greedy, showing greedy schedule'}`);
+    console.log(`Seed: ${o.seed} (replay with --seed ${o.seed})`);
+  }
+  console.log(`Score: ${report.score.deadlinesMet}/${report.milestones.length} deadlines met, ${report.score.totalLateness} days late, makespan ${report.score.makespan} working days`);
+
+  console.log('\n=== Milestones ===');
+  for (const m of report.milestones) {
+    console.log(`${m.name}: ${m.estimatedCompletion || 'not scheduled'} [${m.status}] (freeze ${m.freezeDate}, deadline ${m.deadline})`);
+    if (m.confidence) {
+      const c = m.confidence;
+      console.log(`  P50 ${c.p50}, P80 ${c.p80}, P95 ${c.p95}, ${Math.round(c.onTimeProbability * 100)}% chance to make the freeze`);
+    }
+  }
+
+  console.log(`\n=== Deadline Risks (${report.risks.length}) ===`);
+  for (const r of report.risks) {
+    console.log(`- ${r.message}${r.assignee ? ` [${r.assignee}]` : ''}`);
+  }
+
+  if (report.pins.length > 0) {
+    console.log(`\n=== Pinned (${report.pins.length}) ===`);
+    for (const p of report.pins) {
+      const pinned = [p.startDate && `start ${p.startDate}`, p.engineerId && `engineer ${p.engineerId}`].filter(Boolean);
+      console.log(`- Bug ${p.bugId}: pinned ${pinned.join(', ')}; starts ${p.scheduledStart}${p.engineer ? ` [${p.engineer}]` : ''}`);
+    }
+  }
+
+  if (report.unstaffable.length > 0) {
+    console.log(`\n=== No Engineer With Required Skills (${report.unstaffable.length}, scheduled as External) ===`);
+    for (const u of report.unstaffable) {
+      console.log(`- Bug ${u.bugId}: ${u.summary} (needs: ${u.skills.join(', ')})`);
+    }
+  }
+
+  console.log(`\n=== Missing Sizes (${report.missingSizes.length}, defaulting to size ${report.defaultSize}, ${report.sizeTable[report.defaultSize]} days) ===`);
+  for (const b of report.missingSizes) {
+    console.log(`- Bug ${b.bugId}: ${b.summary}`);
+  }
+
+  console.log(`\n${report.errorsMarkdown}`);
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      snapshot: { type: 'string' },
+      mode: { type: 'string', default: 'greedy' },
+      seed: { type: 'string' },
+      severity: { type: 'string', default: 'S2' },
+      engineers: { type: 'string', default: 'data/engineers.json' },
+      holidays: { type: 'string', default: 'data/holidays.json' },
+      milestones: { type: 'string', default: 'data/milestones.json' },
+      calibration: { type: 'string' },
+      overrides: { type: 'string' },
+      'save-plan': { type: 'string' },
+      history: { type: 'string' },
+      before: { type: 'string' },
+      after: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [command] = positionals;
+  const commands = { schedule: [runSchedule, printReport], diff: [runDiff, printDiff] };
+  if (!commands[command]) {
+    throw new Error(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+  const [run, print] = commands[command];
+
+  // The planning modules log progress for the browser console; keep stdout to the report
+  const log = console.log;
+  console.log = () => {};
+  let report;
+  try {
+    report = await run(options);
+  } finally {
+    console.log = log;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    print(report);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+/**
+ * Baselines and forecast history
+ * A baseline is a named plan (see schedule-diff.js) kept to measure slip
+ * against. The forecast history records each milestone's forecast completion
+ * once per day it is planned (by the web app on live data, or by a scheduled
+ * `entplanner schedule --history` run), so the trend of the forecast can be
+ * charted week over week.
+ */
+
+import { parsePlanRecord, isPlanRecord } from './schedule-diff.js';
+import { toDateKey } from './scheduler-core.js';
+
+export const BASELINES_VERSION = 1;
+
+// A year of daily points, or two of weekly ones
+export const MAX_FORECAST_POINTS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create a baseline
+ * @param {string} name
+ * @param {Object} plan - From buildPlanRecord()
+ * @returns {{name: string, savedAt: string, plan: Object}}
+ */
+export function createBaseline(name, plan) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('A baseline needs a name');
+  return { name: trimmed, savedAt: plan.savedAt || new Date().toISOString(), plan: parsePlanRecord(plan) };
+}
+
+/**
+ * Validate stored baselines
+ * @param {Object} [data] - {version, active, baselines: [{name, savedAt, plan}]}
+ * @returns {{active: string|null, baselines: Array<Object>}}
+ */
+export function parseBaselines(data) {
+  if (!data) return { active: null, baselines: [] };
+  if (data.version !== BASELINES_VERSION) {
+    throw new Error(`Unsupported baselines version: ${data.version}`);
+  }
+  if (!Array.isArray(data.baselines)) {
+    throw new Error('Baselines must have a "baselines" array');
+  }
+  const baselines = data.baselines.map(b => createBaseline(b.name, b.plan));
+  const active = baselines.some(b => b.name === data.active) ? data.active : null;
+  return { active, baselines };
+}
+
+/**
+ * Baselines as JSON-ready data, for localStorage
+ */
+export function serializeBaselines({ active, baselines }) {
+  return { version: BASELINES_VERSION, active, baselines };
+}
+
+/**
+ * Read an exported baseline, or a plan saved with "Save Plan"
+ * @param {Object} data
+ * @param {string} fallbackName - Used for a bare plan without a label
+ * @returns {Object} A baseline
+ */
+export function parseBaselineFile(data, fallbackName) {
+  if (isPlanRecord(data)) {
+    return createBaseline(data.label || fallbackName, data);
+  }
+  if (data && data.plan) {
+    return createBaseline(data.name || fallbackName, data.plan);
+  }
+  throw new Error('Not a baseline or saved plan');
+}
+
+/**
+ * Add a baseline, replacing one with the same name
+ * @returns {Array<Object>} New list
+ */
+export function upsertBaseline(baselines, baseline) {
+  return [...baselines.filter(b => b.name !== baseline.name), baseline];
+}
+
+/**
+ * Calendar days an end date is past a baseline end (negative: earlier)
+ * @param {string} baselineEnd - YYYY-MM-DD
+ * @param {Date} endDate
+ * @returns {number}
+ */
+export function computeSlipDays(baselineEnd, endDate) {
+  return Math.round((Date.parse(toDateKey(endDate)) - Date.parse(baselineEnd)) / DAY_MS);
+}
+
+/**
+ * Calendar days each task ends after its baseline end (negative: earlier)
+ * @param {Object} plan - Baseline plan, from buildPlanRecord()
+ * @param {Array<Object>} schedule - Current scheduled tasks
+ * @returns {Map<string, number|null>} Bug ID to slip; null for tasks new since the baseline
+ */
+export function computeSlips(plan, schedule) {
+  const baselineEnds = new Map(plan.tasks.map(t => [String(t.bugId), t.endDate]));
+  const slips = new Map();
+  for (const task of schedule) {
+    if (task.completed || !task.endDate) continue;
+    const id = String(task.bug.id);
+    const baselineEnd = baselineEnds.get(id);
+    slips.set(id, baselineEnd ? computeSlipDays(baselineEnd, task.endDate) : null);
+  }
+  return slips;
+}
+
+/**
+ * Validate a stored forecast history
+ * @param {Array<Object>} [data]
+ * @returns {Array<{date: string, label: string, milestones: Array<Object>}>}
+ */
+export function parseForecastHistory(data) {
+  if (!data) return [];
+  if (!Array.isArray(data)) throw new Error('Forecast history must be an array');
+  for (const point of data) {
+    if (!DATE_KEY_PATTERN.test(String(point.date)) || !Array.isArray(point.milestones)) {
+      throw new Error(`Invalid forecast point: ${JSON.stringify(point).slice(0, 80)}`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Add a plan's milestone forecasts to the history
+ * A later plan for the same date replaces the earlier one.
+ * @param {Array<Object>} history - From parseForecastHistory()
+ * @param {Object} plan - From buildPlanRecord()
+ * @param {Date|string} date - When the plan was made (schedules start from that day)
+ * @returns {Array<Object>} New history, oldest first, at most MAX_FORECAST_POINTS long
+ */
+export function recordForecast(history, plan, date) {
+  const point = {
+    date: toDateKey(new Date(date)),
+    label: plan.label || '',
+    milestones: plan.milestones.map(m => ({
+      bugId: m.bugId,
+      name: m.name,
+      deadline: m.deadline,
+      freezeDate: m.freezeDate,
+      completion: m.completion
+    }))
+  };
+  return [...history.filter(p => p.date !== point.date), point]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_FORECAST_POINTS);
+}
+
+/**
+ * Merge an imported forecast history into ours; imported points win on the same date
+ * @returns {Array<Object>} New history, oldest first, at most MAX_FORECAST_POINTS long
+ */
+export function mergeForecastHistory(history, imported) {
+  const dates = new Set(imported.map(p => p.date));
+  return [...history.filter(p => !dates.has(p.date)), ...imported]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-MAX_FORECAST_POINTS);
+}
+
+/**
+ * Forecast history per milestone, for the trend chart
+ * @param {Array<Object>} history - From recordForecast()
+ * @returns {Array<{bugId: number, name: string, deadline: string|null, freezeDate: string|null, points: Array<{date: string, completion: string}>}>}
+ *   Deadlines are the latest recorded; points skip days the milestone was not scheduled
+ */
+export function buildForecastSeries(history) {
+  const series = new Map();
+  for (const point of history) {
+    for (const m of point.milestones) {
+      if (!series.has(m.bugId)) {
+        series.set(m.bugId, { bugId: m.bugId, name: m.name, deadline: null, freezeDate: null, points: [] });
+      }
+      const s = series.get(m.bugId);
+      s.name = m.name;
+      s.deadline = m.deadline || s.deadline;
+      s.freezeDate = m.freezeDate || s.freezeDate;
+      if (m.completion) s.points.push({ date: point.date, completion: m.completion });
+    }
+  }
+  return [...series.values()];
+}
@@ -0,0 +1,144 @@
+/**
+ * Persistent bug cache backed by IndexedDB
+ * Stores processed bugs plus sync metadata so the app can start from the
+ * last fetched tree and only ask Bugzilla for what changed since then.
+ */
+
+const DB_NAME = 'entplanner';
+const DB_VERSION = 1;
+const BUGS_STORE = 'bugs';
+const META_STORE = 'meta';
+const META_KEY = 'sync';
+
+export class BugCache {
+  /**
+   * @param {IDBFactory|null} indexedDBFactory - Defaults to the global indexedDB (absent in Node)
+   */
+  constructor(indexedDBFactory = globalThis.indexedDB || null) {
+    this.factory = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is available in this environment
+   */
+  isAvailable() {
+    return Boolean(this.factory);
+  }
+
+  /**
+   * Open (and create/upgrade) the database
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  open() {
+    if (!this.isAvailable()) return Promise.resolve(null);
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = this.factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BUGS_STORE)) {
+          db.createObjectStore(BUGS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Load cached bugs and sync metadata
+   * @returns {Promise<{bugs: Map<string, Object>, lastSync: string, rootBugIds: Array<number>, bugzillaUrl: string|null}|null>}
+   */
+  async load() {
+    try {
+      const db = await this.open();
+      if (!db) return null;
+
+      const tx = db.transaction([BUGS_STORE, META_STORE], 'readonly');
+      const [bugList, meta] = await Promise.all([
+        requestToPromise(tx.objectStore(BUGS_STORE).getAll()),
+        requestToPromise(tx.objectStore(META_STORE).get(META_KEY))
+      ]);
+
+      if (!meta || !meta.lastSync || !bugList || bugList.length === 0) return null;
+
+      const bugs = new Map();
+      for (const bug of bugList) {
+        bugs.set(String(bug.id), bug);
+      }
+      return {
+        bugs,
+        lastSync: meta.lastSync,
+        rootBugIds: meta.rootBugIds || [],
+        bugzillaUrl: meta.bugzillaUrl || null
+      };
+    } catch (error) {
+      console.warn('[BugCache] Failed to load cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the cached bug set and record when it was synced
+   * @param {Map<string, Object>} bugs - Processed bugs by ID
+   * @param {{lastSync: string, rootBugIds: Array<number>, bugzillaUrl: string}} meta
+   */
+  async save(bugs, { lastSync, rootBugIds, bugzillaUrl = null }) {
+    try {
+      const db = await this.open();
+      if (!db) return;
+
+      const tx = db.transaction([BUGS_STORE, META_STORE], 'readwrite');
+      const bugStore = tx.objectStore(BUGS_STORE);
+      bugStore.clear();
+      for (const bug of bugs.values()) {
+        bugStore.put(bug);
+      }
+      tx.objectStore(META_STORE).put({ key: META_KEY, lastSync, rootBugIds, bugzillaUrl });
+      await transactionDone(tx);
+    } catch (error) {
+      console.warn('[BugCache] Failed to save cache:', error);
+    }
+  }
+
+  /**
+   * Drop all cached bugs and metadata
+   */
+  async clear() {
+    try {
+      const db = await this.open();
+      if (!db) return;
+
+      const tx = db.transaction([BUGS_STORE, META_STORE], 'readwrite');
+      tx.objectStore(BUGS_STORE).clear();
+      tx.objectStore(META_STORE).clear();
+      await transactionDone(tx);
+    } catch (error) {
+      console.warn('[BugCache] Failed to clear cache:', error);
+    }
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export default BugCache;
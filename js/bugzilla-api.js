@@ -1,18 +1,236 @@
 /**
- * Bugzilla REST API client for browser-based fetching
- * Fetches bugs and their dependencies from bugzilla.mozilla.org
+ * Bugzilla REST API client (browser and Node)
+ * Fetches bugs and their dependencies from the configured Bugzilla instance
  */
 
-const BUGZILLA_API_BASE = 'https://bugzilla.mozilla.org/rest';
+import { DEFAULT_PROJECT_CONFIG } from './project-config.js';
+import { extractSkills, readBugSize, getSizeScheme } from './scheduler-core.js';
+
 const BATCH_SIZE = 100;
 
+// Retry policy for transient failures (network errors, 429, 5xx)
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Batches in flight at once
+const DEFAULT_CONCURRENCY = 4;
+const BUG_FIELDS = 'id,summary,status,resolution,assigned_to,depends_on,blocks,whiteboard,component,product,severity,keywords,target_milestone,last_change_time';
+
+/**
+ * Fields to request, plus the size field when the project sizes bugs by field (see setSizeScheme())
+ */
+function getBugFields() {
+  const { source, field } = getSizeScheme();
+  return source === 'field' ? `${BUG_FIELDS},${field}` : BUG_FIELDS;
+}
+
+/**
+ * When a bug last moved to ASSIGNED status
+ * @param {Array<Object>} history - Entries from BugzillaAPI.fetchBugHistory()
+ * @returns {string|null} ISO timestamp
+ */
+export function extractAssignedDate(history) {
+  let assignedAt = null;
+  for (const entry of history || []) {
+    const assigned = (entry.changes || []).some(change =>
+      change.field_name === 'status' && change.added === 'ASSIGNED');
+    if (assigned && (!assignedAt || new Date(entry.when) > new Date(assignedAt))) {
+      assignedAt = new Date(entry.when).toISOString();
+    }
+  }
+  return assignedAt;
+}
+
 export class BugzillaAPI {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.bugzillaUrl] - Bugzilla instance, e.g. https://bugzilla.mozilla.org
+   * @param {number} [options.concurrency] - Max batch requests in flight
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   * @param {string} [options.apiKey] - Bugzilla API key
+   */
+  constructor(options = {}) {
+    this.setBugzillaUrl(options.bugzillaUrl || DEFAULT_PROJECT_CONFIG.bugzillaUrl);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.fetchImpl = options.fetch || null;
     this.cache = new Map();
     this.fetchedCount = 0;
     this.totalDiscovered = 0;
     this.onProgress = null;
     this.onBugDiscovered = null;
+    this.apiKey = options.apiKey || null;
+    this.hiddenBugs = new Map();
+    this.failedBugs = new Map();
+  }
+
+  /**
+   * Point the client at a Bugzilla instance
+   * @param {string} bugzillaUrl - Instance root; the REST API lives under /rest
+   */
+  setBugzillaUrl(bugzillaUrl) {
+    this.bugzillaUrl = bugzillaUrl.replace(/\/+$/, '');
+    this.apiBase = `${this.bugzillaUrl}/rest`;
+  }
+
+  /**
+   * Set the Bugzilla API key used for all requests
+   * Sent as a header (never in the URL) so it doesn't leak into logs or history.
+   * @param {string|null} apiKey - API key, or null for anonymous access
+   */
+  setApiKey(apiKey) {
+    this.apiKey = apiKey || null;
+  }
+
+  /**
+   * Whether requests are authenticated
+   */
+  hasApiKey() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Issue a GET request, authenticated when an API key is set
+   * @param {string} url
+   * @returns {Promise<Response>}
+   */
+  request(url) {
+    // Resolved per call so the global can be swapped (tests, polyfills)
+    const fetchFn = this.fetchImpl || globalThis.fetch;
+    if (!this.apiKey) {
+      return fetchFn(url);
+    }
+    return fetchFn(url, {
+      headers: { 'X-BUGZILLA-API-KEY': this.apiKey }
+    });
+  }
+
+  /**
+   * Issue a GET request, retrying transient failures with exponential backoff.
+   * 429/503 responses honor Retry-After. Non-retryable HTTP errors throw immediately.
+   * @param {string} url
+   * @returns {Promise<Response>} A successful response
+   */
+  async requestWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await this.request(url);
+      } catch (networkError) {
+        error = networkError;
+      }
+
+      if (response && response.ok) {
+        return response;
+      }
+
+      if (response) {
+        error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        if (!RETRYABLE_STATUSES.has(response.status)) {
+          throw error;
+        }
+      }
+
+      if (attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      const waitMs = this.getRetryDelay(attempt, response);
+      console.warn(`[BugzillaAPI] ${error.message}; retry ${attempt + 1}/${MAX_RETRIES} in ${waitMs}ms`);
+      this.reportProgress('retrying', `${error.message} - retrying in ${Math.ceil(waitMs / 1000)}s...`);
+      await this.delay(waitMs);
+    }
+  }
+
+  /**
+   * Backoff before the next attempt: Retry-After when the server sent one,
+   * otherwise exponential with jitter
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {Response|null} response - Failed response, null for network errors
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = response && response.headers && response.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds)
+        ? seconds * 1000
+        : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(ms)) {
+        return Math.min(Math.max(ms, 0), MAX_RETRY_DELAY_MS);
+      }
+    }
+
+    const backoff = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+    return Math.min(Math.round(backoff + jitter), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Fetch a batch, splitting it in halves when it keeps failing so one bad ID
+   * can't take the whole batch down. IDs that fail on their own are recorded.
+   * @param {Array<string>} bugIds
+   * @returns {Promise<Array<Object>>} Bugs that could be fetched
+   */
+  async fetchBatchWithSplitting(bugIds) {
+    try {
+      return await this.fetchBugs(bugIds);
+    } catch (error) {
+      // Only an HTTP error can be caused by a bad ID; network failures, rate limits
+      // and bad credentials would just fail again for every half
+      const splittable = error.status && error.status !== 401 && error.status !== 429;
+      if (bugIds.length === 1 || !splittable) {
+        for (const id of bugIds) {
+          this.recordFailedBug(id, error.message);
+        }
+        return [];
+      }
+
+      const mid = Math.ceil(bugIds.length / 2);
+      console.warn(`[BugzillaAPI] Batch of ${bugIds.length} failed (${error.message}), splitting`);
+      const first = await this.fetchBatchWithSplitting(bugIds.slice(0, mid));
+      const second = await this.fetchBatchWithSplitting(bugIds.slice(mid));
+      return first.concat(second);
+    }
+  }
+
+  /**
+   * Record a bug that could not be fetched after all retries
+   */
+  recordFailedBug(bugId, error) {
+    const id = String(bugId);
+    if (!this.failedBugs.has(id)) {
+      this.failedBugs.set(id, { id: Number(bugId), error });
+    }
+  }
+
+  /**
+   * Get bugs that permanently failed during the last fetch
+   * @returns {Array<{id: number, error: string}>}
+   */
+  getFailedBugs() {
+    return Array.from(this.failedBugs.values());
+  }
+
+  /**
+   * Record a bug that Bugzilla would not return (restricted or nonexistent)
+   */
+  recordHiddenBug(bugId, reason) {
+    const id = String(bugId);
+    if (!this.hiddenBugs.has(id)) {
+      this.hiddenBugs.set(id, { id: Number(bugId), reason });
+    }
+  }
+
+  /**
+   * Get bugs hidden from the last fetch
+   * @returns {Array<{id: number, reason: string}>}
+   */
+  getHiddenBugs() {
+    return Array.from(this.hiddenBugs.values());
   }
 
   /**
@@ -56,13 +274,10 @@ export class BugzillaAPI {
       return this.cache.get(id);
     }
 
-    const url = `${BUGZILLA_API_BASE}/bug/${id}?include_fields=id,summary,status,resolution,assigned_to,depends_on,blocks,whiteboard,component,product,severity,keywords,target_milestone`;
+    const url = `${this.apiBase}/bug/${id}?include_fields=${getBugFields()}`;
 
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const response = await this.requestWithRetry(url);
       const data = await response.json();
       if (data.bugs && data.bugs.length > 0) {
         const bug = this.processBug(data.bugs[0]);
@@ -91,20 +306,14 @@ export class BugzillaAPI {
       return bugIds.map(id => this.cache.get(String(id)));
     }
 
-    const url = `${BUGZILLA_API_BASE}/bug?id=${uncachedIds.join(',')}&include_fields=id,summary,status,resolution,assigned_to,depends_on,blocks,whiteboard,component,product,severity,keywords,target_milestone`;
+    const url = `${this.apiBase}/bug?id=${uncachedIds.join(',')}&include_fields=${getBugFields()}`;
 
     console.log(`[BugzillaAPI] Fetching URL: ${url.substring(0, 100)}...`);
 
     try {
-      const response = await fetch(url);
+      const response = await this.requestWithRetry(url);
       console.log(`[BugzillaAPI] Response status: ${response.status}`);
 
-      if (!response.ok) {
-        const text = await response.text();
-        console.error(`[BugzillaAPI] Error response: ${text.substring(0, 200)}`);
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
       const data = await response.json();
       console.log(`[BugzillaAPI] Received ${data.bugs ? data.bugs.length : 0} bugs in response`);
 
@@ -112,7 +321,6 @@ export class BugzillaAPI {
         for (const rawBug of data.bugs) {
           const bug = this.processBug(rawBug);
           this.cache.set(String(bug.id), bug);
-          this.fetchedCount++;
 
           if (this.onBugDiscovered) {
             this.onBugDiscovered(bug);
@@ -121,8 +329,23 @@ export class BugzillaAPI {
       }
 
       // Handle faults (bugs that couldn't be retrieved)
+      const faultIds = new Set();
       if (data.faults && data.faults.length > 0) {
         console.warn(`[BugzillaAPI] ${data.faults.length} faults reported:`, data.faults);
+        for (const fault of data.faults) {
+          faultIds.add(String(fault.id));
+          this.recordHiddenBug(fault.id, fault.faultString || 'Access denied');
+        }
+      }
+
+      // Search silently omits bugs the caller may not see
+      for (const id of uncachedIds) {
+        if (!this.cache.has(String(id)) && !faultIds.has(String(id))) {
+          const reason = this.apiKey
+            ? 'Not accessible with this API key (restricted or nonexistent)'
+            : 'Not returned anonymously (security-restricted or nonexistent)';
+          this.recordHiddenBug(id, reason);
+        }
       }
 
       return bugIds.map(id => this.cache.get(String(id))).filter(Boolean);
@@ -136,7 +359,7 @@ export class BugzillaAPI {
    * Process raw Bugzilla API response into normalized bug object
    */
   processBug(rawBug) {
-    const size = this.extractSize(rawBug.whiteboard);
+    const { size, sizeRange } = readBugSize(rawBug);
     const keywords = rawBug.keywords || [];
     const isMeta = this.isMeta(rawBug.whiteboard, keywords, rawBug.summary);
 
@@ -154,8 +377,11 @@ export class BugzillaAPI {
       product: rawBug.product,
       severity: rawBug.severity || 'N/A',
       targetMilestone: rawBug.target_milestone || null,
+      lastChangeTime: rawBug.last_change_time || null,
       size: size,
       sizeEstimated: size === null,
+      sizeRange: sizeRange,
+      requiredSkills: extractSkills(rawBug.whiteboard),
       isMeta: isMeta
     };
   }
@@ -181,101 +407,167 @@ export class BugzillaAPI {
   }
 
   /**
-   * Extract size from whiteboard - format [size=x] or [size=x.y] per SPEC.md
-   * Supports fractional sizes like [size=3.5]
-   */
-  extractSize(whiteboard) {
-    if (!whiteboard) return null;
-
-    // Format: [size=x] or [size=x.y] (supports fractional)
-    const match = whiteboard.match(/\[size=(\d+\.?\d*)\]/i);
-    if (match) {
-      const size = parseFloat(match[1]);
-      if (size >= 1 && size <= 5) {
-        return size;
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Recursively fetch all dependencies starting from root bugs
+   * Fetch all dependencies starting from root bugs, breadth-first.
+   * Each BFS level is split into batches fetched with up to `this.concurrency`
+   * requests in flight; the next level starts once the current one is done.
    * @param {Array<number>} rootBugIds - Root bug IDs (milestones)
+   * @param {Map<string, Object>|null} knownBugs - Up-to-date bugs to reuse instead of fetching
    * @returns {Promise<Map<string, Object>>} Map of all bugs by ID
    */
-  async fetchAllDependencies(rootBugIds) {
+  async fetchAllDependencies(rootBugIds, knownBugs = null) {
     const allBugs = new Map();
-    const toFetch = new Set(rootBugIds.map(String));
-    const fetched = new Set();
-    const failedIds = new Set();
+    const seen = new Set(rootBugIds.map(String));
+    let level = Array.from(seen);
 
+    // fetchedCount counts settled IDs (fetched, hidden or failed) so progress reaches 100%
     this.fetchedCount = 0;
-    this.totalDiscovered = rootBugIds.length;
+    this.totalDiscovered = seen.size;
+    this.hiddenBugs = new Map();
+    this.failedBugs = new Map();
 
     console.log(`[BugzillaAPI] Starting fetch with milestones: ${rootBugIds.join(', ')}`);
     this.reportProgress('starting', `Starting with ${rootBugIds.length} milestone bugs...`);
 
-    let iteration = 0;
-    const MAX_ITERATIONS = 1000; // Safety limit
+    const addBugs = (bugs) => {
+      for (const bug of bugs) {
+        if (!bug) continue;
+        allBugs.set(String(bug.id), bug);
+      }
+    };
 
-    while (toFetch.size > 0 && iteration < MAX_ITERATIONS) {
-      iteration++;
+    let depth = 0;
+    const MAX_DEPTH = 1000; // Safety limit
 
-      // Get next batch to fetch
-      const batch = Array.from(toFetch).slice(0, BATCH_SIZE);
-      batch.forEach(id => {
-        toFetch.delete(id);
-        fetched.add(id);
-      });
+    while (level.length > 0 && depth < MAX_DEPTH) {
+      depth++;
 
-      console.log(`[BugzillaAPI] Iteration ${iteration}: Fetching batch of ${batch.length} bugs: ${batch.slice(0, 5).join(', ')}${batch.length > 5 ? '...' : ''}`);
-      this.reportProgress('fetching', `Fetching batch of ${batch.length} bugs...`);
+      // Reuse known bugs (e.g. from the offline cache) and only fetch the rest
+      const knownInLevel = knownBugs ? level.filter(id => knownBugs.has(id)) : [];
+      const toRequest = knownBugs ? level.filter(id => !knownBugs.has(id)) : level;
+      addBugs(knownInLevel.map(id => knownBugs.get(id)));
+      this.fetchedCount += knownInLevel.length;
 
-      try {
-        const bugs = await this.fetchBugs(batch);
-        console.log(`[BugzillaAPI] Received ${bugs.length} bugs`);
+      const batches = [];
+      for (let i = 0; i < toRequest.length; i += BATCH_SIZE) {
+        batches.push(toRequest.slice(i, i + BATCH_SIZE));
+      }
 
-        for (const bug of bugs) {
-          if (!bug) continue;
-          allBugs.set(String(bug.id), bug);
+      console.log(`[BugzillaAPI] Level ${depth}: ${toRequest.length} bugs in ${batches.length} batches (${knownInLevel.length} known)`);
+      if (batches.length > 0) {
+        this.reportProgress('fetching', `Fetching ${toRequest.length} bugs (level ${depth})...`);
+      }
 
-          // Add dependencies to fetch queue
-          if (bug.dependsOn.length > 0) {
-            console.log(`[BugzillaAPI] Bug ${bug.id} (${bug.product}) depends on: ${bug.dependsOn.join(', ')}`);
-          }
-          for (const depId of bug.dependsOn) {
-            const depIdStr = String(depId);
-            if (!fetched.has(depIdStr) && !toFetch.has(depIdStr) && !failedIds.has(depIdStr)) {
-              toFetch.add(depIdStr);
-              this.totalDiscovered++;
-            }
-          }
+      await runWithConcurrency(batches, this.concurrency, async (batch) => {
+        // Retries and splits internally; IDs that still fail land in failedBugs
+        const failedBefore = this.failedBugs.size;
+        addBugs(await this.fetchBatchWithSplitting(batch));
+        this.fetchedCount += batch.length;
+        if (this.failedBugs.size > failedBefore) {
+          this.reportProgress('error', `${this.failedBugs.size - failedBefore} bugs could not be fetched`);
         }
-
         this.reportProgress('progress', `Fetched ${this.fetchedCount}/${this.totalDiscovered} bugs`);
+      });
 
-        // Small delay to avoid rate limiting
-        if (toFetch.size > 0) {
-          await this.delay(100);
+      // Next level: dependencies not seen yet
+      const nextLevel = [];
+      for (const id of level) {
+        const bug = allBugs.get(id);
+        if (!bug) continue;
+        if (bug.dependsOn.length > 0) {
+          console.log(`[BugzillaAPI] Bug ${bug.id} (${bug.product}) depends on: ${bug.dependsOn.join(', ')}`);
+        }
+        for (const depId of bug.dependsOn) {
+          const depIdStr = String(depId);
+          if (!seen.has(depIdStr)) {
+            seen.add(depIdStr);
+            nextLevel.push(depIdStr);
+          }
         }
-      } catch (error) {
-        console.error(`[BugzillaAPI] Error fetching batch:`, error);
-        // Mark failed IDs so we don't retry them
-        batch.forEach(id => failedIds.add(id));
-        this.reportProgress('error', `Error: ${error.message}`);
-        // Continue with remaining bugs
+      }
+      this.totalDiscovered += nextLevel.length;
+      this.reportProgress('progress', `Fetched ${this.fetchedCount}/${this.totalDiscovered} bugs`);
+      level = nextLevel;
+
+      // Small pause between levels to avoid rate limiting
+      if (level.length > 0 && toRequest.length > 0) {
+        await this.delay(100);
       }
     }
 
-    if (iteration >= MAX_ITERATIONS) {
-      console.warn(`[BugzillaAPI] Reached max iterations (${MAX_ITERATIONS}), stopping`);
+    if (depth >= MAX_DEPTH) {
+      console.warn(`[BugzillaAPI] Reached max depth (${MAX_DEPTH}), stopping`);
     }
 
-    console.log(`[BugzillaAPI] Complete: ${allBugs.size} bugs fetched, ${failedIds.size} failed`);
-    this.reportProgress('complete', `Fetched ${allBugs.size} bugs (${failedIds.size} failed)`);
+    const failedCount = this.failedBugs.size;
+    if (failedCount > 0) {
+      console.warn(`[BugzillaAPI] ${failedCount} bugs permanently failed:`, this.getFailedBugs());
+    }
+    console.log(`[BugzillaAPI] Complete: ${allBugs.size} bugs fetched, ${failedCount} failed`);
+    this.reportProgress('complete', `Fetched ${allBugs.size} bugs (${failedCount} failed)`);
     return allBugs;
   }
 
+  /**
+   * Fetch bugs from a known ID set that changed after a given time
+   * @param {Array<number|string>} bugIds - IDs to check
+   * @param {string} since - ISO timestamp of the last sync
+   * @returns {Promise<Array<Object>>} Processed bugs that changed
+   */
+  async fetchChangedSince(bugIds, since) {
+    const changed = [];
+    const ids = bugIds.map(String);
+    const batches = [];
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      batches.push(ids.slice(i, i + BATCH_SIZE));
+    }
+    let checked = 0;
+
+    await runWithConcurrency(batches, this.concurrency, async (batch) => {
+      const params = new URLSearchParams({
+        id: batch.join(','),
+        last_change_time: since,
+        include_fields: getBugFields()
+      });
+      const url = `${this.apiBase}/bug?${params}`;
+
+      const response = await this.requestWithRetry(url);
+      const data = await response.json();
+      for (const rawBug of data.bugs || []) {
+        const bug = this.processBug(rawBug);
+        this.cache.set(String(bug.id), bug);
+        changed.push(bug);
+      }
+
+      checked += batch.length;
+      this.reportProgress('checking', `Checked ${checked}/${ids.length} cached bugs for changes`);
+    });
+
+    console.log(`[BugzillaAPI] ${changed.length} of ${ids.length} cached bugs changed since ${since}`);
+    return changed;
+  }
+
+  /**
+   * Incrementally refresh a previously fetched tree.
+   * Re-fetches only bugs changed since the last sync, then walks the tree from
+   * the roots again so newly added dependencies are fetched and dropped ones pruned.
+   * @param {Array<number>} rootBugIds - Root bug IDs (milestones)
+   * @param {Map<string, Object>} cachedBugs - Bugs from the last sync
+   * @param {string} since - ISO timestamp of the last sync
+   * @returns {Promise<{bugs: Map<string, Object>, changed: Array<Object>}>}
+   */
+  async refreshAllDependencies(rootBugIds, cachedBugs, since) {
+    this.reportProgress('checking', `Checking ${cachedBugs.size} cached bugs for changes...`);
+    const changed = await this.fetchChangedSince(Array.from(cachedBugs.keys()), since);
+
+    const known = new Map(cachedBugs);
+    for (const bug of changed) {
+      known.set(String(bug.id), bug);
+    }
+
+    const bugs = await this.fetchAllDependencies(rootBugIds, known);
+    return { bugs, changed };
+  }
+
   /**
    * Helper delay function
    */
@@ -284,38 +576,141 @@ export class BugzillaAPI {
   }
 
   /**
-   * Fetch all open bugs in a product+component that have a milestone set.
+   * Fetch all open bugs in the given products/components that have a milestone set.
    * Used to detect bugs with target_milestone but not in any dependency tree.
-   * @param {string} product - e.g. 'Firefox Enterprise'
-   * @param {string} component - e.g. 'Client'
+   * @param {string|Array<string>} products - e.g. ['Firefox Enterprise']
+   * @param {Array<string>} components - e.g. ['Client']; empty for all components
    * @returns {Promise<Array<Object>>} Array of processed bug objects
    */
-  async fetchMilestonedBugs(product) {
+  async fetchMilestonedBugs(products, components = []) {
     const params = new URLSearchParams({
-      product,
-      include_fields: 'id,summary,status,resolution,assigned_to,depends_on,blocks,whiteboard,component,product,severity,keywords,target_milestone',
+      include_fields: getBugFields(),
       f1: 'target_milestone',
       o1: 'notequals',
       v1: '---',
       limit: '0'
     });
+    for (const product of [].concat(products)) {
+      params.append('product', product);
+    }
+    for (const component of components) {
+      params.append('component', component);
+    }
     for (const status of ['UNCONFIRMED', 'NEW', 'ASSIGNED', 'REOPENED']) {
       params.append('bug_status', status);
     }
 
-    const url = `${BUGZILLA_API_BASE}/bug?${params}`;
+    const url = `${this.apiBase}/bug?${params}`;
     console.log(`[BugzillaAPI] Fetching milestoned bugs: ${url.substring(0, 120)}...`);
 
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    const response = await this.requestWithRetry(url);
     const data = await response.json();
     const bugs = (data.bugs || []).map(raw => this.processBug(raw));
     console.log(`[BugzillaAPI] Found ${bugs.length} milestoned bugs`);
     return bugs;
   }
 
+  /**
+   * Fetch bugs in the given products/components that were resolved FIXED with a
+   * size (a [size=X] whiteboard tag or the project's size field, see
+   * setSizeScheme()). Used for size calibration (calibration.js).
+   * @param {string|Array<string>} products - e.g. ['Firefox Enterprise']
+   * @param {Array<string>} components - e.g. ['Client']; empty for all components
+   * @param {string|null} since - Only bugs changed after this ISO timestamp
+   * @returns {Promise<Array<Object>>} Processed bugs that have a size
+   */
+  async fetchResolvedSizedBugs(products, components = [], since = null) {
+    const scheme = getSizeScheme();
+    const params = new URLSearchParams({
+      include_fields: getBugFields(),
+      resolution: 'FIXED',
+      limit: '0'
+    });
+    if (scheme.source === 'field') {
+      params.set('f1', scheme.field);
+      params.set('o1', 'isnotempty');
+    } else {
+      params.set('status_whiteboard', `[${scheme.tag}=`);
+      params.set('status_whiteboard_type', 'substring');
+    }
+    for (const product of [].concat(products)) {
+      params.append('product', product);
+    }
+    for (const component of components) {
+      params.append('component', component);
+    }
+    for (const status of ['RESOLVED', 'VERIFIED', 'CLOSED']) {
+      params.append('bug_status', status);
+    }
+    if (since) {
+      params.set('last_change_time', since);
+    }
+
+    const url = `${this.apiBase}/bug?${params}`;
+    console.log(`[BugzillaAPI] Fetching resolved sized bugs: ${url.substring(0, 120)}...`);
+
+    const response = await this.requestWithRetry(url);
+    const data = await response.json();
+    const bugs = (data.bugs || []).map(raw => this.processBug(raw)).filter(bug => bug.size !== null);
+    console.log(`[BugzillaAPI] Found ${bugs.length} resolved sized bugs`);
+    return bugs;
+  }
+
+  /**
+   * Fetch the change history of bugs, one request per bug with up to
+   * `this.concurrency` in flight. Bugs whose history can't be fetched are
+   * left out rather than failing the whole run.
+   * @param {Array<number|string>} bugIds
+   * @returns {Promise<Map<string, Array<Object>>>} Bug ID to history entries
+   *   ({when, who, changes: [{field_name, removed, added}]})
+   */
+  async fetchBugHistory(bugIds) {
+    const histories = new Map();
+    let done = 0;
+
+    await runWithConcurrency(bugIds.map(String), this.concurrency, async (id) => {
+      try {
+        const response = await this.requestWithRetry(`${this.apiBase}/bug/${id}/history`);
+        const data = await response.json();
+        const bug = (data.bugs || [])[0];
+        if (bug) {
+          histories.set(id, bug.history || []);
+        }
+      } catch (error) {
+        console.warn(`[BugzillaAPI] No history for bug ${id}: ${error.message}`);
+      }
+      done++;
+      this.reportProgress('history', `Fetched history for ${done}/${bugIds.length} bugs`);
+    });
+
+    return histories;
+  }
+
+  /**
+   * Record when in-progress bugs last moved to ASSIGNED, as `bug.assignedAt`
+   * (ISO timestamp, null when the history doesn't say), so their progress can be
+   * estimated (see getProgress() in scheduler-core.js). Only ASSIGNED bugs not
+   * looked up before are fetched, one history request each.
+   * @param {Map<string, Object>|Array<Object>} bugs - Processed bugs, updated in place
+   * @returns {Promise<number>} Number of bugs looked up
+   */
+  async fetchAssignedDates(bugs) {
+    const pending = Array.from(bugs.values()).filter(bug =>
+      bug.status === 'ASSIGNED' && bug.assignedAt === undefined);
+    if (pending.length === 0) return 0;
+
+    console.log(`[BugzillaAPI] Fetching ASSIGNED dates for ${pending.length} bugs`);
+    const histories = await this.fetchBugHistory(pending.map(bug => bug.id));
+    for (const bug of pending) {
+      const history = histories.get(String(bug.id));
+      // Leave failed lookups for the next sync
+      if (history) {
+        bug.assignedAt = extractAssignedDate(history);
+      }
+    }
+    return pending.length;
+  }
+
   /**
    * Get cached bug count
    */
@@ -328,9 +723,39 @@ export class BugzillaAPI {
    */
   clearCache() {
     this.cache.clear();
+    this.hiddenBugs = new Map();
+    this.failedBugs = new Map();
     this.fetchedCount = 0;
     this.totalDiscovered = 0;
   }
 }
 
+/**
+ * Run an async worker over items with at most `limit` running at once.
+ * After the first error no new items are started; rejects with that error
+ * once in-flight work has settled.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*): Promise} worker
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  let failed = false;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (!failed && next < items.length) {
+      try {
+        await worker(items[next++]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  });
+  const results = await Promise.allSettled(lanes);
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+}
+
 export default BugzillaAPI;
@@ -0,0 +1,199 @@
+/**
+ * Burndown and burnup data per milestone
+ * The past comes from Bugzilla history (when each bug joined the milestone's
+ * dependency tree and when it was resolved); the future from the schedule
+ * (each open bug is done at its scheduled end). Effort is the bug's size in
+ * full-time days, so scope creep shows as total effort growing.
+ */
+
+import { getAllDependencies, RESOLVED_STATUSES } from './planning.js';
+import { calculateDaysFromSize, toDateKey, fromDateKey } from './scheduler-core.js';
+
+// How far back the charts go, at most
+export const BURN_HISTORY_WEEKS = 26;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function parseIdList(value) {
+  return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * When each current dependency was (last) added to a bug
+ * @param {Array<Object>} history - Entries from BugzillaAPI.fetchBugHistory()
+ * @returns {Map<string, Date>} Dependency bug ID to time; dependencies the history
+ *   doesn't mention were there from the start
+ */
+export function extractDependencyAdditions(history) {
+  const added = new Map();
+  const entries = [...(history || [])].sort((a, b) => new Date(a.when) - new Date(b.when));
+  for (const entry of entries) {
+    for (const change of entry.changes || []) {
+      if (change.field_name !== 'depends_on') continue;
+      for (const id of parseIdList(change.added)) added.set(id, new Date(entry.when));
+    }
+  }
+  return added;
+}
+
+/**
+ * When a bug was last resolved, ignoring resolutions it was reopened from
+ * @param {Array<Object>} history
+ * @returns {Date|null}
+ */
+export function extractResolvedDate(history) {
+  let resolvedAt = null;
+  const entries = [...(history || [])].sort((a, b) => new Date(a.when) - new Date(b.when));
+  for (const entry of entries) {
+    for (const change of entry.changes || []) {
+      if (change.field_name !== 'status') continue;
+      const resolved = RESOLVED_STATUSES.includes(change.added);
+      if (resolved && !RESOLVED_STATUSES.includes(change.removed)) resolvedAt = new Date(entry.when);
+      if (!resolved) resolvedAt = null;
+    }
+  }
+  return resolvedAt;
+}
+
+/**
+ * When each bug joined a milestone's tree: the latest dependency link on the
+ * earliest path to it from the milestone bug
+ * @returns {Map<string, number>} Bug ID to time in ms; -Infinity when always there
+ */
+function findJoinTimes(graph, milestoneId, histories) {
+  const additions = new Map();
+  const additionsOf = id => {
+    if (!additions.has(id)) additions.set(id, extractDependencyAdditions(histories.get(id)));
+    return additions.get(id);
+  };
+
+  const joined = new Map([[milestoneId, -Infinity]]);
+  const queue = [milestoneId];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    for (const child of graph.getDependencies(parent)) {
+      const link = additionsOf(parent).get(child);
+      const time = Math.max(joined.get(parent), link ? link.getTime() : -Infinity);
+      if (!joined.has(child) || time < joined.get(child)) {
+        joined.set(child, time);
+        queue.push(child);
+      }
+    }
+  }
+  return joined;
+}
+
+/**
+ * Burndown and burnup series for a milestone
+ * @param {Object} params
+ * @param {Object} params.milestone - From buildMilestones()
+ * @param {Map<string, Object>} params.bugs - All loaded bugs, resolved included
+ * @param {DependencyGraph} params.graph
+ * @param {Array<Object>} params.schedule - Greedy or optimized schedule
+ * @param {Map<string, Array<Object>>} [params.histories] - Bug ID to Bugzilla history;
+ *   without it the charts start today
+ * @param {Date} [params.today]
+ * @returns {{bugId: number, name: string, deadline: Date, freezeDate: Date, today: Date,
+ *   points: Array<{date: Date, total: number, completed: number, remaining: number,
+ *   totalBugs: number, completedBugs: number, projected: boolean}>,
+ *   scopeAddedDays: number, bugsAdded: number, unscheduledDays: number}}
+ *   Days are effort-days; projected points come from the schedule. Bugs that
+ *   are open but not scheduled (e.g. filtered by severity) never burn down
+ *   and add up in unscheduledDays.
+ */
+export function buildBurnData({ milestone, bugs, graph, schedule, histories = new Map(), today = new Date() }) {
+  const milestoneId = String(milestone.bugId);
+  const joined = findJoinTimes(graph, milestoneId, histories);
+  const scheduledEnds = new Map(schedule
+    .filter(task => task.endDate)
+    .map(task => [String(task.bug.id), task.endDate.getTime()]));
+
+  const todayStart = fromDateKey(toDateKey(today));
+  const items = [];
+  for (const id of getAllDependencies(graph, milestoneId)) {
+    const bug = bugs.get(id);
+    if (!bug || bug.isMeta) continue;
+    const resolved = RESOLVED_STATUSES.includes(bug.status);
+    const resolvedAt = resolved ? extractResolvedDate(histories.get(id)) : null;
+    items.push({
+      days: calculateDaysFromSize(bug.size ?? null),
+      joinedAt: joined.get(id) ?? -Infinity,
+      // Resolved at an unknown time: done all along; open: done when scheduled to end
+      doneAt: resolved
+        ? (resolvedAt ? resolvedAt.getTime() : -Infinity)
+        : (scheduledEnds.get(id) ?? Infinity)
+    });
+  }
+
+  // Start on the week of the first change the history knows of, within the window;
+  // weeks are counted back from today so every weekly point falls on today's weekday
+  const known = items.flatMap(item => [item.joinedAt, item.doneAt]).filter(t => Number.isFinite(t) && t < todayStart.getTime());
+  let weeksBack = 0;
+  if (known.length > 0) {
+    const first = fromDateKey(toDateKey(new Date(Math.min(...known))));
+    weeksBack = Math.min(BURN_HISTORY_WEEKS, Math.ceil(Math.round((todayStart - first) / DAY_MS) / 7));
+  }
+  const start = addDays(todayStart, -7 * weeksBack);
+  const projectedEnds = items.map(item => item.doneAt).filter(Number.isFinite);
+  const end = Math.max(todayStart.getTime(), ...projectedEnds);
+
+  // Weekly points from the start (today among them), plus the projected end
+  const days = new Set();
+  for (let day = start; day.getTime() < end; day = addDays(day, 7)) days.add(toDateKey(day));
+  days.add(toDateKey(todayStart));
+  days.add(toDateKey(new Date(end)));
+
+  const points = [...days].sort().map(key => {
+    const date = fromDateKey(key);
+    // Everything that happened by the end of the day
+    const cutoff = date.getTime() + DAY_MS;
+    let total = 0;
+    let completed = 0;
+    let totalBugs = 0;
+    let completedBugs = 0;
+    for (const item of items) {
+      if (item.joinedAt >= cutoff) continue;
+      total += item.days;
+      totalBugs++;
+      if (item.doneAt < cutoff) {
+        completed += item.days;
+        completedBugs++;
+      }
+    }
+    return { date, total, completed, remaining: total - completed, totalBugs, completedBugs, projected: date > todayStart };
+  });
+
+  const first = points[0];
+  const current = points.find(p => p.date.getTime() === todayStart.getTime());
+  return {
+    bugId: Number(milestone.bugId),
+    name: milestone.name,
+    deadline: milestone.deadline,
+    freezeDate: milestone.freezeDate,
+    today: todayStart,
+    points,
+    scopeAddedDays: current.total - first.total,
+    bugsAdded: current.totalBugs - first.totalBugs,
+    unscheduledDays: items.filter(item => item.doneAt === Infinity).reduce((sum, item) => sum + item.days, 0)
+  };
+}
+
+/**
+ * IDs of every bug in the milestones' trees, milestone bugs included, for fetching their history
+ * @returns {Array<string>}
+ */
+export function collectMilestoneTreeIds(graph, milestones) {
+  const ids = new Set();
+  for (const milestone of milestones) {
+    const id = String(milestone.bugId);
+    ids.add(id);
+    for (const dep of getAllDependencies(graph, id)) ids.add(dep);
+  }
+  return [...ids];
+}
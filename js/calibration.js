@@ -0,0 +1,214 @@
+/**
+ * Size calibration from resolved bugs
+ * Compares each resolved bug's size with how long it actually took (first
+ * assignment to resolution, in working days) to estimate real days per size
+ * class and per engineer. The calibrated table can replace the project's size
+ * scale via setSizeTable() in scheduler-core.js.
+ */
+
+import {
+  getSizeScheme,
+  getSizeLabels,
+  getSizeClass,
+  parseSize,
+  normalizeAssigneeEmail
+} from './scheduler-core.js';
+import { countWorkingDays } from './optimizer-utils.js';
+
+// Size classes with fewer resolved bugs keep their scale value
+export const MIN_SAMPLES_PER_SIZE = 3;
+
+// How far back to look for resolved bugs
+export const CALIBRATION_WINDOW_DAYS = 365;
+
+const NOBODY = 'nobody@mozilla.org';
+
+/**
+ * Find when work on a bug started and ended from its Bugzilla history
+ * Start is the first change to ASSIGNED status or to a real assignee; end is
+ * the last change to RESOLVED.
+ * @param {Array<Object>} history - Entries from BugzillaAPI.fetchBugHistory()
+ * @returns {{start: Date, end: Date}|null} Null when either end is missing
+ */
+export function extractWorkInterval(history) {
+  let start = null;
+  let end = null;
+
+  const entries = [...(history || [])].sort((a, b) => new Date(a.when) - new Date(b.when));
+  for (const entry of entries) {
+    for (const change of entry.changes || []) {
+      const assigned = (change.field_name === 'status' && change.added === 'ASSIGNED') ||
+        (change.field_name === 'assigned_to' && change.added && change.added !== NOBODY);
+      if (assigned && !start) {
+        start = new Date(entry.when);
+      }
+      if (change.field_name === 'status' && change.added === 'RESOLVED') {
+        end = new Date(entry.when);
+      }
+    }
+  }
+
+  if (!start || !end || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * Pair resolved bugs with the working days they actually took
+ * @param {Array<Object>} bugs - Resolved bugs with a size
+ * @param {Map<string, Array<Object>>} histories - Bug ID to history
+ * @returns {Array<Object>} {bugId, summary, size, sizeClass, assignee, estimatedDays, actualDays}
+ */
+export function buildCalibrationSamples(bugs, histories) {
+  const { scale } = getSizeScheme();
+  const samples = [];
+  for (const bug of bugs) {
+    if (bug.size === null || bug.size === undefined) continue;
+    const interval = extractWorkInterval(histories.get(String(bug.id)));
+    if (!interval) continue;
+
+    const start = new Date(interval.start);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(interval.end);
+    end.setHours(0, 0, 0, 0);
+    const sizeClass = getSizeClass(bug.size);
+    samples.push({
+      bugId: bug.id,
+      summary: bug.summary,
+      size: bug.size,
+      sizeClass,
+      assignee: normalizeAssigneeEmail(bug.assignee),
+      estimatedDays: scale[sizeClass],
+      // A bug fixed the day it was assigned still took a day
+      actualDays: Math.max(1, countWorkingDays(start, end))
+    });
+  }
+  return samples;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Estimate actual days per size class and per engineer
+ * Medians keep one long-forgotten bug from skewing a class.
+ * @param {Array<Object>} samples - From buildCalibrationSamples()
+ * @param {Object} [options]
+ * @param {number} [options.minSamples] - Samples needed to calibrate a size class
+ * @returns {{sizes: Array<Object>, engineers: Array<Object>, table: Object, sampleCount: number}}
+ *   `table` is a size table for setSizeTable(), never decreasing with size
+ */
+export function calibrateSizes(samples, { minSamples = MIN_SAMPLES_PER_SIZE } = {}) {
+  const { scale } = getSizeScheme();
+  const sizes = [];
+  const table = {};
+  let previous = 0;
+
+  for (const size of getSizeLabels().map(parseSize)) {
+    const actual = samples.filter(s => s.sizeClass === size).map(s => s.actualDays);
+    const medianDays = actual.length > 0 ? median(actual) : null;
+    const calibrated = actual.length >= minSamples;
+
+    // A class that came out faster than the one below it is noise, not a smaller size
+    const days = Math.max(calibrated ? Math.max(1, Math.round(medianDays)) : scale[size], previous);
+    table[size] = days;
+    previous = days;
+
+    sizes.push({
+      size,
+      estimatedDays: scale[size],
+      samples: actual.length,
+      medianDays,
+      ratio: medianDays !== null ? medianDays / scale[size] : null,
+      calibrated,
+      calibratedDays: days
+    });
+  }
+
+  const byAssignee = new Map();
+  for (const sample of samples) {
+    if (!sample.assignee || sample.assignee === NOBODY) continue;
+    if (!byAssignee.has(sample.assignee)) byAssignee.set(sample.assignee, []);
+    byAssignee.get(sample.assignee).push(sample);
+  }
+
+  const engineers = [...byAssignee].map(([assignee, own]) => {
+    const medianDaysBySize = {};
+    for (const size of new Set(own.map(s => s.sizeClass))) {
+      medianDaysBySize[size] = median(own.filter(s => s.sizeClass === size).map(s => s.actualDays));
+    }
+    return {
+      assignee,
+      samples: own.length,
+      // Actual over estimated days: above 1 is slower than the size table
+      ratio: median(own.map(s => s.actualDays / s.estimatedDays)),
+      medianDaysBySize
+    };
+  }).sort((a, b) => b.samples - a.samples || a.assignee.localeCompare(b.assignee));
+
+  return { sizes, engineers, table, sampleCount: samples.length };
+}
+
+/**
+ * Fetch resolved bugs and their history and calibrate sizes
+ * @param {BugzillaAPI} api
+ * @param {{products: Array<string>, components: Array<string>}} project - From parseProjectConfig()
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Oldest change to consider (default: CALIBRATION_WINDOW_DAYS ago)
+ * @param {number} [options.minSamples]
+ * @returns {Promise<Object>} calibrateSizes() result plus `samples` and `since`
+ */
+export async function runCalibration(api, project, options = {}) {
+  const since = options.since || new Date(Date.now() - CALIBRATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const bugs = await api.fetchResolvedSizedBugs(project.products, project.components, since.toISOString());
+  const histories = await api.fetchBugHistory(bugs.map(bug => bug.id));
+  const samples = buildCalibrationSamples(bugs, histories);
+  console.log(`[Calibration] ${samples.length} of ${bugs.length} resolved sized bugs have assignment and resolution dates`);
+  return { ...calibrateSizes(samples, options), samples, since };
+}
+
+function formatNumber(value) {
+  return value === null ? '-' : String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Markdown report comparing estimated and actual days
+ * @param {Object} calibration - From calibrateSizes() or runCalibration()
+ * @param {Array<Object>} [engineers] - Team engineers, to show names instead of emails
+ * @returns {string} Markdown
+ */
+export function buildCalibrationMarkdown(calibration, engineers = []) {
+  const names = new Map(engineers.map(e => [normalizeAssigneeEmail(e.email), e.name]));
+
+  let markdown = '# Size Calibration\n\n';
+  markdown += `Based on ${calibration.sampleCount} resolved bugs`;
+  markdown += calibration.since ? ` changed since ${calibration.since.toISOString().split('T')[0]}` : '';
+  markdown += '. Actual days are working days from first assignment to resolution.\n\n';
+
+  markdown += '## By Size\n\n';
+  markdown += '| Size | Estimated days | Bugs | Median actual days | Actual / estimated | Calibrated days |\n';
+  markdown += '|------|----------------|------|--------------------|--------------------|-----------------|\n';
+  for (const row of calibration.sizes) {
+    const calibrated = row.calibrated ? String(row.calibratedDays) : `${row.calibratedDays} (too few bugs)`;
+    markdown += `| ${row.size} | ${row.estimatedDays} | ${row.samples} | ${formatNumber(row.medianDays)} | ${formatNumber(row.ratio)} | ${calibrated} |\n`;
+  }
+  markdown += '\n';
+
+  if (calibration.engineers.length > 0) {
+    markdown += '## By Engineer\n\n';
+    markdown += 'Actual / estimated above 1 means slower than the size table (a velocity of 1 / ratio).\n\n';
+    markdown += '| Engineer | Bugs | Actual / estimated | Median days by size |\n';
+    markdown += '|----------|------|--------------------|---------------------|\n';
+    for (const row of calibration.engineers) {
+      const bySize = Object.entries(row.medianDaysBySize)
+        .map(([size, days]) => `${size}: ${formatNumber(days)}`)
+        .join(', ');
+      markdown += `| ${names.get(row.assignee) || row.assignee} | ${row.samples} | ${formatNumber(row.ratio)} | ${bySize} |\n`;
+    }
+    markdown += '\n';
+  }
+
+  return markdown;
+}
@@ -0,0 +1,141 @@
+/**
+ * ERRORS.md report
+ * Markdown summary of data inconsistencies, shared by the web UI and the headless CLI.
+ */
+
+/**
+ * Build the ERRORS.md content
+ * @param {Object} errors - Error detection results (see detectErrors in planning.js)
+ * @param {Date} [generatedAt] - Timestamp for the header
+ * @returns {string} Markdown
+ */
+export function buildErrorsMarkdown(errors, generatedAt = new Date()) {
+  let markdown = '# ERRORS.md\n\n';
+  markdown += `Generated: ${generatedAt.toISOString()}\n\n`;
+
+  if (errors.cycles && errors.cycles.length > 0) {
+    markdown += '## Dependency Cycles\n\n';
+    for (const cycle of errors.cycles) {
+      markdown += `- Cycle: ${cycle.join(' -> ')}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.orphaned && errors.orphaned.length > 0) {
+    markdown += '## Orphaned Dependencies\n\n';
+    markdown += 'Dependencies pointing to non-existent bugs:\n\n';
+    for (const orphan of errors.orphaned) {
+      markdown += `- Bug ${orphan.from} depends on missing bug ${orphan.to}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.duplicates && errors.duplicates.length > 0) {
+    markdown += '## Duplicate Summaries\n\n';
+    for (const dup of errors.duplicates) {
+      markdown += `### "${dup.summary}"\n\n`;
+      for (const bug of dup.bugs) {
+        markdown += `- Bug ${bug.id}\n`;
+      }
+      markdown += '\n';
+    }
+  }
+
+  if (errors.failedBugs && errors.failedBugs.length > 0) {
+    markdown += '## Failed to Fetch\n\n';
+    markdown += 'Bugs that could not be fetched after retries; they and their dependencies are missing from the schedule:\n\n';
+    for (const failed of errors.failedBugs.slice(0, 50)) {
+      const neededBy = (failed.referencedBy || []).join(', ') || 'unknown';
+      markdown += `- Bug ${failed.id} (needed by ${neededBy}): ${failed.error}\n`;
+    }
+    if (errors.failedBugs.length > 50) {
+      markdown += `\n...and ${errors.failedBugs.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.hiddenBugs && errors.hiddenBugs.length > 0) {
+    markdown += '## Restricted Bugs (hidden by permissions)\n\n';
+    markdown += 'Bugs Bugzilla did not return; they are missing from the schedule:\n\n';
+    for (const hidden of errors.hiddenBugs.slice(0, 50)) {
+      const neededBy = (hidden.referencedBy || []).join(', ') || 'unknown';
+      markdown += `- Bug ${hidden.id} (needed by ${neededBy}): ${hidden.reason}\n`;
+    }
+    if (errors.hiddenBugs.length > 50) {
+      markdown += `\n...and ${errors.hiddenBugs.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.missingAssignees && errors.missingAssignees.length > 0) {
+    markdown += '## Missing Assignees\n\n';
+    for (const bug of errors.missingAssignees.slice(0, 50)) {
+      markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    }
+    if (errors.missingAssignees.length > 50) {
+      markdown += `\n...and ${errors.missingAssignees.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.unknownAssignees && errors.unknownAssignees.length > 0) {
+    markdown += '## Unknown Assignees (not in engineer list)\n\n';
+    for (const item of errors.unknownAssignees.slice(0, 50)) {
+      const assignee = item.assignee || 'Unknown';
+      markdown += `- Bug ${item.bug.id}: ${item.bug.summary} (assignee: ${assignee})\n`;
+    }
+    if (errors.unknownAssignees.length > 50) {
+      markdown += `\n...and ${errors.unknownAssignees.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.unstaffable && errors.unstaffable.length > 0) {
+    markdown += '## No Engineer With Required Skills\n\n';
+    markdown += 'Nobody on the roster has every [skill=x] these bugs need; they are scheduled as External:\n\n';
+    for (const item of errors.unstaffable.slice(0, 50)) {
+      markdown += `- Bug ${item.bug.id}: ${item.bug.summary} (needs: ${item.skills.join(', ')})\n`;
+    }
+    if (errors.unstaffable.length > 50) {
+      markdown += `\n...and ${errors.unstaffable.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.missingSizes && errors.missingSizes.length > 0) {
+    markdown += '## Missing Sizes\n\n';
+    for (const bug of errors.missingSizes.slice(0, 50)) {
+      markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    }
+    if (errors.missingSizes.length > 50) {
+      markdown += `\n...and ${errors.missingSizes.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.untriaged && errors.untriaged.length > 0) {
+    markdown += '## Untriaged Bugs (no severity)\n\n';
+    for (const bug of errors.untriaged.slice(0, 50)) {
+      markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    }
+    if (errors.untriaged.length > 50) {
+      markdown += `\n...and ${errors.untriaged.length - 50} more\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (errors.milestoneMismatches && errors.milestoneMismatches.length > 0) {
+    markdown += '## Milestone Mismatches\n\n';
+    markdown += 'Bugs where Bugzilla milestone differs from dependency milestone:\n\n';
+    for (const m of errors.milestoneMismatches.slice(0, 50)) {
+      const depMs = m.dependencyMilestone || '(not connected)';
+      markdown += `- Bug ${m.bug.id}: ${m.bug.summary}\n`;
+      markdown += `  Bugzilla says "${m.targetMilestone}", dependencies say "${depMs}"\n`;
+    }
+    if (errors.milestoneMismatches.length > 50) {
+      markdown += `\n...and ${errors.milestoneMismatches.length - 50} more\n`;
+    }
+  }
+
+  return markdown;
+}
@@ -0,0 +1,1067 @@
+/**
+ * Genetic Algorithm Scheduler core
+ * Prioritizes meeting deadlines over minimizing total time.
+ * Runs unchanged in a browser Web Worker (ga-scheduler-worker.js), a Node
+ * worker thread (ga-node-worker.js) or inline (ga-node.js); results are
+ * reported through the postMessage function passed to runGeneticAlgorithm().
+ */
+
+import {
+  calculateEffort,
+  getActualStartDate,
+  getPinnedStartDate,
+  addWorkingDays,
+  isResolved,
+  normalizeAssigneeEmail,
+  normalizeStartDate,
+  setCompanyHolidays,
+  setSizeScheme,
+  setSizeTable,
+  isWorkingDay,
+  hasTimeVaryingCapacity,
+  getCapacityOn,
+  fromDateKey,
+  MAX_EFFORT_WORKING_DAYS,
+  getRequiredSkills,
+  hasRequiredSkills,
+  SHARED_EXTERNAL_ID
+} from './scheduler-core.js';
+import { countWorkingDays } from './optimizer-utils.js';
+import { createRandom, randomSeed } from './random.js';
+
+let activeMilestones = [];
+
+// GA Parameters (tuned for speed: 40×100 is 2.5x faster than 50×200 baseline)
+const POPULATION_SIZE = 40;
+const ELITE_COUNT = 4;           // Top 10% preserved unchanged
+const TOURNAMENT_SIZE = 3;       // Tournament selection size
+const CROSSOVER_RATE = 0.8;      // Probability of crossover
+const MUTATION_RATE = 0.1;       // Probability of mutation per gene
+const GENERATIONS_DEFAULT = 100;
+
+// Memetic parameters (local search on elite individuals)
+const LOCAL_SEARCH_SWAPS = 10;   // Random swaps to try per elite individual
+
+// Scoring weights (same as SA)
+const DEADLINE_WEIGHT = 5000;
+const LATENESS_WEIGHT = 100;
+
+// State
+let bestScore = { deadlinesMet: -1, totalLateness: Infinity, makespan: Infinity };
+let bestAssignment = null;
+let unavailabilityRangesByEngineer = null;
+let capacityProfilesByEngineer = null;
+let optimizationToday = null;
+let workerId = 0;
+let postMessage = () => {};
+let runSeed = 0;
+let random = Math.random;
+
+// Precomputed caches (reset at optimization start)
+let cachedBugToMilestone = null;
+let cachedTaskIdIndex = null;
+let cachedMilestoneDeps = null;
+let cachedTaskEfforts = null;
+
+// Component-to-engineer-indices mapping (null = all non-external)
+let componentEngineerIndices = null;
+
+function buildEngineerEmailIndex(engineers) {
+  const map = new Map();
+  for (let i = 0; i < engineers.length; i++) {
+    const email = normalizeAssigneeEmail(engineers[i]?.email);
+    if (email) {
+      map.set(email, i);
+    }
+  }
+  return map;
+}
+
+// Runtime parameters (can be overridden per call)
+let mutationRate = MUTATION_RATE;
+let localSearchSwaps = LOCAL_SEARCH_SWAPS;
+
+/**
+ * Run one optimization for a worker 'start' message.
+ * Synchronous; posts 'improved' and 'progress' messages while running and
+ * always finishes with exactly one 'complete' message.
+ * @param {Object} data - The 'start' message payload
+ * @param {Function} post - Receives each outgoing message
+ */
+export function runGeneticAlgorithm(data, post) {
+  const {
+    bugs,
+    engineers,
+    graph,
+    milestones,
+    generations,
+    populationSize,
+    id,
+    seedPopulation,
+    componentEngineerMap
+  } = data;
+
+  postMessage = post;
+
+  // Working-day indices skip company holidays, as in the main thread
+  setCompanyHolidays(data.holidays);
+  // The project's size scale, and calibrated sizes when applied in the main thread
+  setSizeScheme(data.sizeScheme);
+  setSizeTable(data.sizeTable);
+
+  // Every run is seeded so it can be replayed; pick a seed if none was given
+  runSeed = data.seed !== undefined && data.seed !== null ? data.seed >>> 0 : randomSeed();
+  random = createRandom(runSeed);
+
+  // Build component-to-engineer-indices map
+  if (componentEngineerMap && Object.keys(componentEngineerMap).length > 0) {
+    componentEngineerIndices = new Map();
+    for (const [component, indices] of Object.entries(componentEngineerMap)) {
+      componentEngineerIndices.set(component, indices);
+    }
+  } else {
+    componentEngineerIndices = null;
+  }
+
+  workerId = id || 0;
+  mutationRate = data.mutationRate || MUTATION_RATE;
+  localSearchSwaps = data.localSearchSwaps !== undefined ? data.localSearchSwaps : LOCAL_SEARCH_SWAPS;
+
+  activeMilestones = (milestones || []).map(m => ({
+    name: m.name,
+    bugId: m.bugId,
+    deadline: new Date(m.deadline),
+    freezeDate: new Date(m.freezeDate)
+  }));
+
+  optimize(
+    bugs,
+    engineers,
+    graph,
+    generations || GENERATIONS_DEFAULT,
+    populationSize || POPULATION_SIZE,
+    seedPopulation
+  );
+}
+
+function optimize(bugs, engineers, graph, generations, populationSize, seedPopulation) {
+  optimizationToday = new Date();
+  optimizationToday.setHours(0, 0, 0, 0);
+  unavailabilityRangesByEngineer = buildUnavailabilityRanges(engineers, optimizationToday);
+  capacityProfilesByEngineer = buildCapacityProfiles(engineers, optimizationToday);
+
+  // Copy so lockedEngineerIndex never leaks into the caller's bugs when run inline
+  const tasks = bugs.filter(b => !isResolved(b)).map(b => ({ ...b }));
+
+  if (tasks.length === 0) {
+    postMessage({ type: 'complete', schedule: null, improved: false, workerId, seed: runSeed });
+    return;
+  }
+
+  const engineerEmailIndex = buildEngineerEmailIndex(engineers);
+  for (const task of tasks) {
+    // A pinned engineer (see overrides.js) outranks the Bugzilla assignee
+    const pinnedIndex = task.pin && task.pin.engineerId
+      ? engineers.findIndex(e => e?.id === task.pin.engineerId && !e.isExternal)
+      : -1;
+    const assigneeEmail = normalizeAssigneeEmail(task.assignee);
+    if (pinnedIndex !== -1) {
+      task.lockedEngineerIndex = pinnedIndex;
+    } else if (assigneeEmail && assigneeEmail !== 'nobody@mozilla.org' && engineerEmailIndex.has(assigneeEmail)) {
+      task.lockedEngineerIndex = engineerEmailIndex.get(assigneeEmail);
+    } else {
+      task.lockedEngineerIndex = null;
+    }
+
+    // Pinned start dates are a floor on the start, in working days from today
+    const pinnedStart = getPinnedStartDate(task, optimizationToday);
+    task.pinnedStartTime = pinnedStart ? countWorkingDays(optimizationToday, pinnedStart) : 0;
+  }
+
+  // Effort without a start date is fixed per task and engineer, and progress on in-progress
+  // bugs walks every day since they were ASSIGNED, so work it out once: up front for the
+  // locked engineer (in-progress bugs are locked to their assignee), lazily for the others
+  cachedTaskEfforts = tasks.map(task => (task.lockedEngineerIndex !== null
+    ? new Map([[task.lockedEngineerIndex, calculateEffort(task, engineers[task.lockedEngineerIndex])]])
+    : new Map()));
+
+  assignSkillPools(tasks, engineers);
+
+  const dependencyMap = new Map();
+  for (const [bugId, deps] of Object.entries(graph)) {
+    dependencyMap.set(String(bugId), deps.map(d => String(d)));
+  }
+
+  // Precompute static data structures (milestone assignments, task order, etc.)
+  // These don't change between iterations, so computing once saves significant time
+  precomputeCaches(tasks, dependencyMap);
+
+  bestScore = { deadlinesMet: -1, totalLateness: Infinity, makespan: Infinity };
+  bestAssignment = null;
+
+  geneticAlgorithm(tasks, engineers, dependencyMap, generations, populationSize, seedPopulation);
+}
+
+function geneticAlgorithm(tasks, engineers, dependencyMap, generations, populationSize, seedPopulation) {
+  const n = tasks.length;
+  const nonExternalIndices = getNonExternalIndices(engineers);
+
+  // Find unlocked task indices
+  const unlockedTasks = [];
+  for (let i = 0; i < n; i++) {
+    if (tasks[i].lockedEngineerIndex === null || tasks[i].lockedEngineerIndex === undefined) {
+      unlockedTasks.push(i);
+    }
+  }
+
+  if (unlockedTasks.length === 0) {
+    // All tasks are locked, just evaluate the fixed assignment
+    const assignment = tasks.map(t => t.lockedEngineerIndex);
+    const endTimes = computeEndTimes(assignment, tasks, engineers, dependencyMap);
+    if (endTimes) {
+      bestScore = evaluateSchedule(endTimes, tasks, dependencyMap);
+      bestAssignment = assignment;
+    }
+    finishOptimization(tasks, engineers, dependencyMap, 0);
+    return;
+  }
+
+  // Initialize population
+  let population = [];
+
+  // Add seed individuals if provided
+  if (Array.isArray(seedPopulation)) {
+    for (const seed of seedPopulation) {
+      if (Array.isArray(seed) && seed.length === n) {
+        population.push([...seed]);
+      }
+    }
+  }
+
+  // Fill rest with random individuals
+  while (population.length < populationSize) {
+    population.push(generateRandomAssignment(tasks, engineers, nonExternalIndices));
+  }
+
+  // Evaluate initial population
+  let fitnessScores = population.map(ind => {
+    const endTimes = computeEndTimes(ind, tasks, engineers, dependencyMap);
+    return endTimes ? evaluateSchedule(endTimes, tasks, dependencyMap) : null;
+  });
+
+  // Find initial best
+  for (let i = 0; i < population.length; i++) {
+    if (fitnessScores[i] && isBetter(fitnessScores[i], bestScore)) {
+      bestScore = { ...fitnessScores[i] };
+      bestAssignment = [...population[i]];
+    }
+  }
+
+  // Report initial best
+  reportImprovement({ deadlinesMet: -1, makespan: Infinity }, bestScore, 0);
+
+  let bestFoundAtGeneration = 0;
+  const progressInterval = Math.max(10, Math.floor(generations / 10));
+
+  for (let gen = 0; gen < generations; gen++) {
+    // Create new population
+    const newPopulation = [];
+
+    // Elitism: keep top individuals, apply local search only to the best one
+    const ranked = population
+      .map((ind, i) => ({ ind, score: fitnessScores[i] }))
+      .filter(x => x.score !== null)
+      .sort((a, b) => compareFitness(b.score, a.score));
+
+    for (let i = 0; i < Math.min(ELITE_COUNT, ranked.length); i++) {
+      if (i === 0 && localSearchSwaps > 0) {
+        // Apply local search only to the best individual (preserve diversity)
+        const { individual: improved } = localSearch(
+          ranked[i].ind, tasks, engineers, dependencyMap,
+          nonExternalIndices, unlockedTasks, ranked[i].score
+        );
+        newPopulation.push(improved);
+      } else {
+        newPopulation.push([...ranked[i].ind]);
+      }
+    }
+
+    // Generate rest through selection, crossover, mutation
+    while (newPopulation.length < populationSize) {
+      // Tournament selection
+      const parent1 = tournamentSelect(population, fitnessScores, TOURNAMENT_SIZE);
+      const parent2 = tournamentSelect(population, fitnessScores, TOURNAMENT_SIZE);
+
+      let child1, child2;
+
+      // Crossover
+      if (random() < CROSSOVER_RATE) {
+        [child1, child2] = crossover(parent1, parent2, tasks, unlockedTasks);
+      } else {
+        child1 = [...parent1];
+        child2 = [...parent2];
+      }
+
+      // Mutation
+      mutate(child1, tasks, nonExternalIndices, unlockedTasks);
+      mutate(child2, tasks, nonExternalIndices, unlockedTasks);
+
+      newPopulation.push(child1);
+      if (newPopulation.length < populationSize) {
+        newPopulation.push(child2);
+      }
+    }
+
+    population = newPopulation;
+
+    // Evaluate new population
+    fitnessScores = population.map(ind => {
+      const endTimes = computeEndTimes(ind, tasks, engineers, dependencyMap);
+      return endTimes ? evaluateSchedule(endTimes, tasks, dependencyMap) : null;
+    });
+
+    // Update best
+    for (let i = 0; i < population.length; i++) {
+      if (fitnessScores[i] && isBetter(fitnessScores[i], bestScore)) {
+        const oldScore = { ...bestScore };
+        bestScore = { ...fitnessScores[i] };
+        bestAssignment = [...population[i]];
+        bestFoundAtGeneration = gen;
+        reportImprovement(oldScore, bestScore, gen);
+      }
+    }
+
+    // Progress report
+    if (gen > 0 && gen % progressInterval === 0) {
+      const avgMakespan = fitnessScores
+        .filter(s => s !== null)
+        .reduce((sum, s) => sum + s.makespan, 0) / fitnessScores.filter(s => s !== null).length;
+
+      postMessage({
+        type: 'progress',
+        workerId,
+        generation: gen,
+        populationSize: population.length,
+        bestDeadlines: bestScore.deadlinesMet,
+        bestMakespan: bestScore.makespan,
+        avgMakespan: Math.round(avgMakespan)
+      });
+    }
+  }
+
+  finishOptimization(tasks, engineers, dependencyMap, generations, bestFoundAtGeneration);
+}
+
+/**
+ * Narrow the pool of tasks with [skill=x] tags to engineers having every skill.
+ * Tasks nobody can do go to the shared External engineer, as in the greedy scheduler.
+ */
+function assignSkillPools(tasks, engineers) {
+  const nonExternalIndices = getNonExternalIndices(engineers);
+  const sharedExternalIndex = engineers.findIndex(e => e?.id === SHARED_EXTERNAL_ID);
+
+  for (const task of tasks) {
+    task.skillPool = null;
+    const skills = getRequiredSkills(task);
+    if (skills.length === 0) continue;
+
+    const pool = getPoolForTask(task, nonExternalIndices)
+      .filter(idx => hasRequiredSkills(engineers[idx], skills));
+    if (pool.length > 0) {
+      task.skillPool = pool;
+    } else if (sharedExternalIndex !== -1) {
+      task.skillPool = [sharedExternalIndex];
+    }
+  }
+}
+
+/**
+ * Get the engineer pool for a specific task based on its component and skills.
+ * Returns skill- or component-specific indices if available, otherwise the full non-external pool.
+ */
+function getPoolForTask(task, nonExternalIndices) {
+  if (task.skillPool) return task.skillPool;
+  if (componentEngineerIndices && task.component) {
+    const pool = componentEngineerIndices.get(task.component);
+    if (pool && pool.length > 0) return pool;
+    // Component not mapped — use full pool (external engineers will handle in scheduler)
+  }
+  return nonExternalIndices;
+}
+
+function generateRandomAssignment(tasks, engineers, nonExternalIndices) {
+  const assignment = [];
+  const fallbackPool = nonExternalIndices.length > 0 ? nonExternalIndices : [...Array(engineers.length).keys()];
+
+  for (const task of tasks) {
+    if (task.lockedEngineerIndex !== null && task.lockedEngineerIndex !== undefined) {
+      assignment.push(task.lockedEngineerIndex);
+    } else {
+      const pool = getPoolForTask(task, fallbackPool);
+      assignment.push(pool[Math.floor(random() * pool.length)]);
+    }
+  }
+
+  return assignment;
+}
+
+function tournamentSelect(population, fitnessScores, tournamentSize) {
+  let best = null;
+  let bestScore = null;
+
+  for (let i = 0; i < tournamentSize; i++) {
+    const idx = Math.floor(random() * population.length);
+    const score = fitnessScores[idx];
+    if (score !== null && (bestScore === null || isBetter(score, bestScore))) {
+      best = population[idx];
+      bestScore = score;
+    }
+  }
+
+  return best || population[Math.floor(random() * population.length)];
+}
+
+function crossover(parent1, parent2, tasks, unlockedTasks) {
+  // Two-point crossover on unlocked tasks only
+  const child1 = [...parent1];
+  const child2 = [...parent2];
+
+  if (unlockedTasks.length < 2) {
+    return [child1, child2];
+  }
+
+  // Pick two crossover points
+  const pt1 = Math.floor(random() * unlockedTasks.length);
+  const pt2 = Math.floor(random() * unlockedTasks.length);
+  const start = Math.min(pt1, pt2);
+  const end = Math.max(pt1, pt2);
+
+  // Swap genes between points (only for unlocked tasks)
+  for (let i = start; i <= end; i++) {
+    const taskIdx = unlockedTasks[i];
+    const temp = child1[taskIdx];
+    child1[taskIdx] = child2[taskIdx];
+    child2[taskIdx] = temp;
+  }
+
+  return [child1, child2];
+}
+
+function mutate(individual, tasks, nonExternalIndices, unlockedTasks) {
+  const fallbackPool = nonExternalIndices.length > 0 ? nonExternalIndices : [...Array(tasks.length).keys()];
+
+  for (const taskIdx of unlockedTasks) {
+    if (random() < mutationRate) {
+      const pool = getPoolForTask(tasks[taskIdx], fallbackPool);
+      individual[taskIdx] = pool[Math.floor(random() * pool.length)];
+    }
+  }
+}
+
+/**
+ * Memetic local search: try random swaps on an individual and keep improvements.
+ * Returns the improved individual and its score.
+ */
+function localSearch(individual, tasks, engineers, dependencyMap, nonExternalIndices, unlockedTasks, currentScore) {
+  if (localSearchSwaps <= 0 || unlockedTasks.length === 0) {
+    return { individual, score: currentScore };
+  }
+
+  const fallbackPool = nonExternalIndices.length > 0 ? nonExternalIndices : [...Array(engineers.length).keys()];
+  let best = [...individual];
+  let bestScore = currentScore;
+
+  for (let i = 0; i < localSearchSwaps; i++) {
+    // Pick a random unlocked task and try a different engineer
+    const taskIdx = unlockedTasks[Math.floor(random() * unlockedTasks.length)];
+    const pool = getPoolForTask(tasks[taskIdx], fallbackPool);
+    const oldEngineer = best[taskIdx];
+    const newEngineer = pool[Math.floor(random() * pool.length)];
+
+    if (newEngineer === oldEngineer) continue;
+
+    // Try the swap
+    const candidate = [...best];
+    candidate[taskIdx] = newEngineer;
+
+    const endTimes = computeEndTimes(candidate, tasks, engineers, dependencyMap);
+    if (!endTimes) continue;
+
+    const score = evaluateSchedule(endTimes, tasks, dependencyMap);
+    if (isBetter(score, bestScore)) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return { individual: best, score: bestScore };
+}
+
+function compareFitness(a, b) {
+  // Returns positive if a is better than b
+  if (a.deadlinesMet !== b.deadlinesMet) return a.deadlinesMet - b.deadlinesMet;
+  if (a.totalLateness !== b.totalLateness) return b.totalLateness - a.totalLateness;
+  return b.makespan - a.makespan;
+}
+
+function isBetter(newScore, oldScore) {
+  if (newScore.deadlinesMet > oldScore.deadlinesMet) return true;
+  if (newScore.deadlinesMet < oldScore.deadlinesMet) return false;
+  if (newScore.totalLateness < oldScore.totalLateness) return true;
+  if (newScore.totalLateness > oldScore.totalLateness) return false;
+  return newScore.makespan < oldScore.makespan;
+}
+
+/**
+ * Effort of a task for an engineer, before a start date (see cachedTaskEfforts)
+ */
+function getTaskEffort(taskIdx, engineerIdx, task, engineer) {
+  const efforts = cachedTaskEfforts[taskIdx];
+  if (!efforts.has(engineerIdx)) {
+    efforts.set(engineerIdx, calculateEffort(task, engineer));
+  }
+  return efforts.get(engineerIdx);
+}
+
+function getNonExternalIndices(engineers) {
+  const indices = [];
+  for (let i = 0; i < engineers.length; i++) {
+    if (!engineers[i]?.isExternal) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+// === Schedule evaluation (same as SA worker) ===
+
+/**
+ * Precompute all static data structures at optimization start.
+ * These don't change between iterations since they only depend on the dependency graph.
+ */
+function precomputeCaches(tasks, dependencyMap) {
+  const sortedMilestones = [...activeMilestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+
+  // Precompute transitive dependencies for each milestone
+  cachedMilestoneDeps = new Map();
+  for (const m of sortedMilestones) {
+    cachedMilestoneDeps.set(String(m.bugId), getAllDependencies(m.bugId, dependencyMap));
+  }
+
+  // Assign bugs to milestones using precomputed deps (O(1) lookups)
+  cachedBugToMilestone = new Map();
+  for (const task of tasks) {
+    const bugId = String(task.id);
+    for (const milestone of sortedMilestones) {
+      const milestoneId = String(milestone.bugId);
+      if (bugId === milestoneId || cachedMilestoneDeps.get(milestoneId).has(bugId)) {
+        cachedBugToMilestone.set(bugId, milestone);
+        break;
+      }
+    }
+  }
+
+  // Precompute task ID to index mapping for O(1) lookups
+  cachedTaskIdIndex = new Map();
+  for (let i = 0; i < tasks.length; i++) {
+    cachedTaskIdIndex.set(String(tasks[i].id), i);
+  }
+}
+
+function assignBugsToMilestones(tasks, dependencyMap) {
+  // Use cached mapping if available
+  if (cachedBugToMilestone) {
+    return cachedBugToMilestone;
+  }
+
+  const bugToMilestone = new Map();
+  const sortedMilestones = [...activeMilestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+
+  for (const task of tasks) {
+    const bugId = String(task.id);
+    for (const milestone of sortedMilestones) {
+      const milestoneId = String(milestone.bugId);
+      if (bugId === milestoneId || isDependencyOf(bugId, milestoneId, dependencyMap)) {
+        bugToMilestone.set(bugId, milestone);
+        break;
+      }
+    }
+  }
+
+  return bugToMilestone;
+}
+
+function isDependencyOf(bugId, targetId, dependencyMap) {
+  const visited = new Set();
+  const queue = [targetId];
+
+  while (queue.length > 0) {
+    const currentId = queue.shift();
+    if (visited.has(currentId)) continue;
+    visited.add(currentId);
+
+    const deps = dependencyMap.get(currentId) || [];
+    for (const depId of deps) {
+      if (String(depId) === bugId) return true;
+      if (!visited.has(String(depId))) {
+        queue.push(String(depId));
+      }
+    }
+  }
+
+  return false;
+}
+
+function getAllDependencies(bugId, dependencyMap) {
+  const visited = new Set();
+  const queue = [String(bugId)];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+
+    const deps = dependencyMap.get(id) || [];
+    for (const depId of deps) {
+      if (!visited.has(String(depId))) {
+        queue.push(String(depId));
+      }
+    }
+  }
+
+  visited.delete(String(bugId));
+  return visited;
+}
+
+function getMilestoneCompletionDays(milestoneBugId, taskEndTimes, dependencyMap) {
+  // Use cached deps if available, otherwise compute
+  const deps = cachedMilestoneDeps?.get(String(milestoneBugId)) || getAllDependencies(milestoneBugId, dependencyMap);
+  let maxEndDays = taskEndTimes[String(milestoneBugId)] || 0;
+
+  for (const depId of deps) {
+    const depEndDays = taskEndTimes[String(depId)];
+    if (depEndDays !== undefined && depEndDays > maxEndDays) {
+      maxEndDays = depEndDays;
+    }
+  }
+
+  return maxEndDays;
+}
+
+function evaluateSchedule(taskEndTimes, tasks, dependencyMap) {
+  const today = optimizationToday || new Date();
+  today.setHours(0, 0, 0, 0);
+
+  let deadlinesMet = 0;
+  let totalLateness = 0;
+  let makespan = 0;
+  const deadlineDetails = [];
+
+  for (const endDays of Object.values(taskEndTimes)) {
+    if (endDays > makespan) makespan = endDays;
+  }
+
+  for (const milestone of activeMilestones) {
+    const milestoneBugId = String(milestone.bugId);
+    const milestoneEndDays = getMilestoneCompletionDays(milestoneBugId, taskEndTimes, dependencyMap);
+
+    if (milestoneEndDays > 0) {
+      const endDate = addWorkingDays(today, milestoneEndDays);
+      if (endDate <= milestone.freezeDate) {
+        deadlinesMet++;
+        deadlineDetails.push({ name: milestone.name, met: true, endDate, freezeDate: milestone.freezeDate });
+      } else {
+        const daysLate = Math.ceil((endDate - milestone.freezeDate) / (1000 * 60 * 60 * 24));
+        totalLateness += daysLate;
+        deadlineDetails.push({ name: milestone.name, met: false, endDate, freezeDate: milestone.freezeDate, daysLate });
+      }
+    }
+  }
+
+  return { deadlinesMet, totalLateness, makespan, deadlineDetails };
+}
+
+// === Unavailability handling (same as SA worker) ===
+
+function buildUnavailabilityRanges(engineers, today) {
+  const ranges = new Array(engineers.length).fill(null).map(() => []);
+  for (let i = 0; i < engineers.length; i++) {
+    const periods = engineers[i]?.unavailability || [];
+    const holidays = engineers[i]?.holidays || [];
+    if (periods.length === 0 && holidays.length === 0) continue;
+
+    for (const period of periods) {
+      if (!period?.start || !period?.end) continue;
+      const startDate = new Date(period.start);
+      const endDate = new Date(period.end);
+      startDate.setHours(0, 0, 0, 0);
+      endDate.setHours(0, 0, 0, 0);
+      if (endDate < today) continue;
+
+      const clampedStart = startDate < today ? today : startDate;
+      const startIdx = countWorkingDays(today, clampedStart);
+      const endIdx = countWorkingDays(today, endDate);
+      if (endIdx < startIdx) continue;
+      ranges[i].push({ start: startIdx, end: endIdx });
+    }
+
+    // Location holidays block single working days (company holidays are not indexed at all)
+    for (const holiday of holidays) {
+      const date = fromDateKey(holiday);
+      if (date <= today || !isWorkingDay(date)) continue;
+      const idx = countWorkingDays(today, date);
+      ranges[i].push({ start: idx, end: idx });
+    }
+
+    ranges[i].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const range of ranges[i]) {
+      const last = merged[merged.length - 1];
+      if (!last || range.start > last.end + 1) {
+        merged.push({ ...range });
+      } else {
+        last.end = Math.max(last.end, range.end);
+      }
+    }
+    ranges[i] = merged;
+  }
+  return ranges;
+}
+
+function adjustStartForUnavailability(start, ranges) {
+  if (!ranges || ranges.length === 0) return start;
+  let current = start;
+  for (const range of ranges) {
+    if (current < range.start) break;
+    if (current >= range.start && current <= range.end) {
+      current = range.end + 1;
+    }
+  }
+  return current;
+}
+
+function countBlockedDaysInInterval(ranges, from, to) {
+  if (!ranges || ranges.length === 0) return 0;
+  if (to < from) return 0;
+  let blocked = 0;
+  for (const range of ranges) {
+    if (range.start > to) break;
+    if (range.end < from) continue;
+    const overlapStart = Math.max(from, range.start);
+    const overlapEnd = Math.min(to, range.end);
+    if (overlapEnd >= overlapStart) {
+      blocked += (overlapEnd - overlapStart + 1);
+    }
+  }
+  return blocked;
+}
+
+function addWorkingDaysSkippingRanges(start, days, ranges) {
+  if (days <= 0) return start;
+  if (!ranges || ranges.length === 0) return start + days;
+
+  // Extend until the interval holds `days` free days (blocked days are counted once)
+  let end = start + days;
+  while (true) {
+    const blocked = countBlockedDaysInInterval(ranges, start + 1, end);
+    if (end - start - blocked >= days) return end;
+    end = start + days + blocked;
+  }
+}
+
+// === Availability schedules ===
+
+// Engineers with an availabilitySchedule or rampUp get a running total of their capacity
+// per working-day index (0 on their holidays and unavailable days), extended lazily
+function buildCapacityProfiles(engineers, today) {
+  return engineers.map(engineer => (
+    engineer && !engineer.isExternal && hasTimeVaryingCapacity(engineer)
+      ? { engineer, date: new Date(today), totals: [0] }
+      : null
+  ));
+}
+
+function extendCapacityProfile(profile, index) {
+  const { totals } = profile;
+  while (totals.length <= index) {
+    profile.date = addWorkingDays(profile.date, 1);
+    const capacity = isWorkingDay(profile.date, profile.engineer)
+      ? getCapacityOn(profile.engineer, profile.date)
+      : 0;
+    totals.push(totals[totals.length - 1] + capacity);
+  }
+}
+
+// First index by which baseDays of full-time effort are delivered after start;
+// Infinity when the engineer has no capacity left for them
+function addCapacityDays(start, baseDays, profile) {
+  if (baseDays <= 0) return start;
+  extendCapacityProfile(profile, start);
+  const target = profile.totals[start] + baseDays - 1e-9;
+
+  let end = start + Math.ceil(baseDays);
+  extendCapacityProfile(profile, end);
+  while (profile.totals[end] < target) {
+    if (end - start > MAX_EFFORT_WORKING_DAYS) return Infinity;
+    end = start + (end - start) * 2;
+    extendCapacityProfile(profile, end);
+  }
+
+  // Totals never decrease, so binary search for the first index reaching the target
+  let low = start + 1;
+  let high = end;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (profile.totals[mid] >= target) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+// === End time computation (same as SA worker) ===
+
+function computeEndTimes(assignment, tasks, engineers, dependencyMap) {
+  const n = tasks.length;
+  const engineerAvailable = new Array(engineers.length).fill(0);
+  const taskEndTimes = {};
+  const processed = new Set();
+  let remaining = n;
+  let maxIterations = n * n;
+
+  // Build task order using cached bug-to-milestone mapping
+  const bugToMilestone = cachedBugToMilestone || assignBugsToMilestones(tasks, dependencyMap);
+  const sortedMilestones = [...activeMilestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+  const taskOrder = [];
+  for (const milestone of sortedMilestones) {
+    for (let i = 0; i < n; i++) {
+      const taskMilestone = bugToMilestone.get(String(tasks[i].id));
+      if (taskMilestone && String(taskMilestone.bugId) === String(milestone.bugId)) {
+        taskOrder.push(i);
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    if (!taskOrder.includes(i)) {
+      taskOrder.push(i);
+    }
+  }
+
+  while (remaining > 0 && maxIterations-- > 0) {
+    let madeProgress = false;
+
+    for (const i of taskOrder) {
+      if (processed.has(i)) continue;
+
+      const task = tasks[i];
+      const taskId = String(task.id);
+      const deps = dependencyMap.get(taskId) || [];
+
+      let canProcess = true;
+      let earliestStart = 0;
+
+      for (const depId of deps) {
+        // Use cached index lookup (O(1)) instead of findIndex (O(n))
+        const depIdx = cachedTaskIdIndex ? cachedTaskIdIndex.get(String(depId)) : tasks.findIndex(t => String(t.id) === String(depId));
+        if (depIdx !== undefined && depIdx !== -1 && !processed.has(depIdx)) {
+          canProcess = false;
+          break;
+        }
+        earliestStart = Math.max(earliestStart, taskEndTimes[String(depId)] || 0);
+      }
+
+      if (!canProcess) continue;
+      earliestStart = Math.max(earliestStart, task.pinnedStartTime || 0);
+
+      const engineerIdx = assignment[i];
+      const engineer = engineers[engineerIdx];
+
+      if (!engineer) continue;
+
+      const effort = getTaskEffort(i, engineerIdx, task, engineer);
+
+      let startTime, endTime;
+      if (effort.isMeta) {
+        startTime = earliestStart;
+        endTime = earliestStart;
+      } else if (engineer.isExternal) {
+        // External = infinite pool: starts as soon as dependencies finish, no queue
+        startTime = earliestStart;
+        endTime = addWorkingDaysSkippingRanges(startTime, effort.days, null);
+      } else {
+        startTime = Math.max(engineerAvailable[engineerIdx], earliestStart);
+        const ranges = unavailabilityRangesByEngineer ? unavailabilityRangesByEngineer[engineerIdx] : null;
+        if (ranges && ranges.length > 0) {
+          startTime = adjustStartForUnavailability(startTime, ranges);
+        }
+        const profile = capacityProfilesByEngineer ? capacityProfilesByEngineer[engineerIdx] : null;
+        endTime = profile
+          ? addCapacityDays(startTime, effort.baseDays, profile)
+          : addWorkingDaysSkippingRanges(startTime, effort.days, ranges);
+        // Infeasible: the engineer has no capacity left for this task
+        if (endTime === Infinity) return null;
+        engineerAvailable[engineerIdx] = endTime;
+      }
+      taskEndTimes[taskId] = endTime;
+      processed.add(i);
+      remaining--;
+      madeProgress = true;
+    }
+
+    if (!madeProgress && remaining > 0) {
+      return null;
+    }
+  }
+
+  return taskEndTimes;
+}
+
+function buildScheduleFromAssignment(assignment, tasks, engineers, dependencyMap) {
+  const n = tasks.length;
+  const engineerAvailable = new Array(engineers.length).fill(0);
+  const taskEndTimes = {};
+  const schedule = [];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const processed = new Set();
+  let remaining = n;
+
+  // Build task order using cached bug-to-milestone mapping
+  const bugToMilestone = cachedBugToMilestone || assignBugsToMilestones(tasks, dependencyMap);
+  const sortedMilestones = [...activeMilestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+  const taskOrder = [];
+  for (const milestone of sortedMilestones) {
+    for (let i = 0; i < n; i++) {
+      const taskMilestone = bugToMilestone.get(String(tasks[i].id));
+      if (taskMilestone && String(taskMilestone.bugId) === String(milestone.bugId)) {
+        taskOrder.push(i);
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    if (!taskOrder.includes(i)) {
+      taskOrder.push(i);
+    }
+  }
+
+  while (remaining > 0) {
+    for (const i of taskOrder) {
+      if (processed.has(i)) continue;
+
+      const task = tasks[i];
+      const taskId = String(task.id);
+      const deps = dependencyMap.get(taskId) || [];
+
+      let canProcess = true;
+      let earliestStart = 0;
+
+      for (const depId of deps) {
+        // Use cached index lookup (O(1)) instead of findIndex (O(n))
+        const depIdx = cachedTaskIdIndex ? cachedTaskIdIndex.get(String(depId)) : tasks.findIndex(t => String(t.id) === String(depId));
+        if (depIdx !== undefined && depIdx !== -1 && !processed.has(depIdx)) {
+          canProcess = false;
+          break;
+        }
+        earliestStart = Math.max(earliestStart, taskEndTimes[String(depId)] || 0);
+      }
+
+      if (!canProcess) continue;
+      earliestStart = Math.max(earliestStart, task.pinnedStartTime || 0);
+
+      const engineerIdx = assignment[i];
+      const engineer = engineers[engineerIdx];
+
+      if (!engineer) continue;
+
+      let effort = getTaskEffort(i, engineerIdx, task, engineer);
+
+      let startTime, endTime;
+      let assignedEngineer = engineer;
+      if (effort.isMeta) {
+        startTime = earliestStart;
+        endTime = earliestStart;
+        assignedEngineer = null;
+      } else if (engineer.isExternal) {
+        // External = infinite pool: starts as soon as dependencies finish, no queue
+        startTime = earliestStart;
+        endTime = addWorkingDaysSkippingRanges(startTime, effort.days, null);
+      } else {
+        startTime = Math.max(engineerAvailable[engineerIdx], earliestStart);
+        const ranges = unavailabilityRangesByEngineer ? unavailabilityRangesByEngineer[engineerIdx] : null;
+        if (ranges && ranges.length > 0) {
+          startTime = adjustStartForUnavailability(startTime, ranges);
+        }
+        const profile = capacityProfilesByEngineer ? capacityProfilesByEngineer[engineerIdx] : null;
+        if (profile) {
+          endTime = addCapacityDays(startTime, effort.baseDays, profile);
+          // Report the working days and average factors as the greedy scheduler does
+          effort = calculateEffort(task, engineer, addWorkingDays(today, startTime));
+        } else {
+          endTime = addWorkingDaysSkippingRanges(startTime, effort.days, ranges);
+        }
+        engineerAvailable[engineerIdx] = endTime;
+      }
+      taskEndTimes[taskId] = endTime;
+
+      schedule.push({
+        bug: task,
+        startDate: addWorkingDays(today, startTime),
+        endDate: addWorkingDays(today, endTime),
+        actualStartDate: getActualStartDate(task, today),
+        engineer: assignedEngineer,
+        effort,
+        completed: false
+      });
+
+      processed.add(i);
+      remaining--;
+    }
+  }
+
+  return schedule;
+}
+
+function reportImprovement(oldScore, newScore, generation = 0) {
+  postMessage({
+    type: 'improved',
+    workerId,
+    deadlinesMet: newScore.deadlinesMet,
+    totalLateness: newScore.totalLateness,
+    makespan: newScore.makespan,
+    deadlineDetails: newScore.deadlineDetails,
+    foundAtGeneration: generation
+  });
+}
+
+function finishOptimization(tasks, engineers, dependencyMap, generations, bestFoundAtGeneration = 0) {
+  if (bestAssignment) {
+    const schedule = buildScheduleFromAssignment(bestAssignment, tasks, engineers, dependencyMap);
+
+    postMessage({
+      type: 'complete',
+      workerId,
+      seed: runSeed,
+      schedule,
+      deadlinesMet: bestScore.deadlinesMet,
+      totalLateness: bestScore.totalLateness,
+      makespan: bestScore.makespan,
+      bestAssignment,
+      improved: true,
+      generations,
+      bestFoundAtGeneration
+    });
+  } else {
+    postMessage({ type: 'complete', workerId, schedule: null, improved: false, seed: runSeed });
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Genetic Algorithm Scheduler for Node worker_threads
+ * Same message protocol as ga-scheduler-worker.js; see ga-node.js.
+ */
+
+import { parentPort } from 'worker_threads';
+import { runGeneticAlgorithm } from './ga-core.js';
+
+parentPort.on('message', ({ type, data }) => {
+  if (type === 'start') {
+    runGeneticAlgorithm(data, (message) => parentPort.postMessage(message));
+  } else if (type === 'stop') {
+    parentPort.close();
+  }
+});
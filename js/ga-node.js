@@ -0,0 +1,89 @@
+/**
+ * Run the GA optimizer under Node, either in worker threads or inline.
+ * Both take the same 'start' payload as the browser Web Worker and resolve
+ * with its final 'complete' message.
+ */
+
+import { Worker } from 'worker_threads';
+import { runGeneticAlgorithm } from './ga-core.js';
+import { isBetterScore } from './optimizer-utils.js';
+import { deriveSeed } from './random.js';
+
+/**
+ * Run one optimization on the current thread
+ * @param {Object} startData - 'start' message payload (see buildOptimizerStartData)
+ * @param {Function} [onMessage] - Receives every worker message
+ * @returns {Object} The 'complete' message
+ */
+export function runGAInline(startData, onMessage = () => {}) {
+  let complete = null;
+  runGeneticAlgorithm(startData, (message) => {
+    onMessage(message);
+    if (message.type === 'complete') complete = message;
+  });
+  return complete;
+}
+
+/**
+ * Run one optimization in a worker thread
+ * @param {Object} startData - 'start' message payload (see buildOptimizerStartData)
+ * @param {Function} [onMessage] - Receives every worker message
+ * @returns {Promise<Object>} The 'complete' message
+ */
+export function runGAWorker(startData, onMessage = () => {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./ga-node-worker.js', import.meta.url));
+    let settled = false;
+
+    worker.on('message', (message) => {
+      onMessage(message);
+      if (message.type === 'complete') {
+        settled = true;
+        worker.postMessage({ type: 'stop' });
+        resolve(message);
+      }
+    });
+    worker.on('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+    worker.on('exit', (code) => {
+      if (!settled) {
+        reject(new Error(`GA worker ${startData.id || 0} exited (code ${code}) without a result`));
+      }
+    });
+
+    worker.postMessage({ type: 'start', data: startData });
+  });
+}
+
+/**
+ * Run several workers in parallel, as the web app does, and keep the best result
+ * @param {Object} startData - Shared 'start' payload; each worker gets its own id,
+ *   and its own seed derived from startData.seed when one is given
+ * @param {number} numWorkers
+ * @param {Object} [options]
+ * @param {Function} [options.onMessage] - Receives every worker message
+ * @param {boolean} [options.inline] - Run sequentially on this thread instead
+ * @returns {Promise<Object|null>} Best improved 'complete' message, or null
+ */
+export async function runGAWorkers(startData, numWorkers, { onMessage = () => {}, inline = false } = {}) {
+  const runs = [];
+  for (let i = 0; i < numWorkers; i++) {
+    const data = { ...startData, id: i };
+    if (startData.seed !== undefined && startData.seed !== null) {
+      data.seed = deriveSeed(startData.seed, i);
+    }
+    runs.push(inline ? runGAInline(data, onMessage) : runGAWorker(data, onMessage));
+  }
+  const results = await Promise.all(runs);
+
+  let best = null;
+  for (const result of results) {
+    if (!result || !result.improved || !result.schedule) continue;
+    if (!best || isBetterScore(result, best)) {
+      best = result;
+    }
+  }
+  return best;
+}
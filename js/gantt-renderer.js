@@ -3,6 +3,13 @@
  * Color coding, milestone markers, and dependency visualization
  */
 
+import { DEFAULT_PROJECT_CONFIG, buildBugUrl } from './project-config.js';
+import { addWorkingDays, fromDateKey, toDateKey } from './scheduler-core.js';
+import { countWorkingDays } from './optimizer-utils.js';
+import { computeSlipDays } from './baselines.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Distinct colors for engineers (intentionally dark to keep inverted text readable on dark bars).
 const ENGINEER_COLORS = [
   '#1e40af', // blue
@@ -206,6 +213,7 @@ export class GanttRenderer {
   constructor(containerId, milestones = []) {
     this.containerId = containerId;
     this.milestones = milestones;
+    this.bugzillaUrl = DEFAULT_PROJECT_CONFIG.bugzillaUrl;
     this.gantt = null;
     this.tasks = [];
     this.viewMode = 'Week';
@@ -215,9 +223,36 @@ export class GanttRenderer {
     this.earliestTaskDate = null;
     this.engineerColorMap = new Map(); // Maps engineer name to color
     this.popupInteractionActive = false; // Track if user is interacting with popup
+    this.pinHandlers = {}; // onPinStart, onPinEngineer, onClearPin (see setPinHandlers)
+    this.rowDragActive = false; // A bar is being dragged to another engineer's row
+    this.baselineTasks = new Map(); // Bug ID to baseline plan task (see setBaseline)
     this.setupZoomHandler();
   }
 
+  /**
+   * Set what happens when a planner pins a task by dragging its bar
+   * @param {Object} handlers
+   * @param {Function} [handlers.onPinStart] - (bugId, 'YYYY-MM-DD') after a horizontal drag
+   * @param {Function} [handlers.onPinEngineer] - (bugId, engineerId) after dropping on another engineer's row
+   * @param {Function} [handlers.onClearPin] - (bugId) from the popup's Clear pin button
+   */
+  setPinHandlers(handlers) {
+    this.pinHandlers = handlers || {};
+  }
+
+  /**
+   * Draw a baseline's dates under the bars, or stop drawing them
+   * Takes effect on the next render.
+   * @param {Object|null} plan - Baseline plan from buildPlanRecord()
+   */
+  setBaseline(plan) {
+    this.baselineTasks = new Map(
+      (plan ? plan.tasks : [])
+        .filter(t => !t.completed && t.startDate && t.endDate)
+        .map(t => [String(t.bugId), t])
+    );
+  }
+
   /**
    * Check if popup is currently being interacted with
    * Used to prevent re-renders that would destroy the popup during clicks
@@ -363,6 +398,11 @@ export class GanttRenderer {
         customClass += ' gantt-scheduler-assigned';
       }
 
+      const pin = task.bug.pin || null;
+      if (pin) {
+        customClass += ' gantt-pinned';
+      }
+
       // Build dependencies string
       const deps = graph.getDependencies(String(task.bug.id));
       const validDeps = deps.filter(depId => {
@@ -377,12 +417,15 @@ export class GanttRenderer {
         engineerSuffix = isSchedulerAssigned ? ` [${engineerInitials}]` : ` (${engineerInitials})`;
       }
 
+      const { start, progress } = this.getProgressBar(task);
+      const baseline = this.baselineTasks.get(String(task.bug.id)) || null;
+
       this.tasks.push({
         id: String(task.bug.id),
         name: `#${task.bug.id}: ${this.truncate(task.bug.summary, 35)}${engineerSuffix}`,
-        start: this.formatDate(task.startDate),
+        start: this.formatDate(start),
         end: this.formatDate(task.endDate),
-        progress: 0,
+        progress,
         custom_class: customClass,
         dependencies: validDeps.join(', '),
         // Store extra data for tooltips
@@ -395,9 +438,29 @@ export class GanttRenderer {
         _isMeta: isMeta,
         _milestone: task.milestone ? task.milestone.name : null,
         _engineerColor: this.getEngineerColor(displayName),
-        _availability: task.engineer && Number.isFinite(task.engineer.availability)
-          ? task.engineer.availability
-          : 1.0,
+        _baseDays: task.effort ? task.effort.baseDays : 0,
+        _estimatedDays: task.effort ? task.effort.estimatedDays : 0,
+        _percentComplete: task.effort ? task.effort.percentComplete || 0 : 0,
+        _progressSource: task.effort ? task.effort.progressSource : null,
+        _assignedAt: task.bug.assignedAt || null,
+        _actualStart: task.actualStartDate ? this.formatDate(task.actualStartDate) : null,
+        _remainingStart: this.formatDate(task.startDate),
+        _engineerId: task.engineer && !task.engineer.isExternal ? task.engineer.id : null,
+        _pinnedStart: pin ? pin.startDate : null,
+        _pinnedEngineer: pin && pin.engineerId
+          ? (engineers.find(e => e.id === pin.engineerId) || { name: pin.engineerId }).name
+          : null,
+        _baselineStart: baseline ? baseline.startDate : null,
+        _baselineEnd: baseline ? baseline.endDate : null,
+        _slipDays: baseline ? computeSlipDays(baseline.endDate, task.endDate) : null,
+        // Effort carries the factors behind its duration (averaged over time-varying capacity)
+        _availability: task.effort && Number.isFinite(task.effort.availability)
+          ? task.effort.availability
+          : task.engineer && Number.isFinite(task.engineer.availability)
+            ? task.engineer.availability
+            : 1.0,
+        _velocity: task.effort && Number.isFinite(task.effort.velocity) ? task.effort.velocity : 1.0,
+        _rampUp: task.effort && Number.isFinite(task.effort.rampUp) ? task.effort.rampUp : 1.0,
         _fullSummary: task.bug.summary
       });
     }
@@ -405,6 +468,36 @@ export class GanttRenderer {
     return this.tasks;
   }
 
+  /**
+   * Bar start and fill for a task with work already done
+   * The scheduled dates cover the remaining work. Work underway since a known
+   * date (task.actualStartDate) starts the bar there, filled up to today;
+   * otherwise the bar extends back by the working days the done part took,
+   * filled up to the scheduled start.
+   * @returns {{start: Date, progress: number}} Progress as a percentage of the bar
+   */
+  getProgressBar(task, today = new Date()) {
+    const effort = task.effort;
+    if (task.actualStartDate && task.actualStartDate < task.startDate) {
+      const elapsed = countWorkingDays(task.actualStartDate, today < task.startDate ? today : task.startDate);
+      const total = countWorkingDays(task.actualStartDate, task.endDate);
+      return {
+        start: task.actualStartDate,
+        progress: total > 0 ? Math.round(100 * Math.min(elapsed, total) / total) : 0
+      };
+    }
+    if (!effort || !(effort.percentComplete > 0) || !(effort.estimatedDays > effort.baseDays)) {
+      return { start: task.startDate, progress: 0 };
+    }
+
+    const capacity = (effort.availability || 1.0) * (effort.velocity || 1.0);
+    const doneDays = Math.ceil((effort.estimatedDays - effort.baseDays) / capacity);
+    return {
+      start: addWorkingDays(task.startDate, -doneDays, task.engineer),
+      progress: Math.round(100 * doneDays / (doneDays + effort.days))
+    };
+  }
+
   /**
    * Check if task is at risk for its milestone
    * Only marks at-risk if task ends after its own milestone's freeze date
@@ -485,6 +578,9 @@ export class GanttRenderer {
     // Add milestone markers
     this.addMilestoneMarkers();
 
+    // Baseline dates under the bars
+    this.addBaselineBars();
+
     // Apply engineer colors to task bars
     this.applyEngineerColors();
 
@@ -563,6 +659,11 @@ export class GanttRenderer {
         }, true);
         popup.addEventListener('click', (e) => {
           e.stopPropagation();
+          const clearButton = e.target.closest('.popup-clear-pin');
+          if (clearButton && this.pinHandlers.onClearPin) {
+            this.gantt.hide_popup();
+            this.pinHandlers.onClearPin(clearButton.dataset.bugId);
+          }
         }, true);
       }
     };
@@ -609,6 +710,67 @@ export class GanttRenderer {
       hoverHandlers.push({ bar, onEnter, onLeave });
     });
 
+    // --- Drag a bar to another engineer's row ---
+    // Frappe only moves bars sideways; a drop more than half a row up or down
+    // pins the task to the engineer of the task in that row.
+    let barDrag = null;
+
+    const findRowAt = (clientY, exceptId) => {
+      let best = null;
+      for (const bar of bars) {
+        if (bar.getAttribute('data-id') === exceptId) continue;
+        const rect = bar.querySelector('.bar')?.getBoundingClientRect();
+        if (!rect) continue;
+        const distance = Math.abs(clientY - (rect.top + rect.bottom) / 2);
+        const rowHeight = rect.height + (this.gantt?.options?.padding || 18);
+        if (distance < rowHeight / 2 && (!best || distance < best.distance)) {
+          best = { taskId: bar.getAttribute('data-id'), distance };
+        }
+      }
+      return best ? this.tasks.find(t => t.id === best.taskId) : null;
+    };
+
+    const onBarMouseDown = (e) => {
+      const bar = e.target.closest('.bar-wrapper');
+      // The progress and resize handles aren't moves
+      if (!bar || e.target.closest('.handle')) return;
+      const rect = bar.querySelector('.bar')?.getBoundingClientRect();
+      barDrag = { taskId: bar.getAttribute('data-id'), startY: e.clientY, rowHeight: rect ? rect.height : 20 };
+    };
+
+    const onBarMouseMove = (e) => {
+      if (barDrag && Math.abs(e.clientY - barDrag.startY) > barDrag.rowHeight / 2) {
+        this.rowDragActive = true;
+      }
+    };
+
+    const onBarMouseUp = (e) => {
+      if (!barDrag) return;
+      const { taskId } = barDrag;
+      barDrag = null;
+      if (!this.rowDragActive) return;
+      this.rowDragActive = false;
+
+      const task = this.tasks.find(t => t.id === taskId);
+      const target = findRowAt(e.clientY, taskId);
+      if (task && !task._isMeta && target && target._engineerId && target._engineerId !== task._engineerId &&
+          this.pinHandlers.onPinEngineer) {
+        console.log(`[Gantt] Pinning bug ${taskId} to ${target._engineer}`);
+        this.pinHandlers.onPinEngineer(taskId, target._engineerId);
+      } else if (this.gantt) {
+        // Nothing to pin: put the bar back where the schedule has it
+        this.gantt.refresh(this.tasks);
+        this.waitForGanttRender(() => {
+          this.applyEngineerColors();
+          this.setupInteractions();
+        });
+      }
+    };
+
+    scrollContainer.addEventListener('mousedown', onBarMouseDown);
+    document.addEventListener('mousemove', onBarMouseMove);
+    document.addEventListener('mouseup', onBarMouseUp);
+
     // --- Drag-to-scroll support ---
     // Target the .gantt-container which is the actual scrollable element
     let startX = 0;
@@ -657,6 +819,9 @@ export class GanttRenderer {
       scrollContainer.removeEventListener('mousedown', onMouseDown);
       document.removeEventListener('mouseup', onMouseUp);
       document.removeEventListener('mousemove', onMouseMove);
+      scrollContainer.removeEventListener('mousedown', onBarMouseDown);
+      document.removeEventListener('mousemove', onBarMouseMove);
+      document.removeEventListener('mouseup', onBarMouseUp);
       scrollContainer.style.cursor = '';
     };
   }
@@ -817,6 +982,47 @@ export class GanttRenderer {
     }, 100);
   }
 
+  /**
+   * Explain why a task takes longer or shorter than its size: availability,
+   * velocity and learning-curve ramp-up (averages over the task when they vary)
+   * @returns {Array<string>} e.g. ['33% availability', '1.2× velocity']
+   */
+  describeEffortAdjustments(task) {
+    const adjustments = [];
+    const availability = Number.isFinite(task._availability) ? task._availability : 1.0;
+    const velocity = Number.isFinite(task._velocity) ? task._velocity : 1.0;
+    const rampUp = Number.isFinite(task._rampUp) ? task._rampUp : 1.0;
+
+    if (availability < 1) {
+      adjustments.push(`${Math.round(availability * 100)}% availability`);
+    }
+    if (velocity !== 1) {
+      adjustments.push(`${Math.round(velocity * 100) / 100}× velocity`);
+    }
+    if (rampUp < 1) {
+      adjustments.push(`${Math.round(rampUp * 100)}% ramp-up`);
+    }
+    return adjustments;
+  }
+
+  /**
+   * Where a task's progress comes from, for the popup
+   */
+  describeProgressSource(task) {
+    switch (task._progressSource) {
+      case 'remaining':
+        return '[remaining] tag';
+      case 'progress':
+        return '[progress] tag';
+      case 'assigned':
+        return task._assignedAt
+          ? `estimated from ASSIGNED since ${task._assignedAt.split('T')[0]}`
+          : 'estimated from ASSIGNED';
+      default:
+        return 'unknown';
+    }
+  }
+
   /**
    * Create custom popup HTML for task
    */
@@ -828,15 +1034,43 @@ export class GanttRenderer {
     const isMeta = task._isMeta;
     const isSchedulerAssigned = task._isSchedulerAssigned;
     const assignmentNote = isSchedulerAssigned ? ' (scheduler assigned)' : '';
-    const availability = Number.isFinite(task._availability) ? task._availability : 1.0;
-    const availabilityPct = Math.round(availability * 100);
+    const adjustments = this.describeEffortAdjustments(task);
+
+    // In-progress bugs: effort is what's left of the size's days
+    const inProgress = task._percentComplete > 0;
+    const remaining = inProgress
+      ? `, ${Math.round(task._baseDays * 10) / 10} left`
+      : '';
+    const sizeDays = inProgress ? task._estimatedDays : task._baseDays;
 
     // For meta bugs, don't show size/effort
     const sizeEffortLine = isMeta
       ? '<p><em>Meta/tracking bug</em></p>'
-      : availability < 1
-        ? `<p><strong>Size/Effort:</strong> ${size}${sizeNote} @ ${availabilityPct}% (${effort} days)</p>`
-        : `<p><strong>Size/Effort:</strong> ${size}${sizeNote} (${effort} days)</p>`;
+      : adjustments.length > 0
+        ? `<p><strong>Size/Effort:</strong> ${size}${sizeNote} = ${sizeDays} days${remaining} @ ${adjustments.join(', ')} (${effort} days)</p>`
+        : inProgress
+          ? `<p><strong>Size/Effort:</strong> ${size}${sizeNote} = ${sizeDays} days${remaining} (${effort} days)</p>`
+          : `<p><strong>Size/Effort:</strong> ${size}${sizeNote} (${effort} days)</p>`;
+    const startNote = task._actualStart
+      ? ` (in progress, remaining work from ${task._remainingStart})`
+      : '';
+    const progressLine = inProgress && !isMeta
+      ? `<p><strong>Progress:</strong> ${task._percentComplete}% done (${this.describeProgressSource(task)})</p>`
+      : '';
+    const pins = [
+      task._pinnedStart ? `start ${task._pinnedStart}` : null,
+      task._pinnedEngineer ? `engineer ${task._pinnedEngineer}` : null
+    ].filter(Boolean);
+    let baselineLine = '';
+    if (task._baselineStart) {
+      const slip = task._slipDays > 0
+        ? `${task._slipDays} days late`
+        : task._slipDays < 0 ? `${-task._slipDays} days early` : 'on baseline';
+      baselineLine = `<p><strong>Baseline:</strong> ${task._baselineStart} to ${task._baselineEnd} (${slip})</p>`;
+    }
+    const pinLine = pins.length > 0
+      ? `<p><strong>Pinned:</strong> ${pins.join(', ')} <button type="button" class="popup-clear-pin" data-bug-id="${task.id}">Clear pin</button></p>`
+      : '';
 
     const title = task._fullSummary
       ? `#${task.id}: ${task._fullSummary}`
@@ -848,10 +1082,13 @@ export class GanttRenderer {
         <div class="popup-details">
           <p><strong>Engineer:</strong> ${engineer}${assignmentNote}</p>
           ${sizeEffortLine}
-          <p><strong>Start:</strong> ${task.start}</p>
+          ${progressLine}
+          <p><strong>Start:</strong> ${task.start}${startNote}</p>
           <p><strong>End:</strong> ${task.end}</p>
+          ${baselineLine}
+          ${pinLine}
         </div>
-        <a href="https://bugzilla.mozilla.org/show_bug.cgi?id=${task.id}"
+        <a href="${buildBugUrl(this.bugzillaUrl, task.id)}"
            target="_blank" rel="noopener" class="popup-link">View in Bugzilla</a>
       </div>
     `;
@@ -865,10 +1102,31 @@ export class GanttRenderer {
   }
 
   /**
-   * Handle date change (if editing enabled)
+   * Handle a bar dragged to new dates: pin the task's start
+   * Ignored while the bar is being dropped on another row (see setupInteractions).
    */
-  onDateChange(task, start, end) {
-    console.log('Date changed:', task.id, start, end);
+  onDateChange(task, start) {
+    if (this.rowDragActive || task._isMeta || !this.pinHandlers.onPinStart) return;
+    const startDate = this.getPinnedStartFromDrag(task, start);
+    console.log(`[Gantt] Pinning bug ${task.id} to start ${startDate}`);
+    this.pinHandlers.onPinStart(task.id, startDate);
+  }
+
+  /**
+   * Day the remaining work starts after dragging a bar to `start`
+   * Bars of work underway begin before the remaining work; the pin keeps that offset.
+   * @param {Object} task - Gantt task (see convertToGanttTasks())
+   * @param {Date} start - New bar start
+   * @returns {string} YYYY-MM-DD
+   */
+  getPinnedStartFromDrag(task, start) {
+    const barStart = fromDateKey(task.start);
+    const remainingStart = fromDateKey(task._remainingStart || task.start);
+    const offsetDays = Math.round((remainingStart - barStart) / (24 * 60 * 60 * 1000));
+    const pinned = new Date(start);
+    pinned.setHours(0, 0, 0, 0);
+    pinned.setDate(pinned.getDate() + offsetDays);
+    return toDateKey(pinned);
   }
 
   /**
@@ -878,6 +1136,7 @@ export class GanttRenderer {
     this.viewMode = mode;
     // Frappe re-renders SVG on view changes; reapply decorations/handlers when ready.
     this.waitForGanttRender(() => {
+      this.addBaselineBars();
       this.applyEngineerColors();
       this.setupInteractions();
     });
@@ -926,6 +1185,43 @@ export class GanttRenderer {
     }
   }
 
+  /**
+   * Draw each task's baseline dates as a thin bar just under its current bar
+   */
+  addBaselineBars() {
+    if (!this.gantt || !this.gantt.bars || this.baselineTasks.size === 0) return;
+
+    // Same x scale as Frappe Gantt's bars (Month view counts 30-day months)
+    const { step, column_width: columnWidth } = this.gantt.options;
+    const monthView = this.gantt.view_is('Month');
+    const toX = (date) => {
+      const days = (date - this.gantt.gantt_start) / DAY_MS;
+      return monthView ? days * columnWidth / 30 : days * 24 / step * columnWidth;
+    };
+
+    for (const bar of this.gantt.bars) {
+      const task = bar.task;
+      if (!task._baselineStart || !bar.group || !bar.$bar) continue;
+
+      const previous = bar.group.querySelector('.baseline-bar');
+      if (previous) previous.remove();
+
+      // Bars run to the end of their last day, as Frappe draws them
+      const x = toX(fromDateKey(task._baselineStart));
+      const endX = toX(new Date(fromDateKey(task._baselineEnd).getTime() + DAY_MS));
+      const y = Number(bar.$bar.getAttribute('y')) + Number(bar.$bar.getAttribute('height')) + 2;
+
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('class', 'baseline-bar');
+      rect.setAttribute('x', x);
+      rect.setAttribute('y', y);
+      rect.setAttribute('width', Math.max(endX - x, 2));
+      rect.setAttribute('height', 4);
+      rect.setAttribute('rx', 2);
+      bar.group.appendChild(rect);
+    }
+  }
+
   /**
    * Add a vertical date line to the chart
    */
@@ -0,0 +1,96 @@
+/**
+ * Holiday calendars from data/holidays.json.
+ * Each named calendar lists closures as a single `date` or an inclusive
+ * `start`/`end` range (YYYY-MM-DD). The "global" calendar holds company-wide
+ * closures that apply to everyone; engineers pick up a location calendar
+ * with `"calendar": "de"` in data/engineers.json.
+ */
+
+import { setCompanyHolidays, toDateKey } from './scheduler-core.js';
+
+export const GLOBAL_CALENDAR = 'global';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDateKey(value, calendarName) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    throw new Error(`Invalid date "${value}" in holiday calendar "${calendarName}": expected YYYY-MM-DD`);
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  if (toDateKey(date) !== value) {
+    throw new Error(`Invalid date "${value}" in holiday calendar "${calendarName}"`);
+  }
+  return date;
+}
+
+/**
+ * Expand one calendar's entries into the days they close
+ * @param {Array<Object>} entries - {name, date} or {name, start, end}
+ * @param {string} calendarName - For error messages
+ * @returns {Array<string>} Sorted, unique YYYY-MM-DD dates
+ */
+export function expandHolidayEntries(entries, calendarName = GLOBAL_CALENDAR) {
+  const dates = new Set();
+  for (const entry of entries || []) {
+    if (entry.date) {
+      dates.add(toDateKey(parseDateKey(entry.date, calendarName)));
+      continue;
+    }
+
+    const start = parseDateKey(entry.start, calendarName);
+    const end = parseDateKey(entry.end, calendarName);
+    if (end < start) {
+      throw new Error(`Holiday "${entry.name || entry.start}" in calendar "${calendarName}" ends before it starts`);
+    }
+    for (const current = start; current <= end; current.setDate(current.getDate() + 1)) {
+      dates.add(toDateKey(current));
+    }
+  }
+  return [...dates].sort();
+}
+
+/**
+ * Parse data/holidays.json
+ * @param {Object} data - {calendars: {name: [entries]}}
+ * @returns {Map<string, Array<string>>} Calendar name to closed dates
+ */
+export function parseHolidayCalendars(data) {
+  const calendars = new Map();
+  for (const [name, entries] of Object.entries(data?.calendars || {})) {
+    if (!Array.isArray(entries)) {
+      throw new Error(`Holiday calendar "${name}" must be a list of holidays`);
+    }
+    calendars.set(name, expandHolidayEntries(entries, name));
+  }
+  return calendars;
+}
+
+/**
+ * Apply holiday calendars: global closures become the company holidays used
+ * by all working-day math, location calendars are copied onto the engineers
+ * that reference them (as `engineer.holidays`)
+ * @param {Object} data - data/holidays.json contents
+ * @param {Array<Object>} engineers - Modified in place
+ * @returns {{companyHolidays: number, calendars: Array<string>}} Summary for logging
+ */
+export function applyHolidayCalendars(data, engineers) {
+  const calendars = parseHolidayCalendars(data);
+  setCompanyHolidays(calendars.get(GLOBAL_CALENDAR) || []);
+
+  for (const engineer of engineers) {
+    if (!engineer.calendar || engineer.calendar === GLOBAL_CALENDAR) {
+      engineer.holidays = [];
+      continue;
+    }
+    if (!calendars.has(engineer.calendar)) {
+      throw new Error(`Unknown holiday calendar "${engineer.calendar}" for engineer ${engineer.id}`);
+    }
+    engineer.holidays = calendars.get(engineer.calendar);
+  }
+
+  return {
+    companyHolidays: (calendars.get(GLOBAL_CALENDAR) || []).length,
+    calendars: [...calendars.keys()].filter(name => name !== GLOBAL_CALENDAR)
+  };
+}
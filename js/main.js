@@ -4,16 +4,61 @@
  */
 
 import { BugzillaAPI } from './bugzilla-api.js';
+import { BugCache } from './bug-cache.js';
 import { DependencyGraph } from './dependency-graph.js';
 import { Scheduler } from './scheduler.js';
 import { GanttRenderer } from './gantt-renderer.js';
 import { UIController } from './ui-controller.js';
+import { isBetterScore } from './optimizer-utils.js';
 import {
-  calculateWorkingDaysMakespan,
-  computeScoreFromCompletions,
-  isBetterScore
-} from './optimizer-utils.js';
-import { addWorkingDays } from './scheduler-core.js';
+  RESOLVED_STATUSES,
+  buildMilestones,
+  buildComponentTeamMap,
+  filterResolvedBugs,
+  filterBugsBySeverity,
+  getAllDependencies,
+  isDependencyOf,
+  findMilestoneMismatches,
+  findDisconnectedBugs,
+  detectErrors,
+  calculateMilestoneCompletions,
+  computeScheduleScore,
+  collectUnknownAssignees,
+  buildOptimizerStartData
+} from './planning.js';
+import { applyHolidayCalendars } from './holidays.js';
+import { simulateMilestoneConfidence } from './monte-carlo.js';
+import { runCalibration } from './calibration.js';
+import { setSizeTable, setSizeScheme, getSizeScheme } from './scheduler-core.js';
+import { parseProjectConfig, parseSizeScheme } from './project-config.js';
+import { buildSnapshot, parseSnapshot, resolveSnapshotMilestones } from './snapshot.js';
+import { randomSeed, deriveSeed, parseSeed } from './random.js';
+import { parseOverrides, serializeOverrides, setOverride, applyOverrides } from './overrides.js';
+import {
+  createScenario,
+  parseScenarios,
+  parseScenarioEdit,
+  applyScenario,
+  describeScenarioEdit,
+  planScenario,
+  optimizeScenario,
+  compareScenarios
+} from './scenarios.js';
+import { buildPlanRecord, parsePlanRecord, diffPlans } from './schedule-diff.js';
+import {
+  createBaseline,
+  parseBaselines,
+  serializeBaselines,
+  parseBaselineFile,
+  upsertBaseline,
+  computeSlips,
+  parseForecastHistory,
+  recordForecast,
+  mergeForecastHistory,
+  buildForecastSeries
+} from './baselines.js';
+import { buildBurnData, collectMilestoneTreeIds } from './burn-charts.js';
+import { buildResourceView } from './resource-view.js';
 
 // GA configuration (tuned for 2 workers via benchmark)
 const GA_POPULATION_SIZE = 160;         // Optimal: 160×100 = 93% success rate
@@ -21,26 +66,82 @@ const GA_GENERATIONS = 100;
 const GA_EXHAUSTIVE_POPULATION = 400;   // Exhaustive: 400×300 = 90% success, balanced rounds
 const GA_EXHAUSTIVE_GENERATIONS = 300;
 
+// Incremental sync asks for changes since the last sync minus this margin,
+// so clock skew between browser and Bugzilla can't hide an update
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Local storage key for the optional Bugzilla API key
+const API_KEY_STORAGE_KEY = 'entplanner.bugzillaApiKey';
+
+// Local storage key for start dates and engineers pinned on the Gantt chart
+const OVERRIDES_STORAGE_KEY = 'entplanner.overrides';
+
+// Local storage key for what-if scenarios
+const SCENARIOS_STORAGE_KEY = 'entplanner.scenarios';
+
+// Local storage key for the last displayed plan, diffed after the next load
+const LAST_PLAN_STORAGE_KEY = 'entplanner.lastPlan';
+
+// Local storage keys for saved baselines and the daily milestone forecasts
+const BASELINES_STORAGE_KEY = 'entplanner.baselines';
+const FORECAST_HISTORY_STORAGE_KEY = 'entplanner.forecastHistory';
+
 
 class EnterprisePlanner {
   constructor() {
     this.api = new BugzillaAPI();
+    this.cache = new BugCache();
+    this.lastSync = null;
+    this.snapshotSource = null;
+    // Bumped by every data load; fetches and syncs drop their results once a newer load started
+    this.loadGeneration = 0;
+    this.milestonedBugs = null;
+    this.hiddenBugs = [];
+    this.failedBugs = [];
     this.graph = new DependencyGraph();
     this.scheduler = null;
     this.gantt = new GanttRenderer('gantt-chart');
     this.ui = new UIController();
 
+    this.project = parseProjectConfig();
+    this.configuredMilestones = [];
+    this.milestoneEntries = [];
     this.milestones = [];
     this.milestoneNameMap = {};
     this.engineers = [];
     this.bugs = new Map();
 
+    // Size calibration from resolved bugs (Calibrate Sizes), applied on request
+    this.calibration = null;
+    this.calibrationApplied = false;
+
+    // Pins from the Gantt chart (see overrides.js), bug ID to {startDate, engineerId}
+    this.overrides = new Map();
+
+    // What-if scenarios (see scenarios.js) and the one being edited
+    this.scenarios = [];
+    this.activeScenarioIndex = -1;
+
+    // Plan shown before the last refresh or reload (see schedule-diff.js)
+    this.previousPlan = null;
+
+    // Baselines to measure slip against, and forecasts over time (see baselines.js)
+    this.baselines = [];
+    this.activeBaseline = null;
+    this.forecastHistory = [];
+
+    // Bugzilla history of the milestone trees for the burn charts, bug ID to entries
+    this.burnHistories = new Map();
+
     // Optimal scheduler (parallel workers)
     this.optimalWorkers = [];
     this.workerResults = [];
     this.greedySchedule = null;
     this.optimalSchedule = null;
     this.currentScheduleType = 'greedy';
+    // Monte Carlo milestone confidence per schedule, and the last one shown
+    this.confidenceBySchedule = new WeakMap();
+    this.milestoneConfidence = null;
     this.fullScheduleErrors = [];
     this.fullScheduleRisks = [];
     this.greedyScore = null;
@@ -51,6 +152,11 @@ class EnterprisePlanner {
     this.exhaustiveStartTime = null;
     this.exhaustiveBestAssignments = []; // Top assignments for seeding
 
+    // Optimizer seeds: every run is seeded so it can be replayed with ?seed=
+    this.replaySeed = null;
+    this.optimizerSeed = null;
+    this.optimizerRound = 0;
+
     // Parallel GA configuration
     // Use 2 workers: optimal for browser parallelization (more workers cause contention)
     this.numWorkers = 2;
@@ -63,199 +169,1203 @@ class EnterprisePlanner {
   }
 
   /**
-   * Initialize the application
+   * Initialize the application
+   */
+  async init() {
+    console.log('Initializing Enterprise Project Planner...');
+
+    // Display version info (fetch Last-Modified from main.js)
+    this.displayVersionInfo();
+
+    // Load static data (milestones, engineers) before initializing UI
+    await this.loadStaticData();
+
+    // Point everything at the configured Bugzilla instance
+    this.api.setBugzillaUrl(this.project.bugzillaUrl);
+    this.gantt.bugzillaUrl = this.project.bugzillaUrl;
+    this.ui.bugzillaUrl = this.project.bugzillaUrl;
+
+    // Set milestones on Gantt renderer and initialize UI
+    this.gantt.milestones = this.milestones;
+    this.ui.init(this.milestones);
+    this.ui.showLoading();
+
+    // Authenticate with the stored API key, if any
+    this.api.setApiKey(this.loadApiKey());
+    this.ui.setApiKeyState(this.api.hasApiKey());
+
+    // Restore pins and let the chart add or clear them
+    this.overrides = this.loadOverrides();
+    this.ui.setPinCount(this.overrides.size);
+    this.gantt.setPinHandlers({
+      onPinStart: (bugId, startDate) => this.updatePins(() => setOverride(this.overrides, bugId, { startDate })),
+      onPinEngineer: (bugId, engineerId) => this.updatePins(() => setOverride(this.overrides, bugId, { engineerId })),
+      onClearPin: (bugId) => this.updatePins(() => this.overrides.delete(String(bugId)))
+    });
+
+    // Set up API callbacks
+    this.api.setProgressCallback((progress) => this.onProgress(progress));
+    this.api.setBugDiscoveredCallback((bug) => this.onBugDiscovered(bug));
+
+    // Set up UI event listeners
+    this.ui.setupEventListeners({
+      onViewModeChange: (mode) => this.onViewModeChange(mode),
+      onMilestoneFilter: (bugId) => this.onMilestoneFilter(bugId),
+      onSeverityFilter: (severity) => this.onSeverityFilter(severity),
+      onRefresh: (options) => this.refresh(options),
+      onApiKeyChange: (apiKey) => this.onApiKeyChange(apiKey),
+      onLoadSnapshot: (file) => this.onLoadSnapshotFile(file),
+      onDownloadSnapshot: () => this.onDownloadSnapshot(),
+      onExportPins: () => this.onExportPins(),
+      onClearPins: () => this.updatePins(() => this.overrides.clear()),
+      onCreateScenario: (name) => this.onCreateScenario(name),
+      onScenarioAction: (action, index, edit) => this.onScenarioAction(action, index, edit),
+      onCompareScenarios: () => this.onCompareScenarios(),
+      onSavePlan: () => this.onSavePlan(),
+      onDiffPrevious: () => this.onDiffPrevious(),
+      onDiffOptimized: () => this.onDiffOptimized(),
+      onLoadPlanFile: (file) => this.onLoadPlanFile(file),
+      onSaveBaseline: (name) => this.onSaveBaseline(name),
+      onSelectBaseline: (name) => this.onSelectBaseline(name),
+      onExportBaseline: () => this.onExportBaseline(),
+      onImportBaseline: (file) => this.onImportBaseline(file),
+      onDeleteBaseline: () => this.onDeleteBaseline(),
+      onLoadBurnHistory: () => this.onLoadBurnHistory(),
+      onCalibrateSizes: () => this.onCalibrateSizes(),
+      onToggleCalibration: () => this.onToggleCalibration(),
+      onScheduleTypeChange: (type) => this.onScheduleTypeChange(type)
+    });
+
+    // Replay an optimizer run (?seed=)
+    this.replaySeed = this.getReplaySeed();
+
+    // Restore saved scenarios
+    this.scenarios = this.loadScenarios();
+    this.activeScenarioIndex = this.scenarios.length - 1;
+    this.renderScenarios();
+
+    // The plan from the last session, until a refresh replaces it
+    this.previousPlan = this.loadStoredPlan();
+
+    // Restore baselines and the forecast trend
+    this.loadBaselines();
+    this.forecastHistory = this.loadForecastHistory();
+    this.ui.renderBaselineSelect(this.baselines, this.activeBaseline);
+    this.gantt.setBaseline(this.getActiveBaselinePlan());
+    this.ui.renderForecastTrend(buildForecastSeries(this.forecastHistory));
+
+    // Sync state from browser-restored select values
+    this.severityFilter = this.ui.getSeverityFilter();
+    this.milestoneFilter = this.ui.getMilestoneFilter();
+
+    // Plan from a snapshot (?snapshot=) or fetch and process live bugs
+    const snapshotUrl = this.getSnapshotUrl();
+    if (snapshotUrl) {
+      await this.loadSnapshotFromUrl(snapshotUrl);
+    } else {
+      await this.fetchAndProcess();
+    }
+  }
+
+  /**
+   * Load static JSON data files
+   */
+  async loadStaticData() {
+    try {
+      // Load project config, engineers, holidays and milestones in parallel
+      const [projectRes, engineersRes, holidaysRes, milestonesRes] = await Promise.all([
+        fetch('./data/project.json'),
+        fetch('./data/engineers.json'),
+        fetch('./data/holidays.json'),
+        fetch('./data/milestones.json')
+      ]);
+      if (projectRes.ok) {
+        this.project = parseProjectConfig(await projectRes.json());
+      } else {
+        console.warn(`No project config (HTTP ${projectRes.status}), using defaults`);
+      }
+      this.applySizeScheme(this.project.sizes);
+      console.log(`Project: ${this.project.products.join(', ')} on ${this.project.bugzillaUrl}`);
+
+      const engineersData = await engineersRes.json();
+      this.teams = engineersData.teams || [];
+      this.engineers = this.teams.flatMap(t => t.engineers);
+      this.componentTeamMap = buildComponentTeamMap(this.teams);
+      console.log(`Loaded ${this.engineers.length} engineers in ${this.teams.length} teams`);
+
+      // Holidays must be in place before milestone freeze dates are computed
+      if (holidaysRes.ok) {
+        const holidays = applyHolidayCalendars(await holidaysRes.json(), this.engineers);
+        console.log(`Loaded ${holidays.companyHolidays} company holidays and calendars: ${holidays.calendars.join(', ') || 'none'}`);
+      } else {
+        console.warn(`No holiday calendars (HTTP ${holidaysRes.status}), skipping weekends only`);
+      }
+
+      const milestonesData = await milestonesRes.json();
+      this.configuredMilestones = milestonesData.milestones || [];
+      this.setMilestones(this.configuredMilestones);
+      console.log(`Loaded ${this.milestones.length} milestones`);
+
+    } catch (error) {
+      console.error('Error loading static data:', error);
+      this.ui.showError(`Failed to load configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set milestones from data/milestones.json-style entries
+   * @param {Array<Object>} entries - {name, bugId, bugzillaName, deadline, freezeDays}
+   */
+  setMilestones(entries) {
+    this.milestoneEntries = entries;
+    const { milestones, milestoneNameMap } = buildMilestones(entries);
+    this.milestones = milestones;
+    this.milestoneNameMap = milestoneNameMap;
+  }
+
+  /**
+   * Snapshot to load from the ?snapshot= URL parameter, if any
+   */
+  getSnapshotUrl() {
+    const params = new URLSearchParams(globalThis.location ? globalThis.location.search : '');
+    return params.get('snapshot');
+  }
+
+  /**
+   * Optimizer seed to replay from the ?seed= URL parameter, if any
+   * @returns {number|null}
+   */
+  getReplaySeed() {
+    const params = new URLSearchParams(globalThis.location ? globalThis.location.search : '');
+    const value = params.get('seed');
+    if (value === null) return null;
+    try {
+      const seed = parseSeed(value);
+      console.log(`Replaying optimizer seed ${seed}`);
+      return seed;
+    } catch (error) {
+      console.warn(`${error.message}; using random seeds`);
+      return null;
+    }
+  }
+
+  /**
+   * Start a new optimizer run seed (the replay seed when one was given)
+   */
+  startOptimizerSeed() {
+    this.optimizerSeed = this.replaySeed !== null ? this.replaySeed : randomSeed();
+    this.optimizerRound = 0;
+  }
+
+  /**
+   * Fetch a snapshot file by URL and plan from it
+   */
+  async loadSnapshotFromUrl(url) {
+    try {
+      console.log(`Loading snapshot from ${url}...`);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      this.loadSnapshot(await response.json(), url);
+    } catch (error) {
+      console.error('Error loading snapshot:', error);
+      this.ui.showError(`Failed to load snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Snapshot file picked in the UI
+   * @param {File} file
+   */
+  async onLoadSnapshotFile(file) {
+    try {
+      this.loadSnapshot(JSON.parse(await file.text()), file.name);
+    } catch (error) {
+      console.error('Error loading snapshot:', error);
+      this.ui.showError(`Failed to load snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Plan from a snapshot instead of live Bugzilla data.
+   * Nothing is fetched, synced or written to the offline cache until the next refresh.
+   * @param {Object} data - Parsed snapshot JSON
+   * @param {string} source - File name or URL, for display
+   */
+  loadSnapshot(data, source) {
+    const snapshot = parseSnapshot(data);
+    this.beginDataLoad();
+
+    this.stopOptimalScheduler();
+    this.setMilestones(resolveSnapshotMilestones(snapshot.milestones, this.configuredMilestones || []));
+    this.gantt.milestones = this.milestones;
+    this.ui.setMilestones(this.milestones);
+
+    // Sizes were read when the snapshot was captured; convert them with the scheme they were read with
+    this.applySizeScheme(parseSizeScheme(snapshot.project && snapshot.project.sizes));
+
+    this.snapshotSource = source;
+    this.burnHistories = new Map();
+    this.bugs = snapshot.bugs;
+    this.milestonedBugs = snapshot.milestonedBugs;
+    this.disconnectedBugs = this.milestonedBugs ? this.findDisconnectedBugs(this.milestonedBugs) : [];
+    this.hiddenBugs = [];
+    this.failedBugs = [];
+
+    const captured = snapshot.capturedAt ? this.formatSyncTime(snapshot.capturedAt) : 'unknown date';
+    console.log(`Loaded snapshot ${source}: ${this.bugs.size} bugs captured ${captured}`);
+    this.ui.updateDataStatus('snapshot', `Snapshot ${source} (captured ${captured})`);
+    this.processBugs();
+  }
+
+  /**
+   * Export the loaded bug set in the capture-snapshot.js format
+   */
+  onDownloadSnapshot() {
+    const snapshot = buildSnapshot({
+      bugs: this.bugs,
+      milestones: this.milestoneEntries || [],
+      project: { ...this.project, sizes: getSizeScheme() },
+      milestonedBugs: this.milestonedBugs
+    });
+    const stamp = snapshot.capturedAt.replace(/[:.]/g, '-');
+    this.ui.downloadJson(`entplanner-snapshot-${stamp}.json`, snapshot);
+  }
+
+  /**
+   * Compare sizes with how long resolved bugs in the project actually took
+   */
+  async onCalibrateSizes() {
+    this.ui.setCalibrationBusy(true);
+    try {
+      this.calibration = await runCalibration(this.api, this.project);
+      this.ui.renderCalibration(this.calibration, this.engineers, this.calibrationApplied);
+    } catch (error) {
+      console.error('Error calibrating sizes:', error);
+      this.ui.showError(`Failed to calibrate sizes: ${error.message}`);
+    } finally {
+      this.ui.setCalibrationBusy(false);
+    }
+  }
+
+  /**
+   * Render each engineer's tasks, weekly utilization and idle gaps from a full schedule
+   */
+  renderResourceView(schedule) {
+    if (!this.scheduler) return;
+    this.ui.renderResourceView(buildResourceView({
+      workloads: this.scheduler.getEngineerWorkloads(schedule),
+      schedule,
+      milestones: this.milestones
+    }));
+  }
+
+  /**
+   * Render burndown and burnup charts from a full schedule and the loaded bug history
+   */
+  renderBurnCharts(schedule, milestones = this.getActiveMilestones()) {
+    const burns = milestones.map(milestone => buildBurnData({
+      milestone,
+      bugs: this.bugs,
+      graph: this.graph,
+      schedule,
+      histories: this.burnHistories
+    }));
+    this.ui.renderBurnCharts(burns);
+  }
+
+  /**
+   * Fetch the history of every bug in the milestone trees not fetched yet,
+   * so the burn charts show scope and progress so far
+   */
+  async onLoadBurnHistory() {
+    if (this.snapshotSource) {
+      this.ui.setBurnHistoryState(false, 'Bug history is not fetched for snapshots');
+      return;
+    }
+    const ids = collectMilestoneTreeIds(this.graph, this.milestones).filter(id => !this.burnHistories.has(id));
+    this.ui.setBurnHistoryState(true, `Fetching history for ${ids.length} bugs...`);
+    try {
+      const histories = await this.api.fetchBugHistory(ids);
+      for (const [id, history] of histories) {
+        this.burnHistories.set(id, history);
+      }
+      const failed = ids.length - histories.size;
+      this.ui.setBurnHistoryState(false, `History of ${this.burnHistories.size} bugs${failed ? ` (${failed} could not be fetched)` : ''}`);
+      const schedule = this.getDisplayedSchedule();
+      if (schedule) this.renderBurnCharts(schedule);
+    } catch (error) {
+      console.error('Error loading bug history:', error);
+      this.ui.setBurnHistoryState(false, `Could not load bug history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read and convert sizes with the given estimation scheme
+   * A calibration belongs to the scheme it was run with, so it is dropped.
+   * @param {Object} scheme - From parseSizeScheme()
+   */
+  applySizeScheme(scheme) {
+    setSizeScheme(scheme);
+    console.log(`Sizes: ${scheme.source === 'field' ? `field ${scheme.field}` : `[${scheme.tag}=X]`}, scale ${Object.keys(scheme.scale).join(', ')}`);
+    if (this.calibration) {
+      this.calibration = null;
+      this.calibrationApplied = false;
+      this.ui.renderCalibration(null);
+    }
+  }
+
+  /**
+   * Switch scheduling between the calibrated and the project's size table
+   */
+  onToggleCalibration() {
+    if (!this.calibration) return;
+
+    this.calibrationApplied = !this.calibrationApplied;
+    setSizeTable(this.calibrationApplied ? this.calibration.table : null);
+    console.log(`Scheduling with ${this.calibrationApplied ? 'calibrated' : 'default'} sizes`);
+    this.ui.renderCalibration(this.calibration, this.engineers, this.calibrationApplied);
+    this.rescheduleWithFilter();
+  }
+
+  /**
+   * Fetch bugs from Bugzilla (or the offline cache) and process them
+   */
+  async fetchAndProcess() {
+    const generation = this.beginDataLoad();
+    try {
+      // Get milestone bug IDs
+      const milestoneBugIds = this.milestones.map(m => m.bugId);
+
+      // Update UI for each milestone as we process
+      for (const milestone of this.milestones) {
+        this.ui.updateMilestoneStatus(milestone.bugId, 'pending', 0);
+      }
+      this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'pending');
+
+      // Start instantly from the cached tree, then reconcile in the background
+      const cached = await this.cache.load();
+      if (!this.isCurrentLoad(generation)) return;
+      if (cached && this.isCacheUsable(cached)) {
+        console.log(`Starting from ${cached.bugs.size} cached bugs (synced ${cached.lastSync})`);
+        this.bugs = cached.bugs;
+        this.lastSync = cached.lastSync;
+        this.disconnectedBugs = [];
+        this.ui.updateDataStatus('syncing', `Cached data from ${this.formatSyncTime(cached.lastSync)}, syncing...`);
+        this.processBugs();
+        this.syncInBackground(generation);
+        return;
+      }
+
+      // Fetch all dependencies
+      console.log('Fetching bugs from Bugzilla...');
+      const syncStart = new Date().toISOString();
+      const bugs = await this.api.fetchAllDependencies(milestoneBugIds);
+      if (!this.isCurrentLoad(generation)) return;
+      this.bugs = bugs;
+      console.log(`Fetched ${this.bugs.size} bugs total`);
+      await this.loadAssignedDates();
+      if (!this.isCurrentLoad(generation)) return;
+
+      this.updateHiddenBugs();
+      this.updateFailedBugs();
+      await this.loadDisconnectedBugs(generation);
+      if (!this.isCurrentLoad(generation)) return;
+      this.markSynced(syncStart);
+      this.processBugs();
+
+    } catch (error) {
+      if (!this.isCurrentLoad(generation)) return;
+      console.error('Error during fetch and process:', error);
+      this.ui.showError(`Failed to fetch data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the graph, schedule and render from the current bug set
+   */
+  processBugs() {
+    // Build dependency graph
+    console.log('Building dependency graph...');
+    this.graph = new DependencyGraph();
+    this.graph.buildFromBugs(this.bugs);
+
+    // Detect errors
+    const errors = this.detectErrors();
+
+    // Topological sort
+    const { sorted, valid, cycles } = this.graph.topologicalSort();
+
+    if (!valid) {
+      console.error('Graph has cycles:', cycles);
+      this.ui.showError('Dependency graph contains cycles. See errors section.');
+    }
+
+    // Get sorted bugs (with their pins) and store for filtering later
+    this.sortedBugs = applyOverrides(sorted.map(id => this.bugs.get(id)).filter(Boolean), this.overrides);
+
+    // Apply filters (severity affects scheduling, milestone is view-only)
+    let filteredBugs = this.filterResolvedBugs(this.sortedBugs);
+    filteredBugs = this.filterBugsBySeverity(filteredBugs);
+    this.lastFilteredBugs = filteredBugs;
+    console.log(`Sorted ${this.sortedBugs.length} bugs, ${filteredBugs.length} after filters (excluding resolved)`);
+
+    // Schedule tasks for all milestones
+    console.log('Scheduling tasks...');
+    this.scheduler = new Scheduler(this.engineers, this.milestones, this.componentTeamMap);
+    const schedule = this.scheduler.scheduleTasks(filteredBugs, this.graph);
+    console.log(`Scheduled ${schedule.length} tasks`);
+
+    // Store full schedule and risks
+    this.greedySchedule = schedule;
+    this.greedyScore = this.computeScheduleScore(schedule, this.milestones);
+    const unknownAssignees = this.collectUnknownAssignees();
+    this.fullScheduleErrors = { ...errors, unknownAssignees };
+    this.fullScheduleRisks = this.scheduler.checkDeadlineRisks(this.milestones);
+
+    // Render UI with milestone filter applied to view
+    this.ui.showLoaded();
+    this.rerenderWithMilestoneFilter();
+    this.storeLastPlan();
+    this.recordCurrentForecast(schedule, 'greedy');
+
+    // Start optimal scheduler in background (for all milestones)
+    this.startOptimalScheduler(filteredBugs, this.milestones);
+  }
+
+  /**
+   * Fetch milestoned bugs not in any dependency tree (non-fatal)
+   * @param {number} generation - From beginDataLoad(); nothing is kept once a newer load started
+   */
+  async loadDisconnectedBugs(generation) {
+    try {
+      const milestonedBugs = await this.api.fetchMilestonedBugs(
+        this.project.products, this.project.components);
+      if (!this.isCurrentLoad(generation)) return;
+      this.milestonedBugs = milestonedBugs;
+      this.disconnectedBugs = this.findDisconnectedBugs(this.milestonedBugs);
+      const count = this.disconnectedBugs.length;
+      this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'complete',
+        count > 0 ? ` - ${count} found` : '');
+      console.log(`Found ${count} disconnected milestoned bugs`);
+    } catch (error) {
+      if (!this.isCurrentLoad(generation)) return;
+      console.warn('Failed to fetch milestoned bugs (non-fatal):', error.message);
+      this.milestonedBugs = null;
+      this.disconnectedBugs = [];
+      this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'complete');
+    }
+  }
+
+  /**
+   * Look up when in-progress bugs were ASSIGNED, for their remaining effort (non-fatal)
+   * @returns {Promise<number>} Number of bugs looked up
+   */
+  async loadAssignedDates() {
+    try {
+      return await this.api.fetchAssignedDates(this.bugs);
+    } catch (error) {
+      console.warn('Failed to fetch ASSIGNED dates (non-fatal):', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Collect bugs Bugzilla would not return, with the bugs that depend on them
+   */
+  updateHiddenBugs() {
+    this.hiddenBugs = this.api.getHiddenBugs().map(hidden => ({
+      ...hidden,
+      referencedBy: this.findReferencingBugs(hidden.id)
+    }));
+
+    const count = this.hiddenBugs.length;
+    if (count > 0) {
+      const detail = this.api.hasApiKey()
+        ? ` - ${count} not accessible with this API key`
+        : ` - ${count} hidden (set an API key to include them)`;
+      this.ui.updateLoadingStep('hidden', 'Restricted bugs', 'complete', detail);
+      console.warn(`${count} bugs hidden by Bugzilla permissions:`, this.hiddenBugs.map(b => b.id));
+    }
+  }
+
+  /**
+   * Collect bugs that could not be fetched even after retries
+   */
+  updateFailedBugs() {
+    this.failedBugs = this.api.getFailedBugs().map(failed => ({
+      ...failed,
+      referencedBy: this.findReferencingBugs(failed.id)
+    }));
+
+    const count = this.failedBugs.length;
+    if (count > 0) {
+      this.ui.updateLoadingStep('failed', 'Failed to fetch', 'error', ` - ${count} bugs (and their dependencies) missing`);
+      console.warn(`${count} bugs failed to fetch after retries:`, this.failedBugs.map(b => b.id));
+    } else {
+      this.ui.removeLoadingStep('failed');
+    }
+  }
+
+  /**
+   * IDs of fetched bugs that depend on the given bug
+   */
+  findReferencingBugs(bugId) {
+    return Array.from(this.bugs.values())
+      .filter(bug => (bug.dependsOn || []).some(depId => String(depId) === String(bugId)))
+      .map(bug => bug.id);
+  }
+
+  /**
+   * Read the stored Bugzilla API key
+   */
+  loadApiKey() {
+    try {
+      return localStorage.getItem(API_KEY_STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the stored pins; unreadable ones are dropped
+   * @returns {Map<string, Object>}
+   */
+  loadOverrides() {
+    try {
+      const stored = localStorage.getItem(OVERRIDES_STORAGE_KEY);
+      return parseOverrides(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      console.warn('Ignoring stored pins:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Change the pins, persist them and reschedule with them
+   * @param {Function} change - Updates this.overrides
+   */
+  updatePins(change) {
+    change();
+    try {
+      if (this.overrides.size > 0) {
+        localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(serializeOverrides(this.overrides)));
+      } else {
+        localStorage.removeItem(OVERRIDES_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not persist pins:', error);
+    }
+
+    console.log(`${this.overrides.size} pinned bugs`);
+    this.ui.setPinCount(this.overrides.size);
+    this.sortedBugs = applyOverrides(this.sortedBugs, this.overrides);
+    this.rescheduleWithFilter();
+  }
+
+  /**
+   * Export the pins, e.g. for `entplanner schedule --overrides <file>`
+   */
+  onExportPins() {
+    const overrides = serializeOverrides(this.overrides);
+    const stamp = overrides.exportedAt.replace(/[:.]/g, '-');
+    this.ui.downloadJson(`entplanner-pins-${stamp}.json`, overrides);
+  }
+
+  /**
+   * Read the stored scenarios; unreadable ones are dropped
+   * @returns {Array<Object>}
+   */
+  loadScenarios() {
+    try {
+      const stored = localStorage.getItem(SCENARIOS_STORAGE_KEY);
+      return parseScenarios(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      console.warn('Ignoring stored scenarios:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist the scenarios and redraw the editor
+   */
+  saveScenarios() {
+    try {
+      localStorage.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify(this.scenarios));
+    } catch (error) {
+      console.warn('Could not persist scenarios:', error);
+    }
+    this.renderScenarios();
+  }
+
+  /**
+   * Inputs every scenario starts from: the current data and filters
+   */
+  getScenarioBase() {
+    return {
+      teams: this.teams || [],
+      milestoneEntries: this.milestoneEntries || [],
+      bugs: this.bugs,
+      severityFilter: this.severityFilter,
+      overrides: this.overrides
+    };
+  }
+
+  /**
+   * Draw the scenario tabs and the active scenario's editor
+   */
+  renderScenarios() {
+    const base = this.getScenarioBase();
+    const active = this.scenarios[this.activeScenarioIndex];
+    let inputs = { engineers: this.engineers, milestoneEntries: base.milestoneEntries };
+    if (active) {
+      try {
+        inputs = applyScenario(base, active);
+      } catch (error) {
+        this.ui.setScenarioStatus(error.message);
+      }
+    }
+
+    this.ui.renderScenarioEditor({
+      scenarios: this.scenarios.map(s => ({ name: s.name, edits: s.edits.map(edit => describeScenarioEdit(edit, base)) })),
+      activeIndex: this.activeScenarioIndex,
+      engineers: inputs.engineers,
+      components: [...new Set(base.teams.flatMap(t => t.components))],
+      milestones: inputs.milestoneEntries
+    });
+  }
+
+  /**
+   * Start a scenario from the current data
+   */
+  onCreateScenario(name) {
+    try {
+      const scenario = createScenario(name || `Scenario ${this.scenarios.length + 1}`);
+      this.scenarios.push(scenario);
+      this.activeScenarioIndex = this.scenarios.length - 1;
+      this.ui.setScenarioStatus('');
+      this.saveScenarios();
+    } catch (error) {
+      this.ui.setScenarioStatus(error.message);
+    }
+  }
+
+  /**
+   * Handle a button in the scenario editor
+   * @param {string} action - select, delete, remove-edit, or an edit action
+   * @param {number} index - Scenario or edit index for select, delete and remove-edit
+   * @param {Object|null} edit - Raw edit read from the form, for edit actions
+   */
+  onScenarioAction(action, index, edit) {
+    const active = this.scenarios[this.activeScenarioIndex];
+    this.ui.setScenarioStatus('');
+
+    if (action === 'select') {
+      this.activeScenarioIndex = index;
+    } else if (action === 'delete') {
+      this.scenarios.splice(index, 1);
+      this.activeScenarioIndex = Math.min(this.activeScenarioIndex, this.scenarios.length - 1);
+    } else if (action === 'remove-edit' && active) {
+      active.edits.splice(index, 1);
+    } else if (edit && active) {
+      try {
+        const parsed = parseScenarioEdit(edit);
+        // Check it applies (e.g. the engineer still exists) before keeping it
+        applyScenario(this.getScenarioBase(), { edits: [...active.edits, parsed] });
+        active.edits.push(parsed);
+      } catch (error) {
+        this.ui.setScenarioStatus(error.message);
+        return;
+      }
+    }
+
+    this.saveScenarios();
+  }
+
+  /**
+   * Schedule the current plan and every scenario, greedy then optimized, and compare them
+   */
+  async onCompareScenarios() {
+    if (this.bugs.size === 0) return;
+
+    const base = this.getScenarioBase();
+    const scenarios = [createScenario('Current plan'), ...this.scenarios];
+    // One seed for every scenario so differences come from the edits
+    const seed = this.replaySeed !== null ? this.replaySeed : randomSeed();
+    try {
+      const results = [];
+      for (const scenario of scenarios) {
+        this.ui.setScenarioStatus(`Scheduling ${scenario.name} (${results.length + 1}/${scenarios.length})...`, true);
+        const planned = planScenario(base, scenario);
+        results.push(await optimizeScenario(
+          planned,
+          startData => this.runScenarioOptimizer({ ...startData, seed }),
+          { generations: GA_GENERATIONS, populationSize: GA_POPULATION_SIZE }
+        ));
+      }
+      this.ui.renderScenarioComparison(compareScenarios(results));
+      this.ui.setScenarioStatus(`Compared ${scenarios.length - 1} scenarios with the current plan (seed ${seed})`);
+    } catch (error) {
+      console.error('Error comparing scenarios:', error);
+      this.ui.setScenarioStatus(`Could not compare scenarios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run one GA worker for a scenario
+   * @param {Object} startData - From buildOptimizerStartData()
+   * @returns {Promise<Object|null>} The 'complete' message, null if it found nothing better
+   */
+  runScenarioOptimizer(startData) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('./js/ga-scheduler-worker.js', { type: 'module' });
+      worker.onmessage = (e) => {
+        if (e.data.type !== 'complete') return;
+        worker.terminate();
+        resolve(e.data.improved ? e.data : null);
+      };
+      worker.onerror = (error) => {
+        worker.terminate();
+        reject(new Error(error.message || 'GA worker failed'));
+      };
+      worker.postMessage({ type: 'start', data: startData });
+    });
+  }
+
+  /**
+   * The displayed schedule (optimized when shown and available) as a plan
+   * @param {string} [label]
+   * @returns {Object|null} From buildPlanRecord(), null before anything is scheduled
+   */
+  buildCurrentPlan(label = null) {
+    const schedule = this.getDisplayedSchedule();
+    if (!schedule) return null;
+    return this.buildPlan(schedule, schedule === this.greedySchedule ? 'greedy' : 'optimal', label);
+  }
+
+  /**
+   * The full schedule on display: optimized when shown and available, else greedy
+   * @returns {Array<Object>|null}
+   */
+  getDisplayedSchedule() {
+    const optimized = this.currentScheduleType !== 'greedy' && this.optimalSchedule;
+    return optimized ? this.optimalSchedule : this.greedySchedule;
+  }
+
+  /**
+   * A schedule as a plan, labelled with its type and data source by default
+   * @param {Array<Object>} schedule
+   * @param {string} scheduleType - 'greedy' or 'optimal'
+   * @param {string} [label]
+   * @returns {Object} From buildPlanRecord()
+   */
+  buildPlan(schedule, scheduleType, label = null) {
+    const source = this.snapshotSource ? `snapshot ${this.snapshotSource}` : 'live data';
+    const type = scheduleType === 'greedy' ? 'Greedy' : 'Optimized';
+    return buildPlanRecord({
+      schedule,
+      milestones: this.milestones,
+      graph: this.graph,
+      label: label || `${type} plan from ${source}, ${new Date().toLocaleString()}`,
+      scheduleType
+    });
+  }
+
+  /**
+   * Read the plan stored by the last session
+   * @returns {Object|null}
+   */
+  loadStoredPlan() {
+    try {
+      const stored = localStorage.getItem(LAST_PLAN_STORAGE_KEY);
+      return stored ? parsePlanRecord(JSON.parse(stored)) : null;
+    } catch (error) {
+      console.warn('Ignoring stored plan:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the displayed plan for the next session's "Since Last Load"
+   */
+  storeLastPlan() {
+    const plan = this.buildCurrentPlan();
+    if (!plan) return;
+    try {
+      localStorage.setItem(LAST_PLAN_STORAGE_KEY, JSON.stringify(plan));
+    } catch (error) {
+      console.warn('Could not persist plan:', error);
+    }
+  }
+
+  /**
+   * Diff a plan against the displayed one and show it
+   */
+  showScheduleDiff(before, after = this.buildCurrentPlan()) {
+    if (!after) {
+      this.ui.setDiffStatus('Nothing is scheduled yet');
+      return;
+    }
+    const diff = diffPlans(before, after);
+    const shifted = diff.milestones.filter(m => m.deltaDays).length;
+    this.ui.setDiffStatus(`${diff.tasks.length} tasks changed, ${shifted} milestones moved`);
+    this.ui.renderScheduleDiff(diff, { before: before.label || 'Saved plan', after: after.label });
+  }
+
+  /**
+   * Diff against the plan shown before the last refresh or reload
+   */
+  onDiffPrevious() {
+    if (!this.previousPlan) {
+      this.ui.setDiffStatus('No earlier plan yet: it is kept from the next refresh or reload');
+      return;
+    }
+    this.showScheduleDiff(this.previousPlan);
+  }
+
+  /**
+   * Diff the greedy schedule against the optimized one
+   */
+  onDiffOptimized() {
+    if (!this.greedySchedule || !this.optimalSchedule) {
+      this.ui.setDiffStatus('No optimized schedule that beats the greedy one yet');
+      return;
+    }
+    this.showScheduleDiff(
+      this.buildPlan(this.greedySchedule, 'greedy', 'Greedy'),
+      this.buildPlan(this.optimalSchedule, 'optimal', 'Optimized')
+    );
+  }
+
+  /**
+   * Plan file picked in the UI: diff it against the displayed plan
+   */
+  async onLoadPlanFile(file) {
+    try {
+      const plan = parsePlanRecord(JSON.parse(await file.text()));
+      this.showScheduleDiff({ ...plan, label: plan.label || file.name });
+    } catch (error) {
+      console.error('Error loading plan:', error);
+      this.ui.setDiffStatus(`Could not load plan ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download the displayed plan, to diff against later
+   */
+  onSavePlan() {
+    const plan = this.buildCurrentPlan();
+    if (!plan) return;
+    const stamp = plan.savedAt.replace(/[:.]/g, '-');
+    this.ui.downloadJson(`entplanner-plan-${stamp}.json`, plan);
+  }
+
+  /**
+   * Read the stored baselines; unreadable ones are dropped
+   */
+  loadBaselines() {
+    try {
+      const stored = localStorage.getItem(BASELINES_STORAGE_KEY);
+      const { active, baselines } = parseBaselines(stored ? JSON.parse(stored) : null);
+      this.baselines = baselines;
+      this.activeBaseline = active;
+    } catch (error) {
+      console.warn('Ignoring stored baselines:', error);
+    }
+  }
+
+  /**
+   * Persist the baselines and redraw everything compared against the active one
+   */
+  saveBaselines() {
+    try {
+      const data = serializeBaselines({ active: this.activeBaseline, baselines: this.baselines });
+      localStorage.setItem(BASELINES_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+      console.warn('Could not persist baselines:', error);
+    }
+    this.applyBaseline();
+  }
+
+  /**
+   * The active baseline's plan
+   * @returns {Object|null}
    */
-  async init() {
-    console.log('Initializing Enterprise Project Planner...');
-
-    // Display version info (fetch Last-Modified from main.js)
-    this.displayVersionInfo();
+  getActiveBaselinePlan() {
+    const baseline = this.baselines.find(b => b.name === this.activeBaseline);
+    return baseline ? baseline.plan : null;
+  }
 
-    // Load static data (milestones, engineers) before initializing UI
-    await this.loadStaticData();
+  /**
+   * Slip of each risk's task against the active baseline
+   * @returns {Map<string, number|null>|null} Null without a baseline
+   */
+  getBaselineSlips(risks) {
+    const plan = this.getActiveBaselinePlan();
+    return plan && risks ? computeSlips(plan, risks.map(risk => risk.task)) : null;
+  }
 
-    // Set milestones on Gantt renderer and initialize UI
-    this.gantt.milestones = this.milestones;
-    this.ui.init(this.milestones);
-    this.ui.showLoading();
+  /**
+   * Redraw the baseline bars and the slip column for the active baseline
+   */
+  applyBaseline() {
+    this.gantt.setBaseline(this.getActiveBaselinePlan());
+    this.ui.renderBaselineSelect(this.baselines, this.activeBaseline);
+    if (!this.greedySchedule) return;
 
-    // Set up API callbacks
-    this.api.setProgressCallback((progress) => this.onProgress(progress));
-    this.api.setBugDiscoveredCallback((bug) => this.onBugDiscovered(bug));
+    const schedule = this.filterScheduleByMilestone(this.getDisplayedSchedule());
+    this.gantt.render(schedule, this.graph, this.engineers);
+    const risks = this.filterRisksByMilestone(this.fullScheduleRisks);
+    this.ui.renderRisksTable(risks, this.getBaselineSlips(risks));
+  }
 
-    // Set up UI event listeners
-    this.ui.setupEventListeners({
-      onViewModeChange: (mode) => this.onViewModeChange(mode),
-      onMilestoneFilter: (bugId) => this.onMilestoneFilter(bugId),
-      onSeverityFilter: (severity) => this.onSeverityFilter(severity),
-      onRefresh: () => this.refresh(),
-      onScheduleTypeChange: (type) => this.onScheduleTypeChange(type)
-    });
+  /**
+   * Save the displayed plan as a baseline (replacing one with the same name) and compare against it
+   */
+  onSaveBaseline(name) {
+    const plan = this.buildCurrentPlan();
+    if (!plan) {
+      this.ui.setBaselineStatus('Nothing is scheduled yet');
+      return;
+    }
+    try {
+      const baseline = createBaseline(name || `Baseline ${plan.savedAt.slice(0, 10)}`, plan);
+      this.baselines = upsertBaseline(this.baselines, baseline);
+      this.activeBaseline = baseline.name;
+      this.ui.setBaselineStatus(`Saved baseline "${baseline.name}"`);
+      this.saveBaselines();
+    } catch (error) {
+      this.ui.setBaselineStatus(error.message);
+    }
+  }
 
-    // Sync state from browser-restored select values
-    this.severityFilter = this.ui.getSeverityFilter();
-    this.milestoneFilter = this.ui.getMilestoneFilter();
+  /**
+   * Compare against another baseline, or none
+   */
+  onSelectBaseline(name) {
+    this.activeBaseline = name;
+    this.ui.setBaselineStatus('');
+    this.saveBaselines();
+  }
 
-    // Fetch and process bugs
-    await this.fetchAndProcess();
+  /**
+   * Download the active baseline
+   */
+  onExportBaseline() {
+    const baseline = this.baselines.find(b => b.name === this.activeBaseline);
+    if (!baseline) {
+      this.ui.setBaselineStatus('Select a baseline to export');
+      return;
+    }
+    const slug = baseline.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    this.ui.downloadJson(`entplanner-baseline-${slug}.json`, baseline);
   }
 
   /**
-   * Load static JSON data files
+   * Baseline file picked in the UI: an exported baseline or a saved plan
+   * becomes the active baseline; a forecast history is merged into the trend
    */
-  async loadStaticData() {
+  async onImportBaseline(file) {
     try {
-      // Load engineers and milestones in parallel
-      const [engineersRes, milestonesRes] = await Promise.all([
-        fetch('./data/engineers.json'),
-        fetch('./data/milestones.json')
-      ]);
-      const engineersData = await engineersRes.json();
-      this.teams = engineersData.teams || [];
-      this.engineers = this.teams.flatMap(t => t.engineers);
-      this.componentTeamMap = new Map();
-      for (const team of this.teams) {
-        for (const comp of team.components) {
-          this.componentTeamMap.set(comp, team);
-        }
+      const data = JSON.parse(await file.text());
+      if (Array.isArray(data)) {
+        const imported = parseForecastHistory(data);
+        this.saveForecastHistory(mergeForecastHistory(this.forecastHistory, imported));
+        this.ui.setBaselineStatus(`Merged ${imported.length} forecasts from ${file.name}`);
+        return;
       }
-      console.log(`Loaded ${this.engineers.length} engineers in ${this.teams.length} teams`);
-
-      const milestonesData = await milestonesRes.json();
-      this.milestones = (milestonesData.milestones || []).map(m => ({
-        name: m.name,
-        bugId: m.bugId,
-        deadline: new Date(m.deadline),
-        freezeDate: addWorkingDays(new Date(m.deadline), -(m.freezeDays || 0))
-      }));
-      console.log(`Loaded ${this.milestones.length} milestones`);
+      const baseline = parseBaselineFile(data, file.name.replace(/\.json$/i, ''));
+      this.baselines = upsertBaseline(this.baselines, baseline);
+      this.activeBaseline = baseline.name;
+      this.ui.setBaselineStatus(`Imported baseline "${baseline.name}"`);
+      this.saveBaselines();
+    } catch (error) {
+      console.error('Error importing baseline:', error);
+      this.ui.setBaselineStatus(`Could not import ${file.name}: ${error.message}`);
+    }
+  }
 
-      // Derive milestone name map from loaded data
-      this.milestoneNameMap = { '---': null };
-      for (const m of milestonesData.milestones || []) {
-        if (m.bugzillaName) {
-          this.milestoneNameMap[m.bugzillaName.toLowerCase()] = m.name;
-        }
-      }
+  /**
+   * Delete the active baseline
+   */
+  onDeleteBaseline() {
+    if (!this.activeBaseline) return;
+    const name = this.activeBaseline;
+    this.baselines = this.baselines.filter(b => b.name !== name);
+    this.activeBaseline = null;
+    this.ui.setBaselineStatus(`Deleted baseline "${name}"`);
+    this.saveBaselines();
+  }
 
+  /**
+   * Read the stored forecast history
+   * @returns {Array<Object>}
+   */
+  loadForecastHistory() {
+    try {
+      const stored = localStorage.getItem(FORECAST_HISTORY_STORAGE_KEY);
+      return parseForecastHistory(stored ? JSON.parse(stored) : null);
     } catch (error) {
-      console.error('Error loading static data:', error);
-      this.ui.showError(`Failed to load configuration: ${error.message}`);
+      console.warn('Ignoring stored forecast history:', error);
+      return [];
     }
   }
 
   /**
-   * Fetch bugs from Bugzilla and process them
+   * Persist the forecast history and redraw the trend chart
    */
-  async fetchAndProcess() {
+  saveForecastHistory(history) {
+    this.forecastHistory = history;
     try {
-      // Get milestone bug IDs
-      const milestoneBugIds = this.milestones.map(m => m.bugId);
-
-      // Update UI for each milestone as we process
-      for (const milestone of this.milestones) {
-        this.ui.updateMilestoneStatus(milestone.bugId, 'pending', 0);
-      }
-      this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'pending');
-
-      // Fetch all dependencies
-      console.log('Fetching bugs from Bugzilla...');
-      this.bugs = await this.api.fetchAllDependencies(milestoneBugIds);
-      console.log(`Fetched ${this.bugs.size} bugs total`);
+      localStorage.setItem(FORECAST_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+      console.warn('Could not persist forecast history:', error);
+    }
+    this.ui.renderForecastTrend(buildForecastSeries(history));
+  }
 
-      // Build dependency graph
-      console.log('Building dependency graph...');
-      this.graph = new DependencyGraph();
-      this.graph.buildFromBugs(this.bugs);
+  /**
+   * Record today's milestone forecasts from live data; the optimized schedule,
+   * once shown, replaces the greedy one. Snapshots are not recorded: they are
+   * planned from today, so they say nothing about the day they were captured.
+   */
+  recordCurrentForecast(schedule, scheduleType) {
+    if (this.snapshotSource || !schedule) return;
+    const plan = this.buildPlan(schedule, scheduleType, scheduleType === 'greedy' ? 'Greedy' : 'Optimized');
+    this.saveForecastHistory(recordForecast(this.forecastHistory, plan, new Date()));
+  }
 
-      // Fetch milestoned bugs not in any dependency tree (non-fatal)
-      try {
-        const milestonedBugs = await this.api.fetchMilestonedBugs('Firefox Enterprise');
-        this.disconnectedBugs = this.findDisconnectedBugs(milestonedBugs);
-        const count = this.disconnectedBugs.length;
-        this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'complete',
-          count > 0 ? ` - ${count} found` : '');
-        console.log(`Found ${count} disconnected milestoned bugs`);
-      } catch (error) {
-        console.warn('Failed to fetch milestoned bugs (non-fatal):', error.message);
-        this.disconnectedBugs = [];
-        this.ui.updateLoadingStep('disconnected', 'Unconnected bugs', 'complete');
+  /**
+   * API key changed in the UI: persist it and re-fetch everything,
+   * since the set of visible bugs depends on the key
+   */
+  async onApiKeyChange(apiKey) {
+    const key = apiKey ? apiKey.trim() : '';
+    try {
+      if (key) {
+        localStorage.setItem(API_KEY_STORAGE_KEY, key);
+      } else {
+        localStorage.removeItem(API_KEY_STORAGE_KEY);
       }
+    } catch (error) {
+      console.warn('Could not persist API key:', error);
+    }
 
-      // Detect errors
-      const errors = this.detectErrors();
+    this.api.setApiKey(key || null);
+    this.ui.setApiKeyState(this.api.hasApiKey());
+    await this.refresh({ full: true });
+  }
 
-      // Topological sort
-      const { sorted, valid, cycles } = this.graph.topologicalSort();
+  /**
+   * A cached tree is only reused if it was fetched for the same milestones
+   * from the same Bugzilla instance
+   */
+  isCacheUsable(cached) {
+    if (cached.bugzillaUrl && cached.bugzillaUrl !== this.project.bugzillaUrl) return false;
+    const cachedRoots = new Set((cached.rootBugIds || []).map(String));
+    const roots = this.milestones.map(m => String(m.bugId));
+    return roots.length === cachedRoots.size && roots.every(id => cachedRoots.has(id));
+  }
 
-      if (!valid) {
-        console.error('Graph has cycles:', cycles);
-        this.ui.showError('Dependency graph contains cycles. See errors section.');
-      }
+  /**
+   * Start loading a new bug set (live, cached or snapshot)
+   * @returns {number} Generation to check with isCurrentLoad() after each await
+   */
+  beginDataLoad() {
+    this.loadGeneration++;
+    return this.loadGeneration;
+  }
 
-      // Get sorted bugs and store for filtering later
-      this.sortedBugs = sorted.map(id => this.bugs.get(id)).filter(Boolean);
-
-      // Apply filters (severity affects scheduling, milestone is view-only)
-      let filteredBugs = this.filterResolvedBugs(this.sortedBugs);
-      filteredBugs = this.filterBugsBySeverity(filteredBugs);
-      this.lastFilteredBugs = filteredBugs;
-      console.log(`Sorted ${this.sortedBugs.length} bugs, ${filteredBugs.length} after filters (excluding resolved)`);
-
-      // Schedule tasks for all milestones
-      console.log('Scheduling tasks...');
-      this.scheduler = new Scheduler(this.engineers, this.milestones, this.componentTeamMap);
-      const schedule = this.scheduler.scheduleTasks(filteredBugs, this.graph);
-      console.log(`Scheduled ${schedule.length} tasks`);
-
-      // Store full schedule and risks
-      this.greedySchedule = schedule;
-      this.greedyScore = this.computeScheduleScore(schedule, this.milestones);
-      const unknownAssignees = this.collectUnknownAssignees();
-      this.fullScheduleErrors = { ...errors, unknownAssignees };
-      this.fullScheduleRisks = this.scheduler.checkDeadlineRisks(this.milestones);
-
-      // Render UI with milestone filter applied to view
-      this.ui.showLoaded();
-      this.rerenderWithMilestoneFilter();
+  /**
+   * Whether no other data load started since this one
+   */
+  isCurrentLoad(generation) {
+    return generation === this.loadGeneration;
+  }
 
-      // Start optimal scheduler in background (for all milestones)
-      this.startOptimalScheduler(filteredBugs, this.milestones);
+  /**
+   * Incrementally reconcile the current bug set with Bugzilla
+   * @param {number} generation - From beginDataLoad(); results are dropped once a newer load started
+   * @returns {Promise<boolean>} Whether anything in the tree changed; false when dropped
+   */
+  async syncWithBugzilla(generation) {
+    const syncStart = new Date().toISOString();
+    const since = new Date(Date.parse(this.lastSync) - SYNC_CLOCK_SKEW_MS).toISOString();
+    const milestoneBugIds = this.milestones.map(m => m.bugId);
+
+    const previous = this.bugs;
+    const { bugs, changed } = await this.api.refreshAllDependencies(milestoneBugIds, previous, since);
+    if (!this.isCurrentLoad(generation)) return false;
+    const treeChanged = changed.length > 0 ||
+      bugs.size !== previous.size ||
+      Array.from(bugs.keys()).some(id => !previous.has(id));
+    console.log(`Sync complete: ${changed.length} changed, ${bugs.size} bugs in tree (was ${previous.size})`);
+
+    this.bugs = bugs;
+    const lookedUp = await this.loadAssignedDates();
+    if (!this.isCurrentLoad(generation)) return false;
+    this.updateHiddenBugs();
+    this.updateFailedBugs();
+    await this.loadDisconnectedBugs(generation);
+    if (!this.isCurrentLoad(generation)) return false;
+    this.markSynced(syncStart);
+    return treeChanged || lookedUp > 0;
+  }
 
+  /**
+   * Reconcile cached data after the cached schedule is already on screen
+   * @param {number} generation - From beginDataLoad() for the cached start
+   */
+  async syncInBackground(generation) {
+    try {
+      const treeChanged = await this.syncWithBugzilla(generation);
+      if (!this.isCurrentLoad(generation)) return;
+      if (treeChanged || this.disconnectedBugs.length > 0) {
+        this.processBugs();
+      }
     } catch (error) {
-      console.error('Error during fetch and process:', error);
-      this.ui.showError(`Failed to fetch data: ${error.message}`);
+      if (!this.isCurrentLoad(generation)) return;
+      console.warn('Background sync failed, showing cached data:', error);
+      this.ui.updateDataStatus('error', `Sync failed, showing cached data from ${this.formatSyncTime(this.lastSync)}`);
     }
   }
 
+  /**
+   * Record a successful sync and persist the bug set
+   */
+  markSynced(syncTime) {
+    this.lastSync = syncTime;
+    this.cache.save(this.bugs, {
+      lastSync: syncTime,
+      rootBugIds: this.milestones.map(m => m.bugId),
+      bugzillaUrl: this.project.bugzillaUrl
+    });
+    this.ui.updateDataStatus('synced', `Synced ${this.formatSyncTime(syncTime)}`);
+  }
+
+  /**
+   * Format a sync timestamp for status display
+   */
+  formatSyncTime(isoString) {
+    return new Date(isoString).toLocaleString();
+  }
+
   /**
    * Detect errors and inconsistencies
    */
   detectErrors() {
-    const cycles = this.graph.detectCycles();
-    const orphaned = this.graph.findOrphanedDependencies();
-    const duplicates = this.graph.findDuplicateSummaries();
-    const missingAssignees = this.graph.findMissingAssignees();
-    const missingSizes = this.graph.findMissingSizes();
-    const milestoneMismatches = [
-      ...this.findMilestoneMismatches(),
-      ...(this.disconnectedBugs || [])
-    ];
-
-    // Only include untriaged bugs if that filter is enabled
-    const untriaged = this.severityFilter === 'S2+untriaged'
-      ? this.graph.findUntriagedBugs()
-      : [];
-
-    return {
-      cycles,
-      orphaned,
-      duplicates,
-      missingAssignees,
-      missingSizes,
-      milestoneMismatches,
-      untriaged
-    };
+    return detectErrors(this.graph, {
+      bugs: this.bugs,
+      milestones: this.milestones,
+      milestoneNameMap: this.milestoneNameMap,
+      engineers: this.engineers,
+      componentTeamMap: this.componentTeamMap,
+      severityFilter: this.severityFilter,
+      disconnectedBugs: this.disconnectedBugs || [],
+      hiddenBugs: this.hiddenBugs || [],
+      failedBugs: this.failedBugs || []
+    });
   }
 
   /**
@@ -263,55 +1373,7 @@ class EnterprisePlanner {
    * the milestone determined by dependency relationships
    */
   findMilestoneMismatches() {
-    const mismatches = [];
-
-    // Build a map of bug ID -> dependency milestone (same logic as scheduler)
-    const bugToDependencyMilestone = new Map();
-    const sortedMilestones = [...this.milestones].sort((a, b) =>
-      a.deadline.getTime() - b.deadline.getTime()
-    );
-
-    for (const [bugId, bug] of this.bugs) {
-      for (const milestone of sortedMilestones) {
-        const milestoneId = String(milestone.bugId);
-        if (bugId === milestoneId || this.isDependencyOf(bugId, milestoneId)) {
-          bugToDependencyMilestone.set(bugId, milestone);
-          break;
-        }
-      }
-    }
-
-    // Check each bug for mismatches
-    for (const [bugId, bug] of this.bugs) {
-      if (!bug.targetMilestone || bug.targetMilestone === '---') continue;
-
-      const normalizedTarget = bug.targetMilestone.toLowerCase().trim();
-      const mappedMilestone = this.milestoneNameMap[normalizedTarget];
-
-      // Skip if we don't recognize the milestone value
-      if (mappedMilestone === undefined) continue;
-
-      const depMilestone = bugToDependencyMilestone.get(bugId);
-
-      // Mismatch if: has a target milestone set, but connected to a different one
-      if (mappedMilestone && depMilestone && depMilestone.name !== mappedMilestone) {
-        mismatches.push({
-          bug,
-          targetMilestone: mappedMilestone,
-          dependencyMilestone: depMilestone.name
-        });
-      }
-      // Also flag if: has a target milestone set, but not connected to any milestone
-      else if (mappedMilestone && !depMilestone) {
-        mismatches.push({
-          bug,
-          targetMilestone: mappedMilestone,
-          dependencyMilestone: null
-        });
-      }
-    }
-
-    return mismatches;
+    return findMilestoneMismatches(this.bugs, this.milestones, this.milestoneNameMap);
   }
 
   /**
@@ -321,62 +1383,30 @@ class EnterprisePlanner {
    * @param {Array<Object>} milestonedBugs - bugs from fetchMilestonedBugs()
    */
   findDisconnectedBugs(milestonedBugs) {
-    const disconnected = [];
-    for (const bug of milestonedBugs) {
-      // Skip if already in a dependency tree
-      if (this.bugs.has(String(bug.id))) continue;
-
-      if (!bug.targetMilestone || bug.targetMilestone === '---') continue;
-      const normalizedTarget = bug.targetMilestone.toLowerCase().trim();
-      const mappedMilestone = this.milestoneNameMap[normalizedTarget];
-
-      // Skip unrecognized milestone values
-      if (mappedMilestone === undefined || mappedMilestone === null) continue;
-
-      disconnected.push({
-        bug,
-        targetMilestone: mappedMilestone,
-        dependencyMilestone: null
-      });
-    }
-    return disconnected;
+    return findDisconnectedBugs(milestonedBugs, this.bugs, this.milestoneNameMap);
   }
 
   /**
    * Check if bugId is a (transitive) dependency of targetId
    */
   isDependencyOf(bugId, targetId) {
-    const visited = new Set();
-    const queue = [targetId];
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-      if (visited.has(current)) continue;
-      visited.add(current);
-
-      const bug = this.bugs.get(current);
-      if (!bug) continue;
-
-      for (const depId of bug.dependsOn || []) {
-        if (String(depId) === String(bugId)) return true;
-        if (!visited.has(String(depId))) {
-          queue.push(String(depId));
-        }
-      }
-    }
-    return false;
+    return isDependencyOf(this.bugs, bugId, targetId);
   }
 
   /**
    * Render all results
+   * @param {Array} fullSchedule - Unfiltered schedule, simulated for milestone confidence
    */
-  renderResults(schedule, errors, risks, activeMilestones = this.milestones) {
-    // Render Gantt chart
+  renderResults(schedule, errors, risks, activeMilestones = this.milestones, fullSchedule = schedule) {
+    // Render Gantt chart and every engineer's full workload
     this.gantt.render(schedule, this.graph, this.engineers);
+    this.renderResourceView(fullSchedule);
 
     // Render milestone cards with estimated completions (only active milestones)
     const milestoneCompletions = this.calculateMilestoneCompletions(schedule);
-    this.ui.renderMilestoneCards(activeMilestones, milestoneCompletions);
+    const milestoneConfidence = this.calculateMilestoneConfidence(fullSchedule);
+    this.ui.renderMilestoneCards(activeMilestones, milestoneCompletions, milestoneConfidence);
+    this.renderBurnCharts(fullSchedule, activeMilestones);
 
     // Render statistics - compute from all bugs, not just filtered
     const stats = this.computeStats();
@@ -387,9 +1417,10 @@ class EnterprisePlanner {
       .filter(t => t.effort && t.effort.sizeEstimated)
       .map(t => t.bug);
     this.ui.renderEstimatedTable(estimatedBugs);
-    this.ui.renderRisksTable(risks);
+    this.ui.renderRisksTable(risks, this.getBaselineSlips(risks));
     this.ui.renderMilestoneMismatchesTable(errors.milestoneMismatches);
     this.ui.renderUntriagedTable(errors.untriaged);
+    this.ui.renderHiddenBugsTable(errors.hiddenBugs, this.api.hasApiKey());
 
     // Render errors markdown
     this.ui.renderErrorsMarkdown(errors);
@@ -405,64 +1436,28 @@ class EnterprisePlanner {
    * A milestone is complete when all its dependencies are complete
    */
   calculateMilestoneCompletions(schedule) {
-    const completions = new Map();
-
-    for (const milestone of this.milestones) {
-      const bugId = String(milestone.bugId);
-
-      // Find the milestone task in the schedule
-      const milestoneTask = schedule.find(t => String(t.bug.id) === bugId);
-
-      if (milestoneTask) {
-        if (milestoneTask.completed) {
-          // Already completed
-          completions.set(bugId, new Date());
-        } else if (milestoneTask.endDate) {
-          completions.set(bugId, milestoneTask.endDate);
-        }
-      }
-
-      // Also check all dependencies - milestone completes when last dependency completes
-      const deps = this.getAllDependencies(bugId);
-      let latestEnd = completions.get(bugId) || null;
-
-      for (const depId of deps) {
-        const depTask = schedule.find(t => String(t.bug.id) === depId);
-        if (depTask && depTask.endDate && (!latestEnd || depTask.endDate > latestEnd)) {
-          latestEnd = depTask.endDate;
-        }
-      }
+    return calculateMilestoneCompletions(schedule, this.milestones, this.graph);
+  }
 
-      if (latestEnd) {
-        completions.set(bugId, latestEnd);
-      }
+  /**
+   * Simulate P50/P80/P95 completion and on-time probability for each milestone
+   * by replaying the schedule's assignment with sampled task durations.
+   * Simulated once per schedule, so view-only re-renders (milestone filter,
+   * schedule type) reuse it; the last one is kept for the optimizer's re-renders.
+   */
+  calculateMilestoneConfidence(schedule) {
+    if (!this.confidenceBySchedule.has(schedule)) {
+      this.confidenceBySchedule.set(schedule, simulateMilestoneConfidence(schedule, this.milestones, this.graph));
     }
-
-    return completions;
+    this.milestoneConfidence = this.confidenceBySchedule.get(schedule);
+    return this.milestoneConfidence;
   }
 
   /**
    * Get all dependencies (transitive) for a bug
    */
   getAllDependencies(bugId) {
-    const visited = new Set();
-    const queue = [bugId];
-
-    while (queue.length > 0) {
-      const id = queue.shift();
-      if (visited.has(id)) continue;
-      visited.add(id);
-
-      const deps = this.graph.getDependencies(id);
-      for (const depId of deps) {
-        if (!visited.has(depId)) {
-          queue.push(depId);
-        }
-      }
-    }
-
-    visited.delete(bugId); // Don't include the bug itself
-    return visited;
+    return getAllDependencies(this.graph, bugId);
   }
 
   /**
@@ -568,38 +1563,14 @@ class EnterprisePlanner {
    * Filter out resolved/fixed bugs
    */
   filterResolvedBugs(bugs) {
-    const resolvedStatuses = ['RESOLVED', 'VERIFIED', 'CLOSED'];
-    return bugs.filter(bug => {
-      // Always include milestone bugs (they represent the milestone itself)
-      if (this.milestones.some(m => String(m.bugId) === String(bug.id))) return true;
-      // Exclude resolved bugs
-      return !resolvedStatuses.includes(bug.status);
-    });
+    return filterResolvedBugs(bugs, this.milestones);
   }
 
   /**
    * Filter bugs by severity
    */
   filterBugsBySeverity(bugs) {
-    if (!this.severityFilter) return bugs;
-
-    // Special case: S1+S2+untriaged
-    if (this.severityFilter === 'S2+untriaged') {
-      return bugs.filter(bug => {
-        if (this.milestones.some(m => String(m.bugId) === String(bug.id))) return true;
-        const sev = bug.severity || 'N/A';
-        return sev === 'S1' || sev === 'S2' || sev === 'N/A' || sev === '--';
-      });
-    }
-
-    const severityOrder = ['S1', 'S2', 'S3', 'S4'];
-    const maxIdx = severityOrder.indexOf(this.severityFilter);
-    if (maxIdx === -1) return bugs;
-    const included = severityOrder.slice(0, maxIdx + 1);
-    return bugs.filter(bug => {
-      if (this.milestones.some(m => String(m.bugId) === String(bug.id))) return true;
-      return included.includes(bug.severity || 'N/A');
-    });
+    return filterBugsBySeverity(bugs, this.severityFilter, this.milestones);
   }
 
   /**
@@ -625,7 +1596,6 @@ class EnterprisePlanner {
    * Total and Completed include resolved bugs, Open is what's being scheduled
    */
   computeStats() {
-    const resolvedStatuses = ['RESOLVED', 'VERIFIED', 'CLOSED'];
 
     // Get all bugs with component, severity, and milestone filters (but NOT resolved filter)
     let allBugs = this.filterBugsBySeverity(this.sortedBugs);
@@ -636,8 +1606,8 @@ class EnterprisePlanner {
     allBugs = allBugs.filter(bug => !milestoneBugIds.has(String(bug.id)));
 
     // Split into completed vs open
-    const completedBugs = allBugs.filter(bug => resolvedStatuses.includes(bug.status));
-    const openBugs = allBugs.filter(bug => !resolvedStatuses.includes(bug.status));
+    const completedBugs = allBugs.filter(bug => RESOLVED_STATUSES.includes(bug.status));
+    const openBugs = allBugs.filter(bug => !RESOLVED_STATUSES.includes(bug.status));
 
     // Get estimated size bugs from the current schedule (filtered by milestone)
     let schedule = (this.currentScheduleType === 'optimal' || this.currentScheduleType === 'exhaustive') && this.optimalSchedule
@@ -660,36 +1630,6 @@ class EnterprisePlanner {
     };
   }
 
-  /**
-   * Build optimizer engineer list, including external placeholders for unknown assignees.
-   */
-  buildOptimizerEngineers(bugs) {
-    const baseEngineers = this.engineers.map(e => ({ ...e, isExternal: false }));
-    const knownEmails = new Set(
-      baseEngineers
-        .map(e => e.email && e.email.toLowerCase())
-        .filter(Boolean)
-    );
-
-    const externals = new Map();
-    for (const bug of bugs || []) {
-      if (!bug.assignee || bug.assignee === 'nobody@mozilla.org') continue;
-      const email = bug.assignee.toLowerCase();
-      if (knownEmails.has(email)) continue;
-      if (!externals.has(email)) {
-        externals.set(email, {
-          id: `external:${email}`,
-          name: 'External',
-          email,
-          availability: 1.0,
-          unavailability: [],
-          isExternal: true
-        });
-      }
-    }
-
-    return [...baseEngineers, ...externals.values()];
-  }
 
   /**
    * Re-schedule with current severity filter (recomputes schedule)
@@ -726,19 +1666,14 @@ class EnterprisePlanner {
     const filteredSchedule = this.filterScheduleByMilestone(this.greedySchedule);
     const filteredRisks = this.filterRisksByMilestone(this.fullScheduleRisks);
 
-    this.renderResults(filteredSchedule, this.fullScheduleErrors, filteredRisks, activeMilestones);
+    this.renderResults(filteredSchedule, this.fullScheduleErrors, filteredRisks, activeMilestones, this.greedySchedule);
   }
 
   /**
    * Collect unknown assignee warnings from the scheduler
    */
   collectUnknownAssignees() {
-    if (!this.scheduler || !this.scheduler.warnings) return [];
-    const unknowns = this.scheduler.warnings.filter(w => w.type === 'unknown_assignee');
-    return unknowns.map(w => ({
-      bug: w.bug,
-      assignee: w.bug ? w.bug.assignee : null
-    }));
+    return collectUnknownAssignees(this.scheduler);
   }
 
   /**
@@ -765,27 +1700,7 @@ class EnterprisePlanner {
    * Compute schedule score using worker-compatible rules.
    */
   computeScheduleScore(schedule, milestones = this.milestones) {
-    if (!schedule || schedule.length === 0) {
-      return { deadlinesMet: 0, totalLateness: Number.POSITIVE_INFINITY, makespan: Number.POSITIVE_INFINITY };
-    }
-
-    const completions = this.calculateMilestoneCompletions(schedule);
-    let deadlinesMet = 0;
-    let totalLateness = 0;
-
-    for (const milestone of milestones) {
-      const endDate = completions.get(String(milestone.bugId));
-      if (!endDate) continue;
-      if (endDate <= milestone.freezeDate) {
-        deadlinesMet++;
-      } else {
-        const daysLate = Math.ceil((endDate - milestone.freezeDate) / (1000 * 60 * 60 * 24));
-        totalLateness += daysLate;
-      }
-    }
-
-    const makespan = calculateWorkingDaysMakespan(schedule);
-    return computeScoreFromCompletions(completions, milestones, makespan);
+    return computeScheduleScore(schedule, milestones, this.graph);
   }
 
   /**
@@ -806,22 +1721,64 @@ class EnterprisePlanner {
 
   /**
    * Refresh data from Bugzilla
+   * Only changed bugs are re-fetched unless a full refresh is requested.
+   * @param {{full?: boolean}} options - full discards the offline cache
    */
-  async refresh() {
-    console.log('Refreshing data...');
+  async refresh(options = {}) {
+    console.log(`Refreshing data (${options.full ? 'full' : 'incremental'})...`);
+
+    // Keep the plan being replaced, for "Since Last Load"
+    if (this.greedySchedule) {
+      this.previousPlan = this.buildCurrentPlan();
+    }
 
-    // Stop any running optimizer
+    // Stop any running optimizer, and drop the results of any fetch or sync still running
     this.stopOptimalScheduler();
+    const generation = this.beginDataLoad();
 
+    // Dependencies may have been added since the history was fetched
+    this.burnHistories = new Map();
     this.api.clearCache();
     this.ui.showLoading();
 
+    // Leaving snapshot mode: go back to the configured milestones and live data
+    if (this.snapshotSource) {
+      console.log(`Leaving snapshot ${this.snapshotSource} for live data`);
+      this.snapshotSource = null;
+      this.applySizeScheme(this.project.sizes);
+      this.setMilestones(this.configuredMilestones || []);
+      this.gantt.milestones = this.milestones;
+      this.ui.setMilestones(this.milestones);
+      if (options.full) {
+        this.lastSync = null;
+        await this.cache.clear();
+      }
+      await this.fetchAndProcess();
+      return;
+    }
+
     // Reset milestone status
     for (const milestone of this.milestones) {
       this.ui.updateMilestoneStatus(milestone.bugId, 'pending', 0);
     }
 
-    await this.fetchAndProcess();
+    if (options.full || !this.lastSync) {
+      this.lastSync = null;
+      await this.cache.clear();
+      await this.fetchAndProcess();
+      return;
+    }
+
+    try {
+      this.ui.updateDataStatus('syncing', 'Syncing changes...');
+      await this.syncWithBugzilla(generation);
+      if (!this.isCurrentLoad(generation)) return;
+      this.processBugs();
+    } catch (error) {
+      if (!this.isCurrentLoad(generation)) return;
+      console.error('Error during incremental refresh:', error);
+      this.ui.showError(`Failed to refresh data: ${error.message}`);
+    }
   }
 
   /**
@@ -858,6 +1815,19 @@ class EnterprisePlanner {
       );
     }
 
+    // Workers (and exhaustive rounds) derive their seeds from the run seed
+    if (!isExhaustiveResume || this.optimizerSeed === null) {
+      this.startOptimizerSeed();
+    }
+    const round = this.optimizerRound++;
+    if (round === 0) {
+      console.log(`Optimizer seed: ${this.optimizerSeed}`);
+      this.ui.addOptimizationLogEntry(
+        `Seed ${this.optimizerSeed} (replay with ?seed=${this.optimizerSeed})`,
+        'status'
+      );
+    }
+
     this.optimizationStartTime = performance.now();
     let baselineSchedule = null;
     let baselineScore = null;
@@ -883,63 +1853,15 @@ class EnterprisePlanner {
     }
     this.lastProgressUpdate = 0;
 
-    // Build graph edges for workers
-    const graphEdges = {};
-    for (const [bugId, bug] of this.bugs) {
-      graphEdges[bugId] = bug.dependsOn || [];
-    }
-
-    const workerEngineers = this.buildOptimizerEngineers(sortedBugs);
-
-    // Build component-to-engineer-indices map for the worker
-    const componentEngineerMap = {};
-    if (this.componentTeamMap) {
-      for (const [component, team] of this.componentTeamMap) {
-        const indices = [];
-        for (const eng of team.engineers) {
-          const idx = workerEngineers.findIndex(we => we.id === eng.id);
-          if (idx !== -1) indices.push(idx);
-        }
-        componentEngineerMap[component] = indices;
-      }
-
-      // Find unmapped components from the bug set and route them to a shared External engineer
-      const unmappedComponents = new Set();
-      for (const bug of sortedBugs) {
-        if (bug.component && !componentEngineerMap[bug.component]) {
-          unmappedComponents.add(bug.component);
-        }
-      }
-      if (unmappedComponents.size > 0) {
-        workerEngineers.push({
-          id: 'external:unmapped',
-          name: 'External',
-          email: 'external@unmapped',
-          availability: 1.0,
-          unavailability: [],
-          isExternal: true
-        });
-        const externalIdx = workerEngineers.length - 1;
-        for (const comp of unmappedComponents) {
-          componentEngineerMap[comp] = [externalIdx];
-        }
-      }
-    }
-
-    const workerData = {
-      bugs: sortedBugs,
-      engineers: workerEngineers,
-      graph: graphEdges,
+    const workerData = buildOptimizerStartData({
+      bugs: this.bugs,
+      scheduleBugs: sortedBugs,
+      engineers: this.engineers,
+      componentTeamMap: this.componentTeamMap,
+      milestones,
       generations,
-      populationSize,
-      componentEngineerMap,
-      milestones: milestones.map(m => ({
-        name: m.name,
-        bugId: m.bugId,
-        deadline: m.deadline.toISOString(),
-        freezeDate: m.freezeDate.toISOString()
-      }))
-    };
+      populationSize
+    });
 
     this.workerResults = [];
     let completedWorkers = 0;
@@ -1078,7 +2000,7 @@ class EnterprisePlanner {
                       completions.set(String(milestone.bugId), new Date(detail.endDate));
                     }
                   }
-                  this.ui.renderMilestoneCards(this.getActiveMilestones(), completions);
+                  this.ui.renderMilestoneCards(this.getActiveMilestones(), completions, this.milestoneConfidence);
                 }
               }
               break;
@@ -1136,7 +2058,11 @@ class EnterprisePlanner {
         this.optimalWorkers.push(worker);
 
         // Start worker with its ID
-        const startData = { ...workerData, id: i };
+        const startData = {
+          ...workerData,
+          id: i,
+          seed: deriveSeed(this.optimizerSeed, round * this.numWorkers + i)
+        };
 
         // In exhaustive mode, seed some workers with best assignments
         if (mode === 'exhaustive') {
@@ -1254,6 +2180,7 @@ class EnterprisePlanner {
       this.optimalSchedule = bestSchedule.map(task => ({
         ...task,
         startDate: task.startDate ? new Date(task.startDate) : null,
+        actualStartDate: task.actualStartDate ? new Date(task.actualStartDate) : null,
         endDate: task.endDate ? new Date(task.endDate) : null
       }));
       const exhaustiveElapsedSec = this.exhaustiveStartTime
@@ -1290,6 +2217,7 @@ class EnterprisePlanner {
     this.optimalSchedule = best.schedule.map(task => ({
       ...task,
       startDate: task.startDate ? new Date(task.startDate) : null,
+      actualStartDate: task.actualStartDate ? new Date(task.actualStartDate) : null,
       endDate: task.endDate ? new Date(task.endDate) : null
     }));
     this.ui.addOptimizationLogEntry(
@@ -1378,12 +2306,19 @@ class EnterprisePlanner {
       // Apply milestone filter to view
       const schedule = this.filterScheduleByMilestone(fullSchedule);
       this.gantt.render(schedule, this.graph, this.engineers);
+      this.renderResourceView(fullSchedule);
 
       // Update milestone cards with new completion dates (respecting filter)
       const milestoneCompletions = this.calculateMilestoneCompletions(fullSchedule);
-      this.ui.renderMilestoneCards(this.getActiveMilestones(), milestoneCompletions);
+      const milestoneConfidence = this.calculateMilestoneConfidence(fullSchedule);
+      this.ui.renderMilestoneCards(this.getActiveMilestones(), milestoneCompletions, milestoneConfidence);
+      this.renderBurnCharts(fullSchedule);
 
       console.log(`Switched to ${type} schedule`);
+      this.storeLastPlan();
+      if (fullSchedule === this.optimalSchedule) {
+        this.recordCurrentForecast(fullSchedule, 'optimal');
+      }
     }
 
     if (type === 'exhaustive') {
@@ -1405,6 +2340,7 @@ class EnterprisePlanner {
       this.exhaustiveBestSchedule = baselineSchedule;
       this.exhaustiveWorkerStates = new Map();
       this.exhaustiveStartTime = Date.now();
+      this.startOptimizerSeed();
       this.startOptimalScheduler(filteredBugs, this.milestones, {
         mode: 'exhaustive',
         preserveExhaustive: true,
@@ -0,0 +1,180 @@
+/**
+ * Monte Carlo milestone confidence
+ * Replays a finished schedule's assignment with task durations sampled from
+ * their three-point estimates, keeping each engineer's task order, and
+ * reports percentile completion dates per milestone.
+ */
+
+import {
+  addWorkingDays,
+  normalizeStartDate,
+  scaleEffort,
+  getThreePointEstimate,
+  getPinnedStartDate
+} from './scheduler-core.js';
+import { getAllDependencies } from './planning.js';
+import { createRandom } from './random.js';
+
+export const DEFAULT_ITERATIONS = 500;
+// Fixed so re-rendering the same schedule shows the same numbers
+export const DEFAULT_SEED = 1;
+
+/**
+ * Sample a triangular distribution
+ * @param {Function} random - Returns floats in [0, 1)
+ * @param {{optimistic: number, mostLikely: number, pessimistic: number}} estimate
+ * @returns {number}
+ */
+export function sampleTriangular(random, { optimistic, mostLikely, pessimistic }) {
+  const range = pessimistic - optimistic;
+  if (range <= 0) return mostLikely;
+
+  const u = random();
+  const split = (mostLikely - optimistic) / range;
+  if (u < split) {
+    return optimistic + Math.sqrt(u * range * (mostLikely - optimistic));
+  }
+  return pessimistic - Math.sqrt((1 - u) * range * (pessimistic - mostLikely));
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ */
+function percentile(sorted, p) {
+  const rank = Math.max(1, Math.ceil(p * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Three-point estimate of the work a task has left
+ * In-progress tasks keep their uncertainty in proportion to the remaining effort.
+ */
+function getRemainingEstimate(task) {
+  const estimate = getThreePointEstimate(task.bug);
+  const effort = task.effort;
+  if (!effort || !(effort.estimatedDays > 0) || effort.baseDays === effort.estimatedDays) {
+    return estimate;
+  }
+
+  const fraction = effort.baseDays / effort.estimatedDays;
+  return {
+    optimistic: estimate.optimistic * fraction,
+    mostLikely: estimate.mostLikely * fraction,
+    pessimistic: estimate.pessimistic * fraction
+  };
+}
+
+/**
+ * Replay the schedule once with sampled durations
+ * @returns {Map<string, Date>} Bug ID to end date
+ */
+function simulateOnce(tasks, graph, today, random) {
+  const endDates = new Map();
+  const nextAvailable = new Map();
+
+  for (const task of tasks) {
+    const bugId = String(task.bug.id);
+    if (task.completed) {
+      endDates.set(bugId, today);
+      continue;
+    }
+
+    let earliestStart = today;
+    for (const depId of graph.getDependencies(bugId)) {
+      const depEnd = endDates.get(depId);
+      if (depEnd && depEnd > earliestStart) earliestStart = depEnd;
+    }
+    const pinnedStart = getPinnedStartDate(task.bug, today);
+    if (pinnedStart && pinnedStart > earliestStart) earliestStart = pinnedStart;
+
+    const engineer = task.engineer;
+    if (!engineer || task.bug.isMeta) {
+      endDates.set(bugId, earliestStart);
+      continue;
+    }
+
+    // External = infinite pool, as in the scheduler
+    let startDate = earliestStart;
+    if (!engineer.isExternal) {
+      const free = nextAvailable.get(engineer.id) || today;
+      startDate = normalizeStartDate(new Date(Math.max(free.getTime(), earliestStart.getTime())), engineer);
+    }
+
+    const baseDays = sampleTriangular(random, task.estimate);
+    // A sample the engineer has no capacity left for goes to someone full-time, as the scheduler would
+    let { days } = scaleEffort(baseDays, engineer, startDate);
+    if (!Number.isFinite(days)) days = Math.ceil(baseDays);
+    const endDate = addWorkingDays(startDate, days, engineer);
+    endDates.set(bugId, endDate);
+    if (!engineer.isExternal) nextAvailable.set(engineer.id, endDate);
+  }
+
+  return endDates;
+}
+
+/**
+ * Simulate milestone completion dates for a schedule's assignment
+ * @param {Array<Object>} schedule - Scheduled tasks (greedy or optimized)
+ * @param {Array<Object>} milestones - Milestones with bugId and freezeDate
+ * @param {DependencyGraph} graph - Dependency graph
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Number of simulated schedules
+ * @param {number} [options.seed] - PRNG seed (see random.js)
+ * @param {Date} [options.today] - Schedule start (default: today)
+ * @returns {Map<string, {p50: Date, p80: Date, p95: Date, onTimeProbability: number}>}
+ *   Milestone bug ID to confidence; on time means done by the feature freeze
+ */
+export function simulateMilestoneConfidence(schedule, milestones, graph, options = {}) {
+  const { iterations = DEFAULT_ITERATIONS, seed = DEFAULT_SEED } = options;
+  const today = options.today ? new Date(options.today) : new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Replay in start order so dependencies and each engineer's earlier tasks come first
+  const tasks = schedule
+    .map((task, index) => ({ ...task, index, estimate: getRemainingEstimate(task) }))
+    .sort((a, b) => {
+      const aStart = a.startDate ? a.startDate.getTime() : -Infinity;
+      const bStart = b.startDate ? b.startDate.getTime() : -Infinity;
+      return aStart - bStart || a.index - b.index;
+    });
+
+  const scheduledIds = new Set(schedule.map(t => String(t.bug.id)));
+  const tracked = milestones
+    .map(m => {
+      const bugId = String(m.bugId);
+      const ids = [...getAllDependencies(graph, bugId), bugId].filter(id => scheduledIds.has(id));
+      return { milestone: m, bugId, ids, samples: [] };
+    })
+    .filter(t => t.ids.length > 0);
+
+  const confidence = new Map();
+  if (tracked.length === 0) return confidence;
+
+  const random = createRandom(seed);
+  for (let i = 0; i < iterations; i++) {
+    const endDates = simulateOnce(tasks, graph, today, random);
+    for (const t of tracked) {
+      let latest = 0;
+      for (const id of t.ids) {
+        const end = endDates.get(id);
+        if (end && end.getTime() > latest) latest = end.getTime();
+      }
+      t.samples.push(latest);
+    }
+  }
+
+  for (const { milestone, bugId, samples } of tracked) {
+    samples.sort((a, b) => a - b);
+    const freeze = milestone.freezeDate.getTime();
+    const onTime = samples.filter(time => time <= freeze).length;
+    confidence.set(bugId, {
+      p50: new Date(percentile(samples, 0.5)),
+      p80: new Date(percentile(samples, 0.8)),
+      p95: new Date(percentile(samples, 0.95)),
+      onTimeProbability: onTime / samples.length
+    });
+  }
+
+  console.log(`[MonteCarlo] Simulated ${iterations} schedules for ${tracked.length} milestones`);
+  return confidence;
+}
@@ -2,8 +2,10 @@
  * Optimizer utilities for scoring and working-day calculations.
  */
 
+import { isWorkingDay } from './scheduler-core.js';
+
 /**
- * Count working days between two dates (excluding weekends).
+ * Count working days between two dates (excluding weekends and company holidays).
  */
 export function countWorkingDays(startDate, endDate) {
   if (!startDate || !endDate || endDate <= startDate) return 0;
@@ -11,8 +13,7 @@ export function countWorkingDays(startDate, endDate) {
   let days = 0;
   while (current < endDate) {
     current.setDate(current.getDate() + 1);
-    const day = current.getDay();
-    if (day !== 0 && day !== 6) {
+    if (isWorkingDay(current)) {
       days += 1;
     }
   }
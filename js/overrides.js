@@ -0,0 +1,95 @@
+/**
+ * Planner overrides ("pins")
+ * Start dates and assignees pinned from the Gantt chart. The scheduler and the
+ * optimizer treat them as hard constraints: a pinned engineer is locked like a
+ * Bugzilla assignee, and a pinned task never starts before its pinned date.
+ */
+
+export const OVERRIDES_VERSION = 1;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate and normalize saved or imported overrides
+ * @param {Object} [data] - {version, overrides: {bugId: {startDate, engineerId}}}
+ * @returns {Map<string, {startDate: string|null, engineerId: string|null}>} Bug ID to pin
+ */
+export function parseOverrides(data) {
+  const overrides = new Map();
+  if (!data) return overrides;
+
+  if (data.version !== undefined && data.version !== OVERRIDES_VERSION) {
+    throw new Error(`Unsupported overrides version: ${data.version}`);
+  }
+  if (data.overrides === null || typeof data.overrides !== 'object' || Array.isArray(data.overrides)) {
+    throw new Error('Overrides must have an "overrides" object keyed by bug ID');
+  }
+
+  for (const [bugId, entry] of Object.entries(data.overrides)) {
+    if (!/^\d+$/.test(bugId)) {
+      throw new Error(`Invalid bug ID in overrides: ${bugId}`);
+    }
+    const startDate = entry && entry.startDate ? String(entry.startDate) : null;
+    if (startDate && !DATE_KEY_PATTERN.test(startDate)) {
+      throw new Error(`Invalid startDate for bug ${bugId} in overrides: ${startDate} (expected YYYY-MM-DD)`);
+    }
+    const engineerId = entry && entry.engineerId ? String(entry.engineerId) : null;
+    if (startDate || engineerId) {
+      overrides.set(bugId, { startDate, engineerId });
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Overrides as JSON-ready data, for localStorage and export
+ * @param {Map<string, Object>} overrides - From parseOverrides()
+ * @returns {{version: number, exportedAt: string, overrides: Object}}
+ */
+export function serializeOverrides(overrides) {
+  const entries = [...overrides].sort((a, b) => Number(a[0]) - Number(b[0]));
+  return {
+    version: OVERRIDES_VERSION,
+    exportedAt: new Date().toISOString(),
+    overrides: Object.fromEntries(entries)
+  };
+}
+
+/**
+ * Pin part of a bug's schedule, keeping its other pin
+ * @param {Map<string, Object>} overrides - Updated in place
+ * @param {number|string} bugId
+ * @param {{startDate?: string|null, engineerId?: string|null}} pin - Fields to set
+ * @returns {Map<string, Object>} The same map
+ */
+export function setOverride(overrides, bugId, pin) {
+  const id = String(bugId);
+  const current = overrides.get(id) || { startDate: null, engineerId: null };
+  const next = { ...current, ...pin };
+  if (next.startDate || next.engineerId) {
+    overrides.set(id, next);
+  } else {
+    overrides.delete(id);
+  }
+  return overrides;
+}
+
+/**
+ * Attach pins to the bugs they apply to
+ * Pinned bugs are copied, so pins never reach the bug cache.
+ * @param {Array<Object>} bugs
+ * @param {Map<string, Object>} overrides - From parseOverrides()
+ * @returns {Array<Object>} Bugs, pinned ones with a `pin` field
+ */
+export function applyOverrides(bugs, overrides) {
+  return bugs.map(bug => {
+    const pin = overrides.get(String(bug.id));
+    if (pin) return { ...bug, pin };
+    if (bug.pin) {
+      const { pin: _cleared, ...unpinned } = bug;
+      return unpinned;
+    }
+    return bug;
+  });
+}
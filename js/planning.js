@@ -0,0 +1,611 @@
+/**
+ * Planning pipeline shared by the web app and the headless CLI
+ * Pure functions over bugs, milestones and a DependencyGraph - no DOM access.
+ */
+
+import { DependencyGraph } from './dependency-graph.js';
+import { Scheduler } from './scheduler.js';
+import {
+  addWorkingDays,
+  getCompanyHolidays,
+  getSizeTable,
+  getSizeScheme,
+  getRequiredSkills,
+  hasRequiredSkills,
+  SHARED_EXTERNAL_ID
+} from './scheduler-core.js';
+import { calculateWorkingDaysMakespan, computeScoreFromCompletions } from './optimizer-utils.js';
+import { applyOverrides } from './overrides.js';
+
+export const RESOLVED_STATUSES = ['RESOLVED', 'VERIFIED', 'CLOSED'];
+
+/**
+ * Build scheduler milestones from data/milestones.json entries
+ * @param {Array<Object>} entries - {name, bugId, bugzillaName, deadline, freezeDays}
+ * @returns {{milestones: Array<Object>, milestoneNameMap: Object}}
+ */
+export function buildMilestones(entries) {
+  const milestones = entries.map(m => ({
+    name: m.name,
+    bugId: m.bugId,
+    deadline: new Date(m.deadline),
+    freezeDate: addWorkingDays(new Date(m.deadline), -(m.freezeDays || 0))
+  }));
+
+  // Bugzilla target_milestone value -> milestone name
+  const milestoneNameMap = { '---': null };
+  for (const m of entries) {
+    if (m.bugzillaName) {
+      milestoneNameMap[m.bugzillaName.toLowerCase()] = m.name;
+    }
+  }
+
+  return { milestones, milestoneNameMap };
+}
+
+/**
+ * Map each component to the team that owns it
+ * @param {Array<Object>} teams - Teams from data/engineers.json
+ * @returns {Map<string, Object>}
+ */
+export function buildComponentTeamMap(teams) {
+  const componentTeamMap = new Map();
+  for (const team of teams) {
+    for (const comp of team.components) {
+      componentTeamMap.set(comp, team);
+    }
+  }
+  return componentTeamMap;
+}
+
+function isMilestoneBug(bug, milestones) {
+  return milestones.some(m => String(m.bugId) === String(bug.id));
+}
+
+/**
+ * Filter out resolved/fixed bugs (milestone bugs are always kept)
+ */
+export function filterResolvedBugs(bugs, milestones) {
+  return bugs.filter(bug => {
+    // Always include milestone bugs (they represent the milestone itself)
+    if (isMilestoneBug(bug, milestones)) return true;
+    return !RESOLVED_STATUSES.includes(bug.status);
+  });
+}
+
+/**
+ * Filter bugs by severity (milestone bugs are always kept)
+ * @param {Array<Object>} bugs
+ * @param {string} severityFilter - 'S1'..'S4', 'S2+untriaged', or '' for all
+ * @param {Array<Object>} milestones
+ */
+export function filterBugsBySeverity(bugs, severityFilter, milestones) {
+  if (!severityFilter) return bugs;
+
+  // Special case: S1+S2+untriaged
+  if (severityFilter === 'S2+untriaged') {
+    return bugs.filter(bug => {
+      if (isMilestoneBug(bug, milestones)) return true;
+      const sev = bug.severity || 'N/A';
+      return sev === 'S1' || sev === 'S2' || sev === 'N/A' || sev === '--';
+    });
+  }
+
+  const severityOrder = ['S1', 'S2', 'S3', 'S4'];
+  const maxIdx = severityOrder.indexOf(severityFilter);
+  if (maxIdx === -1) return bugs;
+  const included = severityOrder.slice(0, maxIdx + 1);
+  return bugs.filter(bug => {
+    if (isMilestoneBug(bug, milestones)) return true;
+    return included.includes(bug.severity || 'N/A');
+  });
+}
+
+/**
+ * Get all dependencies (transitive) for a bug
+ * @returns {Set<string>} Dependency IDs, excluding the bug itself
+ */
+export function getAllDependencies(graph, bugId) {
+  const visited = new Set();
+  const queue = [bugId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+
+    const deps = graph.getDependencies(id);
+    for (const depId of deps) {
+      if (!visited.has(depId)) {
+        queue.push(depId);
+      }
+    }
+  }
+
+  visited.delete(bugId); // Don't include the bug itself
+  return visited;
+}
+
+/**
+ * Check if bugId is a (transitive) dependency of targetId
+ * @param {Map<string, Object>} bugs - All bugs by ID
+ */
+export function isDependencyOf(bugs, bugId, targetId) {
+  const visited = new Set();
+  const queue = [targetId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    const bug = bugs.get(current);
+    if (!bug) continue;
+
+    for (const depId of bug.dependsOn || []) {
+      if (String(depId) === String(bugId)) return true;
+      if (!visited.has(String(depId))) {
+        queue.push(String(depId));
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Find bugs where the Bugzilla target_milestone doesn't match
+ * the milestone determined by dependency relationships
+ * @param {Map<string, Object>} bugs - All bugs by ID
+ * @param {Array<Object>} milestones
+ * @param {Object} milestoneNameMap - From buildMilestones()
+ */
+export function findMilestoneMismatches(bugs, milestones, milestoneNameMap) {
+  const mismatches = [];
+
+  // Build a map of bug ID -> dependency milestone (same logic as scheduler)
+  const bugToDependencyMilestone = new Map();
+  const sortedMilestones = [...milestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+
+  for (const [bugId] of bugs) {
+    for (const milestone of sortedMilestones) {
+      const milestoneId = String(milestone.bugId);
+      if (bugId === milestoneId || isDependencyOf(bugs, bugId, milestoneId)) {
+        bugToDependencyMilestone.set(bugId, milestone);
+        break;
+      }
+    }
+  }
+
+  // Check each bug for mismatches
+  for (const [bugId, bug] of bugs) {
+    if (!bug.targetMilestone || bug.targetMilestone === '---') continue;
+
+    const normalizedTarget = bug.targetMilestone.toLowerCase().trim();
+    const mappedMilestone = milestoneNameMap[normalizedTarget];
+
+    // Skip if we don't recognize the milestone value
+    if (mappedMilestone === undefined) continue;
+
+    const depMilestone = bugToDependencyMilestone.get(bugId);
+
+    // Mismatch if: has a target milestone set, but connected to a different one
+    if (mappedMilestone && depMilestone && depMilestone.name !== mappedMilestone) {
+      mismatches.push({
+        bug,
+        targetMilestone: mappedMilestone,
+        dependencyMilestone: depMilestone.name
+      });
+    }
+    // Also flag if: has a target milestone set, but not connected to any milestone
+    else if (mappedMilestone && !depMilestone) {
+      mismatches.push({
+        bug,
+        targetMilestone: mappedMilestone,
+        dependencyMilestone: null
+      });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Find bugs that have a target_milestone in Bugzilla but are not in any
+ * milestone dependency tree. Returns mismatch objects compatible with
+ * findMilestoneMismatches() output (dependencyMilestone: null).
+ * @param {Array<Object>} milestonedBugs - bugs from fetchMilestonedBugs()
+ * @param {Map<string, Object>} bugs - Bugs in the dependency trees
+ * @param {Object} milestoneNameMap - From buildMilestones()
+ */
+export function findDisconnectedBugs(milestonedBugs, bugs, milestoneNameMap) {
+  const disconnected = [];
+  for (const bug of milestonedBugs) {
+    // Skip if already in a dependency tree
+    if (bugs.has(String(bug.id))) continue;
+
+    if (!bug.targetMilestone || bug.targetMilestone === '---') continue;
+    const normalizedTarget = bug.targetMilestone.toLowerCase().trim();
+    const mappedMilestone = milestoneNameMap[normalizedTarget];
+
+    // Skip unrecognized milestone values
+    if (mappedMilestone === undefined || mappedMilestone === null) continue;
+
+    disconnected.push({
+      bug,
+      targetMilestone: mappedMilestone,
+      dependencyMilestone: null
+    });
+  }
+  return disconnected;
+}
+
+/**
+ * Find open bugs whose [skill=x] tags no engineer can cover: nobody on the
+ * bug's component team (or the whole roster, for unmapped components) has
+ * every required skill. The schedulers assign these to External.
+ * @param {Map<string, Object>|Array<Object>} bugs
+ * @param {Array<Object>} engineers
+ * @param {Map<string, Object>|null} componentTeamMap
+ * @returns {Array<{bug: Object, skills: Array<string>}>}
+ */
+export function findUnstaffableBugs(bugs, engineers, componentTeamMap = null) {
+  const unstaffable = [];
+  for (const bug of bugs.values()) {
+    if (bug.isMeta || RESOLVED_STATUSES.includes(bug.status)) continue;
+    const skills = getRequiredSkills(bug);
+    if (skills.length === 0) continue;
+
+    const team = componentTeamMap ? componentTeamMap.get(bug.component) : null;
+    const candidates = team ? team.engineers : engineers;
+    if (!candidates.some(engineer => hasRequiredSkills(engineer, skills))) {
+      unstaffable.push({ bug, skills });
+    }
+  }
+  return unstaffable;
+}
+
+/**
+ * Detect data inconsistencies for ERRORS.md
+ * @param {DependencyGraph} graph
+ * @param {Object} context
+ * @param {Map<string, Object>} context.bugs
+ * @param {Array<Object>} context.milestones
+ * @param {Object} context.milestoneNameMap
+ * @param {string} [context.severityFilter] - Untriaged bugs are only reported for 'S2+untriaged'
+ * @param {Array<Object>} [context.disconnectedBugs] - From findDisconnectedBugs()
+ * @param {Array<Object>} [context.hiddenBugs] - Restricted bugs Bugzilla did not return
+ * @param {Array<Object>} [context.failedBugs] - Bugs that failed to fetch
+ * @param {Array<Object>} [context.engineers] - Roster, for bugs nobody has the skills for
+ * @param {Map<string, Object>|null} [context.componentTeamMap]
+ */
+export function detectErrors(graph, {
+  bugs,
+  milestones,
+  milestoneNameMap,
+  engineers = [],
+  componentTeamMap = null,
+  severityFilter = '',
+  disconnectedBugs = [],
+  hiddenBugs = [],
+  failedBugs = []
+}) {
+  const cycles = graph.detectCycles();
+  // Dependencies on restricted or unfetchable bugs are reported separately, not as orphans
+  const hiddenIds = new Set([...hiddenBugs, ...failedBugs].map(b => String(b.id)));
+  const orphaned = graph.findOrphanedDependencies()
+    .filter(orphan => !hiddenIds.has(String(orphan.to)));
+  const duplicates = graph.findDuplicateSummaries();
+  const missingAssignees = graph.findMissingAssignees();
+  const missingSizes = graph.findMissingSizes();
+  const milestoneMismatches = [
+    ...findMilestoneMismatches(bugs, milestones, milestoneNameMap),
+    ...disconnectedBugs
+  ];
+
+  // Only include untriaged bugs if that filter is enabled
+  const untriaged = severityFilter === 'S2+untriaged'
+    ? graph.findUntriagedBugs()
+    : [];
+
+  return {
+    cycles,
+    orphaned,
+    duplicates,
+    missingAssignees,
+    missingSizes,
+    unstaffable: findUnstaffableBugs(bugs, engineers, componentTeamMap),
+    milestoneMismatches,
+    untriaged,
+    hiddenBugs,
+    failedBugs
+  };
+}
+
+/**
+ * Calculate estimated completion dates for each milestone
+ * A milestone is complete when all its dependencies are complete
+ * @returns {Map<string, Date>} Milestone bug ID -> completion date
+ */
+export function calculateMilestoneCompletions(schedule, milestones, graph) {
+  const completions = new Map();
+
+  for (const milestone of milestones) {
+    const bugId = String(milestone.bugId);
+
+    // Find the milestone task in the schedule
+    const milestoneTask = schedule.find(t => String(t.bug.id) === bugId);
+
+    if (milestoneTask) {
+      if (milestoneTask.completed) {
+        // Already completed
+        completions.set(bugId, new Date());
+      } else if (milestoneTask.endDate) {
+        completions.set(bugId, milestoneTask.endDate);
+      }
+    }
+
+    // Also check all dependencies - milestone completes when last dependency completes
+    const deps = getAllDependencies(graph, bugId);
+    let latestEnd = completions.get(bugId) || null;
+
+    for (const depId of deps) {
+      const depTask = schedule.find(t => String(t.bug.id) === depId);
+      if (depTask && depTask.endDate && (!latestEnd || depTask.endDate > latestEnd)) {
+        latestEnd = depTask.endDate;
+      }
+    }
+
+    if (latestEnd) {
+      completions.set(bugId, latestEnd);
+    }
+  }
+
+  return completions;
+}
+
+/**
+ * Compute schedule score using worker-compatible rules.
+ */
+export function computeScheduleScore(schedule, milestones, graph) {
+  if (!schedule || schedule.length === 0) {
+    return { deadlinesMet: 0, totalLateness: Number.POSITIVE_INFINITY, makespan: Number.POSITIVE_INFINITY };
+  }
+
+  const completions = calculateMilestoneCompletions(schedule, milestones, graph);
+  const makespan = calculateWorkingDaysMakespan(schedule);
+  return computeScoreFromCompletions(completions, milestones, makespan);
+}
+
+/**
+ * Collect unknown assignee warnings from the scheduler
+ */
+export function collectUnknownAssignees(scheduler) {
+  if (!scheduler || !scheduler.warnings) return [];
+  const unknowns = scheduler.warnings.filter(w => w.type === 'unknown_assignee');
+  return unknowns.map(w => ({
+    bug: w.bug,
+    assignee: w.bug ? w.bug.assignee : null
+  }));
+}
+
+/**
+ * Build optimizer engineer list, including external placeholders for unknown assignees.
+ * @param {Array<Object>} engineers - Team engineers
+ * @param {Array<Object>} bugs - Bugs to be optimized
+ */
+export function buildOptimizerEngineers(engineers, bugs) {
+  const baseEngineers = engineers.map(e => ({ ...e, isExternal: false }));
+  const knownEmails = new Set(
+    baseEngineers
+      .map(e => e.email && e.email.toLowerCase())
+      .filter(Boolean)
+  );
+
+  const externals = new Map();
+  for (const bug of bugs || []) {
+    if (!bug.assignee || bug.assignee === 'nobody@mozilla.org') continue;
+    const email = bug.assignee.toLowerCase();
+    if (knownEmails.has(email)) continue;
+    if (!externals.has(email)) {
+      externals.set(email, {
+        id: `external:${email}`,
+        name: 'External',
+        email,
+        availability: 1.0,
+        unavailability: [],
+        isExternal: true
+      });
+    }
+  }
+
+  return [...baseEngineers, ...externals.values()];
+}
+
+/**
+ * Build the GA worker 'start' payload (see ga-core.js), without the per-worker id.
+ * Carries the current company holidays and size table; engineers keep their own
+ * location holidays.
+ * @param {Object} params
+ * @param {Map<string, Object>} params.bugs - All bugs by ID (dependency edges)
+ * @param {Array<Object>} params.scheduleBugs - Filtered, sorted bugs to optimize
+ * @param {Array<Object>} params.engineers - Team engineers
+ * @param {Map<string, Object>|null} params.componentTeamMap
+ * @param {Array<Object>} params.milestones - From buildMilestones()
+ * @param {number} params.generations
+ * @param {number} params.populationSize
+ */
+export function buildOptimizerStartData({
+  bugs,
+  scheduleBugs,
+  engineers,
+  componentTeamMap = null,
+  milestones,
+  generations,
+  populationSize
+}) {
+  // Build graph edges for workers
+  const graphEdges = {};
+  for (const [bugId, bug] of bugs) {
+    graphEdges[bugId] = bug.dependsOn || [];
+  }
+
+  const workerEngineers = buildOptimizerEngineers(engineers, scheduleBugs);
+
+  // Build component-to-engineer-indices map for the worker
+  const componentEngineerMap = {};
+  const unmappedComponents = new Set();
+  if (componentTeamMap) {
+    for (const [component, team] of componentTeamMap) {
+      const indices = [];
+      for (const eng of team.engineers) {
+        const idx = workerEngineers.findIndex(we => we.id === eng.id);
+        if (idx !== -1) indices.push(idx);
+      }
+      componentEngineerMap[component] = indices;
+    }
+
+    for (const bug of scheduleBugs) {
+      if (bug.component && !componentEngineerMap[bug.component]) {
+        unmappedComponents.add(bug.component);
+      }
+    }
+  }
+
+  // Unmapped components, and tasks nobody has the skills for, go to a shared External engineer
+  const hasUnstaffable = findUnstaffableBugs(scheduleBugs, engineers, componentTeamMap).length > 0;
+  if (unmappedComponents.size > 0 || hasUnstaffable) {
+    workerEngineers.push({
+      id: SHARED_EXTERNAL_ID,
+      name: 'External',
+      email: 'external@unmapped',
+      availability: 1.0,
+      unavailability: [],
+      isExternal: true
+    });
+    const externalIdx = workerEngineers.length - 1;
+    for (const comp of unmappedComponents) {
+      componentEngineerMap[comp] = [externalIdx];
+    }
+  }
+
+  return {
+    bugs: scheduleBugs,
+    engineers: workerEngineers,
+    graph: graphEdges,
+    generations,
+    populationSize,
+    componentEngineerMap,
+    holidays: getCompanyHolidays(),
+    sizeScheme: getSizeScheme(),
+    sizeTable: getSizeTable(),
+    milestones: milestones.map(m => ({
+      name: m.name,
+      bugId: m.bugId,
+      deadline: m.deadline.toISOString(),
+      freezeDate: m.freezeDate.toISOString()
+    }))
+  };
+}
+
+/**
+ * Deadline risks for any schedule, including optimizer output whose tasks
+ * carry no milestone. Tasks belong to the earliest-deadline milestone whose
+ * dependency tree contains them, as in the Scheduler.
+ * @returns {Array<Object>} Same shape as Scheduler.checkDeadlineRisks()
+ */
+export function checkScheduleRisks(schedule, milestones, graph) {
+  const sortedMilestones = [...milestones].sort((a, b) =>
+    a.deadline.getTime() - b.deadline.getTime()
+  );
+  const milestoneDeps = sortedMilestones.map(m => {
+    const deps = getAllDependencies(graph, String(m.bugId));
+    deps.add(String(m.bugId));
+    return deps;
+  });
+  const formatDate = date => date.toISOString().split('T')[0];
+
+  const risks = [];
+  for (const task of schedule) {
+    if (task.completed || !task.endDate) continue;
+    const idx = milestoneDeps.findIndex(deps => deps.has(String(task.bug.id)));
+    if (idx === -1) continue;
+    const milestone = task.milestone || sortedMilestones[idx];
+
+    if (task.endDate > milestone.freezeDate) {
+      risks.push({
+        task,
+        milestone,
+        type: 'freeze',
+        message: `Bug ${task.bug.id} ends ${formatDate(task.endDate)}, after ${milestone.name} feature freeze ${formatDate(milestone.freezeDate)}`
+      });
+    } else if (task.endDate > milestone.deadline) {
+      risks.push({
+        task,
+        milestone,
+        type: 'deadline',
+        message: `Bug ${task.bug.id} ends ${formatDate(task.endDate)}, after ${milestone.name} deadline ${formatDate(milestone.deadline)}`
+      });
+    }
+  }
+  return risks;
+}
+
+/**
+ * Run the greedy planning pipeline end to end, as the web app does on load:
+ * graph -> error detection -> topological sort -> filters -> schedule -> risks.
+ * @param {Object} params
+ * @param {Map<string, Object>} params.bugs - All bugs by ID
+ * @param {Array<Object>} params.engineers
+ * @param {Map<string, Object>|null} params.componentTeamMap
+ * @param {Array<Object>} params.milestones - From buildMilestones()
+ * @param {Object} params.milestoneNameMap - From buildMilestones()
+ * @param {string} [params.severityFilter] - Defaults to the app's S1-S2
+ * @param {Array<Object>} [params.disconnectedBugs]
+ * @param {Array<Object>} [params.hiddenBugs]
+ * @param {Array<Object>} [params.failedBugs]
+ * @param {Map<string, Object>} [params.overrides] - Pins from parseOverrides()
+ */
+export function planSchedule({
+  bugs,
+  engineers,
+  componentTeamMap = null,
+  milestones,
+  milestoneNameMap,
+  severityFilter = 'S2',
+  disconnectedBugs = [],
+  hiddenBugs = [],
+  failedBugs = [],
+  overrides = new Map()
+}) {
+  const graph = new DependencyGraph();
+  graph.buildFromBugs(bugs);
+
+  const errors = detectErrors(graph, {
+    bugs, milestones, milestoneNameMap, engineers, componentTeamMap, severityFilter, disconnectedBugs, hiddenBugs, failedBugs
+  });
+
+  const { sorted, valid, cycles } = graph.topologicalSort();
+  const sortedBugs = applyOverrides(sorted.map(id => bugs.get(id)).filter(Boolean), overrides);
+
+  let filteredBugs = filterResolvedBugs(sortedBugs, milestones);
+  filteredBugs = filterBugsBySeverity(filteredBugs, severityFilter, milestones);
+
+  const scheduler = new Scheduler(engineers, milestones, componentTeamMap);
+  const schedule = scheduler.scheduleTasks(filteredBugs, graph);
+
+  return {
+    graph,
+    valid,
+    cycles,
+    sortedBugs,
+    filteredBugs,
+    scheduler,
+    schedule,
+    errors: { ...errors, unknownAssignees: collectUnknownAssignees(scheduler) },
+    risks: scheduler.checkDeadlineRisks(milestones),
+    completions: calculateMilestoneCompletions(schedule, milestones, graph),
+    score: computeScheduleScore(schedule, milestones, graph)
+  };
+}
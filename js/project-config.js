@@ -0,0 +1,134 @@
+/**
+ * Project configuration (data/project.json)
+ * Which Bugzilla instance to talk to, which products/components belong to the
+ * project, and how bugs are sized.
+ */
+
+import { DEFAULT_SIZE_SCHEME } from './scheduler-core.js';
+
+export const DEFAULT_PROJECT_CONFIG = {
+  bugzillaUrl: 'https://bugzilla.mozilla.org',
+  products: ['Firefox Enterprise'],
+  components: ['Client'],
+  sizes: DEFAULT_SIZE_SCHEME
+};
+
+/**
+ * Validate and normalize raw project configuration
+ * Missing fields fall back to DEFAULT_PROJECT_CONFIG.
+ * @param {Object} data - Parsed data/project.json
+ * @returns {{bugzillaUrl: string, products: Array<string>, components: Array<string>, sizes: Object}}
+ */
+export function parseProjectConfig(data = {}) {
+  const bugzillaUrl = String(data.bugzillaUrl || DEFAULT_PROJECT_CONFIG.bugzillaUrl).replace(/\/+$/, '');
+  if (!/^https?:\/\//.test(bugzillaUrl)) {
+    throw new Error(`Invalid bugzillaUrl in project config: ${bugzillaUrl}`);
+  }
+
+  const products = toList(data.products ?? DEFAULT_PROJECT_CONFIG.products);
+  if (products.length === 0) {
+    throw new Error('Project config must list at least one product');
+  }
+
+  const components = toList(data.components ?? DEFAULT_PROJECT_CONFIG.components);
+
+  const sizes = parseSizeScheme(data.sizes);
+
+  return { bugzillaUrl, products, components, sizes };
+}
+
+/**
+ * Validate and normalize the estimation scheme ("sizes" in data/project.json)
+ * Sizes come from a whiteboard tag ([<tag>=X]) or a bug field such as a points
+ * field; the scale maps each size to working days, smallest first. Numeric
+ * scales interpolate between sizes, labelled ones (e.g. T-shirt sizes) don't.
+ * @param {Object} [data] - {source, tag, field, scale, default}; missing fields
+ *   fall back to DEFAULT_SIZE_SCHEME, a missing default to the middle size
+ * @returns {{source: string, tag: string, field: string|null, scale: Object, default: string|number}}
+ */
+export function parseSizeScheme(data = {}) {
+  data = data || {};
+  const source = data.source || DEFAULT_SIZE_SCHEME.source;
+  if (source !== 'whiteboard' && source !== 'field') {
+    throw new Error(`Invalid sizes.source in project config: ${source} (expected "whiteboard" or "field")`);
+  }
+
+  const tag = String(data.tag || DEFAULT_SIZE_SCHEME.tag);
+  if (!/^[\w-]+$/.test(tag)) {
+    throw new Error(`Invalid sizes.tag in project config: ${tag}`);
+  }
+
+  const field = data.field ? String(data.field) : null;
+  if (source === 'field' && !field) {
+    throw new Error('Project config sizes.field is required when sizes.source is "field"');
+  }
+
+  const entries = Object.entries(data.scale || DEFAULT_SIZE_SCHEME.scale).map(([rawLabel, days]) => {
+    const label = String(rawLabel).trim();
+    if (!/^[\w.+]+$/.test(label)) {
+      throw new Error(`Invalid size "${rawLabel}" in project config sizes.scale`);
+    }
+    if (typeof days !== 'number' || !(days > 0)) {
+      throw new Error(`Invalid days "${days}" for size ${label} in project config sizes.scale`);
+    }
+    return [label, days];
+  });
+  if (entries.length === 0) {
+    throw new Error('Project config sizes.scale must list at least one size');
+  }
+
+  // Numeric sizes are ordered by value ("1.0" and "1" are the same size), labels as listed
+  const numeric = entries.every(([label]) => Number.isFinite(Number(label)));
+  if (numeric) {
+    entries.forEach(entry => { entry[0] = String(Number(entry[0])); });
+    entries.sort((a, b) => Number(a[0]) - Number(b[0]));
+  }
+
+  const scale = {};
+  let previous = 0;
+  for (const [label, days] of entries) {
+    if (days < previous) {
+      throw new Error(`Project config sizes.scale must not decrease: size ${label} has ${days} days`);
+    }
+    scale[label] = days;
+    previous = days;
+  }
+
+  // Without a default, unsized bugs count as the middle size
+  const labels = entries.map(([label]) => label);
+  const rawDefault = data.default ?? labels[Math.floor(labels.length / 2)];
+  const defaultLabel = labels.find(label =>
+    numeric ? Number(label) === Number(rawDefault) : label.toLowerCase() === String(rawDefault).toLowerCase());
+  if (defaultLabel === undefined) {
+    throw new Error(`Project config sizes.default "${rawDefault}" is not in sizes.scale`);
+  }
+
+  return { source, tag, field, scale, default: numeric ? Number(defaultLabel) : defaultLabel };
+}
+
+/**
+ * Whether a bug belongs to one of the configured components
+ * (every component matches when the list is empty)
+ */
+export function isProjectComponent(config, component) {
+  return config.components.length === 0 || config.components.includes(component);
+}
+
+/**
+ * Link to a single bug
+ */
+export function buildBugUrl(bugzillaUrl, bugId) {
+  return `${bugzillaUrl}/show_bug.cgi?id=${bugId}`;
+}
+
+/**
+ * Link to a list of bugs
+ */
+export function buildBugListUrl(bugzillaUrl, bugIds) {
+  return `${bugzillaUrl}/buglist.cgi?bug_id=${bugIds.join(',')}`;
+}
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
@@ -0,0 +1,55 @@
+/**
+ * Seedable pseudo-random numbers for the optimizer.
+ * Seeds are unsigned 32-bit integers so they are easy to log, paste into a
+ * URL (?seed=) or pass on the command line (--seed) to replay a run.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a deterministic random function (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Returns floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a new run
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Derive an independent seed for one worker or round of a seeded run
+ * @param {number} seed - Run seed
+ * @param {number} index - Worker index (or round * workers + worker)
+ */
+export function deriveSeed(seed, index) {
+  let h = (seed ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Parse a seed from a URL parameter or CLI option
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseSeed(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) > MAX_SEED) {
+    throw new Error(`Invalid seed "${value}": expected an integer from 0 to ${MAX_SEED}`);
+  }
+  return Number(text);
+}
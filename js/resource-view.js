@@ -0,0 +1,151 @@
+/**
+ * Resource view
+ * Lays a schedule out per engineer: their tasks as a swimlane, weekly
+ * utilization against their capacity (availability, velocity, ramp-up,
+ * holidays and unavailability), and the idle gaps before each freeze date.
+ */
+
+import { isWorkingDay, getCapacityOn, toDateKey, fromDateKey } from './scheduler-core.js';
+
+// Weekly utilization above this is overbooked, below IDLE_UTILIZATION mostly idle
+export const OVERBOOKED_UTILIZATION = 1.0;
+export const IDLE_UTILIZATION = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return fromDateKey(toDateKey(date));
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Monday on or before a date
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+/**
+ * Tasks an engineer works on per day: a task takes the working days from its
+ * start up to (not including) its end, see addWorkingDays()
+ * @returns {Map<string, number>} Date key to number of tasks
+ */
+function countTasksPerDay(tasks) {
+  const counts = new Map();
+  for (const task of tasks) {
+    for (let day = startOfDay(task.startDate); day < task.endDate; day = addDays(day, 1)) {
+      const key = toDateKey(day);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Lay a schedule out per engineer
+ * @param {Object} params
+ * @param {Array<Object>} params.workloads - From Scheduler.getEngineerWorkloads(schedule)
+ * @param {Array<Object>} params.schedule - The same schedule
+ * @param {Array<Object>} params.milestones - From buildMilestones()
+ * @param {Date} [params.today]
+ * @returns {{start: Date, end: Date, weeks: Array<Date>, freezes: Array<Object>, lanes: Array<Object>, externalTasks: number}}
+ *   From today to the later of the last task's end and the last freeze date.
+ *   `freezes`: future {bugId, name, freezeDate}, earliest first.
+ *   Each lane: the workload ({engineer, taskCount, totalDays, nextAvailable}) plus
+ *   `tasks`; `weeks` of {start, capacity, booked, utilization} in effort-days,
+ *   utilization null when away all week; `gaps` of idle working days
+ *   {start, end, days}; `idleBeforeFreeze` of
+ *   {bugId, name, idleDays}; and `overbookedDays`, working days with two tasks or more.
+ *   External engineers have no lane; their tasks are counted in externalTasks.
+ */
+export function buildResourceView({ workloads, schedule, milestones, today = new Date() }) {
+  const start = startOfDay(today);
+  const active = schedule.filter(task =>
+    task.engineer && !task.completed && task.startDate && task.endDate && task.endDate > task.startDate);
+
+  const freezes = milestones
+    .filter(m => m.freezeDate && m.freezeDate > start)
+    .map(m => ({ bugId: m.bugId, name: m.name, freezeDate: m.freezeDate }))
+    .sort((a, b) => a.freezeDate - b.freezeDate);
+  const lastFreeze = freezes.length > 0 ? freezes[freezes.length - 1].freezeDate : start;
+
+  const teamTasks = active.filter(task => !task.engineer.isExternal);
+  const end = new Date(Math.max(start.getTime() + DAY_MS, lastFreeze.getTime(), ...teamTasks.map(t => t.endDate.getTime())));
+
+  const weeks = [];
+  for (let week = startOfWeek(start); week < end; week = addDays(week, 7)) weeks.push(week);
+
+  const lanes = workloads
+    .filter(workload => !workload.engineer.isExternal)
+    .map(workload => {
+      const engineer = workload.engineer;
+      const tasks = teamTasks
+        .filter(task => task.engineer.id === engineer.id)
+        .sort((a, b) => a.startDate - b.startDate);
+      const perDay = countTasksPerDay(tasks);
+
+      const laneWeeks = weeks.map(week => ({ start: week, capacity: 0, booked: 0, utilization: null }));
+      const gaps = [];
+      let gap = null;
+      let overbookedDays = 0;
+      for (let day = start; day < end; day = addDays(day, 1)) {
+        if (!isWorkingDay(day, engineer)) continue;
+        const count = perDay.get(toDateKey(day)) || 0;
+        const capacity = getCapacityOn(engineer, day);
+        const week = laneWeeks[Math.floor(Math.round((day - weeks[0]) / DAY_MS) / 7)];
+        week.capacity += capacity;
+        week.booked += capacity * count;
+        if (count > 1) overbookedDays++;
+
+        if (count === 0) {
+          if (!gap) {
+            gap = { start: day, end: day, days: 0 };
+            gaps.push(gap);
+          }
+          gap.end = day;
+          gap.days++;
+        } else {
+          gap = null;
+        }
+      }
+      for (const week of laneWeeks) {
+        week.utilization = week.capacity > 0 ? week.booked / week.capacity : null;
+      }
+
+      const idleBeforeFreeze = freezes.map(freeze => ({
+        bugId: freeze.bugId,
+        name: freeze.name,
+        idleDays: gaps.reduce((sum, g) => sum + countIdleBefore(g, freeze.freezeDate, engineer), 0)
+      }));
+
+      return { ...workload, tasks, weeks: laneWeeks, gaps, idleBeforeFreeze, overbookedDays };
+    });
+
+  return {
+    start,
+    end,
+    weeks,
+    freezes,
+    lanes,
+    externalTasks: active.length - teamTasks.length
+  };
+}
+
+/**
+ * Idle working days of a gap that fall before a date
+ */
+function countIdleBefore(gap, date, engineer) {
+  if (gap.start >= date) return 0;
+  if (gap.end < date) return gap.days;
+  let days = 0;
+  for (let day = gap.start; day < date; day = addDays(day, 1)) {
+    if (isWorkingDay(day, engineer)) days++;
+  }
+  return days;
+}
@@ -0,0 +1,364 @@
+/**
+ * What-if scenarios
+ * A scenario is a named list of edits to the plan's inputs: engineers added or
+ * removed, availability, milestone deadlines and bug sizes. Scenarios are
+ * planned on copies of the data, so the live plan is never touched, and
+ * compared with the current plan side by side.
+ */
+
+import {
+  buildMilestones,
+  buildComponentTeamMap,
+  planSchedule,
+  buildOptimizerStartData,
+  calculateMilestoneCompletions,
+  computeScheduleScore
+} from './planning.js';
+import { parseSize, normalizeAssigneeEmail } from './scheduler-core.js';
+import { isBetterScore } from './optimizer-utils.js';
+
+export const SCENARIO_EDIT_TYPES = ['addEngineer', 'removeEngineer', 'setAvailability', 'setDeadline', 'setSize'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseAvailability(value, label) {
+  const availability = Number(value);
+  if (!Number.isFinite(availability) || availability <= 0 || availability > 1) {
+    throw new Error(`Invalid availability for ${label}: ${value} (expected more than 0 and at most 1)`);
+  }
+  return availability;
+}
+
+/**
+ * Validate and normalize one scenario edit
+ * @param {Object} edit - {type, ...} with type one of SCENARIO_EDIT_TYPES:
+ *   addEngineer {name, availability, component}, removeEngineer {engineerId},
+ *   setAvailability {engineerId, availability}, setDeadline {bugId, deadline},
+ *   setSize {bugId, size}
+ * @returns {Object} The normalized edit
+ */
+export function parseScenarioEdit(edit) {
+  switch (edit && edit.type) {
+    case 'addEngineer': {
+      const name = String(edit.name || '').trim();
+      if (!name) throw new Error('A new engineer needs a name');
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      return {
+        type: 'addEngineer',
+        engineerId: edit.engineerId || `scenario:${slug}`,
+        name,
+        availability: parseAvailability(edit.availability ?? 1, name),
+        component: edit.component || null
+      };
+    }
+    case 'removeEngineer':
+      if (!edit.engineerId) throw new Error('removeEngineer needs an engineerId');
+      return { type: 'removeEngineer', engineerId: String(edit.engineerId) };
+    case 'setAvailability':
+      if (!edit.engineerId) throw new Error('setAvailability needs an engineerId');
+      return {
+        type: 'setAvailability',
+        engineerId: String(edit.engineerId),
+        availability: parseAvailability(edit.availability, edit.engineerId)
+      };
+    case 'setDeadline':
+      if (!DATE_KEY_PATTERN.test(String(edit.deadline))) {
+        throw new Error(`Invalid deadline for milestone ${edit.bugId}: ${edit.deadline} (expected YYYY-MM-DD)`);
+      }
+      return { type: 'setDeadline', bugId: Number(edit.bugId), deadline: edit.deadline };
+    case 'setSize': {
+      const size = parseSize(edit.size);
+      if (size === null) throw new Error(`Invalid size for bug ${edit.bugId}: ${edit.size}`);
+      return { type: 'setSize', bugId: Number(edit.bugId), size };
+    }
+    default:
+      throw new Error(`Unknown scenario edit type: ${edit && edit.type} (expected one of ${SCENARIO_EDIT_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Create a scenario
+ * @param {string} name
+ * @param {Array<Object>} [edits] - See parseScenarioEdit()
+ * @returns {{name: string, edits: Array<Object>}}
+ */
+export function createScenario(name, edits = []) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('A scenario needs a name');
+  return { name: trimmed, edits: edits.map(parseScenarioEdit) };
+}
+
+/**
+ * Validate saved scenarios (the JSON form of an array of createScenario() results)
+ * @param {Array<Object>} [data]
+ * @returns {Array<Object>}
+ */
+export function parseScenarios(data) {
+  if (!data) return [];
+  if (!Array.isArray(data)) throw new Error('Scenarios must be an array');
+  return data.map(s => createScenario(s.name, s.edits || []));
+}
+
+/**
+ * The plan's inputs with a scenario's edits applied
+ * Teams, engineers, milestone entries and edited bugs are copies. Bugs of a
+ * removed engineer lose their assignee so the scheduler hands them out again.
+ * @param {Object} base
+ * @param {Array<Object>} base.teams - Teams from data/engineers.json (holidays applied)
+ * @param {Array<Object>} base.milestoneEntries - data/milestones.json entries
+ * @param {Map<string, Object>} base.bugs - All bugs by ID
+ * @param {{edits: Array<Object>}} scenario
+ * @returns {{teams: Array<Object>, engineers: Array<Object>, milestoneEntries: Array<Object>, bugs: Map<string, Object>}}
+ */
+export function applyScenario(base, scenario) {
+  const teams = base.teams.map(team => ({ ...team, engineers: team.engineers.map(e => ({ ...e })) }));
+  const milestoneEntries = base.milestoneEntries.map(m => ({ ...m }));
+  const bugs = new Map(base.bugs);
+  const removedEmails = new Set();
+
+  const findEngineer = (engineerId) => {
+    for (const team of teams) {
+      const index = team.engineers.findIndex(e => e.id === engineerId);
+      if (index !== -1) return { team, index };
+    }
+    throw new Error(`Unknown engineer in scenario: ${engineerId}`);
+  };
+
+  for (const edit of scenario.edits) {
+    switch (edit.type) {
+      case 'addEngineer': {
+        if (teams.length === 0) throw new Error(`No team to add ${edit.name} to`);
+        const team = teams.find(t => edit.component && t.components.includes(edit.component)) || teams[0];
+        team.engineers.push({
+          id: edit.engineerId,
+          name: edit.name,
+          email: null,
+          availability: edit.availability,
+          unavailability: []
+        });
+        break;
+      }
+      case 'removeEngineer': {
+        const { team, index } = findEngineer(edit.engineerId);
+        const [removed] = team.engineers.splice(index, 1);
+        const email = normalizeAssigneeEmail(removed.email);
+        if (email) removedEmails.add(email);
+        break;
+      }
+      case 'setAvailability': {
+        const { team, index } = findEngineer(edit.engineerId);
+        // A flat availability replaces any availability schedule
+        const { availabilitySchedule: _replaced, ...engineer } = team.engineers[index];
+        team.engineers[index] = { ...engineer, availability: edit.availability };
+        break;
+      }
+      case 'setDeadline': {
+        const entry = milestoneEntries.find(m => Number(m.bugId) === edit.bugId);
+        if (!entry) throw new Error(`Unknown milestone in scenario: ${edit.bugId}`);
+        entry.deadline = edit.deadline;
+        break;
+      }
+      case 'setSize': {
+        // Bugs come and go with each sync; a size for a bug no longer loaded has nothing to change
+        const bug = bugs.get(String(edit.bugId));
+        if (!bug) break;
+        bugs.set(String(edit.bugId), { ...bug, size: edit.size, sizeRange: null, sizeEstimated: false });
+        break;
+      }
+    }
+  }
+
+  if (removedEmails.size > 0) {
+    for (const [id, bug] of bugs) {
+      if (removedEmails.has(normalizeAssigneeEmail(bug.assignee))) {
+        bugs.set(id, { ...bug, assignee: null });
+      }
+    }
+  }
+
+  return { teams, engineers: teams.flatMap(t => t.engineers), milestoneEntries, bugs };
+}
+
+/**
+ * Short description of an edit for the UI
+ * @param {Object} edit - From parseScenarioEdit()
+ * @param {Object} base - See applyScenario()
+ * @returns {string}
+ */
+export function describeScenarioEdit(edit, base) {
+  const engineerName = (id) => {
+    const engineer = base.teams.flatMap(t => t.engineers).find(e => e.id === id);
+    return engineer ? engineer.name : id;
+  };
+  const milestoneName = (bugId) => {
+    const entry = base.milestoneEntries.find(m => Number(m.bugId) === bugId);
+    return entry ? entry.name : `Milestone ${bugId}`;
+  };
+  const percent = (availability) => `${Math.round(availability * 100)}%`;
+
+  switch (edit.type) {
+    case 'addEngineer':
+      return `Add ${edit.name} (${percent(edit.availability)}${edit.component ? `, ${edit.component}` : ''})`;
+    case 'removeEngineer':
+      return `Remove ${engineerName(edit.engineerId)}`;
+    case 'setAvailability':
+      return `${engineerName(edit.engineerId)} at ${percent(edit.availability)}`;
+    case 'setDeadline':
+      return `${milestoneName(edit.bugId)} deadline ${edit.deadline}`;
+    case 'setSize':
+      return `Bug ${edit.bugId} size ${edit.size}`;
+    default:
+      return edit.type;
+  }
+}
+
+/**
+ * Milestone completions and score of a schedule
+ * @returns {{score: Object, milestones: Array<Object>}} Per milestone:
+ *   {bugId, name, deadline, freezeDate, completion, met, daysLate}; met means
+ *   done by the feature freeze, as in the score
+ */
+export function summarizeSchedule(schedule, milestones, graph) {
+  const completions = calculateMilestoneCompletions(schedule, milestones, graph);
+  return {
+    score: computeScheduleScore(schedule, milestones, graph),
+    milestones: milestones.map(m => {
+      const completion = completions.get(String(m.bugId)) || null;
+      const met = Boolean(completion && completion <= m.freezeDate);
+      return {
+        bugId: m.bugId,
+        name: m.name,
+        deadline: m.deadline,
+        freezeDate: m.freezeDate,
+        completion,
+        met,
+        daysLate: completion && !met ? Math.ceil((completion - m.freezeDate) / DAY_MS) : 0
+      };
+    })
+  };
+}
+
+/**
+ * Plan a scenario with the greedy scheduler
+ * @param {Object} base - See applyScenario(), plus severityFilter and overrides for planSchedule()
+ * @param {{name: string, edits: Array<Object>}} scenario
+ * @returns {Object} {scenario, inputs, milestones, componentTeamMap, plan, schedule, scheduleType, summary}
+ */
+export function planScenario(base, scenario) {
+  const inputs = applyScenario(base, scenario);
+  const { milestones, milestoneNameMap } = buildMilestones(inputs.milestoneEntries);
+  const componentTeamMap = buildComponentTeamMap(inputs.teams);
+  const plan = planSchedule({
+    bugs: inputs.bugs,
+    engineers: inputs.engineers,
+    componentTeamMap,
+    milestones,
+    milestoneNameMap,
+    severityFilter: base.severityFilter,
+    overrides: base.overrides
+  });
+
+  return {
+    scenario,
+    inputs,
+    milestones,
+    componentTeamMap,
+    plan,
+    schedule: plan.schedule,
+    scheduleType: 'greedy',
+    summary: summarizeSchedule(plan.schedule, milestones, plan.graph)
+  };
+}
+
+/**
+ * Run the optimizer on a planned scenario and keep its schedule if it beats the greedy one
+ * @param {Object} result - From planScenario()
+ * @param {Function} runOptimizer - (startData) => Promise of the best 'complete'
+ *   message or null, e.g. runGAWorkers() under Node or a Web Worker in the browser
+ * @param {Object} [options]
+ * @param {number} [options.generations]
+ * @param {number} [options.populationSize]
+ * @returns {Promise<Object>} The result, with the optimized schedule when better
+ */
+export async function optimizeScenario(result, runOptimizer, { generations, populationSize } = {}) {
+  const startData = buildOptimizerStartData({
+    bugs: result.inputs.bugs,
+    scheduleBugs: result.plan.filteredBugs,
+    engineers: result.inputs.engineers,
+    componentTeamMap: result.componentTeamMap,
+    milestones: result.milestones,
+    generations,
+    populationSize
+  });
+
+  const best = await runOptimizer(startData);
+  if (!best || !best.schedule) return result;
+
+  // Dates arrive as strings or clones from workers
+  const schedule = best.schedule.map(task => ({
+    ...task,
+    startDate: task.startDate ? new Date(task.startDate) : null,
+    actualStartDate: task.actualStartDate ? new Date(task.actualStartDate) : null,
+    endDate: task.endDate ? new Date(task.endDate) : null
+  }));
+  const summary = summarizeSchedule(schedule, result.milestones, result.plan.graph);
+  if (!isBetterScore(summary.score, result.summary.score)) return result;
+
+  return { ...result, schedule, scheduleType: 'optimal', summary };
+}
+
+/**
+ * Bugs whose engineer differs between two schedules
+ * @param {Array<Object>} baseSchedule
+ * @param {Array<Object>} schedule
+ * @returns {Array<{bugId: number, summary: string, from: string|null, to: string|null, fromEnd: Date|null, toEnd: Date|null}>}
+ *   Engineer names; null when unscheduled or unassigned
+ */
+export function diffAssignments(baseSchedule, schedule) {
+  const baseById = new Map(baseSchedule.map(t => [String(t.bug.id), t]));
+  const changes = [];
+  for (const task of schedule) {
+    if (task.completed || task.bug.isMeta) continue;
+    const before = baseById.get(String(task.bug.id));
+    const fromId = before && before.engineer ? before.engineer.id : null;
+    const toId = task.engineer ? task.engineer.id : null;
+    if (fromId === toId) continue;
+    changes.push({
+      bugId: task.bug.id,
+      summary: task.bug.summary,
+      from: before && before.engineer ? before.engineer.name : null,
+      to: task.engineer ? task.engineer.name : null,
+      fromEnd: before ? before.endDate : null,
+      toEnd: task.endDate
+    });
+  }
+  return changes.sort((a, b) => a.bugId - b.bugId);
+}
+
+/**
+ * Side-by-side comparison of planned scenarios, the first being the baseline
+ * @param {Array<Object>} results - From planScenario() or optimizeScenario()
+ * @returns {{scenarios: Array<Object>, milestones: Array<Object>}}
+ *   `scenarios`: {name, scheduleType, score, assignmentChanges (vs the baseline)};
+ *   `milestones`: {bugId, name, results: one summary row per scenario (null if absent)}
+ */
+export function compareScenarios(results) {
+  const [baseline] = results;
+  const scenarios = results.map((result, index) => ({
+    name: result.scenario.name,
+    scheduleType: result.scheduleType,
+    score: result.summary.score,
+    assignmentChanges: index === 0 ? [] : diffAssignments(baseline.schedule, result.schedule)
+  }));
+
+  const milestones = (baseline ? baseline.summary.milestones : []).map(m => ({
+    bugId: m.bugId,
+    name: m.name,
+    results: results.map(result =>
+      result.summary.milestones.find(row => String(row.bugId) === String(m.bugId)) || null
+    )
+  }));
+
+  return { scenarios, milestones };
+}
@@ -0,0 +1,232 @@
+/**
+ * Schedule diff
+ * Records a schedule as a plain "plan" (JSON-ready, so it can be saved and
+ * reloaded) and compares two plans: tasks added, removed, moved, reassigned or
+ * resized, milestone completion deltas, and for each milestone that moved the
+ * upstream changes on the chain of tasks that drove its completion.
+ */
+
+import { getAllDependencies } from './planning.js';
+import { toDateKey } from './scheduler-core.js';
+
+export const PLAN_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A task that started this long after its latest predecessor ended was held
+// back by something else (a pin, time off, today), so the chain stops there
+const MAX_DRIVER_GAP_DAYS = 7;
+
+// Changes that can explain a shift, as opposed to 'moved', which is the shift itself
+const CAUSE_TYPES = ['added', 'removed', 'reassigned', 'resized', 'dependencies'];
+
+function dateKeyOrNull(date) {
+  return date ? toDateKey(new Date(date)) : null;
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+}
+
+/**
+ * Record a schedule as a plan
+ * @param {Object} params
+ * @param {Array<Object>} params.schedule - Greedy or optimized schedule
+ * @param {Array<Object>} params.milestones - From buildMilestones()
+ * @param {DependencyGraph} params.graph
+ * @param {string} [params.label] - Shown in the diff, e.g. "Optimized, Oct 19"
+ * @param {string} [params.scheduleType] - 'greedy' or 'optimal'
+ * @returns {Object} {version, label, scheduleType, savedAt, tasks, milestones}; dates are YYYY-MM-DD
+ */
+export function buildPlanRecord({ schedule, milestones, graph, label = '', scheduleType = 'greedy' }) {
+  const tasks = schedule.map(task => ({
+    bugId: Number(task.bug.id),
+    summary: task.bug.summary || '',
+    size: task.bug.size ?? null,
+    isMeta: Boolean(task.bug.isMeta),
+    completed: Boolean(task.completed),
+    engineerId: task.engineer ? task.engineer.id : null,
+    engineer: task.engineer ? task.engineer.name : null,
+    external: Boolean(task.engineer && task.engineer.isExternal),
+    startDate: dateKeyOrNull(task.startDate),
+    endDate: dateKeyOrNull(task.endDate),
+    dependsOn: graph.getDependencies(String(task.bug.id)).map(Number).sort((a, b) => a - b)
+  }));
+
+  const scheduled = new Map(tasks.map(t => [String(t.bugId), t]));
+  const plannedMilestones = milestones.map(m => {
+    const bugId = String(m.bugId);
+    const bugIds = [...getAllDependencies(graph, bugId), bugId].filter(id => scheduled.has(id));
+    let completion = null;
+    for (const id of bugIds) {
+      const end = scheduled.get(id).endDate;
+      if (end && (!completion || end > completion)) completion = end;
+    }
+    return {
+      bugId: Number(m.bugId),
+      name: m.name,
+      deadline: dateKeyOrNull(m.deadline),
+      freezeDate: dateKeyOrNull(m.freezeDate),
+      completion,
+      bugIds: bugIds.map(Number).sort((a, b) => a - b)
+    };
+  });
+
+  return {
+    version: PLAN_VERSION,
+    label,
+    scheduleType,
+    savedAt: new Date().toISOString(),
+    tasks,
+    milestones: plannedMilestones
+  };
+}
+
+/**
+ * Whether parsed JSON looks like a plan (as opposed to, say, a snapshot)
+ */
+export function isPlanRecord(data) {
+  return Boolean(data && Array.isArray(data.tasks) && Array.isArray(data.milestones) && data.version !== undefined);
+}
+
+/**
+ * Validate a saved plan
+ * @param {Object} data - From buildPlanRecord(), e.g. read back from a file
+ * @returns {Object} The plan
+ */
+export function parsePlanRecord(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Plan must be a JSON object');
+  }
+  if (data.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported plan version: ${data.version}`);
+  }
+  if (!Array.isArray(data.tasks) || !Array.isArray(data.milestones)) {
+    throw new Error('Plan must have "tasks" and "milestones" arrays');
+  }
+  for (const task of data.tasks) {
+    if (!Number.isFinite(Number(task.bugId))) {
+      throw new Error(`Invalid bug ID in plan: ${task.bugId}`);
+    }
+  }
+  return data;
+}
+
+/**
+ * The tasks that set a milestone's completion date: its latest-ending tasks,
+ * then whatever each waited for (the dependencies or the same engineer's
+ * earlier tasks that ended last), and so on back. Ties are all followed.
+ * @param {Object} plan - From buildPlanRecord()
+ * @param {Object} milestone - One of plan.milestones
+ * @returns {Array<number>} Bug IDs, latest first
+ */
+export function findDrivingChain(plan, milestone) {
+  const byId = new Map(plan.tasks.map(t => [t.bugId, t]));
+  const active = plan.tasks.filter(t => !t.completed && t.endDate);
+  const latest = tasks => {
+    let end = null;
+    for (const task of tasks) {
+      if (!end || task.endDate > end) end = task.endDate;
+    }
+    return tasks.filter(t => t.endDate === end);
+  };
+
+  const queue = latest(milestone.bugIds.map(id => byId.get(id)).filter(t => t && !t.completed && t.endDate));
+  const chain = [];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (seen.has(current.bugId)) continue;
+    seen.add(current.bugId);
+    chain.push(current.bugId);
+
+    const predecessors = current.dependsOn.map(id => byId.get(id)).filter(Boolean);
+    // External engineers are an unlimited pool; nobody queues behind them
+    if (current.engineerId && !current.external) {
+      predecessors.push(...active.filter(t => t.engineerId === current.engineerId && t.bugId !== current.bugId));
+    }
+
+    const candidates = predecessors.filter(t => !t.completed && t.endDate && t.endDate <= current.startDate);
+    const drivers = latest(candidates);
+    if (drivers.length > 0 && daysBetween(drivers[0].endDate, current.startDate) <= MAX_DRIVER_GAP_DAYS) {
+      queue.push(...drivers);
+    }
+  }
+
+  return chain;
+}
+
+function diffTask(before, after) {
+  if (!before) return ['added'];
+  if (!after) return ['removed'];
+
+  const changes = [];
+  if (before.startDate !== after.startDate || before.endDate !== after.endDate) changes.push('moved');
+  if (before.engineerId !== after.engineerId) changes.push('reassigned');
+  if (before.size !== after.size) changes.push('resized');
+  if (before.dependsOn.join(',') !== after.dependsOn.join(',')) changes.push('dependencies');
+  return changes;
+}
+
+/**
+ * Compare two plans
+ * @param {Object} before - From buildPlanRecord() or parsePlanRecord()
+ * @param {Object} after
+ * @returns {{tasks: Array<Object>, counts: Object, milestones: Array<Object>}}
+ *   `tasks`: changed tasks, {bugId, summary, changes, before, after, endShift};
+ *   `counts`: tasks per change type;
+ *   `milestones`: {bugId, name, before, after, deltaDays, causes} where causes
+ *   are the changed tasks (other than just moved) on either plan's driving chain
+ */
+export function diffPlans(before, after) {
+  const beforeById = new Map(before.tasks.map(t => [t.bugId, t]));
+  const afterById = new Map(after.tasks.map(t => [t.bugId, t]));
+  const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])].sort((a, b) => a - b);
+
+  const tasks = [];
+  const counts = { added: 0, removed: 0, moved: 0, reassigned: 0, resized: 0, dependencies: 0 };
+  for (const bugId of ids) {
+    const b = beforeById.get(bugId) || null;
+    const a = afterById.get(bugId) || null;
+    const changes = diffTask(b, a);
+    if (changes.length === 0) continue;
+    for (const change of changes) counts[change]++;
+    tasks.push({
+      bugId,
+      summary: (a || b).summary,
+      changes,
+      before: b,
+      after: a,
+      endShift: b && a && b.endDate && a.endDate ? daysBetween(b.endDate, a.endDate) : null
+    });
+  }
+  const changedById = new Map(tasks.map(t => [t.bugId, t]));
+
+  const milestones = after.milestones.map(m => {
+    const previous = before.milestones.find(p => p.bugId === m.bugId) || null;
+    const deltaDays = previous && previous.completion && m.completion
+      ? daysBetween(previous.completion, m.completion)
+      : null;
+
+    const causes = [];
+    if (deltaDays !== 0) {
+      const chainIds = new Set([...findDrivingChain(after, m), ...(previous ? findDrivingChain(before, previous) : [])]);
+      for (const id of chainIds) {
+        const change = changedById.get(id);
+        if (change && change.changes.some(c => CAUSE_TYPES.includes(c))) causes.push(change);
+      }
+      causes.sort((x, y) => x.bugId - y.bugId);
+    }
+
+    return {
+      bugId: m.bugId,
+      name: m.name,
+      before: previous ? previous.completion : null,
+      after: m.completion,
+      deltaDays,
+      causes
+    };
+  });
+
+  return { tasks, counts, milestones };
+}
@@ -3,7 +3,7 @@
  * Used by both the main scheduler and the web worker
  */
 
-// Size to days mapping (fractional sizes interpolate)
+// Size to days mapping of the default scheme (fractional sizes interpolate)
 export const SIZE_TO_DAYS = {
   1: 1,
   2: 5,
@@ -12,33 +12,185 @@ export const SIZE_TO_DAYS = {
   5: 60
 };
 
+// Optimizer engineer for tasks no team engineer can take (unmapped component or missing skills)
+export const SHARED_EXTERNAL_ID = 'external:unmapped';
+
 // Default size when not specified (2 weeks = 10 working days)
 export const DEFAULT_SIZE = 3;
 export const DEFAULT_DAYS = 10;
 
+// Default estimation scheme: [size=X] whiteboard tags, sizes 1-5.
+// Projects can configure their own in data/project.json (see parseSizeScheme in project-config.js).
+export const DEFAULT_SIZE_SCHEME = {
+  source: 'whiteboard',
+  tag: 'size',
+  field: null,
+  scale: SIZE_TO_DAYS,
+  default: DEFAULT_SIZE
+};
+
+// Estimation scheme in effect, its sizes in scale order, and whether they are numbers
+let sizeScheme = DEFAULT_SIZE_SCHEME;
+let sizeLabels = Object.keys(SIZE_TO_DAYS);
+let numericSizes = true;
+
+// Days per size in effect: the scheme's scale unless a calibrated table was applied (see calibration.js)
+let sizeTable = { ...SIZE_TO_DAYS };
+
+/**
+ * Set the estimation scheme used to read and convert sizes; resets any calibrated table
+ * @param {Object|null} scheme - From parseSizeScheme(); null restores DEFAULT_SIZE_SCHEME
+ */
+export function setSizeScheme(scheme) {
+  sizeScheme = scheme || DEFAULT_SIZE_SCHEME;
+  const labels = Object.keys(sizeScheme.scale);
+  numericSizes = labels.every(label => Number.isFinite(Number(label)));
+  sizeLabels = numericSizes ? labels.sort((a, b) => Number(a) - Number(b)) : labels;
+  sizeTable = { ...sizeScheme.scale };
+}
+
+/**
+ * Get the estimation scheme in effect, e.g. to pass on to an optimizer worker
+ */
+export function getSizeScheme() {
+  return { ...sizeScheme, scale: { ...sizeScheme.scale } };
+}
+
+/**
+ * Sizes of the scheme in effect, smallest first
+ * @returns {Array<string>}
+ */
+export function getSizeLabels() {
+  return [...sizeLabels];
+}
+
+/**
+ * Replace the size-to-days table used for all effort math
+ * @param {Object|null} table - {size: days}; missing sizes keep their scale
+ *   value, null restores the scheme's scale
+ */
+export function setSizeTable(table) {
+  const next = { ...sizeScheme.scale };
+  for (const [size, days] of Object.entries(table || {})) {
+    if (!sizeLabels.includes(size)) {
+      throw new Error(`Invalid size "${size}" in size table: expected one of ${sizeLabels.join(', ')}`);
+    }
+    if (typeof days !== 'number' || !(days > 0)) {
+      throw new Error(`Invalid days "${days}" for size ${size} in size table`);
+    }
+    next[size] = days;
+  }
+  sizeTable = next;
+}
+
+/**
+ * Get the size-to-days table in effect
+ * @returns {Object} {size: days}
+ */
+export function getSizeTable() {
+  return { ...sizeTable };
+}
+
+/**
+ * Validate a size value against the scheme in effect
+ * Numeric scales accept any number between their smallest and largest size;
+ * labelled scales (e.g. T-shirt sizes) accept their labels, ignoring case.
+ * @param {string|number|null} value - Raw value, e.g. "3.5", "M" or a points field
+ * @returns {number|string|null} Number for numeric scales, canonical label otherwise;
+ *   null when missing or invalid
+ */
+export function parseSize(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+
+  if (numericSizes) {
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const size = Number(text);
+    const min = Number(sizeLabels[0]);
+    const max = Number(sizeLabels[sizeLabels.length - 1]);
+    return size >= min && size <= max ? size : null;
+  }
+
+  return sizeLabels.find(label => label.toLowerCase() === text.toLowerCase()) || null;
+}
+
+/**
+ * The scale size a value counts as: itself for labels, the nearest size for numbers
+ * @param {number|string} size - From parseSize()
+ * @returns {number|string} Size on the scale, a number for numeric scales
+ */
+export function getSizeClass(size) {
+  if (!numericSizes) return size;
+
+  let nearest = sizeLabels[0];
+  for (const label of sizeLabels) {
+    if (Math.abs(Number(label) - size) < Math.abs(Number(nearest) - size)) {
+      nearest = label;
+    }
+  }
+  return Number(nearest);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchSizeTag(whiteboard) {
+  if (!whiteboard) return null;
+  const tag = escapeRegExp(sizeScheme.tag || DEFAULT_SIZE_SCHEME.tag);
+  return whiteboard.match(new RegExp(`\\[${tag}=([^\\]\\s]+)(?:\\s+range=([^\\]\\s-]+)-([^\\]\\s]+))?\\]`, 'i'));
+}
+
+/**
+ * Extract the size from a whiteboard tag, e.g. [size=3], [size=3.5] or [size=M]
+ * @param {string} whiteboard
+ * @returns {number|string|null} See parseSize()
+ */
+export function extractSize(whiteboard) {
+  const match = matchSizeTag(whiteboard);
+  return match ? parseSize(match[1]) : null;
+}
+
+/**
+ * Read a bug's size from where the scheme in effect keeps it
+ * @param {Object} rawBug - Bugzilla REST bug (whiteboard, or the configured field)
+ * @returns {{size: number|string|null, sizeRange: Object|null}}
+ */
+export function readBugSize(rawBug) {
+  if (sizeScheme.source === 'field') {
+    return { size: parseSize(rawBug[sizeScheme.field]), sizeRange: null };
+  }
+  const size = extractSize(rawBug.whiteboard);
+  return { size, sizeRange: size === null ? null : extractSizeRange(rawBug.whiteboard) };
+}
+
 /**
  * Calculate days from size, supporting fractional sizes
- * @param {number} size - Size value (can be fractional like 3.5)
+ * @param {number|string} size - Size value (can be fractional like 3.5, or a label like "M")
  * @returns {number} Days of effort
  */
 export function calculateDaysFromSize(size) {
-  // Integer sizes use the lookup table
-  if (Number.isInteger(size) && SIZE_TO_DAYS[size]) {
-    return SIZE_TO_DAYS[size];
+  // Sizes on the scale use the lookup table
+  if (Object.hasOwn(sizeTable, String(size))) {
+    return sizeTable[size];
+  }
+  if (!numericSizes || typeof size !== 'number') {
+    return sizeTable[sizeScheme.default] || DEFAULT_DAYS;
   }
-
-  // Fractional sizes: interpolate between adjacent values
-  const lowerSize = Math.floor(size);
-  const upperSize = Math.ceil(size);
 
   // Handle edge cases
-  if (lowerSize < 1) return SIZE_TO_DAYS[1];
-  if (upperSize > 5) return SIZE_TO_DAYS[5];
-  if (lowerSize === upperSize) return SIZE_TO_DAYS[lowerSize] || DEFAULT_DAYS;
+  const first = sizeLabels[0];
+  const last = sizeLabels[sizeLabels.length - 1];
+  if (size < Number(first)) return sizeTable[first];
+  if (size > Number(last)) return sizeTable[last];
 
-  const lowerDays = SIZE_TO_DAYS[lowerSize] || DEFAULT_DAYS;
-  const upperDays = SIZE_TO_DAYS[upperSize] || DEFAULT_DAYS;
-  const fraction = size - lowerSize;
+  // Sizes between the scale's: interpolate between adjacent values
+  const upper = sizeLabels.findIndex(label => Number(label) > size);
+  const lowerSize = Number(sizeLabels[upper - 1]);
+  const upperSize = Number(sizeLabels[upper]);
+  const lowerDays = sizeTable[sizeLabels[upper - 1]];
+  const upperDays = sizeTable[sizeLabels[upper]];
+  const fraction = (size - lowerSize) / (upperSize - lowerSize);
 
   return Math.round(lowerDays + (upperDays - lowerDays) * fraction);
 }
@@ -46,48 +198,441 @@ export function calculateDaysFromSize(size) {
 /**
  * Calculate effort in days for a task
  * @param {Object} bug - Bug object with size, isMeta properties
- * @param {Object} engineer - Engineer object with availability
- * @returns {{days: number, baseDays: number, sizeEstimated: boolean, isMeta?: boolean}}
+ * @param {Object} engineer - Engineer object with availability, and optional velocity,
+ *   availabilitySchedule and rampUp
+ * @param {Date} [startDate] - Task start, needed to integrate an availability schedule or
+ *   ramp-up; without it the base availability applies and ramp-up is ignored
+ * @returns {{days: number, baseDays: number, estimatedDays: number, percentComplete: number,
+ *   progressSource: string|null, sizeEstimated: boolean, isMeta?: boolean, availability?: number,
+ *   velocity?: number, rampUp?: number}} baseDays is the full-time effort still to do (the
+ *   size's estimatedDays less progress, see getProgress()); time-varying factors are
+ *   averages over the task's working days
  */
-export function calculateEffort(bug, engineer) {
+export function calculateEffort(bug, engineer, startDate = null) {
   // Meta bugs take 0 time (they're tracking bugs)
   if (bug.isMeta) {
     return {
       days: 0,
       baseDays: 0,
+      estimatedDays: 0,
+      percentComplete: 0,
+      progressSource: null,
       sizeEstimated: false,
       isMeta: true
     };
   }
 
-  // Get size from bug or use default (2 weeks)
+  // Get size from bug or use the scheme's default (2 weeks by default)
   let size = bug.size;
   let sizeEstimated = bug.sizeEstimated || false;
 
   if (size === null || size === undefined) {
-    size = DEFAULT_SIZE;
+    size = sizeScheme.default;
     sizeEstimated = true;
   }
 
-  // Calculate base days, supporting fractional sizes via interpolation
-  const baseDays = calculateDaysFromSize(size);
+  // Calculate estimated days, supporting fractional sizes via interpolation
+  const estimatedDays = calculateDaysFromSize(size);
 
-  // Apply availability factor (e.g., 0.2 = 20% time means 5x longer)
-  const availabilityFactor = engineer.availability || 1.0;
-  const adjustedDays = Math.ceil(baseDays / availabilityFactor);
+  // Work already done on in-progress bugs doesn't need scheduling again
+  const { remainingDays, percentComplete, progressSource } = getProgress(bug, estimatedDays, engineer);
 
   return {
-    days: adjustedDays,
-    baseDays,
+    ...scaleEffort(remainingDays, engineer, startDate),
+    baseDays: remainingDays,
+    estimatedDays,
+    percentComplete,
+    progressSource,
     sizeEstimated
   };
 }
 
+// Share of its estimate an in-progress bug is assumed to still need, however long it has been ASSIGNED
+export const MIN_REMAINING_FRACTION = 0.1;
+
+/**
+ * Extract progress whiteboard tags: [remaining=X] (full-time working days left)
+ * and [progress=N%] (percent complete, the % is optional)
+ * @param {string} whiteboard
+ * @returns {{remainingDays: number|null, percentComplete: number|null}}
+ */
+export function extractProgress(whiteboard) {
+  const remaining = whiteboard ? whiteboard.match(/\[remaining=(\d+(?:\.\d+)?)d?\]/i) : null;
+  const progress = whiteboard ? whiteboard.match(/\[progress=(\d+(?:\.\d+)?)%?\]/i) : null;
+  const percentComplete = progress ? Number(progress[1]) : null;
+  return {
+    remainingDays: remaining ? Number(remaining[1]) : null,
+    percentComplete: percentComplete !== null && percentComplete <= 100 ? percentComplete : null
+  };
+}
+
 /**
- * Add working days to a date (skip weekends)
+ * Estimate how much of a bug is done
+ * In order: a [remaining=X] tag, a [progress=N%] tag, or for bugs ASSIGNED since
+ * `bug.assignedAt` (see BugzillaAPI.fetchAssignedDates()) the effort the engineer
+ * delivered since then, leaving at least MIN_REMAINING_FRACTION of the estimate.
+ * @param {Object} bug
+ * @param {number} estimatedDays - Full-time days of the whole bug
+ * @param {Object} engineer - Engineer doing the work, for the delivered effort
+ * @param {Date} [today]
+ * @returns {{remainingDays: number, percentComplete: number, progressSource: string|null}}
+ *   progressSource is 'remaining', 'progress', 'assigned' or null when nothing is done
+ */
+export function getProgress(bug, estimatedDays, engineer, today = new Date()) {
+  const done = (remainingDays, progressSource) => ({
+    remainingDays,
+    percentComplete: estimatedDays > 0
+      ? Math.max(0, Math.round(100 * (1 - remainingDays / estimatedDays)))
+      : 0,
+    progressSource
+  });
+
+  const tags = extractProgress(bug.whiteboard);
+  if (tags.remainingDays !== null) {
+    return done(tags.remainingDays, 'remaining');
+  }
+  if (tags.percentComplete !== null) {
+    return done(estimatedDays * (1 - tags.percentComplete / 100), 'progress');
+  }
+
+  const actualStart = getActualStartDate(bug, today);
+  if (actualStart) {
+    const delivered = getDeliveredEffort(engineer, actualStart, today, estimatedDays);
+    if (delivered > 0) {
+      return done(Math.max(estimatedDays - delivered, estimatedDays * MIN_REMAINING_FRACTION), 'assigned');
+    }
+  }
+
+  return { remainingDays: estimatedDays, percentComplete: 0, progressSource: null };
+}
+
+/**
+ * When work on an in-progress bug actually started: the day it last moved to
+ * ASSIGNED (bug.assignedAt, see BugzillaAPI.fetchAssignedDates()), for ASSIGNED
+ * bugs with an assignee
+ * @param {Object} bug
+ * @param {Date} [today]
+ * @returns {Date|null} Midnight of the start day, null unless it is before today
+ */
+export function getActualStartDate(bug, today = new Date()) {
+  const assignee = normalizeAssigneeEmail(bug.assignee);
+  if (bug.isMeta || bug.status !== 'ASSIGNED' || !bug.assignedAt || !assignee || assignee === 'nobody@mozilla.org') {
+    return null;
+  }
+
+  const start = new Date(bug.assignedAt);
+  start.setHours(0, 0, 0, 0);
+  const midnight = new Date(today);
+  midnight.setHours(0, 0, 0, 0);
+  return start < midnight ? start : null;
+}
+
+/**
+ * Start date a planner pinned for a bug (bug.pin, see overrides.js), moved to
+ * the next working day
+ * @param {Object} bug
+ * @param {Date} [today]
+ * @returns {Date|null} Null without a pin or when the pinned day has passed
+ */
+export function getPinnedStartDate(bug, today = new Date()) {
+  if (!bug.pin || !bug.pin.startDate) return null;
+
+  const pinned = normalizeStartDate(fromDateKey(bug.pin.startDate));
+  const midnight = new Date(today);
+  midnight.setHours(0, 0, 0, 0);
+  return pinned > midnight ? pinned : null;
+}
+
+/**
+ * Full-time effort an engineer delivered on working days after `from` up to `to`,
+ * stopping once `limit` is reached
+ */
+function getDeliveredEffort(engineer, from, to, limit) {
+  const current = new Date(from);
+  current.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(0, 0, 0, 0);
+
+  let delivered = 0;
+  while (current < end && delivered < limit) {
+    current.setDate(current.getDate() + 1);
+    if (isWorkingDay(current, engineer)) {
+      delivered += getCapacityOn(engineer, current);
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Convert full-time effort into the engineer's working days
+ * @param {number} baseDays - Effort at 100% availability and velocity (may be fractional)
+ * @param {Object} engineer
+ * @param {Date} [startDate] - Task start, see calculateEffort()
+ * @returns {{days: number, availability: number, velocity: number, rampUp?: number}}
+ */
+export function scaleEffort(baseDays, engineer, startDate = null) {
+  // Capacity that changes over time (availability schedule, ramp-up): integrate from the start date
+  const velocity = engineer.velocity || 1.0;
+  if (startDate && hasTimeVaryingCapacity(engineer)) {
+    const { days, availability, rampUp } = integrateEffort(startDate, baseDays, engineer);
+    return { days, availability, velocity, rampUp };
+  }
+
+  // Apply availability and velocity (e.g., 0.2 = 20% time means 5x longer, 1.25 velocity = 25% faster)
+  const availabilityFactor = engineer.availability || 1.0;
+  return {
+    days: Math.ceil(baseDays / (availabilityFactor * velocity)),
+    availability: availabilityFactor,
+    velocity
+  };
+}
+
+// Default optimistic/pessimistic multipliers on base days, used when the
+// whiteboard gives no [size=x range=a-b]. Bigger work overruns more, so the
+// band is picked by the size's days (the first band whose maxDays covers them).
+export const DEFAULT_SIZE_UNCERTAINTY = [
+  { maxDays: 1, optimistic: 0.75, pessimistic: 1.5 },
+  { maxDays: 5, optimistic: 0.75, pessimistic: 1.75 },
+  { maxDays: 20, optimistic: 0.7, pessimistic: 2 },
+  { maxDays: Infinity, optimistic: 0.6, pessimistic: 2.5 }
+];
+
+// Bugs without a size are a guess, so the default 2 weeks gets a wide range
+export const MISSING_SIZE_UNCERTAINTY = { optimistic: 0.5, pessimistic: 3 };
+
+function compareSizes(a, b) {
+  return numericSizes ? a - b : sizeLabels.indexOf(a) - sizeLabels.indexOf(b);
+}
+
+/**
+ * Extract the optional size range from [size=x range=a-b]
+ * @param {string} whiteboard
+ * @returns {{min: number|string, max: number|string}|null} Sizes (see parseSize()), not days
+ */
+export function extractSizeRange(whiteboard) {
+  const match = matchSizeTag(whiteboard);
+  if (!match || match[2] === undefined) return null;
+
+  const min = parseSize(match[2]);
+  const max = parseSize(match[3]);
+  if (min === null || max === null || compareSizes(min, max) > 0) return null;
+  return { min, max };
+}
+
+/**
+ * Three-point estimate of a bug's effort in base days
+ * @param {Object} bug - Bug with size, sizeEstimated and optional sizeRange or whiteboard
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number}}
+ */
+export function getThreePointEstimate(bug) {
+  if (bug.isMeta) {
+    return { optimistic: 0, mostLikely: 0, pessimistic: 0 };
+  }
+
+  const hasSize = bug.size !== null && bug.size !== undefined;
+  const mostLikely = calculateDaysFromSize(hasSize ? bug.size : sizeScheme.default);
+
+  const range = hasSize ? (bug.sizeRange || extractSizeRange(bug.whiteboard)) : null;
+  if (range) {
+    // A range that doesn't contain the size still brackets it
+    return {
+      optimistic: Math.min(calculateDaysFromSize(range.min), mostLikely),
+      mostLikely,
+      pessimistic: Math.max(calculateDaysFromSize(range.max), mostLikely)
+    };
+  }
+
+  const uncertainty = hasSize && !bug.sizeEstimated
+    ? DEFAULT_SIZE_UNCERTAINTY.find(band => mostLikely <= band.maxDays)
+    : MISSING_SIZE_UNCERTAINTY;
+  return {
+    optimistic: mostLikely * uncertainty.optimistic,
+    mostLikely,
+    pessimistic: mostLikely * uncertainty.pessimistic
+  };
+}
+
+// Company-wide closure dates (YYYY-MM-DD) skipped for everyone, see holidays.js
+let companyHolidays = new Set();
+
+/**
+ * Set the company-wide closure dates used by all working-day math
+ * @param {Array<string>} dates - YYYY-MM-DD dates
+ */
+export function setCompanyHolidays(dates) {
+  companyHolidays = new Set(dates || []);
+}
+
+/**
+ * Company-wide closure dates, e.g. to pass on to an optimizer worker
+ * @returns {Array<string>} Sorted YYYY-MM-DD dates
+ */
+export function getCompanyHolidays() {
+  return [...companyHolidays].sort();
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD calendar day
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD calendar day as local midnight
+ */
+export function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Check whether a day is worked: not a weekend or company holiday, and for an
+ * engineer not one of their location's holidays or unavailability periods
+ * @param {Date} date
+ * @param {Object} engineer - Optional engineer with holidays and unavailability
+ * @returns {boolean}
+ */
+export function isWorkingDay(date, engineer = null) {
+  const dayOfWeek = date.getDay();
+  if (dayOfWeek === 0 || dayOfWeek === 6) return false;
+
+  const dateKey = toDateKey(date);
+  if (companyHolidays.has(dateKey)) return false;
+  if (!engineer) return true;
+
+  if (engineer.holidays && engineer.holidays.includes(dateKey)) return false;
+
+  if (engineer.unavailability) {
+    const dateStr = date.toISOString().split('T')[0];
+    const isUnavailable = engineer.unavailability.some(period => {
+      const start = new Date(period.start).toISOString().split('T')[0];
+      const end = new Date(period.end).toISOString().split('T')[0];
+      return dateStr >= start && dateStr <= end;
+    });
+    if (isUnavailable) return false;
+  }
+
+  return true;
+}
+
+// Longest a task may stretch (in working days) before its engineer is treated as having no capacity
+export const MAX_EFFORT_WORKING_DAYS = 5 * 260;
+
+/**
+ * Check whether an engineer's availability changes over time
+ */
+export function hasAvailabilitySchedule(engineer) {
+  return Boolean(engineer && Array.isArray(engineer.availabilitySchedule) && engineer.availabilitySchedule.length > 0);
+}
+
+/**
+ * Availability factor on a given day: the availabilitySchedule segment
+ * covering it ({from, to, availability}, inclusive, either end open),
+ * else the engineer's base availability
+ * @param {Object} engineer
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getAvailabilityOn(engineer, date) {
+  const base = engineer.availability || 1.0;
+  if (!hasAvailabilitySchedule(engineer)) return base;
+
+  const dateKey = toDateKey(date);
+  const segment = engineer.availabilitySchedule.find(s =>
+    (!s.from || dateKey >= s.from) && (!s.to || dateKey <= s.to)
+  );
+  return segment ? segment.availability : base;
+}
+
+// Learning-curve factor before a rampUp sets its own `initial`
+export const DEFAULT_RAMP_UP_INITIAL = 0.5;
+
+/**
+ * Check whether an engineer's capacity changes over time
+ */
+export function hasTimeVaryingCapacity(engineer) {
+  return hasAvailabilitySchedule(engineer) || Boolean(engineer && engineer.rampUp);
+}
+
+/**
+ * Learning-curve factor on a given day: rampUp {start, end, initial} rises
+ * linearly from `initial` on its start date to 1.0 on its end date
+ * @param {Object} engineer
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getRampUpOn(engineer, date) {
+  const rampUp = engineer.rampUp;
+  if (!rampUp) return 1.0;
+
+  const initial = rampUp.initial ?? DEFAULT_RAMP_UP_INITIAL;
+  const dateKey = toDateKey(date);
+  if (dateKey <= rampUp.start) return initial;
+  if (dateKey >= rampUp.end) return 1.0;
+
+  const start = fromDateKey(rampUp.start);
+  const end = fromDateKey(rampUp.end);
+  return initial + (1.0 - initial) * (date - start) / (end - start);
+}
+
+/**
+ * Full-time effort an engineer delivers on a working day:
+ * availability × velocity × ramp-up
+ */
+export function getCapacityOn(engineer, date) {
+  return getAvailabilityOn(engineer, date) * (engineer.velocity || 1.0) * getRampUpOn(engineer, date);
+}
+
+/**
+ * Count the engineer's working days needed to deliver baseDays of full-time
+ * effort starting after startDate, summing their capacity day by day
+ * @param {Date} startDate
+ * @param {number} baseDays - Effort at 100% availability and velocity
+ * @param {Object} engineer
+ * @returns {{days: number, availability: number, rampUp: number}} Working days (for
+ *   addWorkingDays(startDate, days, engineer)) and the average factors over them;
+ *   days is Infinity when the engineer has no capacity left for the work
+ */
+export function integrateEffort(startDate, baseDays, engineer) {
+  const current = new Date(startDate);
+  const velocity = engineer.velocity || 1.0;
+  let delivered = 0;
+  let days = 0;
+  let availabilityTotal = 0;
+  let rampUpTotal = 0;
+
+  // Tolerance absorbs float error from summing fractional capacity
+  while (delivered < baseDays - 1e-9) {
+    current.setDate(current.getDate() + 1);
+    if (!isWorkingDay(current, engineer)) continue;
+
+    days++;
+    const availability = getAvailabilityOn(engineer, current);
+    const rampUp = getRampUpOn(engineer, current);
+    availabilityTotal += availability;
+    rampUpTotal += rampUp;
+    delivered += availability * velocity * rampUp;
+    if (days > MAX_EFFORT_WORKING_DAYS) {
+      return { days: Infinity, availability: 0, rampUp: getRampUpOn(engineer, startDate) };
+    }
+  }
+
+  return {
+    days,
+    availability: days > 0 ? availabilityTotal / days : getAvailabilityOn(engineer, startDate),
+    rampUp: days > 0 ? rampUpTotal / days : getRampUpOn(engineer, startDate)
+  };
+}
+
+/**
+ * Add working days to a date (skip weekends, holidays and unavailability)
  * @param {Date} startDate - Starting date
  * @param {number} days - Number of working days to add
- * @param {Object} engineer - Optional engineer with unavailability periods
+ * @param {Object} engineer - Optional engineer with holidays and unavailability periods
  * @returns {Date} End date
  */
 export function addWorkingDays(startDate, days, engineer = null) {
@@ -99,55 +644,21 @@ export function addWorkingDays(startDate, days, engineer = null) {
 
   while (remaining > 0) {
     result.setDate(result.getDate() + step);
-
-    // Skip weekends
-    const dayOfWeek = result.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) continue;
-
-    // Skip engineer unavailability periods
-    if (engineer && engineer.unavailability) {
-      const dateStr = result.toISOString().split('T')[0];
-      const isUnavailable = engineer.unavailability.some(period => {
-        const start = new Date(period.start).toISOString().split('T')[0];
-        const end = new Date(period.end).toISOString().split('T')[0];
-        return dateStr >= start && dateStr <= end;
-      });
-      if (isUnavailable) continue;
-    }
-
-    remaining--;
+    if (isWorkingDay(result, engineer)) remaining--;
   }
 
   return result;
 }
 
 /**
- * Move a start date to the next available working day (skip weekends and unavailability).
+ * Move a start date to the next available working day (skip weekends, holidays and unavailability).
  */
 export function normalizeStartDate(startDate, engineer = null) {
   const result = new Date(startDate);
-  while (true) {
-    const dayOfWeek = result.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      result.setDate(result.getDate() + 1);
-      continue;
-    }
-
-    if (engineer && engineer.unavailability) {
-      const dateStr = result.toISOString().split('T')[0];
-      const isUnavailable = engineer.unavailability.some(period => {
-        const start = new Date(period.start).toISOString().split('T')[0];
-        const end = new Date(period.end).toISOString().split('T')[0];
-        return dateStr >= start && dateStr <= end;
-      });
-      if (isUnavailable) {
-        result.setDate(result.getDate() + 1);
-        continue;
-      }
-    }
-
-    return result;
+  while (!isWorkingDay(result, engineer)) {
+    result.setDate(result.getDate() + 1);
   }
+  return result;
 }
 
 /**
@@ -160,6 +671,42 @@ export function normalizeAssigneeEmail(assignee) {
   return assignee.trim().toLowerCase();
 }
 
+/**
+ * Extract required skills from whiteboard tags like [skill=sandbox]
+ * @param {string} whiteboard
+ * @returns {Array<string>} Lowercased skill tags
+ */
+export function extractSkills(whiteboard) {
+  if (!whiteboard) return [];
+  const skills = [];
+  for (const match of whiteboard.matchAll(/\[skill=([^\]\s]+)\]/gi)) {
+    const skill = match[1].toLowerCase();
+    if (!skills.includes(skill)) skills.push(skill);
+  }
+  return skills;
+}
+
+/**
+ * Skills a bug requires (parsed from its whiteboard if not already on the bug)
+ * @param {Object} bug
+ * @returns {Array<string>}
+ */
+export function getRequiredSkills(bug) {
+  return bug.requiredSkills || extractSkills(bug.whiteboard);
+}
+
+/**
+ * Check whether an engineer has every required skill (engineers.json `skills`)
+ * @param {Object} engineer
+ * @param {Array<string>} requiredSkills
+ * @returns {boolean}
+ */
+export function hasRequiredSkills(engineer, requiredSkills) {
+  if (!requiredSkills || requiredSkills.length === 0) return true;
+  const skills = (engineer.skills || []).map(skill => skill.toLowerCase());
+  return requiredSkills.every(skill => skills.includes(skill));
+}
+
 /**
  * Check if a bug is resolved/closed
  * @param {Object} bug - Bug object
@@ -8,7 +8,12 @@ import {
   addWorkingDays as coreAddWorkingDays,
   isResolved,
   normalizeAssigneeEmail,
-  normalizeStartDate
+  normalizeStartDate,
+  getRequiredSkills,
+  hasRequiredSkills,
+  getActualStartDate,
+  getPinnedStartDate,
+  toDateKey
 } from './scheduler-core.js';
 
 export class Scheduler {
@@ -39,27 +44,33 @@ export class Scheduler {
   /**
    * Calculate effort in days for a task (delegates to shared core function)
    */
-  calculateEffort(bug, engineer) {
-    return coreCalculateEffort(bug, engineer);
+  calculateEffort(bug, engineer, startDate = null) {
+    return coreCalculateEffort(bug, engineer, startDate);
   }
 
   /**
-   * Get engineers eligible to work on a bug based on its component.
+   * Get engineers eligible to work on a bug based on its component and skills.
    * Returns the team's engineers if the bug's component is mapped,
    * an empty array if the component has no team,
-   * or all non-external engineers if no componentTeamMap is set (backward compat).
+   * or all non-external engineers if no componentTeamMap is set (backward compat),
+   * keeping only those with every skill the bug requires ([skill=x] whiteboard tags).
    */
   getEligibleEngineers(bug) {
+    let candidates;
     if (!this.componentTeamMap) {
       // No map = backward compat: all non-external engineers
-      return this.engineers.filter(e => !e.isExternal);
-    }
-    const team = this.componentTeamMap.get(bug.component);
-    if (!team) {
-      // Component has no team — no eligible engineers
-      return [];
+      candidates = this.engineers.filter(e => !e.isExternal);
+    } else {
+      const team = this.componentTeamMap.get(bug.component);
+      if (!team) {
+        // Component has no team — no eligible engineers
+        return [];
+      }
+      candidates = team.engineers;
     }
-    return team.engineers;
+
+    const requiredSkills = getRequiredSkills(bug);
+    return candidates.filter(e => hasRequiredSkills(e, requiredSkills));
   }
 
   /**
@@ -145,18 +156,15 @@ export class Scheduler {
         milestoneBugIds.has(String(bug.id))
       );
 
-      // Separate locked (assigned) vs unlocked bugs - schedule locked first
+      // Separate locked (assigned or pinned) vs unlocked bugs - schedule locked first
       // This ensures locked bugs get optimal timing, unlocked bugs work around them
-      const lockedBugs = milestoneBugs.filter(bug => {
-        const assignee = normalizeAssigneeEmail(bug.assignee);
-        return assignee && assignee !== 'nobody@mozilla.org' && this.engineerByEmail.has(assignee);
-      });
+      const lockedBugs = milestoneBugs.filter(bug => this.getAssignedEngineer(bug));
       const unlockedBugs = milestoneBugs.filter(bug => !lockedBugs.includes(bug));
 
       console.log(`[Scheduler] Milestone ${milestone.name}: ${milestoneBugs.length} bugs (${lockedBugs.length} locked, ${unlockedBugs.length} unlocked)`);
 
-      // Schedule locked bugs first (in topological order)
-      for (const bug of lockedBugs) {
+      // Schedule locked bugs first (in topological order, work underway first)
+      for (const bug of this.orderUnderwayFirst(lockedBugs, milestoneBugs, graph, taskEndDates, today)) {
         this.scheduleBug(bug, graph, taskEndDates, today, milestone);
       }
 
@@ -172,7 +180,7 @@ export class Scheduler {
 
     if (remainingBugs.length > 0) {
       console.log(`[Scheduler] Scheduling ${remainingBugs.length} remaining bugs not in any milestone`);
-      for (const bug of remainingBugs) {
+      for (const bug of this.orderUnderwayFirst(remainingBugs, remainingBugs, graph, taskEndDates, today)) {
         this.scheduleBug(bug, graph, taskEndDates, today);
       }
     }
@@ -180,6 +188,23 @@ export class Scheduler {
     return this.schedule;
   }
 
+  /**
+   * Move bugs already in progress (see getActualStartDate()) to the front so
+   * their engineers keep working on them before queued bugs, unless they wait
+   * for a pending bug that isn't scheduled yet
+   * @param {Array<Object>} bugs - Bugs in topological order
+   * @param {Array<Object>} pendingBugs - Bugs of the same batch, scheduled after this call
+   * @returns {Array<Object>} The same bugs, in-progress ones first
+   */
+  orderUnderwayFirst(bugs, pendingBugs, graph, taskEndDates, today) {
+    const pendingIds = new Set(pendingBugs.map(bug => String(bug.id)));
+    const underway = bugs.filter(bug =>
+      getActualStartDate(bug, today) &&
+      graph.getDependencies(String(bug.id)).every(depId => !pendingIds.has(depId) || taskEndDates.has(depId))
+    );
+    return [...underway, ...bugs.filter(bug => !underway.includes(bug))];
+  }
+
   /**
    * Assign bugs to milestones based on dependency relationships
    * A bug belongs to the earliest milestone that depends on it (directly or transitively)
@@ -284,11 +309,24 @@ export class Scheduler {
       }
     }
 
+    // A pinned start is a floor: dependencies or a busy engineer can still push it later
+    const pinnedStart = getPinnedStartDate(bug, today);
+    if (pinnedStart && pinnedStart > earliestStart) {
+      earliestStart = pinnedStart;
+    }
+
     let assignment = null;
     const lockedEngineer = this.getAssignedEngineer(bug);
 
     if (lockedEngineer) {
       assignment = this.assignToEngineer(bug, lockedEngineer, earliestStart);
+      if (!assignment) {
+        this.warnings.push({
+          type: 'no_capacity',
+          bug,
+          message: `Assignee ${lockedEngineer.name} has no capacity left for bug ${bug.id}; scheduling it with another engineer`
+        });
+      }
     } else if (bug.assignee && bug.assignee !== 'nobody@mozilla.org') {
       this.warnings.push({
         type: 'unknown_assignee',
@@ -337,14 +375,23 @@ export class Scheduler {
       engineerSchedule.tasks.push(bug.id);
     }
 
+    if (pinnedStart && startDate.getTime() !== pinnedStart.getTime()) {
+      this.warnings.push({
+        type: 'pin_moved',
+        bug,
+        message: `Bug ${bug.id} pinned to start ${toDateKey(pinnedStart)} starts ${toDateKey(startDate)} (dependencies or engineer busy)`
+      });
+    }
+
     // Record task end date
     taskEndDates.set(String(bug.id), endDate);
 
-    // Add to schedule
+    // Add to schedule; startDate is when the remaining work starts
     this.schedule.push({
       bug,
       startDate,
       endDate,
+      actualStartDate: getActualStartDate(bug, today),
       engineer,
       effort,
       completed: false,
@@ -361,26 +408,32 @@ export class Scheduler {
 
   /**
    * Assign a specific engineer to a bug (hard lock)
+   * @returns {Object|null} null when the engineer isn't scheduled or has no capacity left for the bug
    */
   assignToEngineer(bug, engineer, earliestStart) {
     const schedule = this.engineerSchedules.get(engineer.id);
     if (!schedule) return null;
 
-    const effort = this.calculateEffort(bug, engineer);
     let startDate = new Date(Math.max(
       schedule.nextAvailable.getTime(),
       earliestStart.getTime()
     ));
     startDate = normalizeStartDate(startDate, engineer);
+    const effort = this.calculateEffort(bug, engineer, startDate);
+    if (!Number.isFinite(effort.days)) return null;
     const endDate = this.addWorkingDays(startDate, effort.days, engineer);
 
     return { engineer, startDate, effort, endDate };
   }
 
   /**
-   * Resolve a bug's assignee to a known engineer, if possible
+   * Resolve a bug's pinned engineer or assignee to a known engineer, if possible
    */
   getAssignedEngineer(bug) {
+    if (bug.pin && bug.pin.engineerId) {
+      const pinned = this.engineers.find(e => e.id === bug.pin.engineerId && !e.isExternal);
+      if (pinned) return pinned;
+    }
     const assigneeEmail = normalizeAssigneeEmail(bug.assignee);
     if (!assigneeEmail || assigneeEmail === 'nobody@mozilla.org') return null;
     return this.engineerByEmail.get(assigneeEmail) || null;
@@ -499,12 +552,14 @@ export class Scheduler {
 
   /**
    * Get engineer workload summary
+   * @param {Array<Object>} [schedule] - Another schedule for the same engineers, e.g. an
+   *   optimized one; nextAvailable is then the end of each engineer's last task in it
    */
-  getEngineerWorkloads() {
+  getEngineerWorkloads(schedule = this.schedule) {
     const workloads = [];
 
-    for (const [engineerId, schedule] of this.engineerSchedules) {
-      const tasks = this.schedule.filter(
+    for (const [engineerId, engineerSchedule] of this.engineerSchedules) {
+      const tasks = schedule.filter(
         t => t.engineer && t.engineer.id === engineerId && !t.completed
       );
 
@@ -515,11 +570,17 @@ export class Scheduler {
         }
       }
 
+      let nextAvailable = engineerSchedule.nextAvailable;
+      if (schedule !== this.schedule) {
+        const ends = tasks.filter(t => t.endDate).map(t => t.endDate.getTime());
+        nextAvailable = ends.length > 0 ? new Date(Math.max(...ends)) : new Date(this.currentStartDate);
+      }
+
       workloads.push({
-        engineer: schedule.engineer,
+        engineer: engineerSchedule.engineer,
         taskCount: tasks.length,
         totalDays,
-        nextAvailable: schedule.nextAvailable
+        nextAvailable
       });
     }
 
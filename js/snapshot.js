@@ -0,0 +1,133 @@
+/**
+ * Bug tree snapshots
+ * Same JSON format as scripts/capture-snapshot.js writes to test/fixtures/live-snapshot.json,
+ * so the app can export, reload and reproduce exactly what it planned from.
+ */
+
+import { isProjectComponent } from './project-config.js';
+import { isResolved } from './scheduler-core.js';
+
+/**
+ * Build a snapshot object from processed bugs
+ * @param {Object} params
+ * @param {Map<string, Object>|Array<Object>} params.bugs - Processed bugs
+ * @param {Array<Object>} params.milestones - Milestone entries as in data/milestones.json
+ * @param {Object} params.project - Parsed project config
+ * @param {Array<Object>|null} [params.milestonedBugs] - Open milestoned bugs from
+ *   BugzillaAPI.fetchMilestonedBugs(), used to find bugs outside the dependency trees
+ * @param {string} [params.capturedAt] - ISO timestamp (defaults to now)
+ * @returns {Object} Snapshot
+ */
+export function buildSnapshot({ bugs, milestones, project, milestonedBugs = null, capturedAt = new Date().toISOString() }) {
+  const bugList = Array.from(bugs.values ? bugs.values() : bugs);
+  const milestoneBugIds = milestones.map(m => m.bugId);
+
+  const snapshot = {
+    capturedAt,
+    project,
+    milestones,
+    stats: computeSnapshotStats(bugList, milestoneBugIds, project),
+    bugs: bugList
+  };
+  if (milestonedBugs) {
+    snapshot.milestonedBugs = milestonedBugs;
+  }
+  return snapshot;
+}
+
+/**
+ * Summary statistics stored alongside the bugs
+ * The "client" stats keep their historical names; they count the project's configured components.
+ * @param {Array<Object>} bugs - Processed bugs
+ * @param {Array<number>} milestoneBugIds
+ * @param {Object} project - Parsed project config
+ */
+export function computeSnapshotStats(bugs, milestoneBugIds, project) {
+  const stats = {
+    totalBugs: bugs.length,
+    resolvedBugs: bugs.filter(isResolved).length,
+    unresolvedBugs: bugs.filter(b => !isResolved(b)).length,
+    clientBugs: bugs.filter(b => isProjectComponent(project, b.component)).length,
+    metaBugs: bugs.filter(b => b.isMeta).length,
+    bugsWithSize: bugs.filter(b => b.size !== null).length,
+    bugsWithoutSize: bugs.filter(b => b.size === null).length,
+    bugsWithAssignee: bugs.filter(b => b.assignee).length,
+    bugsWithoutAssignee: bugs.filter(b => !b.assignee).length,
+    severityCounts: {},
+    componentCounts: {}
+  };
+
+  for (const bug of bugs) {
+    const sev = bug.severity || 'N/A';
+    stats.severityCounts[sev] = (stats.severityCounts[sev] || 0) + 1;
+    const comp = bug.component || 'Unknown';
+    stats.componentCounts[comp] = (stats.componentCounts[comp] || 0) + 1;
+  }
+
+  // Unresolved bugs in the project's components (plus milestone bugs)
+  const unresolvedClientBugs = bugs.filter(b =>
+    (isProjectComponent(project, b.component) || milestoneBugIds.includes(b.id)) && !isResolved(b)
+  );
+  stats.clientUnresolvedBugs = unresolvedClientBugs.length;
+  stats.clientSeverityCounts = {};
+  for (const bug of unresolvedClientBugs) {
+    const sev = bug.severity || 'N/A';
+    stats.clientSeverityCounts[sev] = (stats.clientSeverityCounts[sev] || 0) + 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Validate a parsed snapshot and index its bugs
+ * @param {Object} data - Parsed snapshot JSON
+ * @returns {{bugs: Map<string, Object>, milestones: Array<Object>, milestonedBugs: Array<Object>|null, capturedAt: string|null, project: Object|null}}
+ */
+export function parseSnapshot(data) {
+  if (!data || !Array.isArray(data.bugs)) {
+    throw new Error('Invalid snapshot: missing "bugs" array');
+  }
+
+  const bugs = new Map();
+  for (const bug of data.bugs) {
+    if (!bug || bug.id === undefined || !Array.isArray(bug.dependsOn)) {
+      throw new Error('Invalid snapshot: every bug needs an id and a dependsOn array');
+    }
+    bugs.set(String(bug.id), bug);
+  }
+
+  return {
+    bugs,
+    milestones: Array.isArray(data.milestones) ? data.milestones : [],
+    milestonedBugs: Array.isArray(data.milestonedBugs) ? data.milestonedBugs : null,
+    capturedAt: data.capturedAt || null,
+    project: data.project || null
+  };
+}
+
+/**
+ * Milestone entries to plan a snapshot with.
+ * Snapshots carry full milestone entries; older ones only have {name, bugId},
+ * in which case deadlines come from the configured milestone with the same name.
+ * @param {Array<Object>} snapshotMilestones - From parseSnapshot()
+ * @param {Array<Object>} configured - Entries from data/milestones.json
+ * @returns {Array<Object>} Entries in data/milestones.json format
+ */
+export function resolveSnapshotMilestones(snapshotMilestones, configured) {
+  if (snapshotMilestones.length === 0) return configured;
+
+  const resolved = [];
+  for (const milestone of snapshotMilestones) {
+    if (milestone.deadline) {
+      resolved.push(milestone);
+      continue;
+    }
+    const match = configured.find(m => m.name === milestone.name);
+    if (match) {
+      resolved.push({ ...match, bugId: milestone.bugId });
+    } else {
+      console.warn(`[Snapshot] No deadline for milestone "${milestone.name}", skipping`);
+    }
+  }
+  return resolved;
+}
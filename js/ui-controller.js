@@ -3,9 +3,22 @@
  * DOM manipulation, progress display, and user interactions
  */
 
+import { DEFAULT_PROJECT_CONFIG, buildBugUrl, buildBugListUrl } from './project-config.js';
+import { buildErrorsMarkdown } from './errors-report.js';
+import { OVERBOOKED_UTILIZATION, IDLE_UTILIZATION } from './resource-view.js';
+
+// Line colors for the forecast trend chart, one per milestone
+const TREND_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Burn chart lines: remaining, total scope, completed
+const BURN_COLORS = { remaining: '#2563eb', total: '#ea580c', completed: '#16a34a' };
+
 export class UIController {
   constructor() {
     this.elements = {};
+    this.bugzillaUrl = DEFAULT_PROJECT_CONFIG.bugzillaUrl;
     this.milestoneStatus = new Map();
     this.loadingSteps = new Map();
   }
@@ -14,8 +27,6 @@ export class UIController {
    * Initialize UI elements
    */
   init(milestones = []) {
-    this.milestones = milestones;
-
     this.elements = {
       loadingPhase: document.getElementById('loading-phase'),
       loadedPhase: document.getElementById('loaded-phase'),
@@ -32,6 +43,38 @@ export class UIController {
       optimizationStatus: document.getElementById('optimization-status'),
       optimizationLog: document.getElementById('optimization-log'),
       refreshBtn: document.getElementById('refresh-btn'),
+      dataStatus: document.getElementById('data-status'),
+      snapshotLoadBtn: document.getElementById('snapshot-load-btn'),
+      snapshotFileInput: document.getElementById('snapshot-file-input'),
+      snapshotDownloadBtn: document.getElementById('snapshot-download-btn'),
+      apiKeyInput: document.getElementById('api-key-input'),
+      apiKeySaveBtn: document.getElementById('api-key-save'),
+      apiKeyStatus: document.getElementById('api-key-status'),
+      pinsExportBtn: document.getElementById('pins-export-btn'),
+      pinsClearBtn: document.getElementById('pins-clear-btn'),
+      pinsStatus: document.getElementById('pins-status'),
+      scenarioNameInput: document.getElementById('scenario-name-input'),
+      scenarioCreateBtn: document.getElementById('scenario-create-btn'),
+      scenarioCompareBtn: document.getElementById('scenario-compare-btn'),
+      scenarioStatus: document.getElementById('scenario-status'),
+      scenarioEditor: document.getElementById('scenario-editor'),
+      scenarioComparison: document.getElementById('scenario-comparison'),
+      baselineNameInput: document.getElementById('baseline-name-input'),
+      baselineSaveBtn: document.getElementById('baseline-save-btn'),
+      baselineSelect: document.getElementById('baseline-select'),
+      baselineExportBtn: document.getElementById('baseline-export-btn'),
+      baselineImportBtn: document.getElementById('baseline-import-btn'),
+      baselineFileInput: document.getElementById('baseline-file-input'),
+      baselineDeleteBtn: document.getElementById('baseline-delete-btn'),
+      baselineStatus: document.getElementById('baseline-status'),
+      forecastTrend: document.getElementById('forecast-trend'),
+      planSaveBtn: document.getElementById('plan-save-btn'),
+      diffPreviousBtn: document.getElementById('diff-previous-btn'),
+      diffOptimizedBtn: document.getElementById('diff-optimized-btn'),
+      diffLoadBtn: document.getElementById('diff-load-btn'),
+      diffFileInput: document.getElementById('diff-file-input'),
+      diffStatus: document.getElementById('diff-status'),
+      scheduleDiff: document.getElementById('schedule-diff'),
       statsContainer: document.getElementById('stats-container'),
       errorsContainer: document.getElementById('errors-container'),
       estimatedTable: document.getElementById('estimated-table'),
@@ -44,12 +87,33 @@ export class UIController {
       untriagedCard: document.getElementById('untriaged-card'),
       untriagedTable: document.getElementById('untriaged-table'),
       untriagedLink: document.getElementById('untriaged-bugzilla'),
+      hiddenBugsCard: document.getElementById('hidden-bugs-card'),
+      hiddenBugsTable: document.getElementById('hidden-bugs-table'),
+      hiddenBugsNote: document.getElementById('hidden-bugs-note'),
+      calibrateBtn: document.getElementById('calibrate-btn'),
+      burnHistoryBtn: document.getElementById('burn-history-btn'),
+      burnStatus: document.getElementById('burn-status'),
+      burnCharts: document.getElementById('burn-charts'),
+      resourceView: document.getElementById('resource-view'),
+      calibrationCard: document.getElementById('calibration-card'),
+      calibrationTable: document.getElementById('calibration-table'),
+      calibrationNote: document.getElementById('calibration-note'),
+      calibrationApplyBtn: document.getElementById('calibration-apply-btn'),
       errorsMarkdown: document.getElementById('errors-markdown'),
       legend: document.getElementById('legend'),
       milestoneCards: document.getElementById('milestone-cards')
     };
 
-    // Initialize milestone status
+    this.setMilestones(milestones);
+  }
+
+  /**
+   * Replace the milestones shown in the loading panel
+   * @param {Array} milestones - Milestone definitions
+   */
+  setMilestones(milestones) {
+    this.milestones = milestones;
+    this.milestoneStatus = new Map();
     for (const milestone of this.milestones) {
       this.milestoneStatus.set(milestone.bugId, {
         ...milestone,
@@ -61,6 +125,23 @@ export class UIController {
     this.renderMilestonesList();
   }
 
+  /**
+   * Offer a JSON document as a file download
+   * @param {string} filename
+   * @param {Object} data
+   */
+  downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Show loading phase
    */
@@ -151,6 +232,7 @@ export class UIController {
       case 'complete': return '\u2713'; // checkmark
       case 'fetching': return '\u25D0'; // half circle
       case 'pending': return '\u25CB'; // empty circle
+      case 'error': return '\u2717'; // ballot x
       default: return '\u25CB';
     }
   }
@@ -174,7 +256,7 @@ export class UIController {
    * Update an extra loading step shown below milestones
    * @param {string} id - Unique step identifier
    * @param {string} label - Display label
-   * @param {string} status - 'pending', 'fetching', 'complete'
+   * @param {string} status - 'pending', 'fetching', 'complete', 'error'
    * @param {string} [detail] - Optional detail text (e.g. count)
    */
   updateLoadingStep(id, label, status, detail = '') {
@@ -182,6 +264,16 @@ export class UIController {
     this.renderMilestonesList();
   }
 
+  /**
+   * Remove a loading step (e.g. an error that no longer applies)
+   * @param {string} id - Step identifier
+   */
+  removeLoadingStep(id) {
+    if (this.loadingSteps.delete(id)) {
+      this.renderMilestonesList();
+    }
+  }
+
   /**
    * Add recently discovered bug to the list
    * @param {Object} bug - Bug object
@@ -209,8 +301,9 @@ export class UIController {
    * Render milestone cards with estimated completion dates
    * @param {Array} milestones - Milestone definitions
    * @param {Map} estimatedCompletions - Map of bugId to estimated completion date
+   * @param {Map} [confidence] - Map of bugId to Monte Carlo {p50, p80, p95, onTimeProbability}
    */
-  renderMilestoneCards(milestones, estimatedCompletions) {
+  renderMilestoneCards(milestones, estimatedCompletions, confidence = null) {
     if (!this.elements.milestoneCards) return;
 
     let html = '';
@@ -244,6 +337,7 @@ export class UIController {
           <div class="deadline">Deadline: ${deadlineStr}</div>
           <div class="freeze">Feature Freeze: ${freezeStr}</div>
           <div class="estimated">Est. Completion: <strong>${estimatedStr}</strong></div>
+          ${this.renderMilestoneConfidence(confidence && confidence.get(String(milestone.bugId)))}
         </div>
       `;
     }
@@ -251,6 +345,265 @@ export class UIController {
     this.elements.milestoneCards.innerHTML = html;
   }
 
+  /**
+   * Render a burndown and a burnup chart per milestone
+   * @param {Array<Object>} burns - From buildBurnData() (burn-charts.js)
+   */
+  renderBurnCharts(burns) {
+    if (!this.elements.burnCharts) return;
+
+    let html = '';
+    for (const burn of burns) {
+      const start = burn.points[0].date;
+      const notes = [];
+      if (burn.scopeAddedDays !== 0) {
+        const sign = burn.scopeAddedDays > 0 ? '+' : '';
+        notes.push(`<p class="burn-note${burn.scopeAddedDays > 0 ? ' scope-creep' : ''}">Scope ${sign}${burn.scopeAddedDays} days (${sign}${burn.bugsAdded} bugs) since ${this.formatDateShort(start)}</p>`);
+      }
+      if (burn.unscheduledDays > 0) {
+        notes.push(`<p class="burn-note">${burn.unscheduledDays} days of open bugs are not scheduled (filtered out) and never burn down</p>`);
+      }
+      html += `
+        <div class="burn-card">
+          <h4>${this.escapeHtml(burn.name)}</h4>
+          ${this.renderBurnChart(burn, 'Burndown: remaining effort-days', ['remaining'])}
+          ${this.renderBurnChart(burn, 'Burnup: completed vs total scope', ['total', 'completed'])}
+          ${notes.join('')}
+        </div>
+      `;
+    }
+    this.elements.burnCharts.innerHTML = html;
+  }
+
+  /**
+   * One burn chart as SVG: lines up to today solid, projected dashed,
+   * with today and the feature freeze marked
+   * @param {Object} burn - From buildBurnData()
+   * @param {string} title
+   * @param {Array<string>} keys - Point fields to draw, see BURN_COLORS
+   */
+  renderBurnChart(burn, title, keys) {
+    const width = 340;
+    const height = 150;
+    const margin = { top: 18, right: 10, bottom: 20, left: 40 };
+    const { points, today, freezeDate } = burn;
+
+    const xMin = points[0].date.getTime();
+    const xMax = Math.max(points[points.length - 1].date.getTime(), freezeDate ? freezeDate.getTime() : 0, xMin + 7 * DAY_MS);
+    const yMax = Math.max(1, ...points.map(p => p.total));
+    const x = date => margin.left + (date.getTime() - xMin) / (xMax - xMin) * (width - margin.left - margin.right);
+    const y = value => height - margin.bottom - value / yMax * (height - margin.top - margin.bottom);
+    const bottom = height - margin.bottom;
+
+    let svg = `
+      <svg class="burn-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${this.escapeHtml(`${burn.name} ${title}`)}">
+        <text x="${margin.left}" y="11">${title}</text>
+        <line class="burn-axis" x1="${margin.left}" y1="${bottom}" x2="${width - margin.right}" y2="${bottom}"></line>
+        <line class="burn-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${bottom}"></line>
+        <text x="${margin.left - 4}" y="${margin.top + 4}" text-anchor="end">${yMax}d</text>
+        <text x="${margin.left - 4}" y="${bottom}" text-anchor="end">0</text>
+        <text x="${margin.left}" y="${height - 6}">${this.formatDateShort(points[0].date)}</text>
+        <text x="${width - margin.right}" y="${height - 6}" text-anchor="end">${this.formatDateShort(new Date(xMax))}</text>
+    `;
+    const marker = (date, label, color) => {
+      if (!date || date.getTime() < xMin || date.getTime() > xMax) return '';
+      return `
+        <line class="burn-marker" x1="${x(date)}" y1="${margin.top}" x2="${x(date)}" y2="${bottom}" stroke="${color}"></line>
+        <text x="${x(date) + 2}" y="${margin.top + 8}" fill="${color}">${label}</text>`;
+    };
+    svg += marker(today, 'today', '#6b7280');
+    svg += marker(freezeDate, 'freeze', '#f59e0b');
+
+    for (const key of keys) {
+      const path = list => list.map(p => `${x(p.date)},${y(p[key])}`).join(' ');
+      const past = points.filter(p => !p.projected);
+      const future = [past[past.length - 1], ...points.filter(p => p.projected)].filter(Boolean);
+      svg += `<polyline class="burn-line" points="${path(past)}" stroke="${BURN_COLORS[key]}"></polyline>`;
+      if (future.length > 1) {
+        svg += `<polyline class="burn-line projected" points="${path(future)}" stroke="${BURN_COLORS[key]}"></polyline>`;
+      }
+      for (const p of points) {
+        svg += `<circle cx="${x(p.date)}" cy="${y(p[key])}" r="2" fill="${BURN_COLORS[key]}"><title>${this.formatDateShort(p.date)}: ${p[key]} days ${key}${p.projected ? ' (projected)' : ''} (${p.completedBugs}/${p.totalBugs} bugs done)</title></circle>`;
+      }
+    }
+    return `${svg}</svg>`;
+  }
+
+  /**
+   * Render the resource view: a swimlane per engineer, then weekly utilization
+   * and idle time before each freeze
+   * @param {Object} view - From buildResourceView() (resource-view.js)
+   */
+  renderResourceView(view) {
+    if (!this.elements.resourceView) return;
+    if (view.lanes.length === 0) {
+      this.elements.resourceView.innerHTML = '<p class="table-note">No team engineers.</p>';
+      return;
+    }
+
+    const external = view.externalTasks > 0
+      ? `<p class="table-note">${view.externalTasks} tasks go to external engineers and are not shown.</p>`
+      : '';
+    this.elements.resourceView.innerHTML = `
+      <div class="resource-swimlanes">${this.renderSwimlanes(view)}</div>
+      ${this.renderUtilizationTable(view)}
+      ${external}
+    `;
+  }
+
+  /**
+   * Swimlane chart: one row per engineer, overlapping tasks stacked in the row
+   */
+  renderSwimlanes(view) {
+    const dayWidth = 6;
+    const labelWidth = 140;
+    const headerHeight = 28;
+    const laneHeight = 26;
+    const days = Math.round((view.end - view.start) / DAY_MS);
+    const width = labelWidth + days * dayWidth + 10;
+    const height = headerHeight + view.lanes.length * laneHeight;
+    const x = date => labelWidth + Math.max(0, Math.round((date - view.start) / DAY_MS)) * dayWidth;
+    const formatDay = date => date.toISOString().split('T')[0];
+
+    let svg = `
+      <svg width="${width}" height="${height}" role="img" aria-label="Tasks per engineer">
+        <defs>
+          <pattern id="idle-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+            <rect width="6" height="6" fill="#fef3c7"></rect>
+            <line x1="0" y1="0" x2="0" y2="6" stroke="#f59e0b" stroke-width="2"></line>
+          </pattern>
+        </defs>
+    `;
+    for (const week of view.weeks) {
+      if (week < view.start) continue;
+      svg += `<text x="${x(week)}" y="10">${this.formatDateShort(week)}</text>`;
+    }
+
+    view.lanes.forEach((lane, index) => {
+      const top = headerHeight + index * laneHeight;
+      if (index % 2 === 0) {
+        svg += `<rect class="lane-stripe" x="0" y="${top}" width="${width}" height="${laneHeight}"></rect>`;
+      }
+      svg += `<text x="4" y="${top + laneHeight / 2 + 4}">${this.escapeHtml(lane.engineer.name)}</text>`;
+
+      for (const gap of lane.gaps) {
+        svg += `<rect class="lane-gap" x="${x(gap.start)}" y="${top + 2}" width="${x(gap.end) + dayWidth - x(gap.start)}" height="${laneHeight - 4}"><title>Idle ${gap.days} working days, ${formatDay(gap.start)} to ${formatDay(gap.end)}</title></rect>`;
+      }
+
+      // Stack overlapping tasks (pins can overlap) in tracks
+      const trackEnds = [];
+      const tracks = lane.tasks.map(task => {
+        let track = trackEnds.findIndex(end => end <= task.startDate);
+        if (track === -1) track = trackEnds.length;
+        trackEnds[track] = task.endDate;
+        return track;
+      });
+      const barHeight = (laneHeight - 6) / Math.max(1, trackEnds.length);
+      lane.tasks.forEach((task, taskIndex) => {
+        const atRisk = task.milestone && task.endDate > task.milestone.freezeDate;
+        const barX = x(task.startDate);
+        const barWidth = Math.max(2, x(task.endDate) - barX);
+        const y = top + 3 + tracks[taskIndex] * barHeight;
+        const title = `Bug ${task.bug.id}: ${task.bug.summary || ''} (${formatDay(task.startDate)} to ${formatDay(task.endDate)})`;
+        svg += `<rect class="lane-task${atRisk ? ' at-risk' : ''}" x="${barX}" y="${y}" width="${barWidth}" height="${barHeight - 1}" rx="2"><title>${this.escapeHtml(title)}</title></rect>`;
+      });
+    });
+
+    for (const freeze of view.freezes) {
+      svg += `
+        <line class="lane-freeze" x1="${x(freeze.freezeDate)}" y1="12" x2="${x(freeze.freezeDate)}" y2="${height}"></line>
+        <text x="${x(freeze.freezeDate) + 2}" y="22" fill="#b45309">${this.escapeHtml(freeze.name)} freeze</text>`;
+    }
+    return `${svg}</svg>`;
+  }
+
+  /**
+   * Utilization table: workload, idle days before each freeze and a weekly histogram per engineer
+   */
+  renderUtilizationTable(view) {
+    const barWidth = 10;
+    const chartHeight = 30;
+    const maxShown = 1.5;
+
+    let html = `
+      <table class="resource-table">
+        <thead>
+          <tr>
+            <th>Engineer</th>
+            <th>Tasks</th>
+            <th title="Working days of scheduled effort">Booked</th>
+            <th>Free from</th>
+            <th title="Working days with nothing scheduled, from today to each freeze">Idle before freeze</th>
+            <th title="Working days with overlapping tasks">Overbooked</th>
+            <th>Utilization by week, from ${this.formatDateShort(view.weeks[0])}</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const lane of view.lanes) {
+      let chart = `<svg class="utilization-chart" width="${lane.weeks.length * barWidth}" height="${chartHeight}">`;
+      lane.weeks.forEach((week, index) => {
+        const label = `Week of ${this.formatDateShort(week.start)}`;
+        if (week.utilization === null) {
+          chart += `<rect class="util-away" x="${index * barWidth}" y="${chartHeight - 2}" width="${barWidth - 2}" height="2"><title>${label}: away</title></rect>`;
+          return;
+        }
+        const level = week.utilization > OVERBOOKED_UTILIZATION ? 'over' : week.utilization < IDLE_UTILIZATION ? 'idle' : 'ok';
+        const barHeight = Math.max(1, Math.min(week.utilization, maxShown) / maxShown * chartHeight);
+        chart += `<rect class="util-${level}" x="${index * barWidth}" y="${chartHeight - barHeight}" width="${barWidth - 2}" height="${barHeight}"><title>${label}: ${week.booked.toFixed(1)} of ${week.capacity.toFixed(1)} days booked (${Math.round(week.utilization * 100)}%)</title></rect>`;
+      });
+      const full = chartHeight - chartHeight / maxShown;
+      chart += `<line class="util-full" x1="0" y1="${full}" x2="${lane.weeks.length * barWidth}" y2="${full}"></line></svg>`;
+
+      const idle = lane.idleBeforeFreeze
+        .map(freeze => `${this.escapeHtml(freeze.name)}: ${freeze.idleDays}d`)
+        .join(', ') || '-';
+      html += `
+          <tr>
+            <td>${this.escapeHtml(lane.engineer.name)}</td>
+            <td>${lane.taskCount}</td>
+            <td>${lane.totalDays.toFixed(1)}d</td>
+            <td>${this.formatDateShort(lane.nextAvailable)}</td>
+            <td>${idle}</td>
+            <td class="${lane.overbookedDays > 0 ? 'is-overbooked' : ''}">${lane.overbookedDays ? `${lane.overbookedDays}d` : '-'}</td>
+            <td>${chart}</td>
+          </tr>
+      `;
+    }
+    html += '</tbody></table>';
+    return html;
+  }
+
+  /**
+   * Show bug history loading for the burn charts
+   * @param {boolean} busy
+   * @param {string} [message]
+   */
+  setBurnHistoryState(busy, message = '') {
+    if (this.elements.burnHistoryBtn) {
+      this.elements.burnHistoryBtn.disabled = busy;
+      this.elements.burnHistoryBtn.textContent = busy ? 'Loading History...' : 'Load Bug History';
+    }
+    if (this.elements.burnStatus && message) {
+      this.elements.burnStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Render Monte Carlo percentiles and on-time probability for a milestone card
+   * @param {Object} [confidence] - {p50, p80, p95, onTimeProbability}
+   */
+  renderMilestoneConfidence(confidence) {
+    if (!confidence) return '';
+
+    const onTime = Math.round(confidence.onTimeProbability * 100);
+    return `
+          <div class="confidence" title="Simulated completion dates: half, 80% and 95% of runs finish by these dates">
+            P50 ${this.formatDateShort(confidence.p50)} &middot; P80 ${this.formatDateShort(confidence.p80)} &middot; P95 ${this.formatDateShort(confidence.p95)}
+          </div>
+          <div class="confidence">On time (by freeze): <strong>${onTime}%</strong></div>`;
+  }
+
   /**
    * Format date as "Month Day, Year"
    */
@@ -328,7 +681,7 @@ export class UIController {
 
   buildBugzillaListUrl(bugIds) {
     if (!bugIds || bugIds.length === 0) return null;
-    return `https://bugzilla.mozilla.org/buglist.cgi?bug_id=${bugIds.join(',')}`;
+    return buildBugListUrl(this.bugzillaUrl, bugIds);
   }
 
   setBugzillaLink(linkEl, bugIds) {
@@ -379,7 +732,7 @@ export class UIController {
     for (const bug of bugs.slice(0, 20)) {
       html += `
         <tr>
-          <td><a href="https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}" target="_blank">${bug.id}</a></td>
+          <td><a href="${buildBugUrl(this.bugzillaUrl, bug.id)}" target="_blank">${bug.id}</a></td>
           <td title="${this.escapeHtml(bug.summary)}">${this.escapeHtml(this.truncate(bug.summary, 60))}</td>
         </tr>
       `;
@@ -397,8 +750,10 @@ export class UIController {
   /**
    * Render deadline risks table
    * @param {Array<Object>} risks - Deadline risk items
+   * @param {Map<string, number|null>|null} [slips] - Bug ID to days past the
+   *   baseline (computeSlips() in baselines.js); adds a Slip column
    */
-  renderRisksTable(risks) {
+  renderRisksTable(risks, slips = null) {
     if (!this.elements.risksTable) return;
 
     this.setBugzillaLink(
@@ -420,6 +775,7 @@ export class UIController {
             <th>End Date</th>
             <th>Milestone</th>
             <th>Risk Type</th>
+            ${slips ? '<th title="Days the end date moved since the baseline">Slip</th>' : ''}
           </tr>
         </thead>
         <tbody>
@@ -427,13 +783,15 @@ export class UIController {
 
     for (const risk of risks.slice(0, 20)) {
       const title = this.truncate(risk.task.bug.summary || '', 50);
+      const slipCell = slips ? this.formatSlipCell(slips.get(String(risk.task.bug.id))) : '';
       html += `
         <tr class="risk-${risk.type}">
-          <td><a href="https://bugzilla.mozilla.org/show_bug.cgi?id=${risk.task.bug.id}" target="_blank">${risk.task.bug.id}</a></td>
+          <td><a href="${buildBugUrl(this.bugzillaUrl, risk.task.bug.id)}" target="_blank">${risk.task.bug.id}</a></td>
           <td title="${this.escapeHtml(risk.task.bug.summary || '')}">${this.escapeHtml(title)}</td>
           <td>${this.formatDate(risk.task.endDate)}</td>
           <td>${risk.milestone.name}</td>
           <td>${risk.type === 'freeze' ? 'After Freeze' : 'After Deadline'}</td>
+          ${slipCell}
         </tr>
       `;
     }
@@ -480,7 +838,7 @@ export class UIController {
       const depMilestone = mismatch.dependencyMilestone || '(not connected)';
       html += `
         <tr>
-          <td><a href="https://bugzilla.mozilla.org/show_bug.cgi?id=${mismatch.bug.id}" target="_blank">${mismatch.bug.id}</a></td>
+          <td><a href="${buildBugUrl(this.bugzillaUrl, mismatch.bug.id)}" target="_blank">${mismatch.bug.id}</a></td>
           <td title="${this.escapeHtml(mismatch.bug.summary || '')}">${this.escapeHtml(title)}</td>
           <td>${mismatch.targetMilestone}</td>
           <td>${depMilestone}</td>
@@ -535,7 +893,7 @@ export class UIController {
         : 'Unassigned';
       html += `
         <tr>
-          <td><a href="https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}" target="_blank">${bug.id}</a></td>
+          <td><a href="${buildBugUrl(this.bugzillaUrl, bug.id)}" target="_blank">${bug.id}</a></td>
           <td title="${this.escapeHtml(bug.summary || '')}">${this.escapeHtml(title)}</td>
           <td>${this.escapeHtml(assignee)}</td>
         </tr>
@@ -552,102 +910,581 @@ export class UIController {
   }
 
   /**
-   * Render errors in markdown format
-   * @param {Object} errors - Error detection results
+   * Render bugs hidden by Bugzilla permissions
+   * @param {Array<{id: number, reason: string, referencedBy: Array<number>}>} hiddenBugs
+   * @param {boolean} hasApiKey - Whether requests were authenticated
    */
-  renderErrorsMarkdown(errors) {
-    if (!this.elements.errorsMarkdown) return;
+  renderHiddenBugsTable(hiddenBugs, hasApiKey) {
+    if (!this.elements.hiddenBugsTable || !this.elements.hiddenBugsCard) return;
 
-    let markdown = '# ERRORS.md\n\n';
-    markdown += `Generated: ${new Date().toISOString()}\n\n`;
+    // Hide the card if nothing was hidden
+    if (!hiddenBugs || hiddenBugs.length === 0) {
+      this.elements.hiddenBugsCard.style.display = 'none';
+      return;
+    }
 
-    if (errors.cycles && errors.cycles.length > 0) {
-      markdown += '## Dependency Cycles\n\n';
-      for (const cycle of errors.cycles) {
-        markdown += `- Cycle: ${cycle.join(' -> ')}\n`;
-      }
-      markdown += '\n';
+    this.elements.hiddenBugsCard.style.display = '';
+    if (this.elements.hiddenBugsNote) {
+      this.elements.hiddenBugsNote.textContent = hasApiKey
+        ? 'These bugs are not accessible with the current API key and are missing from the schedule.'
+        : 'These bugs were not returned anonymously and are missing from the schedule. Set a Bugzilla API key to include security-restricted bugs.';
     }
 
-    if (errors.orphaned && errors.orphaned.length > 0) {
-      markdown += '## Orphaned Dependencies\n\n';
-      markdown += 'Dependencies pointing to non-existent bugs:\n\n';
-      for (const orphan of errors.orphaned) {
-        markdown += `- Bug ${orphan.from} depends on missing bug ${orphan.to}\n`;
-      }
-      markdown += '\n';
+    let html = `
+      <table>
+        <thead>
+          <tr>
+            <th>Bug ID</th>
+            <th>Needed By</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const hidden of hiddenBugs.slice(0, 20)) {
+      const neededBy = (hidden.referencedBy || [])
+        .map(id => `<a href="${buildBugUrl(this.bugzillaUrl, id)}" target="_blank">${id}</a>`)
+        .join(', ');
+      html += `
+        <tr>
+          <td><a href="${buildBugUrl(this.bugzillaUrl, hidden.id)}" target="_blank">${hidden.id}</a></td>
+          <td>${neededBy || '-'}</td>
+          <td>${this.escapeHtml(hidden.reason)}</td>
+        </tr>
+      `;
     }
 
-    if (errors.duplicates && errors.duplicates.length > 0) {
-      markdown += '## Duplicate Summaries\n\n';
-      for (const dup of errors.duplicates) {
-        markdown += `### "${dup.summary}"\n\n`;
-        for (const bug of dup.bugs) {
-          markdown += `- Bug ${bug.id}\n`;
-        }
-        markdown += '\n';
-      }
+    html += '</tbody></table>';
+
+    if (hiddenBugs.length > 20) {
+      html += `<p class="table-note">...and ${hiddenBugs.length - 20} more</p>`;
+    }
+
+    this.elements.hiddenBugsTable.innerHTML = html;
+  }
+
+  /**
+   * Show whether an API key is configured (the key itself is never displayed)
+   * @param {boolean} hasApiKey
+   */
+  setApiKeyState(hasApiKey) {
+    if (this.elements.apiKeyInput) {
+      this.elements.apiKeyInput.value = '';
+      this.elements.apiKeyInput.placeholder = hasApiKey ? 'API key saved' : 'Bugzilla API key';
+    }
+    if (this.elements.apiKeyStatus) {
+      this.elements.apiKeyStatus.textContent = hasApiKey ? '\u{1F512} Authenticated' : 'Anonymous';
+      this.elements.apiKeyStatus.className = `api-key-status ${hasApiKey ? 'is-authenticated' : ''}`;
+    }
+    if (this.elements.apiKeySaveBtn) {
+      this.elements.apiKeySaveBtn.textContent = hasApiKey ? 'Update' : 'Save';
+    }
+  }
+
+  /**
+   * Show how many tasks are pinned on the chart
+   * @param {number} count
+   */
+  setPinCount(count) {
+    if (this.elements.pinsStatus) {
+      this.elements.pinsStatus.textContent = count === 0 ? 'No pins' : `${count} pinned`;
+    }
+    if (this.elements.pinsExportBtn) this.elements.pinsExportBtn.disabled = count === 0;
+    if (this.elements.pinsClearBtn) this.elements.pinsClearBtn.disabled = count === 0;
+  }
+
+  /**
+   * Show a scenario message (progress or a rejected edit)
+   * @param {string} message - Empty to clear
+   * @param {boolean} [busy] - Disable Compare while scenarios are scheduled
+   */
+  setScenarioStatus(message, busy = false) {
+    if (this.elements.scenarioStatus) {
+      this.elements.scenarioStatus.textContent = message;
+    }
+    if (this.elements.scenarioCompareBtn) {
+      this.elements.scenarioCompareBtn.disabled = busy;
+      this.elements.scenarioCompareBtn.textContent = busy ? 'Comparing...' : 'Compare';
+    }
+  }
+
+  /**
+   * Render the scenario tabs and the active scenario's edits and edit forms
+   * @param {Object} state
+   * @param {Array<{name: string, edits: Array<string>}>} state.scenarios - Edits as descriptions
+   * @param {number} state.activeIndex - -1 when there are no scenarios
+   * @param {Array<Object>} state.engineers - The active scenario's engineers
+   * @param {Array<string>} state.components - Team components, for new engineers
+   * @param {Array<Object>} state.milestones - The active scenario's milestone entries
+   */
+  renderScenarioEditor({ scenarios, activeIndex, engineers = [], components = [], milestones = [] }) {
+    if (!this.elements.scenarioEditor) return;
+
+    if (scenarios.length === 0) {
+      this.elements.scenarioEditor.innerHTML =
+        '<p class="table-note">No scenarios yet: name one and click New Scenario.</p>';
+      return;
+    }
+
+    const tabs = scenarios.map((scenario, index) => `
+      <button type="button" class="btn btn-secondary scenario-tab ${index === activeIndex ? 'is-active' : ''}"
+        data-action="select" data-index="${index}">${this.escapeHtml(scenario.name)} (${scenario.edits.length})</button>
+    `).join('');
+
+    const active = scenarios[activeIndex];
+    const edits = active.edits.length > 0
+      ? `<ol class="scenario-edits">${active.edits.map((edit, index) => `
+          <li>${this.escapeHtml(edit)} <button type="button" class="btn-link" data-action="remove-edit" data-index="${index}">remove</button></li>
+        `).join('')}</ol>`
+      : '<p class="table-note">No edits: this scenario plans like the current data.</p>';
+
+    const engineerOptions = engineers
+      .map(e => `<option value="${this.escapeHtml(e.id)}">${this.escapeHtml(e.name)} (${Math.round((e.availability ?? 1) * 100)}%)</option>`)
+      .join('');
+    const componentOptions = components
+      .map(c => `<option value="${this.escapeHtml(c)}">${this.escapeHtml(c)}</option>`)
+      .join('');
+    const milestoneOptions = milestones
+      .map(m => `<option value="${m.bugId}" data-deadline="${this.escapeHtml(m.deadline)}">${this.escapeHtml(m.name)} (${this.escapeHtml(m.deadline)})</option>`)
+      .join('');
+
+    this.elements.scenarioEditor.innerHTML = `
+      <div class="scenario-tabs">
+        ${tabs}
+        <button type="button" class="btn btn-secondary" data-action="delete" data-index="${activeIndex}">Delete "${this.escapeHtml(active.name)}"</button>
+      </div>
+      ${edits}
+      <div class="scenario-form">
+        <select data-field="engineer">${engineerOptions}</select>
+        <input data-field="availability" type="number" min="1" max="100" value="100">%
+        <button type="button" class="btn btn-secondary" data-action="set-availability">Set Availability</button>
+        <button type="button" class="btn btn-secondary" data-action="remove-engineer">Remove Engineer</button>
+      </div>
+      <div class="scenario-form">
+        <input data-field="new-name" type="text" placeholder="New engineer">
+        <input data-field="new-availability" type="number" min="1" max="100" value="100">%
+        <select data-field="new-component">${componentOptions}</select>
+        <button type="button" class="btn btn-secondary" data-action="add-engineer">Add Engineer</button>
+      </div>
+      <div class="scenario-form">
+        <select data-field="milestone">${milestoneOptions}</select>
+        <input data-field="deadline" type="date">
+        <button type="button" class="btn btn-secondary" data-action="set-deadline">Move Deadline</button>
+      </div>
+      <div class="scenario-form">
+        <input data-field="bug-id" type="number" min="1" placeholder="Bug ID">
+        <input data-field="size" type="text" placeholder="Size">
+        <button type="button" class="btn btn-secondary" data-action="set-size">Set Size</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Read a scenario editor action into an edit for the active scenario
+   * @param {string} action - data-action of the clicked button
+   * @returns {Object|null} Raw edit for parseScenarioEdit() (scenarios.js)
+   */
+  readScenarioEdit(action) {
+    const field = name => {
+      const element = this.elements.scenarioEditor.querySelector(`[data-field="${name}"]`);
+      return element ? element.value.trim() : '';
+    };
+    const percent = name => Number(field(name)) / 100;
+
+    switch (action) {
+      case 'set-availability':
+        return { type: 'setAvailability', engineerId: field('engineer'), availability: percent('availability') };
+      case 'remove-engineer':
+        return { type: 'removeEngineer', engineerId: field('engineer') };
+      case 'add-engineer':
+        return { type: 'addEngineer', name: field('new-name'), availability: percent('new-availability'), component: field('new-component') || null };
+      case 'set-deadline':
+        return { type: 'setDeadline', bugId: field('milestone'), deadline: field('deadline') };
+      case 'set-size':
+        return { type: 'setSize', bugId: field('bug-id'), size: field('size') };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Render scenarios side by side: milestone completions, score and reassigned bugs
+   * @param {Object|null} comparison - From compareScenarios() (scenarios.js); null clears it
+   */
+  renderScenarioComparison(comparison) {
+    if (!this.elements.scenarioComparison) return;
+    if (!comparison) {
+      this.elements.scenarioComparison.innerHTML = '';
+      return;
+    }
+
+    const { scenarios, milestones } = comparison;
+    const formatDay = date => (date ? date.toISOString().split('T')[0] : '-');
+    const header = scenarios
+      .map(s => `<th>${this.escapeHtml(s.name)}${s.scheduleType === 'optimal' ? ' (optimized)' : ''}</th>`)
+      .join('');
+
+    let html = `
+      <table class="scenario-comparison-table">
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>
+    `;
+    for (const milestone of milestones) {
+      const cells = milestone.results.map((row, index) => {
+        if (!row || !row.completion) return '<td>not scheduled</td>';
+        const baseline = milestone.results[0];
+        const deadlineNote = index > 0 && baseline && row.deadline.getTime() !== baseline.deadline.getTime()
+          ? ` <span class="table-note">(deadline ${formatDay(row.deadline)})</span>`
+          : '';
+        const status = row.met ? '&check;' : `${row.daysLate} days late`;
+        return `<td class="${row.met ? '' : 'is-late'}">${formatDay(row.completion)} ${status}${deadlineNote}</td>`;
+      }).join('');
+      const deadline = milestone.results[0] ? ` <span class="table-note">(deadline ${formatDay(milestone.results[0].deadline)})</span>` : '';
+      html += `<tr><th>${this.escapeHtml(milestone.name)}${deadline}</th>${cells}</tr>`;
     }
+    html += `
+          <tr><th>Deadlines met</th>${scenarios.map(s => `<td>${s.score.deadlinesMet}/${milestones.length}</td>`).join('')}</tr>
+          <tr><th>Lateness</th>${scenarios.map(s => `<td>${s.score.totalLateness} days</td>`).join('')}</tr>
+          <tr><th>Makespan</th>${scenarios.map(s => `<td>${s.score.makespan} working days</td>`).join('')}</tr>
+          <tr><th>Reassigned bugs</th>${scenarios.map((s, i) => `<td>${i === 0 ? '-' : s.assignmentChanges.length}</td>`).join('')}</tr>
+        </tbody>
+      </table>
+    `;
 
-    if (errors.missingAssignees && errors.missingAssignees.length > 0) {
-      markdown += '## Missing Assignees\n\n';
-      for (const bug of errors.missingAssignees.slice(0, 50)) {
-        markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    for (const scenario of scenarios.slice(1)) {
+      if (scenario.assignmentChanges.length === 0) continue;
+      html += `
+        <h4>${this.escapeHtml(scenario.name)}: assignments that differ from ${this.escapeHtml(scenarios[0].name)}</h4>
+        <table>
+          <thead><tr><th>Bug</th><th>Summary</th><th>From</th><th>To</th><th>End</th></tr></thead>
+          <tbody>
+      `;
+      for (const change of scenario.assignmentChanges.slice(0, 50)) {
+        html += `
+          <tr>
+            <td><a href="${buildBugUrl(this.bugzillaUrl, change.bugId)}" target="_blank" rel="noopener">${change.bugId}</a></td>
+            <td title="${this.escapeHtml(change.summary || '')}">${this.escapeHtml(this.truncate(change.summary || '', 50))}</td>
+            <td>${this.escapeHtml(change.from || 'Unscheduled')}</td>
+            <td>${this.escapeHtml(change.to || 'Unscheduled')}</td>
+            <td>${formatDay(change.fromEnd)} &rarr; ${formatDay(change.toEnd)}</td>
+          </tr>
+        `;
       }
-      if (errors.missingAssignees.length > 50) {
-        markdown += `\n...and ${errors.missingAssignees.length - 50} more\n`;
+      html += '</tbody></table>';
+      if (scenario.assignmentChanges.length > 50) {
+        html += `<p class="table-note">${scenario.assignmentChanges.length - 50} more not shown.</p>`;
       }
-      markdown += '\n';
     }
 
-    if (errors.unknownAssignees && errors.unknownAssignees.length > 0) {
-      markdown += '## Unknown Assignees (not in engineer list)\n\n';
-      for (const item of errors.unknownAssignees.slice(0, 50)) {
-        const assignee = item.assignee || 'Unknown';
-        markdown += `- Bug ${item.bug.id}: ${item.bug.summary} (assignee: ${assignee})\n`;
+    this.elements.scenarioComparison.innerHTML = html;
+  }
+
+  /**
+   * Slip cell for the risks table
+   * @param {number|null|undefined} slip - Days past the baseline; null/undefined for tasks not in it
+   */
+  formatSlipCell(slip) {
+    if (slip === null || slip === undefined) return '<td title="Not in the baseline">new</td>';
+    if (slip === 0) return '<td>0</td>';
+    return slip > 0
+      ? `<td class="risk-slip-late">+${slip}d</td>`
+      : `<td>${slip}d</td>`;
+  }
+
+  /**
+   * Show a message under the baseline buttons
+   * @param {string} message
+   */
+  setBaselineStatus(message) {
+    if (this.elements.baselineStatus) {
+      this.elements.baselineStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Fill the baseline selector
+   * @param {Array<{name: string, savedAt: string}>} baselines
+   * @param {string|null} active - Selected baseline name
+   */
+  renderBaselineSelect(baselines, active) {
+    const select = this.elements.baselineSelect;
+    if (!select) return;
+    select.innerHTML = '<option value="">No baseline</option>' + baselines
+      .map(b => `<option value="${this.escapeHtml(b.name)}">${this.escapeHtml(b.name)} (${b.savedAt.split('T')[0]})</option>`)
+      .join('');
+    select.value = active || '';
+  }
+
+  /**
+   * Chart each milestone's forecast completion over time, with its freeze date,
+   * and list the recent forecasts
+   * @param {Array<Object>} series - From buildForecastSeries() (baselines.js)
+   */
+  renderForecastTrend(series) {
+    if (!this.elements.forecastTrend) return;
+    const plotted = series.filter(s => s.points.length > 0);
+    if (plotted.length === 0) {
+      this.elements.forecastTrend.innerHTML = '<p class="table-note">No forecasts recorded yet.</p>';
+      return;
+    }
+
+    const width = 720;
+    const height = 240;
+    const margin = { top: 12, right: 16, bottom: 28, left: 84 };
+    const time = key => Date.parse(key);
+    const dates = [...new Set(plotted.flatMap(s => s.points.map(p => p.date)))].sort();
+    const values = plotted.flatMap(s => [...s.points.map(p => p.completion), s.freezeDate].filter(Boolean));
+
+    const xMin = time(dates[0]);
+    const xMax = time(dates[dates.length - 1]);
+    const yMin = Math.min(...values.map(time)) - 7 * DAY_MS;
+    const yMax = Math.max(...values.map(time)) + 7 * DAY_MS;
+    const x = key => xMax === xMin
+      ? (margin.left + width - margin.right) / 2
+      : margin.left + (time(key) - xMin) / (xMax - xMin) * (width - margin.left - margin.right);
+    // Later completion dates are higher up
+    const y = key => height - margin.bottom - (time(key) - yMin) / (yMax - yMin) * (height - margin.top - margin.bottom);
+
+    let svg = `
+      <svg class="forecast-trend-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Forecast completion date per milestone over time">
+        <line class="trend-axis" x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}"></line>
+        <line class="trend-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}"></line>
+        <text x="${margin.left}" y="${height - 8}">${dates[0]}</text>
+        <text x="${width - margin.right}" y="${height - 8}" text-anchor="end">${dates[dates.length - 1]}</text>
+    `;
+    plotted.forEach((s, index) => {
+      const color = TREND_COLORS[index % TREND_COLORS.length];
+      const name = this.escapeHtml(s.name);
+      if (s.freezeDate) {
+        svg += `
+        <line class="trend-deadline" x1="${margin.left}" y1="${y(s.freezeDate)}" x2="${width - margin.right}" y2="${y(s.freezeDate)}" stroke="${color}"></line>
+        <text x="${margin.left - 4}" y="${y(s.freezeDate) + 4}" text-anchor="end" fill="${color}">${s.freezeDate}</text>`;
       }
-      if (errors.unknownAssignees.length > 50) {
-        markdown += `\n...and ${errors.unknownAssignees.length - 50} more\n`;
+      const points = s.points.map(p => `${x(p.date)},${y(p.completion)}`).join(' ');
+      svg += `<polyline class="trend-line" points="${points}" stroke="${color}"></polyline>`;
+      for (const p of s.points) {
+        svg += `<circle cx="${x(p.date)}" cy="${y(p.completion)}" r="3" fill="${color}"><title>${name} on ${p.date}: ${p.completion}</title></circle>`;
       }
-      markdown += '\n';
+    });
+    svg += '</svg>';
+
+    const legend = plotted
+      .map((s, index) => `<span style="color: ${TREND_COLORS[index % TREND_COLORS.length]}">&#9632;</span> ${this.escapeHtml(s.name)} (dashed: freeze)`)
+      .join(' &nbsp; ');
+
+    // Recent forecasts, newest first, with the change since the one before
+    const recent = dates.slice(-8).reverse();
+    let table = `
+      <table>
+        <thead><tr><th>Forecast on</th>${plotted.map(s => `<th>${this.escapeHtml(s.name)}</th>`).join('')}</tr></thead>
+        <tbody>
+    `;
+    for (const date of recent) {
+      const cells = plotted.map(s => {
+        const index = s.points.findIndex(p => p.date === date);
+        if (index === -1) return '<td>-</td>';
+        const point = s.points[index];
+        const previous = s.points[index - 1];
+        const change = previous ? Math.round((time(point.completion) - time(previous.completion)) / DAY_MS) : 0;
+        const note = change ? ` <span class="${change > 0 ? 'risk-slip-late' : ''}">(${change > 0 ? '+' : ''}${change}d)</span>` : '';
+        return `<td>${point.completion}${note}</td>`;
+      }).join('');
+      table += `<tr><td>${date}</td>${cells}</tr>`;
+    }
+    table += '</tbody></table>';
+
+    this.elements.forecastTrend.innerHTML = `${svg}<p class="table-note">${legend}</p>${table}`;
+  }
+
+  /**
+   * Show a message under the schedule diff buttons
+   * @param {string} message
+   */
+  setDiffStatus(message) {
+    if (this.elements.diffStatus) {
+      this.elements.diffStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Render a schedule diff: milestone shifts with their causes, then changed tasks
+   * @param {Object|null} diff - From diffPlans() (schedule-diff.js); null clears it
+   * @param {{before: string, after: string}} [labels] - What was compared
+   */
+  renderScheduleDiff(diff, labels = { before: 'Before', after: 'After' }) {
+    if (!this.elements.scheduleDiff) return;
+    if (!diff) {
+      this.elements.scheduleDiff.innerHTML = '';
+      return;
     }
 
-    if (errors.missingSizes && errors.missingSizes.length > 0) {
-      markdown += '## Missing Sizes\n\n';
-      for (const bug of errors.missingSizes.slice(0, 50)) {
-        markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    const bugLink = id => `<a href="${buildBugUrl(this.bugzillaUrl, id)}" target="_blank" rel="noopener">${id}</a>`;
+    const formatShift = days => {
+      if (days === null) return '-';
+      if (days === 0) return 'no change';
+      return days > 0 ? `${days} days later` : `${-days} days earlier`;
+    };
+    const describeChange = (task) => task.changes.map(change => {
+      if (change === 'reassigned') {
+        return `reassigned ${this.escapeHtml(task.before.engineer || 'Unassigned')} &rarr; ${this.escapeHtml(task.after.engineer || 'Unassigned')}`;
       }
-      if (errors.missingSizes.length > 50) {
-        markdown += `\n...and ${errors.missingSizes.length - 50} more\n`;
+      if (change === 'resized') return `size ${task.before.size ?? '?'} &rarr; ${task.after.size ?? '?'}`;
+      if (change === 'dependencies') return 'dependencies changed';
+      return change;
+    }).join(', ');
+
+    const { counts } = diff;
+    let html = `
+      <p class="table-note">${this.escapeHtml(labels.before)} &rarr; ${this.escapeHtml(labels.after)}:
+        ${counts.added} added, ${counts.removed} removed, ${counts.moved} moved, ${counts.reassigned} reassigned, ${counts.resized} resized</p>
+      <table class="schedule-diff-table">
+        <thead><tr><th>Milestone</th><th>Before</th><th>After</th><th>Change</th><th>Caused by</th></tr></thead>
+        <tbody>
+    `;
+    for (const m of diff.milestones) {
+      let causes = '';
+      if (m.deltaDays !== 0 && m.causes.length === 0) {
+        causes = '<span class="table-note">No upstream task changed (dates, calendars or optimizer choices)</span>';
+      } else {
+        causes = m.causes.map(c => `Bug ${bugLink(c.bugId)} ${describeChange(c)}`).join('<br>');
       }
-      markdown += '\n';
+      html += `
+        <tr>
+          <td>${this.escapeHtml(m.name)}</td>
+          <td>${m.before || '-'}</td>
+          <td>${m.after || '-'}</td>
+          <td class="${m.deltaDays > 0 ? 'is-late' : ''}">${formatShift(m.deltaDays)}</td>
+          <td>${causes}</td>
+        </tr>
+      `;
     }
+    html += '</tbody></table>';
 
-    if (errors.untriaged && errors.untriaged.length > 0) {
-      markdown += '## Untriaged Bugs (no severity)\n\n';
-      for (const bug of errors.untriaged.slice(0, 50)) {
-        markdown += `- Bug ${bug.id}: ${bug.summary}\n`;
+    if (diff.tasks.length > 0) {
+      html += `
+        <h4>Changed tasks (${diff.tasks.length})</h4>
+        <table>
+          <thead><tr><th>Bug</th><th>Summary</th><th>Changes</th><th>Engineer</th><th>End</th></tr></thead>
+          <tbody>
+      `;
+      for (const task of diff.tasks.slice(0, 100)) {
+        const current = task.after || task.before;
+        html += `
+          <tr>
+            <td>${bugLink(task.bugId)}</td>
+            <td title="${this.escapeHtml(task.summary)}">${this.escapeHtml(this.truncate(task.summary, 50))}</td>
+            <td>${describeChange(task)}</td>
+            <td>${this.escapeHtml(current.engineer || 'Unassigned')}</td>
+            <td>${task.before ? task.before.endDate || '-' : '-'} &rarr; ${task.after ? task.after.endDate || '-' : '-'}</td>
+          </tr>
+        `;
       }
-      if (errors.untriaged.length > 50) {
-        markdown += `\n...and ${errors.untriaged.length - 50} more\n`;
+      html += '</tbody></table>';
+      if (diff.tasks.length > 100) {
+        html += `<p class="table-note">${diff.tasks.length - 100} more not shown.</p>`;
       }
-      markdown += '\n';
     }
 
-    if (errors.milestoneMismatches && errors.milestoneMismatches.length > 0) {
-      markdown += '## Milestone Mismatches\n\n';
-      markdown += 'Bugs where Bugzilla milestone differs from dependency milestone:\n\n';
-      for (const m of errors.milestoneMismatches.slice(0, 50)) {
-        const depMs = m.dependencyMilestone || '(not connected)';
-        markdown += `- Bug ${m.bug.id}: ${m.bug.summary}\n`;
-        markdown += `  Bugzilla says "${m.targetMilestone}", dependencies say "${depMs}"\n`;
-      }
-      if (errors.milestoneMismatches.length > 50) {
-        markdown += `\n...and ${errors.milestoneMismatches.length - 50} more\n`;
+    this.elements.scheduleDiff.innerHTML = html;
+  }
+
+  /**
+   * Show that a size calibration is being fetched
+   * @param {boolean} busy
+   */
+  setCalibrationBusy(busy) {
+    if (!this.elements.calibrateBtn) return;
+    this.elements.calibrateBtn.disabled = busy;
+    this.elements.calibrateBtn.textContent = busy ? 'Calibrating...' : 'Calibrate Sizes';
+  }
+
+  /**
+   * Render estimated vs actual days per size and engineer
+   * @param {Object|null} calibration - From runCalibration() (calibration.js); null hides the card
+   * @param {Array<Object>} engineers - Team engineers, to show names instead of emails
+   * @param {boolean} applied - Whether the calibrated sizes drive the schedule
+   */
+  renderCalibration(calibration, engineers, applied) {
+    if (!this.elements.calibrationCard || !this.elements.calibrationTable) return;
+
+    if (!calibration) {
+      this.elements.calibrationCard.style.display = 'none';
+      return;
+    }
+
+    this.elements.calibrationCard.style.display = '';
+    if (this.elements.calibrationNote) {
+      const since = calibration.since ? ` changed since ${this.formatDateLong(calibration.since)}` : '';
+      this.elements.calibrationNote.textContent = `${calibration.sampleCount} resolved bugs${since}; actual days are working days from first assignment to resolution. ` +
+        (applied ? 'The schedule uses the calibrated days.' : 'The schedule uses the project\'s size scale.');
+    }
+    if (this.elements.calibrationApplyBtn) {
+      this.elements.calibrationApplyBtn.textContent = applied ? 'Use Project Sizes' : 'Apply to Schedule';
+    }
+
+    const format = value => (value === null ? '-' : String(Math.round(value * 10) / 10));
+    let html = `
+      <table>
+        <thead>
+          <tr>
+            <th>Size</th>
+            <th>Estimated</th>
+            <th>Bugs</th>
+            <th>Median Actual</th>
+            <th>Calibrated</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    for (const row of calibration.sizes) {
+      html += `
+        <tr>
+          <td>${row.size}</td>
+          <td>${row.estimatedDays} days</td>
+          <td>${row.samples}</td>
+          <td>${row.medianDays === null ? '-' : `${format(row.medianDays)} days`}</td>
+          <td>${row.calibratedDays} days${row.calibrated ? '' : ' <span class="table-note">(too few bugs)</span>'}</td>
+        </tr>
+      `;
+    }
+    html += '</tbody></table>';
+
+    if (calibration.engineers.length > 0) {
+      const names = new Map(engineers.map(e => [String(e.email).toLowerCase(), e.name]));
+      html += `
+        <table>
+          <thead>
+            <tr>
+              <th>Engineer</th>
+              <th>Bugs</th>
+              <th title="Above 1 is slower than the size table">Actual / Estimated</th>
+            </tr>
+          </thead>
+          <tbody>
+      `;
+      for (const row of calibration.engineers.slice(0, 20)) {
+        html += `
+          <tr>
+            <td>${this.escapeHtml(names.get(row.assignee) || row.assignee)}</td>
+            <td>${row.samples}</td>
+            <td>${format(row.ratio)}</td>
+          </tr>
+        `;
       }
+      html += '</tbody></table>';
     }
 
-    this.elements.errorsMarkdown.textContent = markdown;
+    this.elements.calibrationTable.innerHTML = html;
+  }
+
+  /**
+   * Render errors in markdown format
+   * @param {Object} errors - Error detection results
+   */
+  renderErrorsMarkdown(errors) {
+    if (!this.elements.errorsMarkdown) return;
+    this.elements.errorsMarkdown.textContent = buildErrorsMarkdown(errors);
   }
 
   getSeverityFilter() {
@@ -687,9 +1524,165 @@ export class UIController {
       });
     }
 
+    if (this.elements.apiKeySaveBtn && this.elements.apiKeyInput && callbacks.onApiKeyChange) {
+      // An empty input clears the stored key
+      const submit = () => callbacks.onApiKeyChange(this.elements.apiKeyInput.value);
+      this.elements.apiKeySaveBtn.addEventListener('click', submit);
+      this.elements.apiKeyInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submit();
+      });
+    }
+
+    if (this.elements.snapshotLoadBtn && this.elements.snapshotFileInput && callbacks.onLoadSnapshot) {
+      this.elements.snapshotLoadBtn.addEventListener('click', () => {
+        this.elements.snapshotFileInput.click();
+      });
+      this.elements.snapshotFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) callbacks.onLoadSnapshot(file);
+        // Allow picking the same file again
+        e.target.value = '';
+      });
+    }
+
+    if (this.elements.snapshotDownloadBtn && callbacks.onDownloadSnapshot) {
+      this.elements.snapshotDownloadBtn.addEventListener('click', () => {
+        callbacks.onDownloadSnapshot();
+      });
+    }
+
+    if (this.elements.pinsExportBtn && callbacks.onExportPins) {
+      this.elements.pinsExportBtn.addEventListener('click', () => {
+        callbacks.onExportPins();
+      });
+    }
+
+    if (this.elements.pinsClearBtn && callbacks.onClearPins) {
+      this.elements.pinsClearBtn.addEventListener('click', () => {
+        callbacks.onClearPins();
+      });
+    }
+
+    if (this.elements.baselineSaveBtn && callbacks.onSaveBaseline) {
+      this.elements.baselineSaveBtn.addEventListener('click', () => {
+        const name = this.elements.baselineNameInput ? this.elements.baselineNameInput.value : '';
+        callbacks.onSaveBaseline(name);
+        if (this.elements.baselineNameInput) this.elements.baselineNameInput.value = '';
+      });
+    }
+
+    if (this.elements.baselineSelect && callbacks.onSelectBaseline) {
+      this.elements.baselineSelect.addEventListener('change', (e) => {
+        callbacks.onSelectBaseline(e.target.value || null);
+      });
+    }
+
+    if (this.elements.baselineExportBtn && callbacks.onExportBaseline) {
+      this.elements.baselineExportBtn.addEventListener('click', () => {
+        callbacks.onExportBaseline();
+      });
+    }
+
+    if (this.elements.baselineImportBtn && this.elements.baselineFileInput && callbacks.onImportBaseline) {
+      this.elements.baselineImportBtn.addEventListener('click', () => {
+        this.elements.baselineFileInput.click();
+      });
+      this.elements.baselineFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) callbacks.onImportBaseline(file);
+        // Allow picking the same file again
+        e.target.value = '';
+      });
+    }
+
+    if (this.elements.baselineDeleteBtn && callbacks.onDeleteBaseline) {
+      this.elements.baselineDeleteBtn.addEventListener('click', () => {
+        callbacks.onDeleteBaseline();
+      });
+    }
+
+    if (this.elements.planSaveBtn && callbacks.onSavePlan) {
+      this.elements.planSaveBtn.addEventListener('click', () => {
+        callbacks.onSavePlan();
+      });
+    }
+
+    if (this.elements.diffPreviousBtn && callbacks.onDiffPrevious) {
+      this.elements.diffPreviousBtn.addEventListener('click', () => {
+        callbacks.onDiffPrevious();
+      });
+    }
+
+    if (this.elements.diffOptimizedBtn && callbacks.onDiffOptimized) {
+      this.elements.diffOptimizedBtn.addEventListener('click', () => {
+        callbacks.onDiffOptimized();
+      });
+    }
+
+    if (this.elements.diffLoadBtn && this.elements.diffFileInput && callbacks.onLoadPlanFile) {
+      this.elements.diffLoadBtn.addEventListener('click', () => {
+        this.elements.diffFileInput.click();
+      });
+      this.elements.diffFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) callbacks.onLoadPlanFile(file);
+        // Allow picking the same file again
+        e.target.value = '';
+      });
+    }
+
+    if (this.elements.scenarioCreateBtn && callbacks.onCreateScenario) {
+      this.elements.scenarioCreateBtn.addEventListener('click', () => {
+        const name = this.elements.scenarioNameInput ? this.elements.scenarioNameInput.value : '';
+        callbacks.onCreateScenario(name);
+        if (this.elements.scenarioNameInput) this.elements.scenarioNameInput.value = '';
+      });
+    }
+
+    if (this.elements.scenarioCompareBtn && callbacks.onCompareScenarios) {
+      this.elements.scenarioCompareBtn.addEventListener('click', () => {
+        callbacks.onCompareScenarios();
+      });
+    }
+
+    if (this.elements.scenarioEditor && callbacks.onScenarioAction) {
+      // The editor is re-rendered on every change, so listen once on its container
+      this.elements.scenarioEditor.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        callbacks.onScenarioAction(button.dataset.action, Number(button.dataset.index), this.readScenarioEdit(button.dataset.action));
+      });
+      this.elements.scenarioEditor.addEventListener('change', (e) => {
+        // Start the date picker at the chosen milestone's deadline
+        if (e.target.dataset.field !== 'milestone') return;
+        const option = e.target.selectedOptions[0];
+        const deadline = this.elements.scenarioEditor.querySelector('[data-field="deadline"]');
+        if (option && deadline) deadline.value = option.dataset.deadline || '';
+      });
+    }
+
+    if (this.elements.burnHistoryBtn && callbacks.onLoadBurnHistory) {
+      this.elements.burnHistoryBtn.addEventListener('click', () => {
+        callbacks.onLoadBurnHistory();
+      });
+    }
+
+    if (this.elements.calibrateBtn && callbacks.onCalibrateSizes) {
+      this.elements.calibrateBtn.addEventListener('click', () => {
+        callbacks.onCalibrateSizes();
+      });
+    }
+
+    if (this.elements.calibrationApplyBtn && callbacks.onToggleCalibration) {
+      this.elements.calibrationApplyBtn.addEventListener('click', () => {
+        callbacks.onToggleCalibration();
+      });
+    }
+
     if (this.elements.refreshBtn && callbacks.onRefresh) {
-      this.elements.refreshBtn.addEventListener('click', () => {
-        callbacks.onRefresh();
+      // Shift-click discards the offline cache and re-fetches everything
+      this.elements.refreshBtn.addEventListener('click', (e) => {
+        callbacks.onRefresh({ full: e.shiftKey });
       });
     }
   }
@@ -724,6 +1717,27 @@ export class UIController {
     this.elements.optimizationStatus.innerHTML = `${icon} ${message}`;
   }
 
+  /**
+   * Update data freshness display (cache / sync state)
+   * @param {string} status - 'syncing', 'synced', 'error'
+   * @param {string} message - Status message
+   */
+  updateDataStatus(status, message) {
+    if (!this.elements.dataStatus) return;
+
+    // The message can hold a snapshot URL or file name, so it goes in as text
+    let icon;
+    if (status === 'syncing') {
+      icon = document.createElement('span');
+      icon.className = 'spinner-small';
+    } else {
+      icon = document.createTextNode(status === 'error' ? '\u2717' : '\u2713');
+    }
+
+    this.elements.dataStatus.className = `data-status status-${status}`;
+    this.elements.dataStatus.replaceChildren(icon, document.createTextNode(` ${message}`));
+  }
+
   /**
    * Enable/disable the schedule type toggle
    * @param {boolean} enabled - Whether optimal schedule is available
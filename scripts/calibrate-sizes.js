@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Calibrate sizes against how long resolved bugs actually took.
+ * Fetches bugs resolved FIXED in the project's products/components with their
+ * Bugzilla history and prints estimated vs actual days per size and engineer.
+ *
+ * Usage: node scripts/calibrate-sizes.js [options]
+ *
+ *   --project <file>      Project config JSON (default: data/project.json)
+ *   --engineers <file>    Engineers JSON, for names in the report (default: data/engineers.json)
+ *   --holidays <file>     Holiday calendars JSON (default: data/holidays.json)
+ *   --days <n>            Look back this many days (default: 365)
+ *   --min-samples <n>     Resolved bugs needed to calibrate a size (default: 3)
+ *   --out <file>          Also save the calibration, for `entplanner schedule --calibration <file>`
+ *   --help                Show this help
+ *
+ * Set BUGZILLA_API_KEY to include security-restricted bugs.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { BugzillaAPI } from '../js/bugzilla-api.js';
+import { parseProjectConfig } from '../js/project-config.js';
+import { setSizeScheme } from '../js/scheduler-core.js';
+import { applyHolidayCalendars } from '../js/holidays.js';
+import {
+  runCalibration,
+  buildCalibrationMarkdown,
+  CALIBRATION_WINDOW_DAYS,
+  MIN_SAMPLES_PER_SIZE
+} from '../js/calibration.js';
+
+const USAGE = `Usage: node scripts/calibrate-sizes.js [--project <file>] [--engineers <file>] [--holidays <file>] [--days <n>] [--min-samples <n>] [--out <file>]`;
+
+function readJson(path) {
+  return JSON.parse(readFileSync(resolve(process.cwd(), path), 'utf8'));
+}
+
+function parsePositiveInteger(value, option) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid --${option} "${value}": expected a positive integer`);
+  }
+  return number;
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      project: { type: 'string', default: 'data/project.json' },
+      engineers: { type: 'string', default: 'data/engineers.json' },
+      holidays: { type: 'string', default: 'data/holidays.json' },
+      days: { type: 'string', default: String(CALIBRATION_WINDOW_DAYS) },
+      'min-samples': { type: 'string', default: String(MIN_SAMPLES_PER_SIZE) },
+      out: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const project = parseProjectConfig(readJson(options.project));
+  setSizeScheme(project.sizes);
+  const engineers = (readJson(options.engineers).teams || []).flatMap(t => t.engineers);
+  // Actual days skip company holidays, like scheduled ones
+  applyHolidayCalendars(readJson(options.holidays), engineers);
+  const days = parsePositiveInteger(options.days, 'days');
+  const minSamples = parsePositiveInteger(options['min-samples'], 'min-samples');
+
+  const api = new BugzillaAPI({
+    bugzillaUrl: project.bugzillaUrl,
+    apiKey: process.env.BUGZILLA_API_KEY
+  });
+
+  // Keep the console to the report; the client's own logging is for the browser
+  const log = console.log;
+  console.log = () => {};
+  let calibration;
+  try {
+    log(`Calibrating sizes from ${project.products.join(', ')} on ${project.bugzillaUrl}${api.hasApiKey() ? ' (authenticated)' : ''}...`);
+    calibration = await runCalibration(api, project, {
+      since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+      minSamples
+    });
+  } finally {
+    console.log = log;
+  }
+
+  console.log(`\n${buildCalibrationMarkdown(calibration, engineers)}`);
+
+  if (options.out) {
+    const outputPath = resolve(process.cwd(), options.out);
+    writeFileSync(outputPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      since: calibration.since.toISOString(),
+      sampleCount: calibration.sampleCount,
+      table: calibration.table,
+      sizes: calibration.sizes,
+      engineers: calibration.engineers
+    }, null, 2));
+    console.log(`Saved to: ${outputPath} (apply with: entplanner schedule --calibration ${options.out})`);
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  console.error(USAGE);
+  process.exit(1);
+});
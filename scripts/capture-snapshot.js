@@ -2,202 +2,121 @@
 
 /**
  * Capture a snapshot of the current Bugzilla bug tree for offline testing.
+ * Uses the same BugzillaAPI client as the web app, so the snapshot holds
+ * exactly the bugs the browser would see.
  *
- * Usage: node scripts/capture-snapshot.js
+ * Usage: node scripts/capture-snapshot.js [options]
  *
- * Outputs to: test/fixtures/live-snapshot.json
+ *   --milestones <file>     Milestones JSON (default: data/milestones.json)
+ *   --project <file>        Project config JSON (default: data/project.json)
+ *   --out <file>            Output path (default: test/fixtures/live-snapshot.json)
+ *   --include-milestoned    Also capture open milestoned bugs outside the dependency trees
+ *   --help                  Show this help
+ *
+ * Set BUGZILLA_API_KEY to include security-restricted bugs.
  */
 
-import { readFileSync } from 'fs';
-
-const BUGZILLA_API_BASE = 'https://bugzilla.mozilla.org/rest';
-const BATCH_SIZE = 100;
-
-const milestonesData = JSON.parse(readFileSync(new URL('../data/milestones.json', import.meta.url)));
-const MILESTONES = milestonesData.milestones.map(m => ({
-  name: m.name,
-  bugId: m.bugId
-}));
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { BugzillaAPI } from '../js/bugzilla-api.js';
+import { parseProjectConfig } from '../js/project-config.js';
+import { setSizeScheme } from '../js/scheduler-core.js';
+import { buildSnapshot } from '../js/snapshot.js';
 
-async function fetchBugs(bugIds) {
-  if (bugIds.length === 0) return [];
+const USAGE = `Usage: node scripts/capture-snapshot.js [--milestones <file>] [--project <file>] [--out <file>] [--include-milestoned]`;
 
-  const url = `${BUGZILLA_API_BASE}/bug?id=${bugIds.join(',')}&include_fields=id,summary,status,resolution,assigned_to,depends_on,blocks,whiteboard,component,product,severity,keywords`;
-
-  console.log(`Fetching ${bugIds.length} bugs...`);
-
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  return data.bugs || [];
-}
-
-function processBug(rawBug) {
-  const whiteboard = rawBug.whiteboard || '';
-  const keywords = rawBug.keywords || [];
-  const summary = rawBug.summary || '';
-
-  // Extract size
-  const sizeMatch = whiteboard.match(/\[size=(\d+\.?\d*)\]/i);
-  const size = sizeMatch ? parseFloat(sizeMatch[1]) : null;
-
-  // Check if meta bug
-  const isMeta = whiteboard.toLowerCase().includes('[meta]') ||
-    keywords.some(k => k.toLowerCase() === 'meta') ||
-    summary.toLowerCase().includes('[meta]');
-
-  return {
-    id: rawBug.id,
-    summary: rawBug.summary,
-    status: rawBug.status,
-    resolution: rawBug.resolution || null,
-    assignee: rawBug.assigned_to || null,
-    dependsOn: rawBug.depends_on || [],
-    blocks: rawBug.blocks || [],
-    whiteboard: whiteboard,
-    keywords: keywords,
-    component: rawBug.component,
-    product: rawBug.product,
-    severity: rawBug.severity || 'N/A',
-    size: size,
-    sizeEstimated: size === null,
-    isMeta: isMeta
-  };
+function readJson(path) {
+  return JSON.parse(readFileSync(resolve(process.cwd(), path), 'utf8'));
 }
 
-async function fetchAllDependencies(rootBugIds) {
-  const allBugs = new Map();
-  const toFetch = new Set(rootBugIds.map(String));
-  const fetched = new Set();
-  const failedIds = new Set();
-
-  let iteration = 0;
-  const MAX_ITERATIONS = 1000;
-
-  while (toFetch.size > 0 && iteration < MAX_ITERATIONS) {
-    iteration++;
-
-    const batch = Array.from(toFetch).slice(0, BATCH_SIZE);
-    batch.forEach(id => {
-      toFetch.delete(id);
-      fetched.add(id);
-    });
-
-    try {
-      const bugs = await fetchBugs(batch);
-
-      for (const rawBug of bugs) {
-        const bug = processBug(rawBug);
-        allBugs.set(String(bug.id), bug);
-
-        // Add dependencies to fetch queue
-        for (const depId of bug.dependsOn) {
-          const depIdStr = String(depId);
-          if (!fetched.has(depIdStr) && !toFetch.has(depIdStr) && !failedIds.has(depIdStr)) {
-            toFetch.add(depIdStr);
-          }
-        }
-      }
-
-      console.log(`  Iteration ${iteration}: ${allBugs.size} bugs collected, ${toFetch.size} remaining`);
-
-      // Small delay to avoid rate limiting
-      if (toFetch.size > 0) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    } catch (error) {
-      console.error(`Error fetching batch:`, error.message);
-      batch.forEach(id => failedIds.add(id));
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      milestones: { type: 'string', default: 'data/milestones.json' },
+      project: { type: 'string', default: 'data/project.json' },
+      out: { type: 'string', default: 'test/fixtures/live-snapshot.json' },
+      'include-milestoned': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
     }
-  }
+  });
 
-  return allBugs;
-}
-
-async function main() {
-  console.log('Capturing Bugzilla snapshot...');
-  console.log(`Milestones: ${MILESTONES.map(m => `${m.name} (${m.bugId})`).join(', ')}`);
-
-  const milestoneBugIds = MILESTONES.map(m => m.bugId);
-  const bugs = await fetchAllDependencies(milestoneBugIds);
-
-  // Calculate statistics
-  const resolvedStatuses = ['RESOLVED', 'VERIFIED', 'CLOSED'];
-  const allBugsArray = Array.from(bugs.values());
-
-  const stats = {
-    totalBugs: allBugsArray.length,
-    resolvedBugs: allBugsArray.filter(b => resolvedStatuses.includes(b.status)).length,
-    unresolvedBugs: allBugsArray.filter(b => !resolvedStatuses.includes(b.status)).length,
-    clientBugs: allBugsArray.filter(b => b.component === 'Client').length,
-    metaBugs: allBugsArray.filter(b => b.isMeta).length,
-    bugsWithSize: allBugsArray.filter(b => b.size !== null).length,
-    bugsWithoutSize: allBugsArray.filter(b => b.size === null).length,
-    bugsWithAssignee: allBugsArray.filter(b => b.assignee).length,
-    bugsWithoutAssignee: allBugsArray.filter(b => !b.assignee).length,
-    severityCounts: {},
-    componentCounts: {}
-  };
-
-  // Count by severity
-  for (const bug of allBugsArray) {
-    const sev = bug.severity || 'N/A';
-    stats.severityCounts[sev] = (stats.severityCounts[sev] || 0) + 1;
+  if (options.help) {
+    console.log(USAGE);
+    return;
   }
 
-  // Count by component
-  for (const bug of allBugsArray) {
-    const comp = bug.component || 'Unknown';
-    stats.componentCounts[comp] = (stats.componentCounts[comp] || 0) + 1;
+  const project = parseProjectConfig(readJson(options.project));
+  setSizeScheme(project.sizes);
+  const milestones = readJson(options.milestones).milestones || [];
+  if (milestones.length === 0) {
+    throw new Error(`No milestones in ${options.milestones}`);
   }
 
-  // Filter to Client component only (like the app does)
-  const clientBugs = allBugsArray.filter(b =>
-    b.component === 'Client' || milestoneBugIds.includes(b.id)
-  );
-  const unresolvedClientBugs = clientBugs.filter(b => !resolvedStatuses.includes(b.status));
-
-  stats.clientUnresolvedBugs = unresolvedClientBugs.length;
-
-  // Count severity among client bugs
-  stats.clientSeverityCounts = {};
-  for (const bug of unresolvedClientBugs) {
-    const sev = bug.severity || 'N/A';
-    stats.clientSeverityCounts[sev] = (stats.clientSeverityCounts[sev] || 0) + 1;
+  const api = new BugzillaAPI({
+    bugzillaUrl: project.bugzillaUrl,
+    apiKey: process.env.BUGZILLA_API_KEY
+  });
+
+  // Keep the console to one line per batch; the client's own logging is for the browser
+  const log = console.log;
+  console.log = () => {};
+  api.setProgressCallback(({ phase, message }) => {
+    if (phase !== 'fetching') log(`  ${message}`);
+  });
+
+  let bugs;
+  let milestonedBugs = null;
+  try {
+    log(`Capturing Bugzilla snapshot from ${project.bugzillaUrl}${api.hasApiKey() ? ' (authenticated)' : ''}...`);
+    log(`Milestones: ${milestones.map(m => `${m.name} (${m.bugId})`).join(', ')}`);
+
+    bugs = await api.fetchAllDependencies(milestones.map(m => m.bugId));
+    // In-progress bugs keep their ASSIGNED date so remaining effort replays offline
+    await api.fetchAssignedDates(bugs);
+
+    if (options['include-milestoned']) {
+      log(`Fetching milestoned bugs in ${project.products.join(', ')}...`);
+      milestonedBugs = await api.fetchMilestonedBugs(project.products, project.components);
+    }
+  } finally {
+    console.log = log;
   }
 
-  const snapshot = {
-    capturedAt: new Date().toISOString(),
-    milestones: MILESTONES,
-    stats: stats,
-    bugs: allBugsArray
-  };
+  const snapshot = buildSnapshot({ bugs, milestones, project, milestonedBugs });
+  const stats = snapshot.stats;
 
-  // Write to file
-  const fs = await import('fs');
-  const path = await import('path');
-  const outputPath = path.join(process.cwd(), 'test/fixtures/live-snapshot.json');
-
-  fs.writeFileSync(outputPath, JSON.stringify(snapshot, null, 2));
+  const outputPath = resolve(process.cwd(), options.out);
+  writeFileSync(outputPath, JSON.stringify(snapshot, null, 2));
 
   console.log('\n=== Snapshot Statistics ===');
   console.log(`Total bugs: ${stats.totalBugs}`);
   console.log(`Resolved: ${stats.resolvedBugs}, Unresolved: ${stats.unresolvedBugs}`);
-  console.log(`Client component: ${stats.clientBugs} (${stats.clientUnresolvedBugs} unresolved)`);
+  console.log(`Project components (${project.components.join(', ') || 'all'}): ${stats.clientBugs} (${stats.clientUnresolvedBugs} unresolved)`);
   console.log(`Meta bugs: ${stats.metaBugs}`);
   console.log(`With size: ${stats.bugsWithSize}, Without size: ${stats.bugsWithoutSize}`);
   console.log(`With assignee: ${stats.bugsWithAssignee}, Without assignee: ${stats.bugsWithoutAssignee}`);
-  console.log(`\nSeverity breakdown (Client, unresolved):`);
+  if (milestonedBugs) {
+    console.log(`Milestoned bugs: ${milestonedBugs.length}`);
+  }
+  console.log(`\nSeverity breakdown (project components, unresolved):`);
   for (const [sev, count] of Object.entries(stats.clientSeverityCounts).sort()) {
     console.log(`  ${sev}: ${count}`);
   }
+
+  const hidden = api.getHiddenBugs();
+  const failed = api.getFailedBugs();
+  if (hidden.length > 0) {
+    console.warn(`\n${hidden.length} bugs hidden by permissions: ${hidden.map(b => b.id).join(', ')}`);
+  }
+  if (failed.length > 0) {
+    console.warn(`\n${failed.length} bugs failed to fetch: ${failed.map(b => b.id).join(', ')}`);
+  }
   console.log(`\nSaved to: ${outputPath}`);
 }
 
 main().catch(err => {
-  console.error('Fatal error:', err);
+  console.error('Fatal error:', err.message);
+  console.error(USAGE);
   process.exit(1);
 });
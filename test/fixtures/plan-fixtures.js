@@ -0,0 +1,41 @@
+/**
+ * Shared bug, engineer and milestone fixtures for the planning unit tests
+ */
+
+export const ALICE = { id: 'alice', name: 'Alice', email: 'alice@example.com', availability: 1.0, unavailability: [] };
+export const BOB = { id: 'bob', name: 'Bob', email: 'bob@example.com', availability: 1.0, unavailability: [] };
+export const ENGINEERS = [ALICE, BOB];
+
+// Milestone entry as in data/milestones.json, far enough out to be met
+export const BETA_MILESTONE = { name: 'Beta', bugId: 100, bugzillaName: 'Beta Release', deadline: '2099-06-01', freezeDays: 5 };
+
+/**
+ * An open, unassigned, size-2 S2 Client bug, as BugzillaAPI processes them
+ * @param {number} id
+ * @param {Object} [fields] - Overrides
+ */
+export function makeBug(id, fields = {}) {
+  return {
+    id,
+    summary: `Bug ${id}`,
+    status: 'NEW',
+    assignee: null,
+    dependsOn: [],
+    size: 2,
+    sizeEstimated: false,
+    severity: 'S2',
+    component: 'Client',
+    isMeta: false,
+    targetMilestone: '---',
+    ...fields
+  };
+}
+
+/**
+ * Bugs by ID, as BugzillaAPI.fetchAllDependencies() returns them
+ * @param {Array<Object>} bugList
+ * @returns {Map<string, Object>}
+ */
+export function makeBugMap(bugList) {
+  return new Map(bugList.map(bug => [String(bug.id), bug]));
+}
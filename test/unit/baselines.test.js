@@ -0,0 +1,117 @@
+/**
+ * Unit tests for baselines and forecast history
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createBaseline,
+  parseBaselines,
+  serializeBaselines,
+  parseBaselineFile,
+  upsertBaseline,
+  computeSlips,
+  parseForecastHistory,
+  recordForecast,
+  mergeForecastHistory,
+  buildForecastSeries,
+  MAX_FORECAST_POINTS
+} from '../../js/baselines.js';
+import { PLAN_VERSION } from '../../js/schedule-diff.js';
+
+function makePlan(completion, tasks = [], label = 'Plan') {
+  return {
+    version: PLAN_VERSION,
+    label,
+    scheduleType: 'greedy',
+    savedAt: '2026-10-12T09:00:00.000Z',
+    tasks,
+    milestones: [{ bugId: 100, name: 'Beta', deadline: '2026-12-01', freezeDate: '2026-11-24', completion, bugIds: [1, 100] }]
+  };
+}
+
+function task(bugId, endDate) {
+  return { bugId, summary: `Bug ${bugId}`, endDate, startDate: endDate, engineerId: 'alice', dependsOn: [] };
+}
+
+describe('baselines', () => {
+  it('round-trips through storage and keeps the active one', () => {
+    const baselines = upsertBaseline([createBaseline('Q4 plan', makePlan('2026-11-20'))], createBaseline('Kickoff', makePlan('2026-11-10')));
+    const stored = JSON.parse(JSON.stringify(serializeBaselines({ active: 'Q4 plan', baselines })));
+    const parsed = parseBaselines(stored);
+
+    expect(parsed.active).toBe('Q4 plan');
+    expect(parsed.baselines.map(b => b.name)).toEqual(['Q4 plan', 'Kickoff']);
+    expect(parseBaselines(null)).toEqual({ active: null, baselines: [] });
+    expect(() => parseBaselines({ version: 2, baselines: [] })).toThrow('Unsupported baselines version');
+    expect(() => createBaseline(' ', makePlan(null))).toThrow('needs a name');
+  });
+
+  it('replaces a baseline saved again under the same name', () => {
+    const first = createBaseline('Q4 plan', makePlan('2026-11-20'));
+    const again = createBaseline('Q4 plan', makePlan('2026-11-27'));
+    const baselines = upsertBaseline([first], again);
+
+    expect(baselines).toHaveLength(1);
+    expect(baselines[0].plan.milestones[0].completion).toBe('2026-11-27');
+  });
+
+  it('imports an exported baseline or a saved plan', () => {
+    const exported = createBaseline('Kickoff', makePlan('2026-11-10'));
+    expect(parseBaselineFile(JSON.parse(JSON.stringify(exported)), 'file.json').name).toBe('Kickoff');
+    expect(parseBaselineFile(makePlan('2026-11-10', [], 'Greedy plan'), 'file.json').name).toBe('Greedy plan');
+    expect(() => parseBaselineFile({ bugs: [] }, 'file.json')).toThrow('Not a baseline');
+  });
+});
+
+describe('computeSlips', () => {
+  it('counts calendar days past the baseline end, null for new tasks', () => {
+    const plan = makePlan('2026-11-20', [task(1, '2026-11-16'), task(2, '2026-11-20')]);
+    const schedule = [
+      { bug: { id: 1 }, endDate: new Date(2026, 10, 20), completed: false },
+      { bug: { id: 2 }, endDate: new Date(2026, 10, 18), completed: false },
+      { bug: { id: 3 }, endDate: new Date(2026, 10, 18), completed: false },
+      { bug: { id: 4 }, endDate: null, completed: true }
+    ];
+
+    expect([...computeSlips(plan, schedule)]).toEqual([['1', 4], ['2', -2], ['3', null]]);
+  });
+});
+
+describe('forecast history', () => {
+  it('keeps one point per day, oldest first', () => {
+    let history = recordForecast([], makePlan('2026-11-20', [], 'Week 1'), new Date(2026, 9, 12, 15));
+    history = recordForecast(history, makePlan('2026-11-30', [], 'Week 3'), '2026-10-26T08:00:00');
+    history = recordForecast(history, makePlan('2026-11-25', [], 'Week 2'), new Date(2026, 9, 19));
+    history = recordForecast(history, makePlan('2026-11-27', [], 'Week 2, later'), new Date(2026, 9, 19, 18));
+
+    expect(parseForecastHistory(JSON.parse(JSON.stringify(history))).map(p => [p.date, p.label])).toEqual([
+      ['2026-10-12', 'Week 1'],
+      ['2026-10-19', 'Week 2, later'],
+      ['2026-10-26', 'Week 3']
+    ]);
+
+    const [beta] = buildForecastSeries(history);
+    expect(beta).toMatchObject({ bugId: 100, name: 'Beta', deadline: '2026-12-01', freezeDate: '2026-11-24' });
+    expect(beta.points.map(p => p.completion)).toEqual(['2026-11-20', '2026-11-27', '2026-11-30']);
+  });
+
+  it('merges an imported history, preferring its points', () => {
+    const ours = recordForecast(recordForecast([], makePlan('2026-11-20', [], 'Browser'), new Date(2026, 9, 12)), makePlan('2026-11-21', [], 'Browser'), new Date(2026, 9, 19));
+    const imported = recordForecast([], makePlan('2026-11-25', [], 'Cron'), new Date(2026, 9, 19));
+
+    expect(mergeForecastHistory(ours, imported).map(p => [p.date, p.label])).toEqual([
+      ['2026-10-12', 'Browser'],
+      ['2026-10-19', 'Cron']
+    ]);
+  });
+
+  it('caps the history', () => {
+    let history = [];
+    for (let day = 0; day < MAX_FORECAST_POINTS + 3; day++) {
+      history = recordForecast(history, makePlan('2026-11-20'), new Date(2025, 0, 1 + day));
+    }
+    expect(history).toHaveLength(MAX_FORECAST_POINTS);
+    expect(history[0].date).toBe('2025-01-04');
+    expect(() => parseForecastHistory([{ date: 'yesterday', milestones: [] }])).toThrow('Invalid forecast point');
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * Unit tests for bugzilla-api.js
+ * fetch is stubbed with an in-memory Bugzilla so no network is needed.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { BugzillaAPI, extractAssignedDate } from '../../js/bugzilla-api.js';
+import { BugCache } from '../../js/bug-cache.js';
+import { setSizeScheme } from '../../js/scheduler-core.js';
+import { parseSizeScheme } from '../../js/project-config.js';
+
+function rawBug(id, dependsOn = [], lastChange = '2026-01-01T00:00:00Z', extra = {}) {
+  return {
+    id,
+    summary: `Bug ${id}`,
+    status: 'NEW',
+    assigned_to: 'nobody@mozilla.org',
+    depends_on: dependsOn,
+    blocks: [],
+    whiteboard: '[size=2]',
+    component: 'Client',
+    product: 'Firefox Enterprise',
+    severity: 'S2',
+    keywords: [],
+    target_milestone: '---',
+    last_change_time: lastChange,
+    ...extra
+  };
+}
+
+/**
+ * Stub fetch with a fake Bugzilla serving the given raw bugs.
+ * Supports id lists and the last_change_time search parameter.
+ * failWith(url, ids) may return {status, retryAfter} to simulate an error response.
+ */
+function stubBugzilla(bugs, failWith = () => null) {
+  const requests = [];
+  const fetchMock = vi.fn(async (url, options = {}) => {
+    const parsed = new URL(url);
+    parsed.headers = options.headers || {};
+    requests.push(parsed);
+    const failure = failWith(parsed, (parsed.searchParams.get('id') || '').split(','));
+    if (failure) {
+      return {
+        ok: false,
+        status: failure.status,
+        statusText: 'Error',
+        headers: new Headers(failure.retryAfter ? { 'Retry-After': failure.retryAfter } : {}),
+        json: async () => ({ error: true })
+      };
+    }
+    const ids = (parsed.searchParams.get('id') || '').split(',').filter(Boolean).map(Number);
+    const since = parsed.searchParams.get('last_change_time');
+    const matched = bugs.filter(bug =>
+      ids.includes(bug.id) && (!since || bug.last_change_time > since)
+    );
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ bugs: matched, faults: [] })
+    };
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return { fetchMock, requests };
+}
+
+describe('BugzillaAPI', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new BugzillaAPI();
+    api.delay = vi.fn(async () => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('processBug', () => {
+    it('keeps last_change_time for incremental sync', () => {
+      const bug = api.processBug(rawBug(1, [], '2026-02-03T04:05:06Z'));
+      expect(bug.lastChangeTime).toBe('2026-02-03T04:05:06Z');
+    });
+
+    it('extracts required skills from [skill=x] whiteboard tags', () => {
+      const bug = api.processBug(rawBug(1, [], undefined, { whiteboard: '[size=2][skill=Sandbox] [skill=policy-engine]' }));
+      expect(bug.requiredSkills).toEqual(['sandbox', 'policy-engine']);
+      expect(bug.size).toBe(2);
+    });
+
+    it('reads an optional size range', () => {
+      const bug = api.processBug(rawBug(1, [], undefined, { whiteboard: '[size=3 range=2-4]' }));
+      expect(bug.size).toBe(3);
+      expect(bug.sizeRange).toEqual({ min: 2, max: 4 });
+
+      const plain = api.processBug(rawBug(2, [], undefined, { whiteboard: '[size=3]' }));
+      expect(plain.sizeRange).toBeNull();
+    });
+  });
+
+  describe('fetchAllDependencies', () => {
+    it('walks the dependency tree from the roots', async () => {
+      stubBugzilla([rawBug(1, [2, 3]), rawBug(2, [4]), rawBug(3), rawBug(4)]);
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(Array.from(bugs.keys()).sort()).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('fetches each level in parallel batches up to the concurrency limit', async () => {
+      const leafIds = Array.from({ length: 450 }, (_, i) => 1000 + i);
+      const { fetchMock } = stubBugzilla([rawBug(1, leafIds), ...leafIds.map(id => rawBug(id))]);
+      const inner = fetchMock.getMockImplementation();
+      let inFlight = 0;
+      let maxInFlight = 0;
+      fetchMock.mockImplementation(async (...args) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return inner(...args);
+      });
+      api.concurrency = 2;
+      const progress = [];
+      api.setProgressCallback(p => progress.push(p));
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(bugs.size).toBe(451);
+      // 1 root batch + 5 leaf batches of up to 100
+      expect(fetchMock).toHaveBeenCalledTimes(6);
+      expect(maxInFlight).toBe(2);
+      const last = progress[progress.length - 1];
+      expect(last.fetched).toBe(451);
+      expect(last.total).toBe(451);
+      expect(progress.every(p => p.fetched <= p.total)).toBe(true);
+    });
+
+    it('counts hidden bugs as settled so progress completes', async () => {
+      stubBugzilla([rawBug(1, [2, 3]), rawBug(3)]);
+      const progress = [];
+      api.setProgressCallback(p => progress.push(p));
+
+      await api.fetchAllDependencies([1]);
+
+      const last = progress[progress.length - 1];
+      expect(last.fetched).toBe(3);
+      expect(last.total).toBe(3);
+    });
+
+    it('reuses known bugs instead of fetching them', async () => {
+      const { requests } = stubBugzilla([rawBug(1, [2]), rawBug(2, [3]), rawBug(3)]);
+      const known = new Map([
+        ['1', api.processBug(rawBug(1, [2]))],
+        ['2', api.processBug(rawBug(2, [3]))]
+      ]);
+
+      const bugs = await api.fetchAllDependencies([1], known);
+
+      expect(bugs.size).toBe(3);
+      const requestedIds = requests.flatMap(r => r.searchParams.get('id').split(','));
+      expect(requestedIds).toEqual(['3']);
+    });
+  });
+
+  describe('Bugzilla instance', () => {
+    it('talks to the configured instance', async () => {
+      const { requests } = stubBugzilla([rawBug(1)]);
+      api = new BugzillaAPI({ bugzillaUrl: 'https://bugzilla-dev.allizom.org/' });
+      api.delay = vi.fn(async () => {});
+
+      await api.fetchAllDependencies([1]);
+
+      expect(requests[0].origin).toBe('https://bugzilla-dev.allizom.org');
+      expect(requests[0].pathname).toBe('/rest/bug');
+    });
+
+    it('searches milestoned bugs in every configured product and component', async () => {
+      const { requests } = stubBugzilla([]);
+
+      await api.fetchMilestonedBugs(['Firefox Enterprise', 'Firefox'], ['Client', 'Policies']);
+
+      expect(requests[0].searchParams.getAll('product')).toEqual(['Firefox Enterprise', 'Firefox']);
+      expect(requests[0].searchParams.getAll('component')).toEqual(['Client', 'Policies']);
+    });
+  });
+
+  describe('calibration queries', () => {
+    it('searches bugs resolved FIXED with a size tag', async () => {
+      const { requests } = stubBugzilla([]);
+
+      await api.fetchResolvedSizedBugs(['Firefox Enterprise'], ['Client'], '2025-10-19T00:00:00.000Z');
+
+      const params = requests[0].searchParams;
+      expect(params.get('resolution')).toBe('FIXED');
+      expect(params.get('status_whiteboard')).toBe('[size=');
+      expect(params.getAll('bug_status')).toEqual(['RESOLVED', 'VERIFIED', 'CLOSED']);
+      expect(params.get('last_change_time')).toBe('2025-10-19T00:00:00.000Z');
+    });
+
+    it('searches and reads the project\'s points field', async () => {
+      setSizeScheme(parseSizeScheme({ source: 'field', field: 'cf_fx_points', scale: { 1: 1, 2: 3, 3: 5 } }));
+      try {
+        const { requests } = stubBugzilla([]);
+
+        await api.fetchResolvedSizedBugs(['Firefox Enterprise']);
+
+        const params = requests[0].searchParams;
+        expect(params.get('f1')).toBe('cf_fx_points');
+        expect(params.get('o1')).toBe('isnotempty');
+        expect(params.get('status_whiteboard')).toBeNull();
+        expect(params.get('include_fields')).toContain(',cf_fx_points');
+        expect(api.processBug(rawBug(1, [], undefined, { cf_fx_points: 2 })).size).toBe(2);
+        // The whiteboard tag isn't this project's size
+        expect(api.processBug(rawBug(2)).size).toBeNull();
+      } finally {
+        setSizeScheme(null);
+      }
+    });
+
+    it('fetches each bug\'s history and skips ones that fail', async () => {
+      const fetchMock = vi.fn(async (url) => {
+        const id = new URL(url).pathname.split('/')[3];
+        if (id === '2') {
+          return { ok: false, status: 404, statusText: 'Not Found', headers: new Headers() };
+        }
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({ bugs: [{ id: Number(id), history: [{ when: '2026-01-05T10:00:00Z', who: 'a@example.com', changes: [] }] }] })
+        };
+      });
+      api = new BugzillaAPI({ fetch: fetchMock });
+
+      const histories = await api.fetchBugHistory([1, 2]);
+
+      expect(fetchMock.mock.calls[0][0]).toBe('https://bugzilla.mozilla.org/rest/bug/1/history');
+      expect([...histories.keys()]).toEqual(['1']);
+      expect(histories.get('1')).toHaveLength(1);
+    });
+  });
+
+  describe('ASSIGNED dates', () => {
+    it('takes the last move to ASSIGNED', () => {
+      expect(extractAssignedDate([
+        { when: '2026-01-05T10:00:00Z', changes: [{ field_name: 'status', added: 'ASSIGNED', removed: 'NEW' }] },
+        { when: '2026-01-20T10:00:00Z', changes: [{ field_name: 'status', added: 'REOPENED', removed: 'RESOLVED' }] },
+        { when: '2026-01-22T10:00:00Z', changes: [{ field_name: 'status', added: 'ASSIGNED', removed: 'REOPENED' }] }
+      ])).toBe('2026-01-22T10:00:00.000Z');
+      expect(extractAssignedDate([])).toBeNull();
+    });
+
+    it('looks up ASSIGNED bugs once', async () => {
+      const fetchMock = vi.fn(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => ({ bugs: [{ id: 1, history: [{ when: '2026-01-05T10:00:00Z', changes: [{ field_name: 'status', added: 'ASSIGNED' }] }] }] })
+      }));
+      api = new BugzillaAPI({ fetch: fetchMock });
+      const bugs = new Map([
+        ['1', api.processBug(rawBug(1, [], undefined, { status: 'ASSIGNED' }))],
+        ['2', api.processBug(rawBug(2))]
+      ]);
+
+      expect(await api.fetchAssignedDates(bugs)).toBe(1);
+      expect(bugs.get('1').assignedAt).toBe('2026-01-05T10:00:00.000Z');
+      expect(bugs.get('2').assignedAt).toBeUndefined();
+
+      expect(await api.fetchAssignedDates(bugs)).toBe(0);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('injectable fetch', () => {
+    it('uses the fetch passed to the constructor instead of the global', async () => {
+      const { fetchMock: globalFetch } = stubBugzilla([]);
+      const injected = vi.fn(async () => ({
+        ok: true,
+        status: 200,
+        json: async () => ({ bugs: [rawBug(1)], faults: [] })
+      }));
+      api = new BugzillaAPI({ fetch: injected, apiKey: 'node-key' });
+      api.delay = vi.fn(async () => {});
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(bugs.has('1')).toBe(true);
+      expect(globalFetch).not.toHaveBeenCalled();
+      expect(injected.mock.calls[0][1].headers['X-BUGZILLA-API-KEY']).toBe('node-key');
+    });
+  });
+
+  describe('API key', () => {
+    it('sends the key as a header, never in the URL', async () => {
+      const { requests } = stubBugzilla([rawBug(1)]);
+      api.setApiKey('secret-key');
+
+      await api.fetchAllDependencies([1]);
+
+      expect(api.hasApiKey()).toBe(true);
+      expect(requests[0].headers['X-BUGZILLA-API-KEY']).toBe('secret-key');
+      expect(requests[0].href).not.toContain('secret-key');
+    });
+
+    it('sends no auth header when anonymous', async () => {
+      const { requests } = stubBugzilla([rawBug(1)]);
+
+      await api.fetchAllDependencies([1]);
+
+      expect(api.hasApiKey()).toBe(false);
+      expect(requests[0].headers['X-BUGZILLA-API-KEY']).toBeUndefined();
+    });
+
+    it('records dependencies Bugzilla silently omits as hidden', async () => {
+      // Bug 2 is restricted: the search just leaves it out
+      stubBugzilla([rawBug(1, [2, 3]), rawBug(3)]);
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(Array.from(bugs.keys()).sort()).toEqual(['1', '3']);
+      expect(api.getHiddenBugs()).toEqual([
+        { id: 2, reason: 'Not returned anonymously (security-restricted or nonexistent)' }
+      ]);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries transient server errors with backoff', async () => {
+      let calls = 0;
+      stubBugzilla([rawBug(1, [2]), rawBug(2)], () => (++calls <= 2 ? { status: 502 } : null));
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(bugs.size).toBe(2);
+      expect(api.getFailedBugs()).toEqual([]);
+      const backoffs = api.delay.mock.calls.map(([ms]) => ms).filter(ms => ms !== 100);
+      expect(backoffs).toHaveLength(2);
+      // Exponential: 500ms then 1000ms base, plus up to 500ms jitter
+      expect(backoffs[0]).toBeGreaterThanOrEqual(500);
+      expect(backoffs[0]).toBeLessThanOrEqual(1000);
+      expect(backoffs[1]).toBeGreaterThanOrEqual(1000);
+      expect(backoffs[1]).toBeLessThanOrEqual(1500);
+    });
+
+    it('honors Retry-After on 429', async () => {
+      let calls = 0;
+      stubBugzilla([rawBug(1)], () => (++calls === 1 ? { status: 429, retryAfter: '7' } : null));
+
+      await api.fetchAllDependencies([1]);
+
+      expect(api.delay).toHaveBeenCalledWith(7000);
+    });
+
+    it('splits a failing batch to isolate the bad ID', async () => {
+      const { requests } = stubBugzilla(
+        [rawBug(1, [2, 3, 4, 5]), rawBug(2), rawBug(3, [6]), rawBug(4), rawBug(5), rawBug(6)],
+        (url, ids) => (ids.includes('4') ? { status: 400 } : null)
+      );
+
+      const bugs = await api.fetchAllDependencies([1]);
+
+      expect(Array.from(bugs.keys()).sort()).toEqual(['1', '2', '3', '5', '6']);
+      expect(api.getFailedBugs()).toEqual([{ id: 4, error: 'HTTP 400: Error' }]);
+      // 400 is not retryable: each failing request is attempted once
+      expect(requests.filter(r => r.searchParams.get('id') === '4')).toHaveLength(1);
+    });
+
+    it('gives up after the retry limit without splitting on network errors', async () => {
+      const fetchMock = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+      vi.stubGlobal('fetch', fetchMock);
+
+      const bugs = await api.fetchAllDependencies([1, 2]);
+
+      expect(bugs.size).toBe(0);
+      expect(fetchMock).toHaveBeenCalledTimes(5);
+      expect(api.getFailedBugs().map(b => b.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe('refreshAllDependencies', () => {
+    it('only re-fetches bugs changed since the last sync', async () => {
+      const since = '2026-01-10T00:00:00Z';
+      const { requests } = stubBugzilla([
+        rawBug(1, [2, 3]),
+        rawBug(2, [], '2026-01-15T00:00:00Z', { status: 'RESOLVED' }),
+        rawBug(3)
+      ]);
+      const cached = new Map([
+        ['1', api.processBug(rawBug(1, [2, 3]))],
+        ['2', api.processBug(rawBug(2))],
+        ['3', api.processBug(rawBug(3))]
+      ]);
+
+      const { bugs, changed } = await api.refreshAllDependencies([1], cached, since);
+
+      expect(changed.map(b => b.id)).toEqual([2]);
+      expect(bugs.get('2').status).toBe('RESOLVED');
+      // Only the change query hit the network; the tree walk reused the cache
+      expect(requests).toHaveLength(1);
+      expect(requests[0].searchParams.get('last_change_time')).toBe(since);
+    });
+
+    it('fetches newly added dependencies and prunes removed ones', async () => {
+      const since = '2026-01-10T00:00:00Z';
+      stubBugzilla([
+        rawBug(1, [3, 4], '2026-01-12T00:00:00Z'),
+        rawBug(2),
+        rawBug(3),
+        rawBug(4)
+      ]);
+      const cached = new Map([
+        ['1', api.processBug(rawBug(1, [2, 3]))],
+        ['2', api.processBug(rawBug(2))],
+        ['3', api.processBug(rawBug(3))]
+      ]);
+
+      const { bugs } = await api.refreshAllDependencies([1], cached, since);
+
+      expect(Array.from(bugs.keys()).sort()).toEqual(['1', '3', '4']);
+    });
+  });
+});
+
+describe('BugCache', () => {
+  it('is a no-op when IndexedDB is unavailable', async () => {
+    const cache = new BugCache(null);
+
+    expect(cache.isAvailable()).toBe(false);
+    await cache.save(new Map([['1', { id: 1 }]]), { lastSync: '2026-01-01T00:00:00Z', rootBugIds: [1] });
+    expect(await cache.load()).toBe(null);
+  });
+});
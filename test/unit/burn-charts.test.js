@@ -0,0 +1,122 @@
+/**
+ * Unit tests for burn-charts.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DependencyGraph } from '../../js/dependency-graph.js';
+import {
+  extractDependencyAdditions,
+  extractResolvedDate,
+  buildBurnData,
+  collectMilestoneTreeIds
+} from '../../js/burn-charts.js';
+import { makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+const TODAY = new Date(2026, 9, 19, 10);
+const MILESTONE = { name: 'Beta', bugId: 100, deadline: new Date(2026, 11, 1), freezeDate: new Date(2026, 10, 24) };
+
+function entry(when, field_name, added, removed = '') {
+  return { when, changes: [{ field_name, added, removed }] };
+}
+
+// 1 was resolved in September, 2 is open, 3 was added to the milestone in October
+function setup() {
+  const bugs = makeBugMap([
+    makeBug(100, { isMeta: true, size: null, dependsOn: [1, 2, 3] }),
+    makeBug(1, { status: 'RESOLVED' }),
+    makeBug(2, { size: 3 }),
+    makeBug(3, { dependsOn: [4] }),
+    makeBug(4, { size: 1 })
+  ]);
+  const graph = new DependencyGraph();
+  graph.buildFromBugs(bugs);
+
+  const histories = new Map([
+    ['100', [entry('2026-10-05T12:00:00Z', 'depends_on', '3')]],
+    ['1', [entry('2026-09-01T12:00:00Z', 'status', 'RESOLVED', 'ASSIGNED')]],
+    ['3', [entry('2026-08-01T12:00:00Z', 'depends_on', '4')]]
+  ]);
+  const schedule = [
+    { bug: bugs.get('2'), endDate: new Date(2026, 10, 6) },
+    { bug: bugs.get('3'), endDate: new Date(2026, 10, 20) },
+    { bug: bugs.get('4'), endDate: new Date(2026, 10, 13) }
+  ];
+  return { bugs, graph, histories, schedule };
+}
+
+describe('history extraction', () => {
+  it('finds when dependencies were last added', () => {
+    const additions = extractDependencyAdditions([
+      entry('2026-10-05T12:00:00Z', 'depends_on', '7, 8'),
+      entry('2026-09-01T12:00:00Z', 'depends_on', '7'),
+      entry('2026-09-02T12:00:00Z', 'status', 'ASSIGNED', 'NEW')
+    ]);
+    expect([...additions.keys()]).toEqual(['7', '8']);
+    expect(additions.get('7').toISOString()).toBe('2026-10-05T12:00:00.000Z');
+  });
+
+  it('ignores resolutions that were reopened', () => {
+    expect(extractResolvedDate([
+      entry('2026-09-01T12:00:00Z', 'status', 'RESOLVED', 'ASSIGNED'),
+      entry('2026-09-03T12:00:00Z', 'status', 'REOPENED', 'RESOLVED'),
+      entry('2026-09-10T12:00:00Z', 'status', 'RESOLVED', 'REOPENED'),
+      entry('2026-09-12T12:00:00Z', 'status', 'VERIFIED', 'RESOLVED')
+    ]).toISOString()).toBe('2026-09-10T12:00:00.000Z');
+    expect(extractResolvedDate([])).toBeNull();
+  });
+});
+
+describe('buildBurnData', () => {
+  it('shows scope added since the start and burns down along the schedule', () => {
+    const { bugs, graph, histories, schedule } = setup();
+    const burn = buildBurnData({ milestone: MILESTONE, bugs, graph, schedule, histories, today: TODAY });
+
+    // Starts the week of the first resolution, on today's weekday; 3 and 4 (5 + 1 days) joined through 3 in October
+    const first = burn.points[0];
+    expect(first.date).toEqual(new Date(2026, 7, 31));
+    expect(first).toMatchObject({ total: 5 + 10, completed: 0, totalBugs: 2, projected: false });
+    expect(burn.points[1]).toMatchObject({ date: new Date(2026, 8, 7), completed: 5 });
+    expect(burn).toMatchObject({ scopeAddedDays: 6, bugsAdded: 2, unscheduledDays: 0 });
+
+    const byDay = new Map(burn.points.map(p => [p.date.getTime(), p]));
+    expect(byDay.get(new Date(2026, 9, 19).getTime())).toMatchObject({ total: 21, completed: 5, remaining: 16, projected: false });
+
+    // 2 ends Nov 6, 4 on Nov 13 and 3 on Nov 20, the last point
+    const last = burn.points[burn.points.length - 1];
+    expect(last).toMatchObject({ remaining: 0, completedBugs: 4, projected: true });
+    expect(last.date).toEqual(new Date(2026, 10, 20));
+    expect(byDay.get(new Date(2026, 10, 9).getTime())).toMatchObject({ remaining: 6 });
+  });
+
+  it('keeps weekly points on today\'s weekday across daylight saving changes', () => {
+    const timeZone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+      const { bugs, graph, histories, schedule } = setup();
+      const today = new Date(2026, 9, 19, 10);
+      const burn = buildBurnData({ milestone: MILESTONE, bugs, graph, schedule, histories, today });
+
+      const weekly = burn.points.slice(0, -1);
+      expect(weekly.every(p => p.date.getDay() === 1 && p.date.getHours() === 0)).toBe(true);
+      expect(weekly.filter(p => p.date > new Date(2026, 10, 2)).length).toBeGreaterThan(0);
+    } finally {
+      if (timeZone === undefined) delete process.env.TZ;
+      else process.env.TZ = timeZone;
+    }
+  });
+
+  it('starts today without history and keeps unscheduled bugs remaining', () => {
+    const { bugs, graph, schedule } = setup();
+    const burn = buildBurnData({ milestone: MILESTONE, bugs, graph, schedule: schedule.slice(1), today: TODAY });
+
+    expect(burn.points[0].date).toEqual(new Date(2026, 9, 19));
+    expect(burn.points[0]).toMatchObject({ total: 21, completed: 5 });
+    expect(burn).toMatchObject({ scopeAddedDays: 0, unscheduledDays: 10 });
+    expect(burn.points[burn.points.length - 1].remaining).toBe(10);
+  });
+
+  it('collects every bug in the milestone trees', () => {
+    const { graph } = setup();
+    expect(collectMilestoneTreeIds(graph, [MILESTONE]).sort()).toEqual(['1', '100', '2', '3', '4']);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for size calibration from resolved bugs
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  extractWorkInterval,
+  buildCalibrationSamples,
+  calibrateSizes,
+  buildCalibrationMarkdown,
+  runCalibration
+} from '../../js/calibration.js';
+import { calculateDaysFromSize, setSizeTable, getSizeTable, setSizeScheme, SIZE_TO_DAYS } from '../../js/scheduler-core.js';
+import { parseSizeScheme } from '../../js/project-config.js';
+
+function change(when, field_name, added, removed = '') {
+  return { when, who: 'someone@example.com', changes: [{ field_name, added, removed }] };
+}
+
+// Assigned on a Monday, resolved after the given number of working days
+function historyTaking(workingDays) {
+  const start = new Date('2026-01-05T09:00:00Z');
+  const end = new Date(start);
+  let added = 0;
+  while (added < workingDays) {
+    end.setUTCDate(end.getUTCDate() + 1);
+    const day = end.getUTCDay();
+    if (day !== 0 && day !== 6) added++;
+  }
+  return [
+    change(start.toISOString(), 'status', 'ASSIGNED', 'NEW'),
+    change(end.toISOString(), 'status', 'RESOLVED', 'ASSIGNED')
+  ];
+}
+
+function sample(sizeClass, actualDays, assignee = 'alice@example.com') {
+  return { bugId: 1, size: sizeClass, sizeClass, assignee, estimatedDays: SIZE_TO_DAYS[sizeClass], actualDays };
+}
+
+describe('extractWorkInterval', () => {
+  it('runs from the first assignment to the last resolution', () => {
+    const interval = extractWorkInterval([
+      change('2026-01-10T00:00:00Z', 'status', 'RESOLVED'),
+      change('2026-01-02T00:00:00Z', 'assigned_to', 'alice@example.com', 'nobody@mozilla.org'),
+      change('2026-01-06T00:00:00Z', 'status', 'ASSIGNED'),
+      change('2026-01-20T00:00:00Z', 'status', 'RESOLVED', 'REOPENED')
+    ]);
+
+    expect(interval.start.toISOString()).toBe('2026-01-02T00:00:00.000Z');
+    expect(interval.end.toISOString()).toBe('2026-01-20T00:00:00.000Z');
+  });
+
+  it('ignores assignment back to nobody', () => {
+    const interval = extractWorkInterval([
+      change('2026-01-02T00:00:00Z', 'assigned_to', 'nobody@mozilla.org', 'alice@example.com'),
+      change('2026-01-10T00:00:00Z', 'status', 'RESOLVED')
+    ]);
+    expect(interval).toBeNull();
+  });
+});
+
+describe('buildCalibrationSamples', () => {
+  it('counts working days from assignment to resolution', () => {
+    const bugs = [
+      { id: 1, summary: 'One', size: 2, assignee: 'Alice@example.com' },
+      { id: 2, summary: 'No history', size: 3, assignee: 'bob@example.com' }
+    ];
+    const samples = buildCalibrationSamples(bugs, new Map([['1', historyTaking(7)]]));
+
+    expect(samples).toHaveLength(1);
+    expect(samples[0]).toMatchObject({ bugId: 1, sizeClass: 2, assignee: 'alice@example.com', estimatedDays: 5, actualDays: 7 });
+  });
+});
+
+describe('calibrateSizes', () => {
+  it('uses the median per size class with enough samples', () => {
+    const calibration = calibrateSizes([sample(2, 6), sample(2, 8), sample(2, 30), sample(3, 4)]);
+
+    expect(calibration.table[2]).toBe(8);
+    // Too few size 3 bugs: keeps the default
+    expect(calibration.table[3]).toBe(10);
+    expect(calibration.sizes[1]).toMatchObject({ size: 2, samples: 3, medianDays: 8, calibrated: true });
+  });
+
+  it('never lets a bigger size take fewer days', () => {
+    const calibration = calibrateSizes([sample(1, 6), sample(1, 6), sample(1, 6), sample(2, 4), sample(2, 4), sample(2, 4)]);
+    expect(calibration.table[1]).toBe(6);
+    expect(calibration.table[2]).toBe(6);
+  });
+
+  it('reports actual over estimated days per engineer', () => {
+    const calibration = calibrateSizes([
+      sample(2, 10, 'alice@example.com'),
+      sample(3, 20, 'alice@example.com'),
+      sample(2, 5, 'bob@example.com')
+    ]);
+
+    expect(calibration.engineers).toEqual([
+      { assignee: 'alice@example.com', samples: 2, ratio: 2, medianDaysBySize: { 2: 10, 3: 20 } },
+      { assignee: 'bob@example.com', samples: 1, ratio: 1, medianDaysBySize: { 2: 5 } }
+    ]);
+  });
+
+  it('calibrates the project\'s own size scale', () => {
+    setSizeScheme(parseSizeScheme({ scale: { S: 2, M: 5, L: 10 } }));
+    try {
+      const samples = buildCalibrationSamples(
+        ['M', 'M', 'M', 'L'].map((size, i) => ({ id: i + 1, size, assignee: 'alice@example.com' })),
+        new Map([1, 2, 3, 4].map(id => [String(id), historyTaking(7)]))
+      );
+      const calibration = calibrateSizes(samples);
+
+      expect(calibration.table).toEqual({ S: 2, M: 7, L: 10 });
+      expect(calibration.sizes.map(row => row.size)).toEqual(['S', 'M', 'L']);
+      expect(calibration.engineers[0].medianDaysBySize).toEqual({ M: 7, L: 7 });
+    } finally {
+      setSizeScheme(null);
+    }
+  });
+
+  it('builds a markdown report with engineer names', () => {
+    const calibration = calibrateSizes([sample(2, 6), sample(2, 8), sample(2, 10)]);
+    const markdown = buildCalibrationMarkdown(calibration, [{ name: 'Alice', email: 'alice@example.com' }]);
+
+    expect(markdown).toContain('| 2 | 5 | 3 | 8 | 1.6 | 8 |');
+    expect(markdown).toContain('| 3 | 10 | 0 | - | - | 10 (too few bugs) |');
+    expect(markdown).toContain('| Alice | 3 |');
+  });
+});
+
+describe('runCalibration', () => {
+  afterEach(() => {
+    setSizeTable(null);
+  });
+
+  it('fetches resolved bugs and their history', async () => {
+    const api = {
+      fetchResolvedSizedBugs: vi.fn(async () => [
+        { id: 1, size: 1, assignee: 'alice@example.com' },
+        { id: 2, size: 1, assignee: 'alice@example.com' },
+        { id: 3, size: 1, assignee: 'bob@example.com' }
+      ]),
+      fetchBugHistory: vi.fn(async ids => new Map(ids.map(id => [String(id), historyTaking(3)])))
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const since = new Date('2025-10-19T00:00:00Z');
+    const calibration = await runCalibration(api, { products: ['Firefox Enterprise'], components: ['Client'] }, { since });
+
+    expect(api.fetchResolvedSizedBugs).toHaveBeenCalledWith(['Firefox Enterprise'], ['Client'], since.toISOString());
+    expect(calibration.table[1]).toBe(3);
+
+    // The calibrated table drives effort once applied
+    setSizeTable(calibration.table);
+    expect(calculateDaysFromSize(1)).toBe(3);
+    expect(calculateDaysFromSize(1.5)).toBe(Math.round(3 + (getSizeTable()[2] - 3) * 0.5));
+  });
+});
+
+describe('setSizeTable', () => {
+  afterEach(() => {
+    setSizeTable(null);
+  });
+
+  it('keeps defaults for missing sizes and rejects bad entries', () => {
+    setSizeTable({ 3: 12 });
+    expect(getSizeTable()).toEqual({ ...SIZE_TO_DAYS, 3: 12 });
+
+    expect(() => setSizeTable({ 7: 3 })).toThrow('Invalid size "7"');
+    expect(() => setSizeTable({ 2: 0 })).toThrow('Invalid days');
+  });
+});
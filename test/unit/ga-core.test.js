@@ -0,0 +1,262 @@
+/**
+ * Unit tests for the GA optimizer core and its Node runners
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { runGeneticAlgorithm } from '../../js/ga-core.js';
+import { addWorkingDays, calculateEffort, setCompanyHolidays, toDateKey } from '../../js/scheduler-core.js';
+import { runGAInline, runGAWorker, runGAWorkers } from '../../js/ga-node.js';
+import { buildMilestones, buildOptimizerStartData } from '../../js/planning.js';
+import { ENGINEERS, BETA_MILESTONE, makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+function makeStartData(overrides = {}) {
+  const bugList = [
+    makeBug(100, { dependsOn: [1, 2, 3, 4], isMeta: true }),
+    makeBug(1, { assignee: 'alice@example.com' }),
+    makeBug(2),
+    makeBug(3),
+    makeBug(4, { dependsOn: [2] })
+  ];
+  const bugs = makeBugMap(bugList);
+  const { milestones } = buildMilestones([BETA_MILESTONE]);
+
+  return {
+    ...buildOptimizerStartData({
+      bugs,
+      scheduleBugs: bugList,
+      engineers: ENGINEERS,
+      milestones,
+      generations: 5,
+      populationSize: 8
+    }),
+    id: 3,
+    ...overrides
+  };
+}
+
+describe('runGeneticAlgorithm', () => {
+  it('posts improvements and exactly one final complete message', () => {
+    const messages = [];
+    runGeneticAlgorithm(makeStartData(), message => messages.push(message));
+
+    const types = messages.map(m => m.type);
+    expect(types[0]).toBe('improved');
+    expect(types.filter(t => t === 'complete')).toHaveLength(1);
+    expect(types[types.length - 1]).toBe('complete');
+    expect(messages.every(m => m.workerId === 3)).toBe(true);
+  });
+
+  it('returns a dependency-respecting schedule with the locked assignee', () => {
+    const complete = runGAInline(makeStartData());
+
+    expect(complete.improved).toBe(true);
+    expect(complete.deadlinesMet).toBe(1);
+    expect(complete.schedule).toHaveLength(5);
+
+    const byId = new Map(complete.schedule.map(t => [t.bug.id, t]));
+    expect(byId.get(1).engineer.id).toBe('alice');
+    expect(byId.get(4).startDate >= byId.get(2).endDate).toBe(true);
+    expect(byId.get(100).engineer).toBeNull();
+  });
+
+  it('does not modify the caller\'s bugs when run inline', () => {
+    const startData = makeStartData();
+    runGAInline(startData);
+
+    expect(startData.bugs.some(bug => 'lockedEngineerIndex' in bug)).toBe(false);
+  });
+
+  it('replays the same run for the same seed', () => {
+    const first = runGAInline(makeStartData({ seed: 99 }));
+    const second = runGAInline(makeStartData({ seed: 99 }));
+
+    expect(first.seed).toBe(99);
+    expect(second.bestAssignment).toEqual(first.bestAssignment);
+    expect(second.bestFoundAtGeneration).toBe(first.bestFoundAtGeneration);
+  });
+
+  it('reports the seed it picked when none is given', () => {
+    const complete = runGAInline(makeStartData());
+    expect(Number.isInteger(complete.seed)).toBe(true);
+  });
+
+  it('completes without a schedule when every bug is resolved', () => {
+    const startData = makeStartData();
+    startData.bugs = startData.bugs.map(bug => ({ ...bug, status: 'RESOLVED' }));
+
+    const complete = runGAInline(startData);
+    expect(complete).toMatchObject({ type: 'complete', schedule: null, improved: false });
+  });
+});
+
+describe('pins in the optimizer', () => {
+  it('keeps pinned engineers and never starts before a pinned date', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const pinnedStart = addWorkingDays(today, 7);
+    const startData = makeStartData({ seed: 5 });
+    startData.bugs = startData.bugs.map(bug => {
+      if (bug.id === 1) return { ...bug, pin: { startDate: null, engineerId: 'bob' } };
+      if (bug.id === 3) return { ...bug, pin: { startDate: toDateKey(pinnedStart), engineerId: 'alice' } };
+      return bug;
+    });
+
+    const complete = runGAInline(startData);
+    const byId = new Map(complete.schedule.map(t => [t.bug.id, t]));
+    expect(byId.get(1).engineer.id).toBe('bob');
+    expect(byId.get(3).engineer.id).toBe('alice');
+    expect(toDateKey(byId.get(3).startDate) >= toDateKey(pinnedStart)).toBe(true);
+  });
+});
+
+describe('holidays in the optimizer', () => {
+  afterEach(() => {
+    setCompanyHolidays([]);
+  });
+
+  // The next ten weekdays, as YYYY-MM-DD
+  function nextWorkingDays(count) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Array.from({ length: count }, (_, i) => toDateKey(addWorkingDays(today, i + 1)));
+  }
+
+  it('keeps an engineer\'s location holidays free', () => {
+    const holidays = nextWorkingDays(10);
+    const startData = makeStartData({ seed: 7 });
+    startData.engineers = startData.engineers.map(e => (e.id === 'alice' ? { ...e, holidays } : e));
+
+    const complete = runGAInline(startData);
+    const bug1 = complete.schedule.find(t => t.bug.id === 1);
+    expect(toDateKey(bug1.endDate) > holidays[holidays.length - 1]).toBe(true);
+  });
+
+  it('skips company holidays from the start message', () => {
+    const holidays = nextWorkingDays(10);
+    const complete = runGAInline(makeStartData({ seed: 7, holidays }));
+
+    for (const task of complete.schedule) {
+      if (task.bug.isMeta) continue;
+      expect(toDateKey(task.endDate) > holidays[holidays.length - 1]).toBe(true);
+    }
+  });
+});
+
+describe('availability schedules in the optimizer', () => {
+  it('integrates capacity like the greedy scheduler', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    // Half time for the next two weeks, then full time
+    const switchDate = toDateKey(addWorkingDays(today, 10));
+    const startData = makeStartData({ seed: 11 });
+    startData.engineers = startData.engineers.map(e => (e.id === 'alice'
+      ? { ...e, availabilitySchedule: [{ to: switchDate, availability: 0.5 }, { from: switchDate, availability: 1.0 }] }
+      : e));
+    const alice = startData.engineers.find(e => e.id === 'alice');
+
+    const complete = runGAInline(startData);
+    for (const task of complete.schedule.filter(t => t.engineer && t.engineer.id === 'alice')) {
+      const effort = calculateEffort(task.bug, alice, task.startDate);
+      expect(task.effort.days).toBe(effort.days);
+      expect(task.endDate).toEqual(addWorkingDays(task.startDate, effort.days, alice));
+    }
+  });
+
+  it('never assigns work to an engineer with no capacity left', () => {
+    const startData = makeStartData({ seed: 11 });
+    startData.engineers = startData.engineers.map(e => (e.id === 'bob'
+      ? { ...e, availabilitySchedule: [{ from: '2020-01-01', availability: 0 }] }
+      : e));
+
+    const complete = runGAInline(startData);
+    expect(complete.improved).toBe(true);
+    expect(complete.schedule.filter(t => t.engineer && t.engineer.id === 'bob')).toHaveLength(0);
+  });
+});
+
+describe('progress in the optimizer', () => {
+  it('schedules only the remaining effort of in-progress bugs, like the greedy scheduler', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const startData = makeStartData({ seed: 17 });
+    startData.bugs = startData.bugs.map(bug => (bug.id === 1
+      ? { ...bug, status: 'ASSIGNED', assignedAt: addWorkingDays(today, -3).toISOString() }
+      : bug));
+    const alice = startData.engineers.find(e => e.id === 'alice');
+
+    const complete = runGAInline(startData);
+    const task = complete.schedule.find(t => t.bug.id === 1);
+    const effort = calculateEffort(startData.bugs.find(bug => bug.id === 1), alice);
+    expect(task.effort.progressSource).toBe('assigned');
+    expect(task.effort.baseDays).toBe(effort.baseDays);
+    expect(task.effort.baseDays).toBeLessThan(effort.estimatedDays);
+    expect(task.endDate).toEqual(addWorkingDays(task.startDate, effort.days, alice));
+  });
+});
+
+describe('velocity and ramp-up in the optimizer', () => {
+  it('applies them like the greedy scheduler', () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const rampUp = { start: toDateKey(today), end: toDateKey(addWorkingDays(today, 20)), initial: 0.4 };
+    const startData = makeStartData({ seed: 13 });
+    startData.engineers = startData.engineers.map(e => {
+      if (e.id === 'alice') return { ...e, rampUp };
+      if (e.id === 'bob') return { ...e, velocity: 1.5 };
+      return e;
+    });
+
+    const complete = runGAInline(startData);
+    for (const task of complete.schedule.filter(t => t.engineer && !t.engineer.isExternal)) {
+      const engineer = startData.engineers.find(e => e.id === task.engineer.id);
+      const effort = calculateEffort(task.bug, engineer, task.startDate);
+      expect(task.effort.days).toBe(effort.days);
+      expect(task.endDate).toEqual(addWorkingDays(task.startDate, effort.days, engineer));
+    }
+  });
+});
+
+describe('skills in the optimizer', () => {
+  it('assigns skill-tagged tasks to skilled engineers or the shared External', () => {
+    const bugList = [
+      makeBug(100, { dependsOn: [1, 2, 3], isMeta: true }),
+      makeBug(1, { whiteboard: '[skill=sandbox]' }),
+      makeBug(2, { whiteboard: '[skill=sandbox]' }),
+      makeBug(3, { whiteboard: '[skill=policy-engine]' })
+    ];
+    const { milestones } = buildMilestones([BETA_MILESTONE]);
+    const startData = buildOptimizerStartData({
+      bugs: makeBugMap(bugList),
+      scheduleBugs: bugList,
+      engineers: ENGINEERS.map(e => (e.id === 'bob' ? { ...e, skills: ['sandbox'] } : e)),
+      milestones,
+      generations: 5,
+      populationSize: 8
+    });
+
+    const complete = runGAInline({ ...startData, seed: 5 });
+    const byId = new Map(complete.schedule.map(t => [t.bug.id, t]));
+    expect(byId.get(1).engineer.id).toBe('bob');
+    expect(byId.get(2).engineer.id).toBe('bob');
+    expect(byId.get(3).engineer.id).toBe('external:unmapped');
+  });
+});
+
+describe('Node runners', () => {
+  it('runs the same protocol in a worker thread', async () => {
+    const messages = [];
+    const complete = await runGAWorker(makeStartData(), message => messages.push(message));
+
+    expect(complete.type).toBe('complete');
+    expect(complete.improved).toBe(true);
+    expect(complete.schedule[0].startDate).toBeInstanceOf(Date);
+    expect(messages[messages.length - 1]).toBe(complete);
+  });
+
+  it('keeps the best result across workers', async () => {
+    const best = await runGAWorkers(makeStartData(), 2, { inline: true });
+
+    expect(best.improved).toBe(true);
+    expect([0, 1]).toContain(best.workerId);
+  });
+});
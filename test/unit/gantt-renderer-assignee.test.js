@@ -5,7 +5,8 @@ import {
   deriveInitialsFromHandle,
   buildEngineerHandleMap,
   getAssigneeDisplay,
-  resolveEngineerDisplay
+  resolveEngineerDisplay,
+  GanttRenderer
 } from '../../js/gantt-renderer.js';
 
 describe('gantt renderer assignee display helpers', () => {
@@ -59,3 +60,108 @@ describe('gantt renderer assignee display helpers', () => {
     expect(resolved.initials).toBe('AL');
   });
 });
+
+describe('gantt renderer effort popup', () => {
+  // createPopup only needs the project URL, not the DOM
+  const renderer = Object.assign(Object.create(GanttRenderer.prototype), {
+    bugzillaUrl: 'https://bugzilla.mozilla.org'
+  });
+
+  function popupFor(fields) {
+    return renderer.createPopup({
+      id: '1',
+      name: '#1: Bug',
+      _engineer: 'Alice',
+      _size: 3,
+      _baseDays: 10,
+      _effort: 10,
+      ...fields
+    });
+  }
+
+  it('shows plain size and effort at full speed', () => {
+    expect(popupFor({})).toContain('<strong>Size/Effort:</strong> 3 (10 days)');
+  });
+
+  it('explains availability, velocity and ramp-up adjustments', () => {
+    const popup = popupFor({ _effort: 23, _availability: 0.5, _velocity: 1.25, _rampUp: 0.7 });
+    expect(popup).toContain('3 = 10 days @ 50% availability, 1.25× velocity, 70% ramp-up (23 days)');
+  });
+
+  it('shows what is left of in-progress bugs', () => {
+    const popup = popupFor({ _baseDays: 4, _effort: 4, _estimatedDays: 10, _percentComplete: 60, _progressSource: 'progress' });
+    expect(popup).toContain('3 = 10 days, 4 left (4 days)');
+    expect(popup).toContain('<strong>Progress:</strong> 60% done ([progress] tag)');
+  });
+
+  it('extends in-progress bars back by the work done', () => {
+    const startDate = new Date(2026, 9, 19); // Monday
+    const { start, progress } = renderer.getProgressBar({
+      startDate,
+      engineer: null,
+      effort: { days: 4, baseDays: 4, estimatedDays: 10, percentComplete: 60, availability: 1, velocity: 1 }
+    });
+    expect(start).toEqual(new Date(2026, 9, 9)); // 6 working days earlier
+    expect(progress).toBe(60);
+
+    expect(renderer.getProgressBar({ startDate, effort: { days: 10, baseDays: 10, estimatedDays: 10, percentComplete: 0 } }))
+      .toEqual({ start: startDate, progress: 0 });
+  });
+
+  it('starts bars of work underway at the actual start, filled up to today', () => {
+    const actualStartDate = new Date(2026, 9, 12); // Monday
+    const { start, progress } = renderer.getProgressBar({
+      actualStartDate,
+      startDate: new Date(2026, 9, 19),
+      endDate: new Date(2026, 9, 26),
+      effort: { days: 5, baseDays: 5, estimatedDays: 10, percentComplete: 50 }
+    }, new Date(2026, 9, 19));
+    expect(start).toBe(actualStartDate);
+    expect(progress).toBe(50);
+  });
+});
+
+describe('gantt renderer pins', () => {
+  const renderer = Object.assign(Object.create(GanttRenderer.prototype), {
+    bugzillaUrl: 'https://bugzilla.mozilla.org',
+    pinHandlers: {},
+    rowDragActive: false
+  });
+
+  it('pins the remaining work\'s start, keeping the offset of work underway', () => {
+    expect(renderer.getPinnedStartFromDrag({ start: '2026-10-19', _remainingStart: '2026-10-19' }, new Date(2026, 10, 2)))
+      .toBe('2026-11-02');
+    expect(renderer.getPinnedStartFromDrag({ start: '2026-10-12', _remainingStart: '2026-10-19' }, new Date(2026, 10, 2)))
+      .toBe('2026-11-09');
+  });
+
+  it('reports dragged dates unless the bar is dropped on another row', () => {
+    const pins = [];
+    renderer.setPinHandlers({ onPinStart: (bugId, startDate) => pins.push([bugId, startDate]) });
+    const task = { id: '7', start: '2026-10-19', _remainingStart: '2026-10-19' };
+
+    renderer.onDateChange(task, new Date(2026, 9, 21));
+    renderer.rowDragActive = true;
+    renderer.onDateChange(task, new Date(2026, 9, 23));
+    renderer.rowDragActive = false;
+
+    expect(pins).toEqual([['7', '2026-10-21']]);
+  });
+
+  it('shows pins in the popup with a way to clear them', () => {
+    const popup = renderer.createPopup({
+      id: '7',
+      name: '#7: Bug',
+      start: '2026-10-21',
+      end: '2026-10-30',
+      _engineer: 'Bob',
+      _size: 2,
+      _effort: 5,
+      _pinnedStart: '2026-10-21',
+      _pinnedEngineer: 'Bob'
+    });
+    expect(popup).toContain('<strong>Pinned:</strong> start 2026-10-21, engineer Bob');
+    expect(popup).toContain('class="popup-clear-pin" data-bug-id="7"');
+    expect(renderer.createPopup({ id: '8', name: '#8: Bug' })).not.toContain('Pinned');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for holiday calendars and holiday-aware working-day math
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  expandHolidayEntries,
+  parseHolidayCalendars,
+  applyHolidayCalendars
+} from '../../js/holidays.js';
+import {
+  addWorkingDays,
+  normalizeStartDate,
+  setCompanyHolidays,
+  getCompanyHolidays,
+  toDateKey
+} from '../../js/scheduler-core.js';
+import { countWorkingDays } from '../../js/optimizer-utils.js';
+import holidaysData from '../../data/holidays.json' assert { type: 'json' };
+
+// Monday 2026-12-21 to Friday 2027-01-08, around the end-of-year shutdown
+const MONDAY = new Date(2026, 11, 21);
+
+afterEach(() => {
+  setCompanyHolidays([]);
+});
+
+describe('expandHolidayEntries', () => {
+  it('expands single dates and inclusive ranges', () => {
+    const dates = expandHolidayEntries([
+      { name: 'Shutdown', start: '2026-12-30', end: '2027-01-01' },
+      { name: 'Boxing Day', date: '2026-12-26' },
+      { name: 'Duplicate', date: '2026-12-31' }
+    ]);
+    expect(dates).toEqual(['2026-12-26', '2026-12-30', '2026-12-31', '2027-01-01']);
+  });
+
+  it('rejects malformed dates and inverted ranges', () => {
+    expect(() => expandHolidayEntries([{ date: '12/25/2026' }], 'us')).toThrow('holiday calendar "us"');
+    expect(() => expandHolidayEntries([{ date: '2026-02-30' }])).toThrow('Invalid date "2026-02-30"');
+    expect(() => expandHolidayEntries([{ name: 'Backwards', start: '2027-01-02', end: '2027-01-01' }]))
+      .toThrow('ends before it starts');
+  });
+});
+
+describe('applyHolidayCalendars', () => {
+  it('sets company holidays and copies location calendars onto engineers', () => {
+    const engineers = [{ id: 'anna', calendar: 'de' }, { id: 'bo' }];
+    const summary = applyHolidayCalendars({
+      calendars: {
+        global: [{ name: 'Shutdown', start: '2026-12-24', end: '2026-12-25' }],
+        de: [{ name: 'Ostermontag', date: '2027-03-29' }]
+      }
+    }, engineers);
+
+    expect(summary).toEqual({ companyHolidays: 2, calendars: ['de'] });
+    expect(getCompanyHolidays()).toEqual(['2026-12-24', '2026-12-25']);
+    expect(engineers[0].holidays).toEqual(['2027-03-29']);
+    expect(engineers[1].holidays).toEqual([]);
+  });
+
+  it('rejects engineers referencing an unknown calendar', () => {
+    expect(() => applyHolidayCalendars({ calendars: {} }, [{ id: 'anna', calendar: 'xx' }]))
+      .toThrow('Unknown holiday calendar "xx" for engineer anna');
+  });
+
+  it('parses the shipped data/holidays.json', () => {
+    const calendars = parseHolidayCalendars(holidaysData);
+    expect(calendars.get('global')).toContain('2026-12-24');
+    expect([...calendars.keys()]).toContain('de');
+  });
+});
+
+describe('holiday-aware working days', () => {
+  it('skips company holidays for everyone', () => {
+    setCompanyHolidays(['2026-12-24', '2026-12-25']);
+
+    // Mon 21 + 3 working days: Tue 22, Wed 23, (Thu 24, Fri 25 closed), Mon 28
+    expect(toDateKey(addWorkingDays(MONDAY, 3))).toBe('2026-12-28');
+    expect(toDateKey(normalizeStartDate(new Date(2026, 11, 24)))).toBe('2026-12-28');
+    expect(countWorkingDays(MONDAY, new Date(2026, 11, 28))).toBe(3);
+  });
+
+  it('counts backwards over company holidays for freeze dates', () => {
+    setCompanyHolidays(['2026-12-24', '2026-12-25']);
+    expect(toDateKey(addWorkingDays(new Date(2026, 11, 28), -2))).toBe('2026-12-22');
+  });
+
+  it('skips an engineer\'s location holidays only for that engineer', () => {
+    const engineer = { id: 'anna', holidays: ['2026-12-22'], unavailability: [] };
+
+    expect(toDateKey(addWorkingDays(MONDAY, 1, engineer))).toBe('2026-12-23');
+    expect(toDateKey(addWorkingDays(MONDAY, 1))).toBe('2026-12-22');
+    expect(toDateKey(normalizeStartDate(new Date(2026, 11, 22), engineer))).toBe('2026-12-23');
+  });
+});
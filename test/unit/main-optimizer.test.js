@@ -35,6 +35,10 @@ vi.mock('../../js/gantt-renderer.js', () => ({
   }
 }));
 
+vi.mock('../../js/monte-carlo.js', () => ({
+  simulateMilestoneConfidence: vi.fn(() => new Map())
+}));
+
 vi.mock('../../js/ui-controller.js', () => ({
   UIController: class {
     constructor() {
@@ -42,9 +46,12 @@ vi.mock('../../js/ui-controller.js', () => ({
       this.clearOptimizationLog = vi.fn();
       this.addOptimizationLogEntry = vi.fn();
       this.renderMilestoneCards = vi.fn();
+      this.renderBurnCharts = vi.fn();
       this.enableScheduleToggle = vi.fn();
       this.setScheduleType = vi.fn();
       this.updateMilestoneStatus = vi.fn();
+      this.updateDataStatus = vi.fn();
+      this.setMilestones = vi.fn();
     }
     init() {}
     showLoading() {}
@@ -218,6 +225,62 @@ describe('optimal scheduler integration (main)', () => {
     expect(lastCall[0]).toContain('Improved lateness');
   });
 
+  it('keeps milestone confidence when re-rendering cards on improvements', async () => {
+    const { default: EnterprisePlanner } = await import('../../js/main.js');
+    const app = new EnterprisePlanner();
+    app.milestones = TEST_MILESTONES;
+
+    globalThis.Worker = class {
+      constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+      }
+      postMessage() {}
+      terminate() {}
+    };
+
+    app.numWorkers = 1;
+    app.iterationsPerWorker = 1;
+    app.engineers = [{ id: 'a', name: 'A', email: 'a@example.com', availability: 1.0 }];
+    app.bugs = new Map([[1, { dependsOn: [] }]]);
+    app.greedyScore = { deadlinesMet: 0, totalLateness: 10, makespan: 60 };
+    const confidence = new Map([['1', { p50: new Date('2026-01-20'), p80: new Date('2026-01-24'), p95: new Date('2026-01-30'), onTimeProbability: 0.8 }]]);
+    app.milestoneConfidence = confidence;
+
+    app.startOptimalScheduler([{ id: 1, summary: 'Bug', status: 'NEW', size: 1, assignee: null, dependsOn: [] }]);
+    app.optimalWorkers[0].onmessage?.({
+      data: {
+        type: 'improved',
+        workerId: 0,
+        deadlinesMet: 1,
+        makespan: 50,
+        deadlineDetails: [{ name: 'M1', met: true, endDate: '2026-01-20' }]
+      }
+    });
+
+    const [, completions, shownConfidence] = app.ui.renderMilestoneCards.mock.calls.at(-1);
+    expect(completions.get('1')).toEqual(new Date('2026-01-20'));
+    expect(shownConfidence).toBe(confidence);
+  });
+
+  it('simulates milestone confidence once per schedule', async () => {
+    const { default: EnterprisePlanner } = await import('../../js/main.js');
+    const { simulateMilestoneConfidence } = await import('../../js/monte-carlo.js');
+    const app = new EnterprisePlanner();
+    app.milestones = TEST_MILESTONES;
+    simulateMilestoneConfidence.mockClear();
+
+    const greedy = [];
+    const optimal = [];
+    const first = app.calculateMilestoneConfidence(greedy);
+    expect(app.calculateMilestoneConfidence(greedy)).toBe(first);
+    app.calculateMilestoneConfidence(optimal);
+    expect(app.calculateMilestoneConfidence(greedy)).toBe(first);
+
+    expect(simulateMilestoneConfidence).toHaveBeenCalledTimes(2);
+    expect(app.milestoneConfidence).toBe(first);
+  });
+
   it('logs lateness improvements distinctly when makespan regresses', async () => {
     const { default: EnterprisePlanner } = await import('../../js/main.js');
     const app = new EnterprisePlanner();
@@ -341,4 +404,86 @@ describe('optimal scheduler integration (main)', () => {
     expect(app.ui.setScheduleType).toHaveBeenCalledWith('exhaustive');
     expect(app.startOptimalScheduler).toHaveBeenCalled();
   });
+
+  it('seeds each worker from the replay seed and logs it', async () => {
+    const { default: EnterprisePlanner } = await import('../../js/main.js');
+    const { deriveSeed } = await import('../../js/random.js');
+    const app = new EnterprisePlanner();
+    app.milestones = TEST_MILESTONES;
+
+    const started = [];
+    globalThis.Worker = class {
+      constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+      }
+      postMessage(message) {
+        started.push(message.data);
+      }
+      terminate() {}
+    };
+
+    app.numWorkers = 2;
+    app.engineers = [{ id: 'a', name: 'A', email: 'a@example.com', availability: 1.0 }];
+    app.bugs = new Map([[1, { dependsOn: [] }]]);
+    app.replaySeed = 1234;
+
+    app.startOptimalScheduler([
+      { id: 1, summary: 'Bug', status: 'NEW', size: 1, assignee: null, dependsOn: [] }
+    ]);
+
+    expect(started.map(data => data.seed)).toEqual([deriveSeed(1234, 0), deriveSeed(1234, 1)]);
+    expect(app.ui.addOptimizationLogEntry).toHaveBeenCalledWith(
+      'Seed 1234 (replay with ?seed=1234)',
+      'status'
+    );
+  });
+});
+
+describe('data loads (main)', () => {
+  it('drops a background sync that finishes after a snapshot was loaded', async () => {
+    const { default: EnterprisePlanner } = await import('../../js/main.js');
+    const app = new EnterprisePlanner();
+    app.milestones = TEST_MILESTONES;
+    app.project = { bugzillaUrl: 'https://bugzilla.example.com', products: [], components: [] };
+    app.cache = { save: vi.fn() };
+    app.processBugs = vi.fn();
+    app.lastSync = '2026-01-01T00:00:00.000Z';
+    app.bugs = new Map([['1', { id: 1, dependsOn: [] }]]);
+
+    let finishSync;
+    app.api.refreshAllDependencies = () => new Promise(resolve => { finishSync = resolve; });
+    const sync = app.syncInBackground(app.beginDataLoad());
+
+    app.loadSnapshot({ capturedAt: '2026-01-02T00:00:00.000Z', milestones: [], bugs: [{ id: 5, summary: 'Snapshot bug', dependsOn: [] }] }, 'plan.json');
+    const snapshotBugs = app.bugs;
+    app.processBugs.mockClear();
+
+    finishSync({ bugs: new Map([['1', { id: 1, dependsOn: [] }], ['2', { id: 2, dependsOn: [] }]]), changed: [1] });
+    await sync;
+
+    expect(app.bugs).toBe(snapshotBugs);
+    expect(app.lastSync).toBe('2026-01-01T00:00:00.000Z');
+    expect(app.cache.save).not.toHaveBeenCalled();
+    expect(app.processBugs).not.toHaveBeenCalled();
+    expect(app.ui.updateDataStatus).toHaveBeenLastCalledWith('snapshot', expect.stringContaining('plan.json'));
+  });
+
+  it('clears the offline cache on a full refresh out of a snapshot', async () => {
+    const { default: EnterprisePlanner } = await import('../../js/main.js');
+    const app = new EnterprisePlanner();
+    app.configuredMilestones = [];
+    app.snapshotSource = 'plan.json';
+    app.lastSync = '2026-01-01T00:00:00.000Z';
+    app.ui.showLoading = vi.fn();
+    const calls = [];
+    app.cache = { clear: vi.fn(async () => calls.push('clear')) };
+    app.fetchAndProcess = vi.fn(async () => calls.push('fetch'));
+
+    await app.refresh({ full: true });
+
+    expect(app.snapshotSource).toBeNull();
+    expect(app.lastSync).toBeNull();
+    expect(calls).toEqual(['clear', 'fetch']);
+  });
 });
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for three-point estimates and Monte Carlo milestone confidence
+ */
+
+import { describe, it, expect } from 'vitest';
+import { simulateMilestoneConfidence, sampleTriangular } from '../../js/monte-carlo.js';
+import { addWorkingDays, getThreePointEstimate, extractSizeRange } from '../../js/scheduler-core.js';
+import { createRandom } from '../../js/random.js';
+import { DependencyGraph } from '../../js/dependency-graph.js';
+import { Scheduler } from '../../js/scheduler.js';
+import { buildMilestones } from '../../js/planning.js';
+import { ALICE, makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+function planOne(bugList, milestoneEntries) {
+  const bugs = makeBugMap(bugList);
+  const graph = new DependencyGraph();
+  graph.buildFromBugs(bugs);
+  const { milestones } = buildMilestones(milestoneEntries);
+  const scheduler = new Scheduler([ALICE], milestones);
+  const sortedBugs = graph.topologicalSort().sorted.map(id => bugs.get(id));
+  const schedule = scheduler.scheduleTasks(sortedBugs, graph);
+  return { schedule, milestones, graph };
+}
+
+describe('three-point estimates', () => {
+  it('parses [size=x range=a-b]', () => {
+    expect(extractSizeRange('[size=3 range=2-4]')).toEqual({ min: 2, max: 4 });
+    expect(extractSizeRange('[size=3]')).toBeNull();
+    expect(extractSizeRange('[size=3 range=4-2]')).toBeNull();
+  });
+
+  it('uses the whiteboard range in base days', () => {
+    const estimate = getThreePointEstimate({ size: 3, whiteboard: '[size=3 range=2-4]' });
+    expect(estimate).toEqual({ optimistic: 5, mostLikely: 10, pessimistic: 20 });
+  });
+
+  it('falls back to a default uncertainty by size class', () => {
+    const estimate = getThreePointEstimate({ size: 2, whiteboard: '[size=2]' });
+    expect(estimate.mostLikely).toBe(5);
+    expect(estimate.optimistic).toBeLessThan(5);
+    expect(estimate.pessimistic).toBeGreaterThan(5);
+  });
+
+  it('gives missing sizes a wider range than sized bugs', () => {
+    const missing = getThreePointEstimate({ size: null, sizeEstimated: true });
+    const sized = getThreePointEstimate({ size: 3 });
+    expect(missing.mostLikely).toBe(sized.mostLikely);
+    expect(missing.pessimistic - missing.optimistic).toBeGreaterThan(sized.pessimistic - sized.optimistic);
+  });
+
+  it('gives meta bugs no effort', () => {
+    expect(getThreePointEstimate({ size: 3, isMeta: true }))
+      .toEqual({ optimistic: 0, mostLikely: 0, pessimistic: 0 });
+  });
+});
+
+describe('sampleTriangular', () => {
+  it('stays within the bounds', () => {
+    const random = createRandom(3);
+    const estimate = { optimistic: 2, mostLikely: 5, pessimistic: 12 };
+    for (let i = 0; i < 200; i++) {
+      const value = sampleTriangular(random, estimate);
+      expect(value).toBeGreaterThanOrEqual(2);
+      expect(value).toBeLessThanOrEqual(12);
+    }
+  });
+
+  it('returns the most likely value when there is no range', () => {
+    expect(sampleTriangular(() => 0.9, { optimistic: 5, mostLikely: 5, pessimistic: 5 })).toBe(5);
+  });
+});
+
+describe('simulateMilestoneConfidence', () => {
+  const bugList = [
+    makeBug(100, { dependsOn: [1, 2], isMeta: true }),
+    makeBug(1, { whiteboard: '[size=2 range=1-4]' }),
+    makeBug(2, { dependsOn: [1], size: 3 })
+  ];
+
+  it('orders percentiles and brackets the deterministic estimate', () => {
+    const { schedule, milestones, graph } = planOne(bugList, [
+      { name: 'Beta', bugId: 100, deadline: '2099-06-01', freezeDays: 5 }
+    ]);
+
+    const confidence = simulateMilestoneConfidence(schedule, milestones, graph, { iterations: 200 });
+    const beta = confidence.get('100');
+    expect(beta.p50 <= beta.p80).toBe(true);
+    expect(beta.p80 <= beta.p95).toBe(true);
+    expect(beta.onTimeProbability).toBe(1);
+
+    // Pessimistic tails are longer than optimistic ones, so P95 lands after the plan
+    const planned = schedule.find(t => t.bug.id === 2).endDate;
+    expect(beta.p95 > planned).toBe(true);
+  });
+
+  it('reports a zero on-time probability for a freeze in the past', () => {
+    const { schedule, milestones, graph } = planOne(bugList, [
+      { name: 'Beta', bugId: 100, deadline: '2020-06-01', freezeDays: 5 }
+    ]);
+
+    const confidence = simulateMilestoneConfidence(schedule, milestones, graph, { iterations: 50 });
+    expect(confidence.get('100').onTimeProbability).toBe(0);
+  });
+
+  it('replays the same numbers for the same seed', () => {
+    const { schedule, milestones, graph } = planOne(bugList, [
+      { name: 'Beta', bugId: 100, deadline: '2099-06-01', freezeDays: 5 }
+    ]);
+
+    const first = simulateMilestoneConfidence(schedule, milestones, graph, { iterations: 100, seed: 42 });
+    const second = simulateMilestoneConfidence(schedule, milestones, graph, { iterations: 100, seed: 42 });
+    expect(second.get('100')).toEqual(first.get('100'));
+  });
+
+  it('keeps each engineer\'s tasks in sequence', () => {
+    // Two independent tasks on the only engineer: the second can't start before the first ends
+    const { schedule, milestones, graph } = planOne([
+      makeBug(100, { dependsOn: [1, 2], isMeta: true }),
+      makeBug(1, { size: 2 }),
+      makeBug(2, { size: 2 })
+    ], [{ name: 'Beta', bugId: 100, deadline: '2099-06-01', freezeDays: 5 }]);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const confidence = simulateMilestoneConfidence(schedule, milestones, graph, { iterations: 100, today });
+    // Each task takes at least ceil(optimistic) working days
+    const shortest = Math.ceil(getThreePointEstimate({ size: 2 }).optimistic);
+    expect(confidence.get('100').p50 >= addWorkingDays(today, 2 * shortest)).toBe(true);
+  });
+});
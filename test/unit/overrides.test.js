@@ -0,0 +1,65 @@
+/**
+ * Unit tests for planner overrides (pins)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseOverrides, serializeOverrides, setOverride, applyOverrides } from '../../js/overrides.js';
+
+describe('parseOverrides', () => {
+  it('reads pins keyed by bug ID and drops empty ones', () => {
+    const overrides = parseOverrides({
+      version: 1,
+      overrides: {
+        12: { startDate: '2026-11-02', engineerId: null },
+        34: { engineerId: 'alice' },
+        56: {}
+      }
+    });
+
+    expect([...overrides]).toEqual([
+      ['12', { startDate: '2026-11-02', engineerId: null }],
+      ['34', { startDate: null, engineerId: 'alice' }]
+    ]);
+    expect(parseOverrides(null).size).toBe(0);
+  });
+
+  it('rejects malformed overrides', () => {
+    expect(() => parseOverrides({ version: 2, overrides: {} })).toThrow('Unsupported overrides version');
+    expect(() => parseOverrides({ overrides: [] })).toThrow('"overrides" object');
+    expect(() => parseOverrides({ overrides: { abc: { engineerId: 'alice' } } })).toThrow('Invalid bug ID');
+    expect(() => parseOverrides({ overrides: { 1: { startDate: '11/02/2026' } } })).toThrow('Invalid startDate for bug 1');
+  });
+
+  it('reads back what serializeOverrides() wrote', () => {
+    const overrides = new Map([['34', { startDate: null, engineerId: 'alice' }], ['12', { startDate: '2026-11-02', engineerId: null }]]);
+    const data = JSON.parse(JSON.stringify(serializeOverrides(overrides)));
+
+    expect(Object.keys(data.overrides)).toEqual(['12', '34']);
+    expect(parseOverrides(data)).toEqual(overrides);
+  });
+});
+
+describe('setOverride', () => {
+  it('keeps the other pin and removes empty entries', () => {
+    const overrides = new Map();
+    setOverride(overrides, 12, { startDate: '2026-11-02' });
+    setOverride(overrides, 12, { engineerId: 'alice' });
+    expect(overrides.get('12')).toEqual({ startDate: '2026-11-02', engineerId: 'alice' });
+
+    setOverride(overrides, 12, { startDate: null, engineerId: null });
+    expect(overrides.has('12')).toBe(false);
+  });
+});
+
+describe('applyOverrides', () => {
+  it('copies pinned bugs and clears stale pins', () => {
+    const bugs = [{ id: 12 }, { id: 34, pin: { startDate: '2026-11-02', engineerId: null } }, { id: 56 }];
+    const overrides = new Map([['12', { startDate: null, engineerId: 'alice' }]]);
+
+    const pinned = applyOverrides(bugs, overrides);
+    expect(pinned[0]).toEqual({ id: 12, pin: { startDate: null, engineerId: 'alice' } });
+    expect(bugs[0].pin).toBeUndefined();
+    expect(pinned[1]).toEqual({ id: 34 });
+    expect(pinned[2]).toBe(bugs[2]);
+  });
+});
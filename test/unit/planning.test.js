@@ -0,0 +1,203 @@
+/**
+ * Unit tests for planning.js (the pipeline shared by main.js and bin/entplanner.js)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildMilestones,
+  buildComponentTeamMap,
+  filterResolvedBugs,
+  filterBugsBySeverity,
+  findUnstaffableBugs,
+  buildOptimizerStartData,
+  planSchedule
+} from '../../js/planning.js';
+import { buildErrorsMarkdown } from '../../js/errors-report.js';
+import { ENGINEERS, BETA_MILESTONE, makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+const MILESTONE_ENTRIES = [
+  BETA_MILESTONE,
+  { name: 'Past', bugId: 200, bugzillaName: 'Past Release', deadline: '2020-01-06', freezeDays: 0 }
+];
+
+describe('buildMilestones', () => {
+  it('derives freeze dates and the Bugzilla milestone name map', () => {
+    const { milestones, milestoneNameMap } = buildMilestones(MILESTONE_ENTRIES);
+
+    expect(milestones[0].deadline).toEqual(new Date('2099-06-01'));
+    expect(milestones[0].freezeDate < milestones[0].deadline).toBe(true);
+    expect(milestones[1].freezeDate).toEqual(milestones[1].deadline);
+    expect(milestoneNameMap).toEqual({ '---': null, 'beta release': 'Beta', 'past release': 'Past' });
+  });
+});
+
+describe('buildComponentTeamMap', () => {
+  it('maps every component to its team', () => {
+    const team = { components: ['Client', 'Server'], engineers: ENGINEERS };
+    const map = buildComponentTeamMap([team]);
+
+    expect(map.get('Client')).toBe(team);
+    expect(map.get('Server')).toBe(team);
+  });
+});
+
+describe('filters', () => {
+  const { milestones } = buildMilestones(MILESTONE_ENTRIES);
+
+  it('drops resolved bugs but keeps resolved milestone bugs', () => {
+    const bugs = [
+      makeBug(1, { status: 'RESOLVED' }),
+      makeBug(2),
+      makeBug(100, { status: 'RESOLVED' })
+    ];
+    expect(filterResolvedBugs(bugs, milestones).map(b => b.id)).toEqual([2, 100]);
+  });
+
+  it('filters by severity, keeping milestone bugs', () => {
+    const bugs = [
+      makeBug(1, { severity: 'S1' }),
+      makeBug(2, { severity: 'S3' }),
+      makeBug(3, { severity: '--' }),
+      makeBug(100, { severity: 'S4' })
+    ];
+    expect(filterBugsBySeverity(bugs, 'S2', milestones).map(b => b.id)).toEqual([1, 100]);
+    expect(filterBugsBySeverity(bugs, 'S2+untriaged', milestones).map(b => b.id)).toEqual([1, 3, 100]);
+    expect(filterBugsBySeverity(bugs, '', milestones)).toHaveLength(4);
+  });
+});
+
+describe('findUnstaffableBugs', () => {
+  const engineers = [
+    { ...ENGINEERS[0], skills: ['sandbox'] },
+    ENGINEERS[1]
+  ];
+
+  it('lists open bugs whose skills nobody on the team has', () => {
+    const bugs = makeBugMap([
+      makeBug(1, { whiteboard: '[skill=sandbox]' }),
+      makeBug(2, { whiteboard: '[skill=policy-engine]' }),
+      makeBug(3, { whiteboard: '[skill=policy-engine]', status: 'RESOLVED' }),
+      makeBug(4, { whiteboard: '[skill=sandbox][skill=policy-engine]' })
+    ]);
+
+    const unstaffable = findUnstaffableBugs(bugs, engineers);
+    expect(unstaffable.map(u => [u.bug.id, u.skills])).toEqual([
+      [2, ['policy-engine']],
+      [4, ['sandbox', 'policy-engine']]
+    ]);
+  });
+
+  it('checks the bug\'s component team only', () => {
+    const componentTeamMap = buildComponentTeamMap([
+      { components: ['Client'], engineers: [ENGINEERS[1]] },
+      { components: ['Server'], engineers: [engineers[0]] }
+    ]);
+    const bugs = makeBugMap([makeBug(1, { whiteboard: '[skill=sandbox]' })]);
+
+    expect(findUnstaffableBugs(bugs, engineers, componentTeamMap)).toHaveLength(1);
+  });
+
+  it('gives the optimizer a shared External engineer for unstaffable tasks', () => {
+    const bugList = [makeBug(1, { whiteboard: '[skill=policy-engine]' })];
+    const { milestones } = buildMilestones(MILESTONE_ENTRIES);
+    const startData = buildOptimizerStartData({
+      bugs: makeBugMap(bugList),
+      scheduleBugs: bugList,
+      engineers,
+      milestones,
+      generations: 1,
+      populationSize: 2
+    });
+
+    expect(startData.engineers[startData.engineers.length - 1]).toMatchObject({ id: 'external:unmapped', isExternal: true });
+  });
+});
+
+describe('planSchedule', () => {
+  function plan(bugList, options = {}) {
+    const { milestones, milestoneNameMap } = buildMilestones(MILESTONE_ENTRIES);
+    return planSchedule({
+      bugs: makeBugMap(bugList),
+      engineers: ENGINEERS,
+      milestones,
+      milestoneNameMap,
+      ...options
+    });
+  }
+
+  it('schedules open bugs and reports milestone completions', () => {
+    const result = plan([
+      makeBug(100, { dependsOn: [1, 2], isMeta: true }),
+      makeBug(1, { assignee: 'alice@example.com' }),
+      makeBug(2, { assignee: 'bob@example.com', dependsOn: [1] })
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.schedule.map(t => String(t.bug.id)).sort()).toEqual(['1', '100', '2']);
+
+    const task1 = result.schedule.find(t => t.bug.id === 1);
+    const task2 = result.schedule.find(t => t.bug.id === 2);
+    expect(task2.startDate >= task1.endDate).toBe(true);
+
+    const completion = result.completions.get('100');
+    expect(completion).toBeInstanceOf(Date);
+    expect(completion >= task2.endDate).toBe(true);
+    expect(result.score.deadlinesMet).toBe(1);
+    expect(result.risks).toEqual([]);
+  });
+
+  it('flags tasks that end after their milestone freeze as risks', () => {
+    const result = plan([
+      makeBug(200, { dependsOn: [5], isMeta: true }),
+      makeBug(5)
+    ]);
+
+    expect(result.risks.map(r => r.task.bug.id)).toContain(5);
+    expect(result.risks.every(r => r.milestone.name === 'Past')).toBe(true);
+  });
+
+  it('applies the severity filter to scheduling but not to error detection', () => {
+    const result = plan([
+      makeBug(100, { dependsOn: [1, 2], isMeta: true }),
+      makeBug(1),
+      makeBug(2, { severity: 'S3', size: null })
+    ]);
+
+    expect(result.schedule.some(t => t.bug.id === 2)).toBe(false);
+    expect(result.errors.missingSizes.map(b => b.id)).toEqual([2]);
+  });
+
+  it('reports unknown assignees and milestone mismatches', () => {
+    const result = plan([
+      makeBug(100, { dependsOn: [1], isMeta: true }),
+      makeBug(1, { assignee: 'carol@example.com', targetMilestone: 'Past Release' })
+    ]);
+
+    expect(result.errors.unknownAssignees.map(u => u.assignee)).toEqual(['carol@example.com']);
+    expect(result.errors.milestoneMismatches).toEqual([
+      expect.objectContaining({ targetMilestone: 'Past', dependencyMilestone: 'Beta' })
+    ]);
+  });
+
+  it('produces an ERRORS.md report for the detected errors', () => {
+    const result = plan([
+      makeBug(100, { dependsOn: [1, 999], isMeta: true }),
+      makeBug(1, { size: null })
+    ]);
+
+    const markdown = buildErrorsMarkdown(result.errors, new Date('2026-01-01T00:00:00Z'));
+    expect(markdown).toContain('Generated: 2026-01-01T00:00:00.000Z');
+    expect(markdown).toContain('Bug 100 depends on missing bug 999');
+  });
+
+  it('reports bugs nobody has the skills for in ERRORS.md', () => {
+    const result = plan([
+      makeBug(100, { dependsOn: [1], isMeta: true }),
+      makeBug(1, { whiteboard: '[skill=sandbox]' })
+    ]);
+
+    expect(result.errors.unstaffable.map(u => u.bug.id)).toEqual([1]);
+    expect(result.schedule.find(t => t.bug.id === 1).engineer.isExternal).toBe(true);
+    expect(buildErrorsMarkdown(result.errors)).toContain('- Bug 1: Bug 1 (needs: sandbox)');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for project-config.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PROJECT_CONFIG,
+  parseProjectConfig,
+  parseSizeScheme,
+  isProjectComponent,
+  buildBugUrl,
+  buildBugListUrl
+} from '../../js/project-config.js';
+import projectData from '../../data/project.json' assert { type: 'json' };
+
+describe('parseProjectConfig', () => {
+  it('parses the shipped data/project.json', () => {
+    const config = parseProjectConfig(projectData);
+    expect(config.bugzillaUrl).toBe('https://bugzilla.mozilla.org');
+    expect(config.products).toEqual(['Firefox Enterprise']);
+    expect(config.components).toEqual(['Client']);
+  });
+
+  it('falls back to defaults for missing fields', () => {
+    expect(parseProjectConfig({})).toEqual(DEFAULT_PROJECT_CONFIG);
+  });
+
+  it('strips trailing slashes and accepts a single product string', () => {
+    const config = parseProjectConfig({
+      bugzillaUrl: 'https://bugzilla-dev.allizom.org/',
+      products: 'Firefox',
+      components: []
+    });
+    expect(config.bugzillaUrl).toBe('https://bugzilla-dev.allizom.org');
+    expect(config.products).toEqual(['Firefox']);
+    expect(config.components).toEqual([]);
+  });
+
+  it('rejects invalid configs', () => {
+    expect(() => parseProjectConfig({ bugzillaUrl: 'bugzilla.example.com' })).toThrow(/bugzillaUrl/);
+    expect(() => parseProjectConfig({ products: [] })).toThrow(/product/);
+  });
+});
+
+describe('parseSizeScheme', () => {
+  it('defaults to [size=1-5] whiteboard tags', () => {
+    expect(parseSizeScheme()).toEqual({
+      source: 'whiteboard',
+      tag: 'size',
+      field: null,
+      scale: { 1: 1, 2: 5, 3: 10, 4: 20, 5: 60 },
+      default: 3
+    });
+  });
+
+  it('keeps T-shirt sizes in order and matches the default ignoring case', () => {
+    const scheme = parseSizeScheme({ scale: { S: 2, M: 5, L: 10, XL: 30 }, default: 'm' });
+    expect(Object.keys(scheme.scale)).toEqual(['S', 'M', 'L', 'XL']);
+    expect(scheme.default).toBe('M');
+    // Without a default, the middle size
+    expect(parseSizeScheme({ scale: { S: 2, M: 5, L: 10 } }).default).toBe('M');
+  });
+
+  it('reads points from a bug field', () => {
+    const scheme = parseSizeScheme({ source: 'field', field: 'cf_fx_points', scale: { '1': 1, '2': 2, '3': 3, '5': 5, '8': 10, '13': 20 }, default: 3 });
+    expect(scheme).toMatchObject({ source: 'field', field: 'cf_fx_points', default: 3 });
+  });
+
+  it('survives a round trip, as stored in snapshots', () => {
+    const scheme = parseSizeScheme({ tag: 'est', scale: { S: 2, M: 5 }, default: 'S' });
+    expect(parseSizeScheme(scheme)).toEqual(scheme);
+  });
+
+  it('rejects invalid schemes', () => {
+    expect(() => parseSizeScheme({ source: 'points' })).toThrow(/sizes.source/);
+    expect(() => parseSizeScheme({ source: 'field' })).toThrow(/sizes.field/);
+    expect(() => parseSizeScheme({ tag: 'size]' })).toThrow(/sizes.tag/);
+    expect(() => parseSizeScheme({ scale: {} })).toThrow(/at least one size/);
+    expect(() => parseSizeScheme({ scale: { 'X-L': 3 } })).toThrow(/Invalid size/);
+    expect(() => parseSizeScheme({ scale: { S: 0 } })).toThrow(/Invalid days/);
+    expect(() => parseSizeScheme({ scale: { S: 5, M: 2 } })).toThrow(/must not decrease/);
+    expect(() => parseSizeScheme({ scale: { S: 2, M: 5 }, default: 'L' })).toThrow(/sizes.default/);
+  });
+});
+
+describe('project helpers', () => {
+  it('matches every component when none are configured', () => {
+    expect(isProjectComponent({ components: [] }, 'Anything')).toBe(true);
+    expect(isProjectComponent({ components: ['Client'] }, 'Client')).toBe(true);
+    expect(isProjectComponent({ components: ['Client'] }, 'Server')).toBe(false);
+  });
+
+  it('builds links on the configured instance', () => {
+    expect(buildBugUrl('https://bugzilla.example.com', 42))
+      .toBe('https://bugzilla.example.com/show_bug.cgi?id=42');
+    expect(buildBugListUrl('https://bugzilla.example.com', [1, 2]))
+      .toBe('https://bugzilla.example.com/buglist.cgi?bug_id=1,2');
+  });
+});
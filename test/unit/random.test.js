@@ -0,0 +1,50 @@
+/**
+ * Unit tests for random.js (seedable optimizer randomness)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRandom, deriveSeed, parseSeed, randomSeed } from '../../js/random.js';
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom(1234);
+    const b = createRandom(1234);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(sequence.every(x => x >= 0 && x < 1)).toBe(true);
+  });
+
+  it('produces different sequences for different seeds', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)());
+  });
+});
+
+describe('deriveSeed', () => {
+  it('gives each worker a distinct, stable 32-bit seed', () => {
+    const seeds = [0, 1, 2, 3].map(i => deriveSeed(42, i));
+
+    expect(new Set(seeds).size).toBe(4);
+    expect(seeds).toEqual([0, 1, 2, 3].map(i => deriveSeed(42, i)));
+    expect(seeds.every(s => Number.isInteger(s) && s >= 0 && s <= 0xFFFFFFFF)).toBe(true);
+  });
+});
+
+describe('parseSeed', () => {
+  it('accepts unsigned 32-bit integers', () => {
+    expect(parseSeed('0')).toBe(0);
+    expect(parseSeed(' 4294967295 ')).toBe(4294967295);
+    expect(parseSeed(7)).toBe(7);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['', 'abc', '-1', '1.5', '4294967296']) {
+      expect(() => parseSeed(value)).toThrow(/Invalid seed/);
+    }
+  });
+
+  it('round-trips random seeds', () => {
+    const seed = randomSeed();
+    expect(parseSeed(String(seed))).toBe(seed);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for resource-view.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildResourceView } from '../../js/resource-view.js';
+
+const TODAY = new Date(2026, 9, 19, 9); // Monday
+
+const alice = { id: 'alice', name: 'Alice', availability: 1.0, unavailability: [{ start: '2026-11-02', end: '2026-11-06' }] };
+const bob = { id: 'bob', name: 'Bob', availability: 0.5, unavailability: [] };
+const external = { id: 'external:1', name: 'External', availability: 1.0, isExternal: true };
+
+const MILESTONES = [
+  { name: 'Beta', bugId: 200, freezeDate: new Date(2026, 10, 9), deadline: new Date(2026, 10, 16) },
+  { name: 'Alpha', bugId: 100, freezeDate: new Date(2026, 9, 28), deadline: new Date(2026, 10, 2) },
+  { name: 'Old', bugId: 50, freezeDate: new Date(2026, 5, 1), deadline: new Date(2026, 5, 8) }
+];
+
+function task(id, engineer, start, end) {
+  return { bug: { id, summary: `Bug ${id}` }, engineer, startDate: start, endDate: end, completed: false };
+}
+
+// Alice's second task is pinned over the end of her first; she is away the week of Nov 2
+const SCHEDULE = [
+  task(1, alice, new Date(2026, 9, 19), new Date(2026, 9, 23)),
+  task(2, alice, new Date(2026, 9, 22), new Date(2026, 9, 27)),
+  task(3, external, new Date(2026, 9, 19), new Date(2026, 9, 30)),
+  { bug: { id: 4 }, engineer: alice, startDate: null, endDate: null, completed: true }
+];
+
+const WORKLOADS = [alice, bob, external].map(engineer => ({ engineer, taskCount: 0, totalDays: 0, nextAvailable: TODAY }));
+
+describe('buildResourceView', () => {
+  const view = buildResourceView({ workloads: WORKLOADS, schedule: SCHEDULE, milestones: MILESTONES, today: TODAY });
+
+  it('runs from today to the last freeze, week by week', () => {
+    expect(view.start).toEqual(new Date(2026, 9, 19));
+    expect(view.end).toEqual(new Date(2026, 10, 9));
+    expect(view.weeks).toEqual([new Date(2026, 9, 19), new Date(2026, 9, 26), new Date(2026, 10, 2)]);
+    expect(view.freezes.map(f => f.name)).toEqual(['Alpha', 'Beta']);
+    expect(view.lanes.map(l => l.engineer.id)).toEqual(['alice', 'bob']);
+    expect(view.externalTasks).toBe(1);
+  });
+
+  it('books overlapping tasks over capacity and skips weeks away', () => {
+    const [lane] = view.lanes;
+    expect(lane.tasks.map(t => t.bug.id)).toEqual([1, 2]);
+    expect(lane.overbookedDays).toBe(1);
+    expect(lane.weeks.map(w => [w.capacity, w.booked, w.utilization])).toEqual([
+      [5, 6, 1.2],
+      [5, 1, 0.2],
+      [0, 0, null]
+    ]);
+  });
+
+  it('finds idle gaps and counts them before each freeze', () => {
+    const [alicesLane, bobsLane] = view.lanes;
+    expect(alicesLane.gaps).toEqual([{ start: new Date(2026, 9, 27), end: new Date(2026, 9, 30), days: 4 }]);
+    expect(alicesLane.idleBeforeFreeze).toEqual([
+      { bugId: 100, name: 'Alpha', idleDays: 1 },
+      { bugId: 200, name: 'Beta', idleDays: 4 }
+    ]);
+
+    // Half-time, so half a day of capacity per working day
+    expect(bobsLane.weeks[0]).toMatchObject({ capacity: 2.5, booked: 0, utilization: 0 });
+    expect(bobsLane.gaps).toEqual([{ start: new Date(2026, 9, 19), end: new Date(2026, 10, 6), days: 15 }]);
+  });
+});
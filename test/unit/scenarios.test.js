@@ -0,0 +1,154 @@
+/**
+ * Unit tests for what-if scenarios
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseScenarioEdit,
+  createScenario,
+  parseScenarios,
+  applyScenario,
+  describeScenarioEdit,
+  planScenario,
+  optimizeScenario,
+  diffAssignments,
+  compareScenarios
+} from '../../js/scenarios.js';
+import { runGAWorkers } from '../../js/ga-node.js';
+import { ENGINEERS, makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+const TEAMS = [{ components: ['Client'], engineers: ENGINEERS }];
+
+function makeBase() {
+  const bugList = [
+    makeBug(100, { dependsOn: [1, 2, 3], isMeta: true }),
+    makeBug(1, { assignee: 'alice@example.com', size: 3 }),
+    makeBug(2, { assignee: 'bob@example.com', size: 3 }),
+    makeBug(3, { size: 3 })
+  ];
+  return {
+    teams: TEAMS,
+    milestoneEntries: [{ name: 'MVP', bugId: 100, deadline: '2099-06-01', freezeDays: 5 }],
+    bugs: makeBugMap(bugList),
+    severityFilter: 'S2'
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('scenario edits', () => {
+  it('normalizes edits and rejects bad ones', () => {
+    expect(parseScenarioEdit({ type: 'addEngineer', name: ' New Hire ', availability: '0.5' }))
+      .toEqual({ type: 'addEngineer', engineerId: 'scenario:new-hire', name: 'New Hire', availability: 0.5, component: null });
+    expect(parseScenarioEdit({ type: 'setSize', bugId: '3', size: '5' })).toEqual({ type: 'setSize', bugId: 3, size: 5 });
+
+    expect(() => parseScenarioEdit({ type: 'setAvailability', engineerId: 'alice', availability: 1.5 })).toThrow('Invalid availability');
+    expect(() => parseScenarioEdit({ type: 'setDeadline', bugId: 100, deadline: 'soon' })).toThrow('Invalid deadline');
+    expect(() => parseScenarioEdit({ type: 'setSize', bugId: 3, size: 'huge' })).toThrow('Invalid size');
+    expect(() => parseScenarioEdit({ type: 'hire' })).toThrow('Unknown scenario edit type');
+    expect(() => createScenario(' ')).toThrow('needs a name');
+  });
+
+  it('reads back saved scenarios', () => {
+    const scenarios = [createScenario('Hire', [{ type: 'addEngineer', name: 'Carol' }])];
+    expect(parseScenarios(JSON.parse(JSON.stringify(scenarios)))).toEqual(scenarios);
+    expect(parseScenarios(null)).toEqual([]);
+  });
+
+  it('applies edits to copies of the inputs', () => {
+    const base = makeBase();
+    const scenario = createScenario('What if', [
+      { type: 'addEngineer', name: 'Carol', availability: 0.5 },
+      { type: 'removeEngineer', engineerId: 'bob' },
+      { type: 'setAvailability', engineerId: 'alice', availability: 0.5 },
+      { type: 'setDeadline', bugId: 100, deadline: '2099-07-01' },
+      { type: 'setSize', bugId: 3, size: 1 }
+    ]);
+
+    const inputs = applyScenario(base, scenario);
+    expect(inputs.engineers.map(e => [e.id, e.availability])).toEqual([['alice', 0.5], ['scenario:carol', 0.5]]);
+    expect(inputs.milestoneEntries[0].deadline).toBe('2099-07-01');
+    expect(inputs.bugs.get('3').size).toBe(1);
+    // Bob's bug goes back to the pool
+    expect(inputs.bugs.get('2').assignee).toBeNull();
+
+    expect(base.teams[0].engineers).toHaveLength(2);
+    expect(base.teams[0].engineers[0].availability).toBe(1.0);
+    expect(base.milestoneEntries[0].deadline).toBe('2099-06-01');
+    expect(base.bugs.get('3').size).toBe(3);
+    expect(base.bugs.get('2').assignee).toBe('bob@example.com');
+
+    expect(() => applyScenario(base, createScenario('Bad', [{ type: 'removeEngineer', engineerId: 'zed' }])))
+      .toThrow('Unknown engineer in scenario: zed');
+    // A size for a bug that has since left the data has nothing to change
+    const resolved = applyScenario(base, createScenario('Old', [{ type: 'setSize', bugId: 999, size: 1 }]));
+    expect(resolved.bugs.has('999')).toBe(false);
+  });
+
+  it('describes edits with names', () => {
+    const base = makeBase();
+    expect(describeScenarioEdit(parseScenarioEdit({ type: 'setAvailability', engineerId: 'alice', availability: 0.5 }), base))
+      .toBe('Alice at 50%');
+    expect(describeScenarioEdit(parseScenarioEdit({ type: 'setDeadline', bugId: 100, deadline: '2099-07-01' }), base))
+      .toBe('MVP deadline 2099-07-01');
+  });
+});
+
+describe('planning scenarios', () => {
+  it('finishes earlier with another engineer and reports the reassignments', () => {
+    const base = makeBase();
+    const current = planScenario(base, createScenario('Current'));
+    const hire = planScenario(base, createScenario('Hire', [{ type: 'addEngineer', name: 'Carol' }]));
+
+    const comparison = compareScenarios([current, hire]);
+    expect(comparison.scenarios.map(s => s.name)).toEqual(['Current', 'Hire']);
+    expect(comparison.scenarios[1].score.makespan).toBeLessThan(comparison.scenarios[0].score.makespan);
+    expect(comparison.milestones[0].results[1].completion < comparison.milestones[0].results[0].completion).toBe(true);
+    expect(comparison.scenarios[1].assignmentChanges.some(change => change.to === 'Carol')).toBe(true);
+    expect(comparison.scenarios[0].assignmentChanges).toEqual([]);
+  });
+
+  it('scores a slipped deadline against the scenario\'s own milestones', () => {
+    const base = makeBase();
+    base.milestoneEntries = [{ name: 'MVP', bugId: 100, deadline: '2020-06-01', freezeDays: 5 }];
+    const late = planScenario(base, createScenario('Current'));
+    const slipped = planScenario(base, createScenario('Slip', [{ type: 'setDeadline', bugId: 100, deadline: '2099-06-01' }]));
+
+    expect(late.summary.milestones[0]).toMatchObject({ met: false });
+    expect(late.summary.milestones[0].daysLate).toBeGreaterThan(0);
+    expect(slipped.summary.milestones[0]).toMatchObject({ met: true, daysLate: 0 });
+    expect(slipped.summary.score.deadlinesMet).toBe(1);
+  });
+
+  it('keeps the optimizer\'s schedule only when it beats the greedy one', async () => {
+    const result = planScenario(makeBase(), createScenario('Current'));
+    const optimized = await optimizeScenario(
+      result,
+      startData => runGAWorkers({ ...startData, seed: 3 }, 1, { inline: true }),
+      { generations: 5, populationSize: 8 }
+    );
+
+    expect(['greedy', 'optimal']).toContain(optimized.scheduleType);
+    if (optimized.scheduleType === 'optimal') {
+      expect(optimized.schedule[0].endDate instanceof Date).toBe(true);
+    }
+
+    const unchanged = await optimizeScenario(result, async () => null);
+    expect(unchanged).toBe(result);
+  });
+});
+
+describe('diffAssignments', () => {
+  it('lists bugs whose engineer changed', () => {
+    const alice = { id: 'alice', name: 'Alice' };
+    const bob = { id: 'bob', name: 'Bob' };
+    const end = new Date(2026, 10, 2);
+    const changes = diffAssignments(
+      [{ bug: { id: 2 }, engineer: alice, endDate: end }, { bug: { id: 1 }, engineer: alice, endDate: end }],
+      [{ bug: { id: 2, summary: 'Two' }, engineer: bob, endDate: end }, { bug: { id: 1 }, engineer: alice, endDate: end }]
+    );
+    expect(changes).toEqual([{ bugId: 2, summary: 'Two', from: 'Alice', to: 'Bob', fromEnd: end, toEnd: end }]);
+  });
+});
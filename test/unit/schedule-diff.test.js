@@ -0,0 +1,114 @@
+/**
+ * Unit tests for schedule-diff.js
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { buildMilestones, planSchedule } from '../../js/planning.js';
+import {
+  buildPlanRecord,
+  parsePlanRecord,
+  isPlanRecord,
+  findDrivingChain,
+  diffPlans
+} from '../../js/schedule-diff.js';
+import { ENGINEERS, BETA_MILESTONE, makeBug, makeBugMap } from '../fixtures/plan-fixtures.js';
+
+const { milestones, milestoneNameMap } = buildMilestones([BETA_MILESTONE]);
+
+// Alice does 1 then 2; Bob does 3 on the side
+function baseBugs() {
+  return [
+    makeBug(100, { isMeta: true, size: null, dependsOn: [1, 2, 3] }),
+    makeBug(1, { assignee: 'alice@example.com' }),
+    makeBug(2, { assignee: 'alice@example.com' }),
+    makeBug(3, { assignee: 'bob@example.com', size: 1 })
+  ];
+}
+
+function record(bugList, label) {
+  const plan = planSchedule({
+    bugs: makeBugMap(bugList),
+    engineers: ENGINEERS,
+    milestones,
+    milestoneNameMap
+  });
+  return buildPlanRecord({ schedule: plan.schedule, milestones, graph: plan.graph, label });
+}
+
+describe('buildPlanRecord', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('records tasks and milestone completions as plain JSON', () => {
+    const plan = record(baseBugs(), 'Monday');
+    const reloaded = parsePlanRecord(JSON.parse(JSON.stringify(plan)));
+
+    expect(isPlanRecord(reloaded)).toBe(true);
+    expect(reloaded.label).toBe('Monday');
+    expect(reloaded.tasks.find(t => t.bugId === 2)).toMatchObject({ engineerId: 'alice', engineer: 'Alice', size: 2, dependsOn: [] });
+    expect(reloaded.milestones[0]).toMatchObject({ bugId: 100, name: 'Beta', bugIds: [1, 2, 3, 100] });
+    expect(reloaded.milestones[0].completion).toBe(reloaded.tasks.find(t => t.bugId === 2).endDate);
+
+    expect(() => parsePlanRecord({ version: 9, tasks: [], milestones: [] })).toThrow('Unsupported plan version');
+    expect(isPlanRecord({ capturedAt: 'x', bugs: [] })).toBe(false);
+  });
+
+  it('follows the engineer queue and dependencies back from the last task', () => {
+    const plan = record(baseBugs());
+    // The milestone bug itself ends with its last dependency
+    expect(findDrivingChain(plan, plan.milestones[0])).toEqual([2, 100, 1]);
+  });
+});
+
+describe('diffPlans', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('blames a milestone slip on the resized task upstream, not the tasks it pushed', () => {
+    const before = record(baseBugs());
+    const after = record(baseBugs().map(bug => (bug.id === 1 ? { ...bug, size: 3 } : bug)));
+    const diff = diffPlans(before, after);
+
+    expect(diff.tasks.map(t => [t.bugId, t.changes])).toEqual([
+      [1, ['moved', 'resized']],
+      [2, ['moved']],
+      [100, ['moved']]
+    ]);
+    expect(diff.counts).toMatchObject({ moved: 3, resized: 1, added: 0 });
+
+    const [beta] = diff.milestones;
+    expect(beta.deltaDays).toBeGreaterThan(0);
+    expect(beta.causes.map(c => c.bugId)).toEqual([1]);
+  });
+
+  it('reports added, removed and reassigned tasks', () => {
+    const before = record(baseBugs());
+    const after = record([
+      makeBug(100, { isMeta: true, size: null, dependsOn: [1, 2, 4] }),
+      makeBug(1, { assignee: 'alice@example.com' }),
+      makeBug(2, { assignee: 'bob@example.com' }),
+      makeBug(4, { assignee: 'bob@example.com', size: 3 })
+    ]);
+    const diff = diffPlans(before, after);
+
+    const changes = Object.fromEntries(diff.tasks.map(t => [t.bugId, t.changes]));
+    expect(changes[2]).toContain('reassigned');
+    expect(changes[3]).toEqual(['removed']);
+    expect(changes[4]).toEqual(['added']);
+    expect(changes[100]).toContain('dependencies');
+
+    // Bob now does 2 and the new, bigger 4, which sets the completion
+    const [beta] = diff.milestones;
+    expect(beta.deltaDays).toBeGreaterThan(0);
+    expect(beta.causes.map(c => c.bugId)).toEqual(expect.arrayContaining([2, 4]));
+  });
+
+  it('finds no causes when nothing moved', () => {
+    const plan = record(baseBugs());
+    const diff = diffPlans(plan, plan);
+    expect(diff.tasks).toEqual([]);
+    expect(diff.milestones[0]).toMatchObject({ deltaDays: 0, causes: [] });
+  });
+});
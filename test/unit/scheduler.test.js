@@ -3,9 +3,22 @@
  * Run with: node --experimental-vm-modules test/unit/scheduler.test.js
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { Scheduler } from '../../js/scheduler.js';
 import { DependencyGraph } from '../../js/dependency-graph.js';
+import {
+  setSizeScheme,
+  calculateDaysFromSize,
+  extractSize,
+  readBugSize,
+  getThreePointEstimate,
+  extractProgress,
+  addWorkingDays,
+  normalizeStartDate,
+  toDateKey
+} from '../../js/scheduler-core.js';
+import { parseSizeScheme } from '../../js/project-config.js';
+import { countWorkingDays } from '../../js/optimizer-utils.js';
 import mockData from '../fixtures/mock-bugs.json' assert { type: 'json' };
 
 // Test engineers
@@ -139,6 +152,122 @@ describe('Scheduler', () => {
     });
   });
 
+  describe('velocity and ramp-up', () => {
+    it('should shorten tasks for faster engineers', () => {
+      const engineer = { ...testEngineers[0], velocity: 1.25 };
+      const effort = scheduler.calculateEffort({ id: 1, size: 3 }, engineer);
+
+      // 10 days / 1.25 = 8 days
+      expect(effort.days).toBe(8);
+      expect(effort.velocity).toBe(1.25);
+    });
+
+    it('should combine velocity with availability', () => {
+      const engineer = { ...testEngineers[0], availability: 0.5, velocity: 0.8 };
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, engineer);
+
+      // 5 days / (0.5 * 0.8) = 12.5 -> 13 days
+      expect(effort.days).toBe(13);
+    });
+
+    const newHire = {
+      ...testEngineers[0],
+      rampUp: { start: '2025-01-06', end: '2025-02-03', initial: 0.5 }
+    };
+
+    it('should slow tasks down during ramp-up', () => {
+      // Starting on the ramp-up start date: capacity rises from 50% towards 100%
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, newHire, new Date(2025, 0, 6));
+
+      expect(effort.days).toBeGreaterThan(5);
+      expect(effort.days).toBeLessThan(10);
+      expect(effort.rampUp).toBeGreaterThan(0.5);
+      expect(effort.rampUp).toBeLessThan(1);
+    });
+
+    it('should be back to full speed after ramp-up ends', () => {
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, newHire, new Date(2025, 1, 3));
+
+      expect(effort.days).toBe(5);
+      expect(effort.rampUp).toBe(1);
+    });
+
+    it('should use the ramp-up when assigning tasks', () => {
+      const rampScheduler = new Scheduler([newHire], testMilestones);
+      rampScheduler.engineerSchedules.get(newHire.id).nextAvailable = new Date(2025, 0, 6);
+
+      const assignment = rampScheduler.assignToEngineer({ id: 1, size: 2 }, newHire, new Date(2025, 0, 6));
+      const expected = scheduler.calculateEffort({ id: 1, size: 2 }, newHire, new Date(2025, 0, 6));
+
+      expect(assignment.effort.days).toBe(expected.days);
+      expect(assignment.endDate).toEqual(scheduler.addWorkingDays(new Date(2025, 0, 6), expected.days, newHire));
+    });
+  });
+
+  describe('availability schedule', () => {
+    // Dave: 33% until the end of January, then 80%
+    const rampingEngineer = {
+      ...testEngineers[0],
+      availability: 0.33,
+      availabilitySchedule: [
+        { to: '2025-01-31', availability: 0.33 },
+        { from: '2025-02-01', availability: 0.8 }
+      ]
+    };
+
+    it('should match the single-factor formula within one segment', () => {
+      const monday = new Date(2025, 0, 6);
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, rampingEngineer, monday);
+
+      // 5 days / 0.33 = 15.2 -> 16 working days
+      expect(effort.days).toBe(16);
+      expect(effort.days).toBe(Math.ceil(5 / 0.33));
+    });
+
+    it('should integrate capacity across segments', () => {
+      // Mon 27 Jan: Tue-Fri at 33% (1.32 days), then 3.68 days at 80% = 5 more working days
+      const monday = new Date(2025, 0, 27);
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, rampingEngineer, monday);
+
+      expect(effort.days).toBe(9);
+      // Average availability over the task's working days
+      expect(effort.availability).toBeCloseTo((4 * 0.33 + 5 * 0.8) / 9);
+      expect(scheduler.addWorkingDays(monday, effort.days, rampingEngineer).getDate()).toBe(7);
+    });
+
+    it('should fall back to the base availability outside all segments', () => {
+      const engineer = {
+        ...testEngineers[0],
+        availability: 0.5,
+        availabilitySchedule: [{ from: '2025-03-01', to: '2025-03-31', availability: 1.0 }]
+      };
+      const effort = scheduler.calculateEffort({ id: 1, size: 2 }, engineer, new Date(2025, 0, 6));
+
+      expect(effort.days).toBe(10);
+    });
+
+    it('should use the schedule when assigning tasks', () => {
+      const rampScheduler = new Scheduler([rampingEngineer], testMilestones);
+      const schedule = rampScheduler.engineerSchedules.get(rampingEngineer.id);
+      schedule.nextAvailable = new Date(2025, 0, 27);
+
+      const assignment = rampScheduler.assignToEngineer({ id: 1, size: 2 }, rampingEngineer, new Date(2025, 0, 27));
+
+      expect(assignment.effort.days).toBe(9);
+      expect(assignment.endDate).toEqual(new Date(2025, 1, 7));
+    });
+
+    it('should take forever on an open-ended schedule with no capacity', () => {
+      const engineer = {
+        ...testEngineers[0],
+        availabilitySchedule: [{ from: '2025-01-01', availability: 0 }]
+      };
+
+      expect(scheduler.calculateEffort({ id: 1, size: 1 }, engineer, new Date(2025, 0, 6)).days).toBe(Infinity);
+      expect(scheduler.assignToEngineer({ id: 1, size: 1 }, engineer, new Date(2025, 0, 6))).toBeNull();
+    });
+  });
+
   describe('findBestEngineer', () => {
     it('should pick engineer with earliest completion time', () => {
       const bug = { id: 1, size: 2 };
@@ -163,6 +292,25 @@ describe('Scheduler', () => {
 
       expect(result).not.toBeNull();
     });
+
+    it('should skip engineers with no capacity left', () => {
+      const engineers = [
+        { id: 'a', name: 'A', email: 'a@example.com', availability: 1.0, availabilitySchedule: [{ from: '2020-01-01', availability: 0 }] },
+        { id: 'b', name: 'B', email: 'b@example.com', availability: 1.0 }
+      ];
+      const localScheduler = new Scheduler(engineers, testMilestones);
+      const bugs = [
+        { id: 1, summary: 'Unassigned', status: 'NEW', assignee: null, dependsOn: [], size: 2 },
+        { id: 2, summary: 'Assigned to A', status: 'NEW', assignee: 'a@example.com', dependsOn: [], size: 1 }
+      ];
+      const localGraph = new DependencyGraph();
+      localGraph.buildFromBugs(new Map(bugs.map(bug => [String(bug.id), bug])));
+
+      const schedule = localScheduler.scheduleTasks(bugs, localGraph);
+
+      expect(schedule.map(task => task.engineer.id)).toEqual(['b', 'b']);
+      expect(localScheduler.warnings.filter(w => w.type === 'no_capacity').map(w => w.bug.id)).toEqual([2]);
+    });
   });
 
   describe('scheduleTasks', () => {
@@ -620,6 +768,20 @@ describe('Scheduler', () => {
       expect(workloads.every(w => typeof w.taskCount === 'number')).toBe(true);
       expect(workloads.every(w => typeof w.totalDays === 'number')).toBe(true);
     });
+
+    it('should summarize another schedule for the same engineers', () => {
+      const bug = { id: 1, summary: 'Test bug', status: 'NEW', dependsOn: [], size: 2 };
+      graph.buildFromBugs(new Map([['1', bug]]));
+      scheduler.scheduleTasks([bug], graph);
+
+      // e.g. the optimizer moved the bug to the last engineer
+      const other = testEngineers[testEngineers.length - 1];
+      const endDate = new Date(2099, 0, 9);
+      const optimized = [{ bug, engineer: other, startDate: new Date(2099, 0, 2), endDate, effort: { days: 5 }, completed: false }];
+      const workload = scheduler.getEngineerWorkloads(optimized).find(w => w.engineer.id === other.id);
+
+      expect(workload).toMatchObject({ taskCount: 1, totalDays: 5, nextAvailable: endDate });
+    });
   });
 
   describe('deadline comparison (working days vs calendar days)', () => {
@@ -788,6 +950,198 @@ describe('Scheduler', () => {
     });
   });
 
+  describe('skill-based assignment', () => {
+    const engineers = [
+      { id: 'eng1', name: 'Engineer 1', email: 'eng1@example.com', availability: 1.0, unavailability: [] },
+      { id: 'eng2', name: 'Engineer 2', email: 'eng2@example.com', availability: 1.0, unavailability: [], skills: ['Sandbox'] }
+    ];
+    const componentTeamMap = new Map([
+      ['Client', { components: ['Client'], engineers }]
+    ]);
+
+    function scheduleOne(whiteboard) {
+      const localScheduler = new Scheduler(engineers, testMilestones, componentTeamMap);
+      const bug = {
+        id: 5010,
+        summary: 'Sandbox bug',
+        status: 'NEW',
+        assignee: null,
+        dependsOn: [],
+        size: 1,
+        component: 'Client',
+        whiteboard
+      };
+      graph.buildFromBugs(new Map([[String(bug.id), bug]]));
+      return localScheduler.scheduleTasks([bug], graph);
+    }
+
+    it('should only consider engineers with every required skill', () => {
+      const localScheduler = new Scheduler(engineers, testMilestones, componentTeamMap);
+      const eligible = localScheduler.getEligibleEngineers({ component: 'Client', whiteboard: '[skill=sandbox]' });
+      expect(eligible.map(e => e.id)).toEqual(['eng2']);
+    });
+
+    it('should assign a skill-tagged bug to a skilled engineer', () => {
+      const schedule = scheduleOne('[size=1][skill=sandbox]');
+      expect(schedule[0].engineer.id).toBe('eng2');
+    });
+
+    it('should assign External when nobody has the skill', () => {
+      const schedule = scheduleOne('[skill=policy-engine]');
+      expect(schedule[0].engineer.isExternal).toBe(true);
+    });
+  });
+
+  describe('remaining effort', () => {
+    const engineer = testEngineers[0];
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    it('should parse [remaining=X] and [progress=N%] tags', () => {
+      expect(extractProgress('[size=3][remaining=2.5]')).toEqual({ remainingDays: 2.5, percentComplete: null });
+      expect(extractProgress('[progress=40%]')).toEqual({ remainingDays: null, percentComplete: 40 });
+      expect(extractProgress('[progress=140%]').percentComplete).toBeNull();
+    });
+
+    it('should schedule only the remaining days', () => {
+      const effort = scheduler.calculateEffort({ id: 1, size: 3, whiteboard: '[size=3][remaining=2]' }, engineer);
+      expect(effort).toMatchObject({ days: 2, baseDays: 2, estimatedDays: 10, percentComplete: 80, progressSource: 'remaining' });
+
+      const percent = scheduler.calculateEffort({ id: 2, size: 3, whiteboard: '[progress=40%]' }, engineer);
+      expect(percent).toMatchObject({ days: 6, baseDays: 6, percentComplete: 40, progressSource: 'progress' });
+    });
+
+    it('should estimate progress from when the bug was ASSIGNED', () => {
+      const assignedAt = addWorkingDays(today, -3);
+      const bug = { id: 1, size: 3, status: 'ASSIGNED', assignee: engineer.email, assignedAt: assignedAt.toISOString() };
+      const elapsed = countWorkingDays(assignedAt, today);
+
+      const effort = scheduler.calculateEffort(bug, engineer);
+      expect(effort).toMatchObject({ baseDays: 10 - elapsed, progressSource: 'assigned' });
+
+      // Long overdue work still has some left
+      const overdue = scheduler.calculateEffort({ ...bug, assignedAt: addWorkingDays(today, -40).toISOString() }, engineer);
+      expect(overdue).toMatchObject({ baseDays: 1, percentComplete: 90 });
+
+      // Only ASSIGNED bugs count their time
+      expect(scheduler.calculateEffort({ ...bug, status: 'NEW' }, engineer).progressSource).toBeNull();
+    });
+  });
+
+  describe('work underway', () => {
+    it('should start bars at the ASSIGNED date and continue the work first', () => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const assignedAt = addWorkingDays(today, -4);
+      const queued = { id: 1, summary: 'Queued', status: 'NEW', assignee: 'janika@example.com', dependsOn: [], size: 2 };
+      const underway = {
+        id: 2,
+        summary: 'Underway',
+        status: 'ASSIGNED',
+        assignee: 'janika@example.com',
+        assignedAt: assignedAt.toISOString(),
+        dependsOn: [],
+        size: 3
+      };
+      graph.buildFromBugs(new Map([['1', queued], ['2', underway]]));
+
+      const schedule = scheduler.scheduleTasks([queued, underway], graph);
+      const byId = new Map(schedule.map(task => [task.bug.id, task]));
+
+      expect(byId.get(2).actualStartDate).toEqual(assignedAt);
+      expect(byId.get(2).startDate.getTime()).toBe(normalizeStartDate(today).getTime());
+      expect(byId.get(2).engineer.id).toBe('janika');
+      expect(byId.get(1).startDate >= byId.get(2).endDate).toBe(true);
+      expect(byId.get(1).actualStartDate).toBeNull();
+    });
+  });
+
+  describe('pins', () => {
+    it('should lock a pinned engineer over the Bugzilla assignee', () => {
+      const bug = {
+        id: 1,
+        summary: 'Pinned',
+        status: 'NEW',
+        assignee: 'janika@example.com',
+        dependsOn: [],
+        size: 2,
+        pin: { startDate: null, engineerId: 'alissy' }
+      };
+      graph.buildFromBugs(new Map([['1', bug]]));
+
+      const schedule = scheduler.scheduleTasks([bug], graph);
+      expect(schedule[0].engineer.id).toBe('alissy');
+    });
+
+    it('should not start before a pinned date, and warn when it starts later', () => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const pinnedStart = addWorkingDays(today, 5);
+      const blocker = { id: 1, summary: 'Blocker', status: 'NEW', assignee: 'janika@example.com', dependsOn: [], size: 3 };
+      const early = {
+        id: 2, summary: 'Early', status: 'NEW', assignee: 'alissy@example.com', dependsOn: [], size: 1,
+        pin: { startDate: toDateKey(pinnedStart), engineerId: null }
+      };
+      const blocked = {
+        id: 3, summary: 'Blocked', status: 'NEW', assignee: 'janika@example.com', dependsOn: [1], size: 1,
+        pin: { startDate: toDateKey(today), engineerId: null }
+      };
+      graph.buildFromBugs(new Map([['1', blocker], ['2', early], ['3', blocked]]));
+
+      const schedule = scheduler.scheduleTasks([blocker, early, blocked], graph);
+      const byId = new Map(schedule.map(task => [task.bug.id, task]));
+
+      expect(byId.get(2).startDate.getTime()).toBe(pinnedStart.getTime());
+      // A pin for today is no constraint; dependencies still come first
+      expect(byId.get(3).startDate >= byId.get(1).endDate).toBe(true);
+      expect(scheduler.warnings.filter(w => w.type === 'pin_moved')).toHaveLength(0);
+
+      const later = { ...early, pin: { startDate: toDateKey(pinnedStart), engineerId: 'janika' } };
+      graph.buildFromBugs(new Map([['1', blocker], ['2', later]]));
+      scheduler.scheduleTasks([blocker, later], graph);
+      const warning = scheduler.warnings.find(w => w.type === 'pin_moved');
+      expect(warning.bug.id).toBe(2);
+    });
+  });
+
+  describe('size schemes', () => {
+    afterEach(() => {
+      setSizeScheme(null);
+    });
+
+    it('should interpolate fractional sizes on the default scale', () => {
+      expect(calculateDaysFromSize(3)).toBe(10);
+      expect(calculateDaysFromSize(3.5)).toBe(15);
+      expect(extractSize('[size=4.5]')).toBe(4.5);
+      expect(extractSize('[size=6]')).toBeNull();
+    });
+
+    it('should read T-shirt sizes from a custom tag', () => {
+      setSizeScheme(parseSizeScheme({ tag: 'est', scale: { S: 2, M: 5, L: 10 }, default: 'M' }));
+
+      expect(readBugSize({ whiteboard: '[est=l range=m-l]' })).toEqual({ size: 'L', sizeRange: { min: 'M', max: 'L' } });
+      expect(extractSize('[est=XXL]')).toBeNull();
+      expect(extractSize('[size=3]')).toBeNull();
+      expect(calculateDaysFromSize('L')).toBe(10);
+      expect(getThreePointEstimate({ size: 'L', sizeRange: { min: 'M', max: 'L' } }))
+        .toEqual({ optimistic: 5, mostLikely: 10, pessimistic: 10 });
+
+      // Unsized bugs take the configured default
+      const effort = scheduler.calculateEffort({ id: 1, size: null }, testEngineers[0]);
+      expect(effort.baseDays).toBe(5);
+    });
+
+    it('should read points from a bug field and interpolate between them', () => {
+      setSizeScheme(parseSizeScheme({ source: 'field', field: 'cf_fx_points', scale: { 1: 1, 3: 3, 8: 13 }, default: 3 }));
+
+      expect(readBugSize({ cf_fx_points: '5', whiteboard: '[size=1]' })).toEqual({ size: 5, sizeRange: null });
+      expect(readBugSize({ cf_fx_points: '---' }).size).toBeNull();
+      expect(readBugSize({ cf_fx_points: '20' }).size).toBeNull();
+      // 5 is 2/5 of the way from 3 (3 days) to 8 (13 days)
+      expect(calculateDaysFromSize(5)).toBe(7);
+    });
+  });
+
   describe('meta bugs', () => {
     it('should calculate 0 days effort for meta bugs', () => {
       const engineer = testEngineers[0];
@@ -9,6 +9,8 @@ import { describe, it, expect, beforeAll } from 'vitest';
 import { Scheduler } from '../../js/scheduler.js';
 import { DependencyGraph } from '../../js/dependency-graph.js';
 import { addWorkingDays } from '../../js/scheduler-core.js';
+import { buildSnapshot, parseSnapshot, resolveSnapshotMilestones } from '../../js/snapshot.js';
+import { parseProjectConfig } from '../../js/project-config.js';
 import snapshot from '../fixtures/live-snapshot.json' assert { type: 'json' };
 import engineersData from '../../data/engineers.json' assert { type: 'json' };
 import milestonesData from '../../data/milestones.json' assert { type: 'json' };
@@ -407,3 +409,50 @@ describe('Scheduler statistics consistency', () => {
     expect(stats.totalTasks).toBe(stats.completedTasks + stats.scheduledTasks);
   });
 });
+
+describe('Snapshot format', () => {
+  it('rebuilds the captured stats from the captured bugs', () => {
+    const rebuilt = buildSnapshot({
+      bugs: parseSnapshot(snapshot).bugs,
+      milestones: snapshot.milestones,
+      project: parseProjectConfig({}),
+      capturedAt: snapshot.capturedAt
+    });
+
+    expect(rebuilt.stats).toEqual(snapshot.stats);
+    expect(rebuilt.bugs).toEqual(snapshot.bugs);
+  });
+
+  it('round-trips through JSON', () => {
+    const built = buildSnapshot({
+      bugs: parseSnapshot(snapshot).bugs,
+      milestones: milestonesData.milestones,
+      project: parseProjectConfig({})
+    });
+
+    const parsed = parseSnapshot(JSON.parse(JSON.stringify(built)));
+
+    expect(parsed.bugs.size).toBe(snapshot.bugs.length);
+    expect(parsed.milestones).toEqual(milestonesData.milestones);
+    expect(parsed.capturedAt).toBe(built.capturedAt);
+  });
+
+  it('rejects files that are not snapshots', () => {
+    expect(() => parseSnapshot({ teams: [] })).toThrow(/bugs/);
+    expect(() => parseSnapshot({ bugs: [{ summary: 'no id' }] })).toThrow(/id/);
+  });
+
+  it('takes deadlines for legacy {name, bugId} milestones from the configuration', () => {
+    const resolved = resolveSnapshotMilestones(snapshot.milestones, milestonesData.milestones);
+
+    const mvp = resolved.find(m => m.name === 'MVP');
+    const configuredMvp = milestonesData.milestones.find(m => m.name === 'MVP');
+    expect(mvp.bugId).toBe(snapshot.milestones.find(m => m.name === 'MVP').bugId);
+    expect(mvp.deadline).toBe(configuredMvp.deadline);
+  });
+
+  it('uses full milestone entries from the snapshot as-is', () => {
+    const entries = [{ name: 'Beta', bugId: 1, deadline: '2027-01-01', freezeDays: 3 }];
+    expect(resolveSnapshotMilestones(entries, milestonesData.milestones)).toEqual(entries);
+  });
+});